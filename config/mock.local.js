@@ -26,6 +26,8 @@ if (process.env.NODE_ENV === 'test') {
       host: 'dockerhost:9200'
     },
     whitelistedOriginsForUserIdAuth: "[\"\"]",
+    // take user groups from `localUserGroups` and `localGroupMembers` instead of the Groups API
+    useLocalGroupsStub: true,
   };
 }
 module.exports = config;
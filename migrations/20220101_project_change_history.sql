@@ -0,0 +1,29 @@
+--
+-- Create table project_change_history
+--
+
+CREATE TABLE project_change_history (
+    id bigint,
+    "projectId" bigint NOT NULL,
+    "source" character varying(45) NOT NULL,
+    "fields" character varying(255)[] NOT NULL DEFAULT ARRAY[]::character varying[]::character varying(255)[],
+    "changes" json NOT NULL,
+    "createdAt" timestamp with time zone,
+    "createdBy" integer NOT NULL
+);
+
+CREATE SEQUENCE project_change_history_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+ALTER SEQUENCE project_change_history_id_seq OWNED BY project_change_history.id;
+
+ALTER TABLE ONLY project_change_history ALTER COLUMN id SET DEFAULT nextval('project_change_history_id_seq'::regclass);
+
+ALTER TABLE ONLY project_change_history
+    ADD CONSTRAINT project_change_history_pkey PRIMARY KEY (id);
+
+CREATE INDEX project_change_history_project_id_created_at ON project_change_history USING btree ("projectId", "createdAt");
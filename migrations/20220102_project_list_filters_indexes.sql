@@ -0,0 +1,9 @@
+--
+-- Add indexes to filter projects list by dates, billing account, template and groups
+--
+
+CREATE INDEX projects_updated_at ON projects USING btree ("updatedAt");
+CREATE INDEX projects_last_activity_at ON projects USING btree ("lastActivityAt");
+CREATE INDEX projects_billing_account_id ON projects USING btree ("billingAccountId");
+CREATE INDEX projects_template_id ON projects USING btree ("templateId");
+CREATE INDEX projects_groups ON projects USING gin ("groups");
@@ -0,0 +1,34 @@
+--
+-- Create table project_relations
+--
+
+CREATE TABLE project_relations (
+    id bigint,
+    "projectId" bigint NOT NULL,
+    "relatedProjectId" bigint NOT NULL,
+    "type" character varying(45) NOT NULL,
+    "deletedAt" timestamp with time zone,
+    "createdAt" timestamp with time zone,
+    "updatedAt" timestamp with time zone,
+    "deletedBy" integer,
+    "createdBy" integer NOT NULL,
+    "updatedBy" integer NOT NULL
+);
+
+CREATE SEQUENCE project_relations_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+ALTER SEQUENCE project_relations_id_seq OWNED BY project_relations.id;
+
+ALTER TABLE ONLY project_relations ALTER COLUMN id SET DEFAULT nextval('project_relations_id_seq'::regclass);
+
+ALTER TABLE ONLY project_relations
+    ADD CONSTRAINT project_relations_pkey PRIMARY KEY (id);
+
+CREATE INDEX project_relations_project_id ON project_relations USING btree ("projectId");
+
+CREATE INDEX project_relations_related_project_id ON project_relations USING btree ("relatedProjectId");
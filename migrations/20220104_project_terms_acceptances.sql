@@ -0,0 +1,32 @@
+--
+-- Create table project_terms_acceptances
+--
+
+CREATE TABLE project_terms_acceptances (
+    id bigint,
+    "projectId" bigint NOT NULL,
+    "userId" bigint NOT NULL,
+    "termsId" character varying(255) NOT NULL,
+    "deletedAt" timestamp with time zone,
+    "createdAt" timestamp with time zone,
+    "updatedAt" timestamp with time zone,
+    "deletedBy" integer,
+    "createdBy" integer NOT NULL,
+    "updatedBy" integer NOT NULL
+);
+
+CREATE SEQUENCE project_terms_acceptances_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+ALTER SEQUENCE project_terms_acceptances_id_seq OWNED BY project_terms_acceptances.id;
+
+ALTER TABLE ONLY project_terms_acceptances ALTER COLUMN id SET DEFAULT nextval('project_terms_acceptances_id_seq'::regclass);
+
+ALTER TABLE ONLY project_terms_acceptances
+    ADD CONSTRAINT project_terms_acceptances_pkey PRIMARY KEY (id);
+
+CREATE INDEX project_terms_acceptances_project_id_user_id ON project_terms_acceptances USING btree ("projectId", "userId");
@@ -0,0 +1,38 @@
+--
+-- Create table cancel_reasons
+--
+
+CREATE TABLE cancel_reasons (
+    code character varying(45) NOT NULL,
+    label character varying(255) NOT NULL,
+    "requiresComment" boolean DEFAULT false,
+    disabled boolean DEFAULT false,
+    "deletedAt" timestamp with time zone,
+    "createdAt" timestamp with time zone,
+    "updatedAt" timestamp with time zone,
+    "deletedBy" integer,
+    "createdBy" integer NOT NULL,
+    "updatedBy" integer NOT NULL
+);
+
+ALTER TABLE ONLY cancel_reasons
+    ADD CONSTRAINT cancel_reasons_pkey PRIMARY KEY (code);
+
+--
+-- Seed the initial cancel reasons taxonomy, projects can be cancelled only with one of the enabled cancel reasons
+--
+
+INSERT INTO cancel_reasons (code, label, "requiresComment", disabled, "createdAt", "updatedAt", "createdBy", "updatedBy")
+VALUES
+  ('price', 'Price is too high', false, false, now(), now(), -101, -101),
+  ('timeline', 'Timeline does not work for the customer', false, false, now(), now(), -101, -101),
+  ('scope_changed', 'Project scope has changed', false, false, now(), now(), -101, -101),
+  ('duplicate', 'Duplicate of another project', false, false, now(), now(), -101, -101),
+  ('no_response', 'Customer stopped responding', false, false, now(), now(), -101, -101),
+  ('other', 'Other', true, false, now(), now(), -101, -101);
+
+--
+-- Keep free-text comment of the cancel reason in the project history
+--
+
+ALTER TABLE project_history ADD COLUMN "cancelComment" text;
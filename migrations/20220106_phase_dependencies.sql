@@ -0,0 +1,5 @@
+--
+-- Dependencies between project phases
+--
+
+ALTER TABLE project_phases ADD COLUMN "dependencies" json DEFAULT '[]'::json;
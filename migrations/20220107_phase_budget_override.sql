@@ -0,0 +1,8 @@
+--
+-- Calculate phase budget from the phase products unless it's overridden
+--
+
+ALTER TABLE project_phases ADD COLUMN "budgetOverride" boolean DEFAULT false;
+
+-- keep budgets which have been set manually before
+UPDATE project_phases SET "budgetOverride" = true WHERE budget > 0 OR "spentBudget" > 0;
@@ -0,0 +1,35 @@
+--
+-- Create table project_phase_approvals
+--
+
+CREATE TABLE project_phase_approvals (
+    id bigint,
+    "projectId" bigint NOT NULL,
+    "phaseId" bigint NOT NULL,
+    status character varying(45) NOT NULL DEFAULT 'pending',
+    comment text,
+    "decidedAt" timestamp with time zone,
+    "decidedBy" integer,
+    "deletedAt" timestamp with time zone,
+    "createdAt" timestamp with time zone,
+    "updatedAt" timestamp with time zone,
+    "deletedBy" integer,
+    "createdBy" integer NOT NULL,
+    "updatedBy" integer NOT NULL
+);
+
+CREATE SEQUENCE project_phase_approvals_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+ALTER SEQUENCE project_phase_approvals_id_seq OWNED BY project_phase_approvals.id;
+
+ALTER TABLE ONLY project_phase_approvals ALTER COLUMN id SET DEFAULT nextval('project_phase_approvals_id_seq'::regclass);
+
+ALTER TABLE ONLY project_phase_approvals
+    ADD CONSTRAINT project_phase_approvals_pkey PRIMARY KEY (id);
+
+CREATE INDEX project_phase_approvals_phase_id ON project_phase_approvals USING btree ("phaseId");
@@ -0,0 +1,6 @@
+--
+-- Keep the key of the phase definition of the project template the phase is created from,
+-- so products added to the phase later are validated against the same definition
+--
+
+ALTER TABLE project_phases ADD COLUMN "templatePhaseKey" character varying(255);
@@ -0,0 +1,6 @@
+--
+-- Keep when the stale projects detector notified about the project the last time,
+-- so it's not notified again on every run until there is new activity or the threshold passes again
+--
+
+ALTER TABLE projects ADD COLUMN "staleNotifiedAt" timestamp with time zone;
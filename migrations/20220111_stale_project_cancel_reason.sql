@@ -0,0 +1,7 @@
+--
+-- Seed the cancel reason which is used by the stale projects detector to cancel stale drafts,
+-- see `staleProjects.cancelReason` in config.
+
+INSERT INTO cancel_reasons (code, label, "requiresComment", disabled, "createdAt", "updatedAt", "createdBy", "updatedBy")
+VALUES ('stale_project', 'No activity in the project for a long time', false, false, now(), now(), -101, -101)
+ON CONFLICT (code) DO NOTHING;
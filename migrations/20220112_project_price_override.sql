@@ -0,0 +1,18 @@
+--
+-- Calculate project prices from the budgets of the project phases unless they are overridden
+--
+
+ALTER TABLE projects ADD COLUMN "priceOverride" boolean DEFAULT false;
+
+-- keep prices which have been set manually before, so they don't match the totals of the phase budgets
+UPDATE projects p SET "priceOverride" = true
+FROM (
+  SELECT pr.id,
+    ROUND(CAST(COALESCE(SUM(ph.budget), 0) AS numeric), 2) AS budget,
+    ROUND(CAST(COALESCE(SUM(ph."spentBudget"), 0) AS numeric), 2) AS "spentBudget"
+  FROM projects pr
+  LEFT JOIN project_phases ph ON ph."projectId" = pr.id AND ph."deletedAt" IS NULL
+  GROUP BY pr.id
+) totals
+WHERE totals.id = p.id
+  AND (COALESCE(p."estimatedPrice", 0) <> totals.budget OR COALESCE(p."actualPrice", 0) <> totals."spentBudget");
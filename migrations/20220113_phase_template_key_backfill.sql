@@ -0,0 +1,42 @@
+--
+-- Backfill the key of the phase definition for the phases created from the project templates
+-- before the key has been stored.
+--
+-- The phase is matched with the phase definition of the project template of its project by the phase name,
+-- which is copied from the definition when the project is created. Phases which match none or several definitions
+-- are left without the key, so their products are not constrained by any phase definition.
+--
+
+WITH definitions AS (
+  -- phase definitions from `phases` of the project template
+  SELECT p.id AS "projectId", d.key AS "templatePhaseKey", d.value->>'name' AS name
+  FROM projects p
+  JOIN project_templates pt ON pt.id = p."templateId"
+  CROSS JOIN LATERAL json_each(pt.phases) d
+  WHERE pt.phases IS NOT NULL AND json_typeof(pt.phases) = 'object'
+  UNION ALL
+  -- phase definitions from `config` of the latest revision of the plan config of the project template
+  SELECT p.id AS "projectId", d.key AS "templatePhaseKey", d.value->>'name' AS name
+  FROM projects p
+  JOIN project_templates pt ON pt.id = p."templateId"
+  JOIN LATERAL (
+    SELECT pc.config
+    FROM plan_configs pc
+    WHERE pc.key = pt."planConfig"->>'key'
+      AND pc.version = CAST(pt."planConfig"->>'version' AS bigint)
+      AND pc."deletedAt" IS NULL
+    ORDER BY pc.revision DESC
+    LIMIT 1
+  ) pc ON true
+  CROSS JOIN LATERAL json_each(pc.config) d
+  WHERE pt.phases IS NULL AND json_typeof(pc.config) = 'object'
+), matches AS (
+  SELECT pp.id, MIN(d."templatePhaseKey") AS "templatePhaseKey", COUNT(*) AS count
+  FROM project_phases pp
+  JOIN definitions d ON d."projectId" = pp."projectId" AND d.name = pp.name
+  WHERE pp."templatePhaseKey" IS NULL AND d."templatePhaseKey" <> 'workstreamsConfig'
+  GROUP BY pp.id
+)
+UPDATE project_phases pp SET "templatePhaseKey" = m."templatePhaseKey"
+FROM matches m
+WHERE m.id = pp.id AND m.count = 1;
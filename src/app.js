@@ -15,6 +15,7 @@ import permissions from './permissions';
 import models from './models';
 import analytics from './events/analytics';
 import busApi from './events/busApi';
+import challengeEligibility from './events/challengeEligibility';
 
 const swaggerDocument = YAML.load('./docs/swagger.yaml');
 
@@ -35,7 +36,9 @@ app.use(methodOverride('X-HTTP-Method-Override', { methods: ['POST'] }));
 app.use(bodyParser.urlencoded({
   extended: false,
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  type: ['application/json', 'application/json-patch+json'],
+}));
 app.use(expressSanitizer());
 
 // add request Id
@@ -101,6 +104,11 @@ if (!_.isEmpty(analyticsKey)) {
 // =======================
 busApi(app, logger);
 
+// =======================
+// Event listener for challenge eligibility cache
+// =======================
+challengeEligibility(app, logger);
+
 // ========================
 // Permissions
 // ========================
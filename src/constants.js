@@ -97,10 +97,16 @@ export const EVENT = {
     PROJECT_DRAFT_CREATED: 'project.draft-created',
     PROJECT_UPDATED: 'project.updated',
     PROJECT_DELETED: 'project.deleted',
+    PROJECT_RESTORED: 'project.restored',
 
     PROJECT_PHASE_ADDED: 'project.phase.added',
     PROJECT_PHASE_UPDATED: 'project.phase.updated',
     PROJECT_PHASE_REMOVED: 'project.phase.removed',
+    PROJECT_PHASES_REORDERED: 'project.phases.reordered',
+    PROJECT_PHASE_PAYMENT_UPDATED: 'project.phase.payment.updated',
+
+    PROJECT_PHASE_APPROVAL_ADDED: 'project.phase.approval.added',
+    PROJECT_PHASE_APPROVAL_UPDATED: 'project.phase.approval.updated',
 
     PROJECT_PHASE_PRODUCT_ADDED: 'project.phase.product.added',
     PROJECT_PHASE_PRODUCT_UPDATED: 'project.phase.product.updated',
@@ -131,6 +137,14 @@ export const EVENT = {
     PROJECT_TEMPLATE_CREATED: 'project.template.created',
     PROJECT_TEMPLATE_UPDATED: 'project.template.updated',
     PROJECT_TEMPLATE_DELETED: 'project.template.deleted',
+
+    // project relations
+    PROJECT_RELATION_ADDED: 'project.relation.added',
+    PROJECT_RELATION_UPDATED: 'project.relation.updated',
+    PROJECT_RELATION_REMOVED: 'project.relation.removed',
+
+    // project terms acceptances
+    PROJECT_TERMS_ACCEPTANCE_ADDED: 'project.termsAcceptance.added',
   },
 };
 
@@ -138,6 +152,7 @@ export const BUS_API_EVENT = {
   PROJECT_CREATED: 'project.action.create',
   PROJECT_UPDATED: 'project.action.update',
   PROJECT_DELETED: 'project.action.delete',
+  PROJECT_RESTORED: 'project.action.restore',
 
   PROJECT_MEMBER_ADDED: 'project.action.create',
   PROJECT_MEMBER_REMOVED: 'project.action.delete',
@@ -159,6 +174,10 @@ export const BUS_API_EVENT = {
   PROJECT_PHASE_PRODUCT_UPDATED: 'project.action.update',
   PROJECT_PHASE_PRODUCT_REMOVED: 'project.action.delete',
 
+  // phase approval
+  PROJECT_PHASE_APPROVAL_ADDED: 'project.action.create',
+  PROJECT_PHASE_APPROVAL_UPDATED: 'project.action.update',
+
   // timeline
   TIMELINE_CREATED: 'project.action.create',
   TIMELINE_UPDATED: 'project.action.update',
@@ -181,6 +200,14 @@ export const BUS_API_EVENT = {
   PROJECT_METADATA_CREATE: 'project.action.create',
   PROJECT_METADATA_UPDATE: 'project.action.update',
   PROJECT_METADATA_DELETE: 'project.action.delete',
+
+  // project relations
+  PROJECT_RELATION_ADDED: 'project.action.create',
+  PROJECT_RELATION_UPDATED: 'project.action.update',
+  PROJECT_RELATION_REMOVED: 'project.action.delete',
+
+  // project terms acceptances
+  PROJECT_TERMS_ACCEPTANCE_ADDED: 'project.action.create',
 };
 
 export const CONNECT_NOTIFICATION_EVENT = {
@@ -192,12 +219,19 @@ export const CONNECT_NOTIFICATION_EVENT = {
   PROJECT_COMPLETED: 'connect.notification.project.completed',
   PROJECT_CANCELED: 'connect.notification.project.canceled',
   PROJECT_ACTIVE: 'connect.notification.project.active',
+  // When project has no activity for longer than the threshold of its project type
+  PROJECT_STALE: 'connect.notification.project.stale',
 
   PROJECT_PHASE_TRANSITION_ACTIVE: 'connect.notification.project.phase.transition.active',
   PROJECT_PHASE_TRANSITION_COMPLETED: 'connect.notification.project.phase.transition.completed',
   PROJECT_PHASE_UPDATE_PAYMENT: 'connect.notification.project.phase.update.payment',
   PROJECT_PHASE_UPDATE_PROGRESS: 'connect.notification.project.phase.update.progress',
   PROJECT_PHASE_UPDATE_SCOPE: 'connect.notification.project.phase.update.scope',
+  // When manager requests customer to sign off the phase
+  PROJECT_PHASE_APPROVAL_REQUESTED: 'connect.notification.project.phase.approval.requested',
+  // When customer approves or rejects the phase
+  PROJECT_PHASE_APPROVAL_APPROVED: 'connect.notification.project.phase.approval.approved',
+  PROJECT_PHASE_APPROVAL_REJECTED: 'connect.notification.project.phase.approval.rejected',
 
   PROJECT_WORK_TRANSITION_ACTIVE: 'connect.notification.project.work.transition.active',
   PROJECT_WORK_TRANSITION_COMPLETED: 'connect.notification.project.work.transition.completed',
@@ -211,6 +245,8 @@ export const CONNECT_NOTIFICATION_EVENT = {
   MEMBER_ASSIGNED_AS_OWNER: 'connect.notification.project.member.assignedAsOwner',
   MEMBER_JOINED_COPILOT: 'connect.notification.project.member.copilotJoined',
   MEMBER_JOINED_MANAGER: 'connect.notification.project.member.managerJoined',
+  // When project terms are changed and member has to accept the new terms
+  MEMBER_TERMS_ACCEPTANCE_REQUIRED: 'connect.notification.project.member.termsAcceptanceRequired',
 
   PROJECT_LINK_CREATED: 'connect.notification.project.linkCreated',
   PROJECT_FILE_UPLOADED: 'connect.notification.project.fileUploaded',
@@ -299,10 +335,94 @@ export const TIMELINE_REFERENCES = {
 
 export const STATUS_HISTORY_REFERENCES = {
   MILESTONE: 'milestone',
+  PHASE: 'phase',
+};
+
+export const PROJECT_AGGREGATION_TYPE = {
+  TERMS: 'terms',
+  DATE_HISTOGRAM: 'date_histogram',
+  MEMBERS: 'members',
+};
+
+/**
+ * Aggregations which could be requested together with the list of projects
+ */
+export const PROJECT_AGGREGATIONS = {
+  status: PROJECT_AGGREGATION_TYPE.TERMS,
+  type: PROJECT_AGGREGATION_TYPE.TERMS,
+  templateId: PROJECT_AGGREGATION_TYPE.TERMS,
+  billingAccountId: PROJECT_AGGREGATION_TYPE.TERMS,
+  manager: PROJECT_AGGREGATION_TYPE.MEMBERS,
+  createdAt: PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM,
+  updatedAt: PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM,
+  lastActivityAt: PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM,
+};
+
+export const PROJECT_AGGREGATION_INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// project date fields which can be used to filter the project list by range, like `createdAt>=2020-01-01`
+export const PROJECT_RANGE_FILTERS = ['createdAt', 'updatedAt', 'lastActivityAt'];
+
+// range filter operators, supported by the project list, and corresponding operators used in parsed filters
+export const PROJECT_RANGE_FILTER_OPERATORS = {
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte',
+};
+
+export const PROJECT_CHANGE_SOURCE = {
+  PROJECT_UPDATE: 'project.update',
+  SCOPE_CHANGE_ACTIVATION: 'scopeChangeRequest.activate',
+  PROJECT_UPGRADE: 'project.upgrade',
+  BULK_UPDATE: 'project.bulkUpdate',
+  STALE_PROJECTS_DETECTOR: 'project.staleProjectsDetector',
+  PHASE_BUDGET_ROLL_UP: 'phase.budgetRollUp',
+};
+
+export const PROJECT_BULK_OPERATION = {
+  STATUS: 'status',
+  BILLING_ACCOUNT: 'billingAccountId',
+  GROUPS: 'groups',
+  TERMS: 'terms',
+  DELETE: 'delete',
+};
+
+/**
+ * Types of the relation between two projects.
+ * Relation of `projectId` to `relatedProjectId` is read as "project is <type> of related project",
+ * like "project is follow-up of related project" or "project is blocked-by related project".
+ *
+ * `parent` relations are stored as `child` relations of the related project,
+ * so each project keeps the relation to its parent project.
+ */
+export const PROJECT_RELATION_TYPE = {
+  PARENT: 'parent',
+  CHILD: 'child',
+  FOLLOW_UP: 'follow-up',
+  BLOCKED_BY: 'blocked-by',
+  DUPLICATE: 'duplicate',
+};
+
+/**
+ * Types of the dependencies between project phases, each dependency has `lag` in days:
+ * - `finish-to-start`: dependent phase starts `lag` days after the phase it depends on finishes
+ * - `start-to-start`: dependent phase starts `lag` days after the phase it depends on starts
+ */
+export const PHASE_DEPENDENCY_TYPE = {
+  FINISH_TO_START: 'finish-to-start',
+  START_TO_START: 'start-to-start',
+};
+
+export const STATUS_TRANSITION_REFERENCES = {
+  PROJECT: 'project',
+  PHASE: 'phase',
+  MILESTONE: 'milestone',
 };
 
 export const MILESTONE_TEMPLATE_REFERENCES = {
   PRODUCT_TEMPLATE: 'productTemplate',
+  PROJECT_TEMPLATE: 'projectTemplate',
 };
 
 export const INVITE_STATUS = {
@@ -322,6 +442,16 @@ export const SCOPE_CHANGE_REQ_STATUS = {
   ACTIVATED: 'activated',
   CANCELED: 'canceled',
 };
+
+/**
+ * Statuses of the phase sign-off: manager requests it as `pending`,
+ * then customer either `approved` or `rejected` it
+ */
+export const PHASE_APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
 export const MAX_PARALLEL_REQUEST_QTY = 10;
 
 export const ROUTES = {
@@ -370,10 +500,14 @@ export const RESOURCES = {
   PRODUCT_CATEGORY: 'product.category',
   PHASE: 'project.phase',
   PHASE_PRODUCT: 'project.phase.product',
+  PHASE_APPROVAL: 'project.phase.approval',
   TIMELINE: 'timeline',
   MILESTONE: 'milestone',
   MILESTONE_TEMPLATE: 'milestone.template',
   ATTACHMENT: 'attachment',
+  PROJECT_RELATION: 'project.relation',
+  PROJECT_TERMS_ACCEPTANCE: 'project.termsAcceptance',
+  CANCEL_REASON: 'project.cancelReason',
 };
 
 export const ATTACHMENT_TYPES = {
@@ -11,6 +11,7 @@ import {
   MILESTONE_STATUS,
   INVITE_STATUS,
   ATTACHMENT_TYPES,
+  PHASE_APPROVAL_STATUS,
 } from '../constants';
 import { createEvent } from '../services/busApi';
 import models from '../models';
@@ -51,6 +52,76 @@ function connectProjectUrl(projectId) {
   return `${config.get('connectProjectsUrl')}${projectId}`;
 }
 
+/**
+ * Notify project members who haven't accepted all the terms of the project that they have to accept them.
+ *
+ * @param {Object} project         project with the updated terms
+ * @param {Number} initiatorUserId id of the user who updated the terms
+ * @param {Object} logger          logger
+ *
+ * @returns {Promise} promise
+ */
+function notifyMembersToAcceptTerms(project, initiatorUserId, logger) {
+  return models.ProjectMember.getActiveProjectMembers(project.id)
+    .then(members => models.ProjectTermsAcceptance.getMissingTermsIdsByUser(
+      project.id,
+      _.map(members, 'userId'),
+      project.terms,
+    ))
+    .then((missingTermsIdsByUser) => {
+      logger.debug(`members who have to accept the terms of project ${project.id}: ` +
+        `${_.keys(missingTermsIdsByUser).join(', ')}`);
+      _.forEach(missingTermsIdsByUser, (termsIds, userId) => {
+        createEvent(CONNECT_NOTIFICATION_EVENT.MEMBER_TERMS_ACCEPTANCE_REQUIRED, {
+          projectId: project.id,
+          projectName: project.name,
+          refCode: _.get(project, 'details.utm.code'),
+          projectUrl: connectProjectUrl(project.id),
+          termsIds,
+          userId: _.parseInt(userId),
+          initiatorUserId,
+        }, logger);
+      });
+    })
+    .catch((err) => {
+      logger.error(`Error while notifying members to accept the terms of project ${project.id}`, err);
+    });
+}
+
+/**
+ * Notify project members about the sign-off of the phase.
+ *
+ * @param {String} event    notification event
+ * @param {Object} req      request
+ * @param {Object} approval phase approval
+ * @param {Object} logger   logger
+ *
+ * @returns {Promise} promise
+ */
+function notifyPhaseApproval(event, req, approval, logger) {
+  return Promise.all([
+    models.Project.findOne({ where: { id: approval.projectId } }),
+    models.ProjectPhase.findOne({ where: { id: approval.phaseId } }),
+  ])
+    .then(([project, phase]) => {
+      createEvent(event, {
+        projectId: project.id,
+        projectName: project.name,
+        refCode: _.get(project, 'details.utm.code'),
+        projectUrl: connectProjectUrl(project.id),
+        phaseId: phase.id,
+        phaseName: phase.name,
+        approvalId: approval.id,
+        comment: approval.comment,
+        userId: req.authUser.userId,
+        initiatorUserId: req.authUser.userId,
+      }, logger);
+    })
+    .catch((err) => {
+      logger.error(`Error while notifying about the sign-off of phase ${approval.phaseId}`, err);
+    });
+}
+
 module.exports = (app, logger) => {
   /**
    * PROJECT_DRAFT_CREATED
@@ -134,6 +205,11 @@ module.exports = (app, logger) => {
       }, logger);
     }
 
+    if (!_.isEqual(_.sortBy(original.terms), _.sortBy(updated.terms))) {
+      logger.debug('project terms are updated');
+      notifyMembersToAcceptTerms(updated, req.authUser.userId, logger);
+    }
+
     // send PROJECT_UPDATED Kafka message when one of the specified below properties changed
     const watchProperties = ['status', 'details', 'name', 'description', 'bookmarks'];
     if (!_.isEqual(_.pick(original, watchProperties),
@@ -158,6 +234,17 @@ module.exports = (app, logger) => {
     createEvent(BUS_API_EVENT.PROJECT_DELETED, project, logger);
   });
 
+  /**
+   * PROJECT_RESTORED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_RESTORED, ({ req, project }) => { // eslint-disable-line no-unused-vars
+    logger.debug('receive PROJECT_RESTORED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_RESTORED, _.assign(project, {
+      projectUrl: connectProjectUrl(project.id),
+    }), logger);
+  });
+
   /**
    * PROJECT_METADATA_CREATE
    */
@@ -530,6 +617,57 @@ module.exports = (app, logger) => {
       }).catch(err => null); // eslint-disable-line no-unused-vars
   });
 
+  /**
+  * PROJECT_PHASES_REORDERED
+  */
+  app.on(EVENT.ROUTING_KEY.PROJECT_PHASES_REORDERED, ({ req, projectId, phases }) => {
+    logger.debug('receive PROJECT_PHASES_REORDERED event');
+
+    models.Project.findOne({
+      where: { id: projectId },
+    })
+      .then((project) => {
+        createEvent(CONNECT_NOTIFICATION_EVENT.PROJECT_PLAN_UPDATED, {
+          projectId,
+          projectName: project.name,
+          refCode: _.get(project, 'details.utm.code'),
+          projectUrl: connectProjectUrl(projectId),
+          userId: req.authUser.userId,
+          initiatorUserId: req.authUser.userId,
+          // if only draft phases are reordered, customers shouldn't know about it yet
+          allowedUsers: _.every(phases, { status: PROJECT_PHASE_STATUS.DRAFT }) ?
+            util.getTopcoderProjectMembers(project.members) : null,
+        }, logger);
+      }).catch(err => null); // eslint-disable-line no-unused-vars
+  });
+
+  /**
+  * PROJECT_PHASE_PAYMENT_UPDATED
+  */
+  app.on(EVENT.ROUTING_KEY.PROJECT_PHASE_PAYMENT_UPDATED, ({ req, original, updated, route }) => {
+    logger.debug('receive PROJECT_PHASE_PAYMENT_UPDATED event');
+
+    models.Project.findOne({
+      where: { id: updated.projectId },
+    })
+      .then((project) => {
+        createEvent(route === ROUTES.WORKS.UPDATE
+          ? CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_UPDATE_PAYMENT
+          : CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, {
+          projectId: project.id,
+          phaseId: updated.id,
+          projectUrl: connectProjectUrl(project.id),
+          originalPhase: original,
+          updatedPhase: updated,
+          projectName: project.name,
+          userId: req.authUser.userId,
+          initiatorUserId: req.authUser.userId,
+          allowedUsers: updated.status === PROJECT_PHASE_STATUS.DRAFT ?
+            util.getTopcoderProjectMembers(project.members) : null,
+        }, logger);
+      }).catch(err => null); // eslint-disable-line no-unused-vars
+  });
+
   /**
   * PROJECT_PHASE_UPDATED
   */
@@ -544,7 +682,7 @@ module.exports = (app, logger) => {
     if (!skipNotification) {
       const projectId = _.parseInt(req.params.projectId);
       const phaseId = _.parseInt(req.params.phaseId);
-      const updated = _.omit(resource, 'resource');
+      const updated = _.omit(resource, 'resource', 'cascadedUpdates');
       const original = _.omit(originalResource, 'resource');
 
       models.Project.findOne({
@@ -685,11 +823,15 @@ module.exports = (app, logger) => {
   /**
    * MILESTONE_ADDED.
    */
-  app.on(EVENT.ROUTING_KEY.MILESTONE_ADDED, ({ req, resource }) => { // eslint-disable-line no-unused-vars
+  app.on(EVENT.ROUTING_KEY.MILESTONE_ADDED, ({ req, resource, skipNotification }) => { // eslint-disable-line no-unused-vars
     logger.debug('receive MILESTONE_ADDED event');
 
     createEvent(BUS_API_EVENT.MILESTONE_ADDED, resource, logger);
 
+    if (skipNotification) {
+      return;
+    }
+
     /*
       Send event for Notification Service
      */
@@ -890,6 +1032,33 @@ module.exports = (app, logger) => {
     }
   });
 
+  /**
+   * PROJECT_PHASE_APPROVAL_ADDED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_PHASE_APPROVAL_ADDED, ({ req, resource }) => {
+    logger.debug('receive PROJECT_PHASE_APPROVAL_ADDED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_PHASE_APPROVAL_ADDED, resource, logger);
+    notifyPhaseApproval(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_REQUESTED, req, resource, logger);
+  });
+
+  /**
+   * PROJECT_PHASE_APPROVAL_UPDATED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_PHASE_APPROVAL_UPDATED, ({ req, resource, originalResource }) => {
+    logger.debug('receive PROJECT_PHASE_APPROVAL_UPDATED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_PHASE_APPROVAL_UPDATED, resource, logger);
+
+    const eventsByStatus = {
+      [PHASE_APPROVAL_STATUS.APPROVED]: CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_APPROVED,
+      [PHASE_APPROVAL_STATUS.REJECTED]: CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_REJECTED,
+    };
+    if (resource.status !== originalResource.status && eventsByStatus[resource.status]) {
+      notifyPhaseApproval(eventsByStatus[resource.status], req, resource, logger);
+    }
+  });
+
   /**
    * PROJECT_PHASE_PRODUCT_ADDED
    */
@@ -1085,4 +1254,40 @@ module.exports = (app, logger) => {
 
     createEvent(BUS_API_EVENT.PROJECT_MEMBER_INVITE_REMOVED, resource, logger);
   });
+
+  /**
+   * PROJECT_RELATION_ADDED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_RELATION_ADDED, ({ req, resource }) => { // eslint-disable-line no-unused-vars
+    logger.debug('receive PROJECT_RELATION_ADDED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_RELATION_ADDED, resource, logger);
+  });
+
+  /**
+   * PROJECT_RELATION_UPDATED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_RELATION_UPDATED, ({ req, resource }) => { // eslint-disable-line no-unused-vars
+    logger.debug('receive PROJECT_RELATION_UPDATED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_RELATION_UPDATED, resource, logger);
+  });
+
+  /**
+   * PROJECT_RELATION_REMOVED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_RELATION_REMOVED, ({ req, resource }) => { // eslint-disable-line no-unused-vars
+    logger.debug('receive PROJECT_RELATION_REMOVED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_RELATION_REMOVED, resource, logger);
+  });
+
+  /**
+   * PROJECT_TERMS_ACCEPTANCE_ADDED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_TERMS_ACCEPTANCE_ADDED, ({ req, resource }) => { // eslint-disable-line no-unused-vars
+    logger.debug('receive PROJECT_TERMS_ACCEPTANCE_ADDED event');
+
+    createEvent(BUS_API_EVENT.PROJECT_TERMS_ACCEPTANCE_ADDED, resource, logger);
+  });
 };
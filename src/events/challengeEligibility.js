@@ -0,0 +1,28 @@
+/**
+ * Event listeners which keep the cache of the resolved challenge eligibility up to date.
+ *
+ * These are local events, so only the cache of the API instance which updated the project is invalidated,
+ * other instances rely on the cache TTL, see `utils/challengeEligibility`.
+ */
+import _ from 'lodash';
+import { EVENT } from '../constants';
+import { invalidateEligibility } from '../utils/challengeEligibility';
+
+module.exports = (app, logger) => {
+  /**
+   * PROJECT_UPDATED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_UPDATED, ({ original, updated }) => {
+    if (!_.isEqual(original.challengeEligibility, updated.challengeEligibility)) {
+      logger.debug(`invalidate challenge eligibility cache of project ${updated.id}`);
+      invalidateEligibility(updated.id);
+    }
+  });
+
+  /**
+   * PROJECT_DELETED
+   */
+  app.on(EVENT.ROUTING_KEY.PROJECT_DELETED, ({ project }) => {
+    invalidateEligibility(project.id);
+  });
+};
@@ -17,6 +17,7 @@ import {
 } from './projectPhases';
 import { timelineAdjustedKafkaHandler } from './timelines';
 import { milestoneUpdatedKafkaHandler } from './milestones';
+import { projectRelationChangedKafkaHandler } from './projectRelations';
 
 const kafkaHandlers = {
   /**
@@ -95,6 +96,21 @@ registerKafkaHandler(
   RESOURCES.PHASE,
   projectPhaseRemovedKafkaHandler,
 );
+registerKafkaHandler(
+  BUS_API_EVENT.PROJECT_RELATION_ADDED,
+  RESOURCES.PROJECT_RELATION,
+  projectRelationChangedKafkaHandler,
+);
+registerKafkaHandler(
+  BUS_API_EVENT.PROJECT_RELATION_UPDATED,
+  RESOURCES.PROJECT_RELATION,
+  projectRelationChangedKafkaHandler,
+);
+registerKafkaHandler(
+  BUS_API_EVENT.PROJECT_RELATION_REMOVED,
+  RESOURCES.PROJECT_RELATION,
+  projectRelationChangedKafkaHandler,
+);
 
 
 export default kafkaHandlers;
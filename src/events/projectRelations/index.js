@@ -0,0 +1,59 @@
+/**
+ * Event handlers for project relation create, update and delete.
+ * Keeps relations of the project to other projects in the ES project document up to date,
+ * so projects can be filtered by relations.
+ */
+import Joi from 'joi';
+import config from 'config';
+import util from '../../util';
+import models from '../../models';
+
+const ES_PROJECT_INDEX = config.get('elasticsearchConfig.indexName');
+const ES_PROJECT_TYPE = config.get('elasticsearchConfig.docType');
+const eClient = util.getElasticSearchClient();
+
+/**
+ * Payload for new unified BUS events like `project.action.create` with `resource=project.relation`
+ */
+const relationPayloadSchema = Joi.object().keys({
+  id: Joi.number().integer().positive().required(),
+  projectId: Joi.number().integer().positive().required(),
+  relatedProjectId: Joi.number().integer().positive().required(),
+  type: Joi.string().required(),
+}).unknown(true).required();
+
+/**
+ * Project Relation Created/Updated/Deleted BUS API event handler.
+ * - re-indexes all the relations of the project in the ES project document
+ * - throws exceptions in case of error
+ *
+ * @param   {Object}  app       Application object
+ * @param   {String}  topic     Kafka topic
+ * @param   {Object}  payload   Message payload
+ * @return  {Promise} Promise
+ */
+async function projectRelationChangedKafkaHandler(app, topic, payload) {
+  // Validate payload
+  const result = Joi.validate(payload, relationPayloadSchema);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  // the relation is stored on the `projectId` side, so only this project document has to be updated
+  const projectId = payload.projectId;
+  const relations = await models.ProjectRelation.getRelationsOfProject(projectId);
+
+  await eClient.update({
+    index: ES_PROJECT_INDEX,
+    type: ES_PROJECT_TYPE,
+    id: projectId,
+    body: {
+      doc: { relations },
+    },
+  });
+  app.logger.debug(`Relations of project ${projectId} are successfully updated in ES.`);
+}
+
+module.exports = {
+  projectRelationChangedKafkaHandler,
+};
@@ -3,6 +3,7 @@ import config from 'config';
 import startKafkaConsumer from './services/kafkaConsumer';
 import kafkaHandlers from './events/kafkaHandlers';
 import models from './models';
+import { getBooleanConfig, startStaleProjectsDetector, validateStaleProjectsConfig } from './utils/staleProjects';
 
 const coreLib = require('tc-core-library-js');
 
@@ -40,12 +41,26 @@ const app = { logger, models };
 
 const consumerPromise = startKafkaConsumer(kafkaHandlers, app, logger);
 
+// stale projects detector is run together with Kafka consumer, as there is only one instance of it
+let stopStaleProjectsDetector = _.noop;
+if (getBooleanConfig('staleProjects.enabled')) {
+  validateStaleProjectsConfig()
+    .then(() => {
+      stopStaleProjectsDetector = startStaleProjectsDetector(logger);
+    })
+    .catch((err) => {
+      // don't stop Kafka consumer because of the detector config
+      logger.error('Stale projects detector is not started.', err);
+    });
+}
+
 /**
  * Handle server shutdown gracefully
  * @returns {undefined}
  */
 function gracefulShutdown() {
   logger.info('Gracefully shutting down Kafka consumer...');
+  stopStaleProjectsDetector();
   consumerPromise.then(async (consumer) => {
     try {
       await consumer.end();
@@ -0,0 +1,45 @@
+import _ from 'lodash';
+import config from 'config';
+import { processStaleProjects, validateStaleProjectsConfig } from './utils/staleProjects';
+
+const coreLib = require('tc-core-library-js');
+
+/**
+ * Entry point to run stale projects detector once, for example, by an external scheduler.
+ * To run the detector periodically inside Kafka consumer app, enable `staleProjects.enabled` in config instead.
+ */
+
+// =======================
+// Loger =========
+// =======================
+let appName = 'tc-projects-stale-detector';
+switch (process.env.NODE_ENV.toLowerCase()) {
+  case 'development':
+    appName += '-dev';
+    break;
+  case 'qa':
+    appName += '-qa';
+    break;
+  case 'production':
+  default:
+    appName += '-prod';
+    break;
+}
+
+const logger = coreLib.logger({
+  name: appName,
+  level: _.get(config, 'logLevel', 'debug').toLowerCase(),
+  captureLogs: config.get('captureLogs'),
+  logentriesToken: _.get(config, 'logentriesToken', null),
+});
+
+validateStaleProjectsConfig()
+  .then(() => processStaleProjects(logger))
+  .then(() => {
+    logger.info('Stale projects have been processed.');
+    process.exit(0);
+  })
+  .catch((err) => {
+    logger.error('Failed to process stale projects.', err);
+    process.exit(1);
+  });
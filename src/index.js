@@ -3,6 +3,10 @@
 const app = require('./app');
 const coreLib = require('tc-core-library-js');
 const expressListRoutes = require('express-list-routes');
+const { validateGroupsConfig } = require('./utils/groups');
+
+// don't start the server if projects restricted by groups could be exposed because of invalid config
+validateGroupsConfig();
 
 // =======================
 // start the server ======
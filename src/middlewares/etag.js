@@ -0,0 +1,92 @@
+/**
+ * Middlewares for optimistic concurrency control using `ETag` and `If-Match` headers.
+ *
+ * Routes which return a single entity can opt in to return `ETag` using `setETag`,
+ * and routes which modify an entity can opt in to check `If-Match` using `lockAndCheckIfMatch`
+ * inside the transaction which modifies the entity.
+ */
+import _ from 'lodash';
+
+/**
+ * Build ETag of the entity, it's changed every time when the entity is updated.
+ *
+ * `updatedAt` is converted to a timestamp, so the value is the same
+ * no matter if the entity has been retrieved from ES or DB.
+ *
+ * @param {Object} entity entity with `id` and `updatedAt`
+ *
+ * @returns {String} ETag
+ */
+const buildETag = entity => `"${entity.id}-${new Date(entity.updatedAt).getTime()}"`;
+
+const etag = {
+  buildETag,
+
+  /**
+   * The middleware to set `ETag` header for the entity returned by the route.
+   * It should be placed before the handler which returns the entity using `res.json()`.
+   * @param {Object} req the express request instance
+   * @param {Object} res the express response instance
+   * @param {Function} next the express next middleware
+   */
+  // eslint-disable-next-line valid-jsdoc
+  setETag: (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const isSuccess = res.statusCode >= 200 && res.statusCode < 300;
+      if (isSuccess && _.isObject(body) && !_.isArray(body) && body.id && body.updatedAt) {
+        // Allow browsers access ETag header
+        let accessControlExposeHeaders = res.get('Access-Control-Expose-Headers') || '';
+        accessControlExposeHeaders += accessControlExposeHeaders ? ', ' : '';
+        accessControlExposeHeaders += 'ETag';
+
+        res.set({
+          'Access-Control-Expose-Headers': accessControlExposeHeaders,
+          ETag: buildETag(body),
+        });
+      }
+
+      return json(body);
+    };
+
+    next();
+  },
+
+  /**
+   * Find the entity and lock it for update inside the transaction, then check that the entity hasn't been modified
+   * since the client retrieved it. If the request has `If-Match` header which doesn't match the current ETag
+   * of the entity, the request fails with 412 Precondition Failed. Requests without `If-Match` header are not checked.
+   *
+   * As the entity stays locked until the transaction is finished, concurrent requests with the same `If-Match`
+   * are processed one after another, and only the first of them can succeed.
+   *
+   * @param {Object} req         the express request instance
+   * @param {Object} model       model of the entity
+   * @param {Object} where       where clause to find the entity, like `{ id: phaseId, projectId }`
+   * @param {Object} transaction the transaction which modifies the entity
+   *
+   * @returns {Promise<Object>} the entity, or `null` if it's not found, so the route could return the proper error
+   * @throws {Error} 412 error if the entity has been modified
+   */
+  lockAndCheckIfMatch: async (req, model, where, transaction) => {
+    const entity = await model.findOne({ where, transaction, lock: transaction.LOCK.UPDATE });
+
+    const ifMatch = req.get('If-Match');
+    if (!entity || !ifMatch || ifMatch.trim() === '*') {
+      return entity;
+    }
+
+    const etags = _.map(ifMatch.split(','), _.trim);
+    if (!_.includes(etags, buildETag(entity))) {
+      const apiErr = new Error('The entity has been modified since it was retrieved. ' +
+        'Get the latest version of the entity and try again.');
+      apiErr.status = 412;
+      throw apiErr;
+    }
+
+    return entity;
+  },
+};
+
+export default etag;
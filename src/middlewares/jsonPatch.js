@@ -0,0 +1,77 @@
+/**
+ * Support updating entities by JSON Patch (RFC 6902).
+ *
+ * If the request has `Content-Type: application/json-patch+json`, the request body is a list of operations,
+ * so `validate` skips validation of the body, and the route applies the patch using `applyJsonPatch`
+ * to the entity which it has locked inside the update transaction. This way the patch is applied to the latest
+ * version of the entity, and concurrent updates of the other properties, like the other keys of `details`, are kept.
+ */
+import _ from 'lodash';
+import Joi from 'joi';
+import validate from 'express-validation';
+import util from '../util';
+import jsonPatchUtils from '../utils/jsonPatch';
+
+const jsonPatch = {
+  /**
+   * The middleware to validate the request the same way as `express-validation` does.
+   * For JSON Patch requests it only validates the other parts of the request except the body, which is validated
+   * by `applyJsonPatch` after the patch is applied, and sets `req.jsonPatch` to let the route know about the patch.
+   * It should be placed after the permissions() middleware, so the entity is not revealed to users without access.
+   *
+   * @param {Object} validation the validation schema for `express-validation`
+   *
+   * @returns {Function} the middleware
+   */
+  validate: (validation) => {
+    const validateRequest = validate(validation);
+    const validateExceptBody = _.isEmpty(_.omit(validation, 'body'))
+      ? (req, res, next) => next()
+      : validate(_.omit(validation, 'body'));
+
+    return (req, res, next) => {
+      if (!req.is('application/json-patch+json')) {
+        return validateRequest(req, res, next);
+      }
+
+      // let the route know that the changed properties should replace existing values instead of merging
+      req.jsonPatch = true;
+      return validateExceptBody(req, res, next);
+    };
+  },
+
+  /**
+   * Apply JSON Patch from the request body to the entity, and validate the properties changed by the patch.
+   *
+   * The entity should be locked for update in the transaction which updates it, so it cannot be changed
+   * by the other requests until the changes are saved.
+   *
+   * @param {Object} req        the express request instance
+   * @param {Object} entity     the entity to patch
+   * @param {Object} bodySchema Joi schema of the request body to validate the changed properties
+   *
+   * @throws {Error} error with status 400 if the patch is invalid or the changed properties are not valid,
+   *                 or 409 if a `test` operation fails
+   * @returns {Object} the properties changed by the patch, top-level properties removed by the patch are `null`
+   */
+  applyJsonPatch: (req, entity, bodySchema) => {
+    // apply patch to the entity in the same form as the client receives it
+    const original = JSON.parse(JSON.stringify(_.omit(entity.get({ plain: true }), ['deletedAt', 'deletedBy'])));
+    const patched = jsonPatchUtils.applyPatch(original, req.body);
+
+    const changedKeys = _.filter(
+      _.union(_.keys(original), _.keys(patched)),
+      key => !_.isEqual(original[key], patched[key]),
+    );
+    const changes = _.fromPairs(_.map(changedKeys, key => [key, _.has(patched, key) ? patched[key] : null]));
+
+    const { error, value } = Joi.validate(changes, bodySchema, { context: req });
+    if (error) {
+      throw util.buildApiError(`validation error: ${error.message}`, 400);
+    }
+
+    return value;
+  },
+};
+
+export default jsonPatch;
@@ -27,6 +27,24 @@ async function validateReference(sourceObject) {
       throw apiErr;
     }
   }
+
+  // The source object refers to a project template
+  if (sourceObject.reference === MILESTONE_TEMPLATE_REFERENCES.PROJECT_TEMPLATE) {
+    // Validate ProjectTemplate to be existed
+    const projectTemplate = await models.ProjectTemplate.findOne({
+      where: {
+        id: sourceObject.referenceId,
+        deletedAt: { $eq: null },
+      },
+      raw: true,
+    });
+    if (!projectTemplate) {
+      const apiErr = new Error(
+        `Project template not found for project template id ${sourceObject.referenceId}`);
+      apiErr.status = 400;
+      throw apiErr;
+    }
+  }
 }
 
 const validateMilestoneTemplate = {
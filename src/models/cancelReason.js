@@ -0,0 +1,32 @@
+/* eslint-disable valid-jsdoc */
+
+/**
+ * The CancelReason model
+ *
+ * The taxonomy of the reasons why projects are cancelled, `code` is stored in `Project.cancelReason`.
+ * If `requiresComment` is set, the free-text comment has to be provided when cancelling the project with the reason.
+ */
+module.exports = function defineCancelReason(sequelize, DataTypes) {
+  const CancelReason = sequelize.define('CancelReason', {
+    code: { type: DataTypes.STRING(45), primaryKey: true },
+    label: { type: DataTypes.STRING(255), allowNull: false },
+    requiresComment: { type: DataTypes.BOOLEAN, defaultValue: false },
+    disabled: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    deletedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedBy: { type: DataTypes.INTEGER, allowNull: true },
+    createdBy: { type: DataTypes.INTEGER, allowNull: false },
+    updatedBy: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'cancel_reasons',
+    paranoid: true,
+    timestamps: true,
+    updatedAt: 'updatedAt',
+    createdAt: 'createdAt',
+    deletedAt: 'deletedAt',
+  });
+
+  return CancelReason;
+};
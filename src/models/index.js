@@ -18,6 +18,7 @@ const operatorsAliases = {
   $gt: Op.gt,
   $gte: Op.gte,
   $lt: Op.lt,
+  $lte: Op.lte,
   $between: Op.between,
   $eq: Op.eq,
   $ne: Op.ne,
@@ -1,7 +1,15 @@
 /* eslint-disable valid-jsdoc */
 
 import _ from 'lodash';
-import { PROJECT_STATUS, INVITE_STATUS } from '../constants';
+import {
+  PROJECT_STATUS,
+  INVITE_STATUS,
+  PROJECT_AGGREGATIONS,
+  PROJECT_AGGREGATION_TYPE,
+  PROJECT_RANGE_FILTERS,
+  PROJECT_RANGE_FILTER_OPERATORS,
+  PROJECT_RELATION_TYPE,
+} from '../constants';
 
 module.exports = function defineProject(sequelize, DataTypes) {
   const Project = sequelize.define('Project', {
@@ -15,6 +23,8 @@ module.exports = function defineProject(sequelize, DataTypes) {
     utm: { type: DataTypes.JSON, allowNull: true },
     estimatedPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
     actualPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+    // if `false`, `estimatedPrice` and `actualPrice` are calculated from the budgets of the project phases
+    priceOverride: { type: DataTypes.BOOLEAN, defaultValue: false },
     terms: {
       type: DataTypes.ARRAY(DataTypes.STRING),
       allowNull: false,
@@ -51,6 +61,8 @@ module.exports = function defineProject(sequelize, DataTypes) {
     // we use string for `lastActivityUserId` because it comes in Kafka messages payloads
     // and can be not only user id but also `coderbot`, `system` or some kind of autopilot bot id in the future
     lastActivityUserId: { type: DataTypes.STRING, allowNull: false },
+    // when the stale projects detector notified about the project the last time
+    staleNotifiedAt: { type: DataTypes.DATE, allowNull: true },
   }, {
     tableName: 'projects',
     paranoid: true,
@@ -64,6 +76,11 @@ module.exports = function defineProject(sequelize, DataTypes) {
       { fields: ['type'] },
       { fields: ['status'] },
       { fields: ['directProjectId'] },
+      { fields: ['updatedAt'] },
+      { fields: ['lastActivityAt'] },
+      { fields: ['billingAccountId'] },
+      { fields: ['templateId'] },
+      { fields: ['groups'], using: 'gin' },
     ],
   });
 
@@ -88,36 +105,31 @@ module.exports = function defineProject(sequelize, DataTypes) {
 
 
   /**
-   * Search keyword in name, description, details.utm.code (To be deprecated)
-   * @param parameters the parameters
-   *          - filters: the filters contains keyword
-   *          - order: the order
-   *          - limit: the limit
-   *          - offset: the offset
-   *          - attributes: the attributes to get
-   * @param log the request log
-   * @return the result rows and count
+   * Build SQL `WHERE` condition, `JOIN` clause and replacements to search projects by filters.
+   * Used by `searchText` and `searchAggregations`, so both use the same filtering logic.
+   * @param filters the filters
+   * @return {{ query: String, joinQuery: String, groupBy: String, replacements: Object }} query parts
    */
-  Project.searchText = (parameters, log) => {
+  const buildSearchQuery = (filters) => {
     // special handling for keyword filter
     let query = '1=1 ';
     const replacements = {
       INVITE_STATUS_PENDING: INVITE_STATUS.PENDING,
     };
-    if (_.has(parameters.filters, 'id')) {
-      if (_.isArray(parameters.filters.id)) {
-        if (parameters.filters.id.length === 0) {
-          parameters.filters.id.push(-1);
+    if (_.has(filters, 'id')) {
+      if (_.isArray(filters.id)) {
+        if (filters.id.length === 0) {
+          filters.id.push(-1);
         }
         query += 'AND projects.id IN(:id) ';
-        replacements.id = parameters.filters.id;
-      } else if (_.isString(parameters.filters.id) || _.isNumber(parameters.filters.id)) {
+        replacements.id = filters.id;
+      } else if (_.isString(filters.id) || _.isNumber(filters.id)) {
         query += 'AND projects.id = :id ';
-        replacements.id = parameters.filters.id;
+        replacements.id = filters.id;
       }
     }
-    if (_.has(parameters.filters, 'status')) {
-      const statusFilter = parameters.filters.status;
+    if (_.has(filters, 'status')) {
+      const statusFilter = filters.status;
       if (_.isObject(statusFilter)) {
         query += 'AND projects.status IN (:status) ';
         replacements.status = statusFilter.$in;
@@ -126,52 +138,138 @@ module.exports = function defineProject(sequelize, DataTypes) {
         replacements.status = statusFilter;
       }
     }
-    if (_.has(parameters.filters, 'type')) {
+    if (_.has(filters, 'type')) {
       query += 'AND projects.type = :type ';
-      replacements.type = parameters.filters.type;
+      replacements.type = filters.type;
     }
-    if (_.has(parameters.filters, 'keyword')) {
+    if (_.has(filters, 'keyword')) {
       query += 'AND projects."projectFullText" ~ lower(:keyword) ';
-      replacements.keyword = parameters.filters.keyword;
+      replacements.keyword = filters.keyword;
     }
-    if (_.has(parameters.filters, 'name')) {
+    if (_.has(filters, 'name')) {
       query += 'AND projects.name = :name ';
-      replacements.name = parameters.filters.name;
+      replacements.name = filters.name;
     }
-    if (_.has(parameters.filters, 'directProjectId')) {
+    if (_.has(filters, 'directProjectId')) {
       query += 'AND projects."directProjectId" = :directProjectId ';
-      replacements.directProjectId = parameters.filters.directProjectId;
+      replacements.directProjectId = filters.directProjectId;
     }
-    if (_.has(parameters.filters, 'code')) {
+    if (_.has(filters, 'code')) {
       query += 'AND details -> \'utm\' ->> \'code\' = :code ';
-      replacements.code = parameters.filters.code;
+      replacements.code = filters.code;
     }
+    _.forEach(['billingAccountId', 'templateId'], (field) => {
+      if (_.has(filters, field)) {
+        if (_.has(filters[field], '$in')) {
+          query += `AND projects."${field}" IN (:${field}) `;
+          replacements[field] = filters[field].$in;
+        } else {
+          query += `AND projects."${field}" = :${field} `;
+          replacements[field] = filters[field];
+        }
+      }
+    });
+    if (_.has(filters, 'groups')) {
+      // use array operators, so the GIN index can be used
+      if (_.has(filters.groups, '$in')) {
+        // projects which have at least one of the groups
+        query += 'AND projects.groups && ARRAY[:groups]::varchar[] ';
+        replacements.groups = _.castArray(filters.groups.$in);
+      } else {
+        query += 'AND projects.groups @> ARRAY[:groups]::varchar[] ';
+        replacements.groups = filters.groups;
+      }
+    }
+    if (_.has(filters, 'userGroupIds')) {
+      // projects without groups, or projects which have at least one of the groups of the user
+      if (_.isEmpty(filters.userGroupIds)) {
+        query += 'AND cardinality(projects.groups) = 0 ';
+      } else {
+        query += 'AND (cardinality(projects.groups) = 0 OR projects.groups && ARRAY[:userGroupIds]::varchar[]) ';
+        replacements.userGroupIds = filters.userGroupIds;
+      }
+    }
+    if (_.has(filters, 'parentProjectId')) {
+      // child projects keep the relation to the parent project
+      query += `AND projects.id IN (SELECT "projectId" FROM project_relations WHERE type = :relationTypeChild
+        AND "relatedProjectId" IN (:parentProjectId) AND "deletedAt" IS NULL) `;
+      replacements.relationTypeChild = PROJECT_RELATION_TYPE.CHILD;
+      replacements.parentProjectId = _.castArray(_.get(filters.parentProjectId, '$in', filters.parentProjectId));
+    }
+    _.forEach(PROJECT_RANGE_FILTERS, (field) => {
+      _.forEach(PROJECT_RANGE_FILTER_OPERATORS, (operator, sqlOperator) => {
+        if (_.has(filters, [field, operator])) {
+          const replacementName = `${field}_${operator.substring(1)}`;
+          query += `AND projects."${field}" ${sqlOperator} :${replacementName} `;
+          replacements[replacementName] = filters[field][operator];
+        }
+      });
+    });
 
     let joinQuery = '';
-    if (_.has(parameters.filters, 'userId') || _.has(parameters.filters, 'email')) {
+    let groupBy = '';
+    if (_.has(filters, 'userId') || _.has(filters, 'email')) {
       query += ` AND (
         members."userId" = :userId AND members."deletedAt" IS NULL
         OR (
           invites.status = :INVITE_STATUS_PENDING AND
           (invites."userId" = :userId OR invites."email" = :email)
         )
-      ) GROUP BY projects.id`;
+      )`;
+      groupBy = ' GROUP BY projects.id';
 
       joinQuery = `LEFT OUTER JOIN project_members AS members ON projects.id = members."projectId"
       LEFT OUTER JOIN project_member_invites AS invites ON projects.id = invites."projectId"`;
 
-      replacements.userId = parameters.filters.userId;
-      replacements.email = parameters.filters.email;
+      replacements.userId = filters.userId;
+      replacements.email = filters.email;
     }
 
+    return { query, joinQuery, groupBy, replacements };
+  };
+
+  /**
+   * Search keyword in name, description, details.utm.code (To be deprecated)
+   * @param parameters the parameters
+   *          - filters: the filters contains keyword
+   *          - order: the order
+   *          - limit: the limit
+   *          - offset: the offset
+   *          - attributes: the attributes to get
+   *          - after: (optional) the values of the order column and `id` of the last project
+   *                   from the previous page, to get the next page using keyset (cursor) pagination
+   * @param log the request log
+   * @return the result rows and count
+   */
+  Project.searchText = (parameters, log) => {
+    const { query, joinQuery, groupBy, replacements } = buildSearchQuery(parameters.filters);
+
     let attributesStr = _.map(parameters.attributes, attr => `projects."${attr}"`);
     attributesStr = `${attributesStr.join(',')}`;
-    const orderStr = `"${parameters.order[0][0]}" ${parameters.order[0][1]}`;
+    const [orderField, orderDirection] = parameters.order[0];
+    let orderStr = `projects."${orderField}" ${orderDirection}`;
+    // always order by `id` as the last column, so the order is stable for the projects with the same values
+    if (orderField !== 'id') {
+      orderStr += `, projects.id ${orderDirection}`;
+    }
+
+    let afterQuery = '';
+    if (parameters.after) {
+      const operator = orderDirection.toLowerCase() === 'desc' ? '<' : '>';
+      if (orderField === 'id') {
+        afterQuery = ` AND projects.id ${operator} :afterId`;
+        replacements.afterId = parameters.after[0];
+      } else {
+        afterQuery = ` AND (projects."${orderField}", projects.id) ${operator} (:afterValue, :afterId)`;
+        replacements.afterValue = parameters.after[0];
+        replacements.afterId = parameters.after[1];
+      }
+    }
 
     // select count of projects
     return sequelize.query(`SELECT COUNT(1) FROM projects AS projects
       ${joinQuery}
-      WHERE ${query}`,
+      WHERE ${query}${groupBy}`,
     { type: sequelize.QueryTypes.SELECT,
       replacements,
       logging: (str) => { log.debug(str); },
@@ -188,8 +286,8 @@ module.exports = function defineProject(sequelize, DataTypes) {
         // select project attributes
         return sequelize.query(`SELECT ${attributesStr} FROM projects AS projects
           ${joinQuery}
-          WHERE ${query} ORDER BY ` +
-          ` projects.${orderStr} LIMIT :limit OFFSET :offset`,
+          WHERE ${query}${afterQuery}${groupBy} ORDER BY ` +
+          ` ${orderStr} LIMIT :limit OFFSET :offset`,
         { type: sequelize.QueryTypes.SELECT,
           replacements,
           logging: (str) => { log.debug(str); },
@@ -199,6 +297,55 @@ module.exports = function defineProject(sequelize, DataTypes) {
       });
   };
 
+  /**
+   * Count projects found by filters grouped by the values of project properties
+   * @param parameters the parameters
+   *          - filters: the same filters as for `searchText`
+   *          - aggregations: the list of aggregation names, see `PROJECT_AGGREGATIONS`
+   *          - interval: the interval for date histogram aggregations, like `month`
+   *          - managerRoles: the project roles of members which are counted by `manager` aggregation
+   *          - size: the maximum number of buckets for terms aggregations
+   * @param log the request log
+   * @return the list of buckets `{ key, count }` per aggregation name
+   */
+  Project.searchAggregations = (parameters, log) => {
+    const { query, joinQuery, groupBy, replacements } = buildSearchQuery(parameters.filters);
+    const projectIdsQuery = `SELECT projects.id FROM projects AS projects ${joinQuery} WHERE ${query}${groupBy}`;
+
+    const buildAggregationQuery = (name) => {
+      switch (PROJECT_AGGREGATIONS[name]) {
+        case PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM:
+          return `SELECT date_trunc(:interval, p."${name}") AS key, COUNT(1)::int AS count
+            FROM projects AS p
+            WHERE p.id IN (${projectIdsQuery}) AND p."${name}" IS NOT NULL
+            GROUP BY key ORDER BY key`;
+        case PROJECT_AGGREGATION_TYPE.MEMBERS:
+          return `SELECT m."userId" AS key, COUNT(DISTINCT p.id)::int AS count
+            FROM projects AS p
+            JOIN project_members AS m ON p.id = m."projectId" AND m."deletedAt" IS NULL AND m.role IN (:managerRoles)
+            WHERE p.id IN (${projectIdsQuery})
+            GROUP BY key ORDER BY count DESC LIMIT :size`;
+        default:
+          return `SELECT p."${name}" AS key, COUNT(1)::int AS count
+            FROM projects AS p
+            WHERE p.id IN (${projectIdsQuery}) AND p."${name}" IS NOT NULL
+            GROUP BY key ORDER BY count DESC LIMIT :size`;
+      }
+    };
+
+    return Promise.all(_.map(parameters.aggregations, name => sequelize.query(buildAggregationQuery(name), {
+      type: sequelize.QueryTypes.SELECT,
+      replacements: _.assign({
+        interval: parameters.interval,
+        managerRoles: parameters.managerRoles,
+        size: parameters.size,
+      }, replacements),
+      logging: (str) => { log.debug(str); },
+      raw: true,
+    })))
+      .then(results => _.zipObject(parameters.aggregations, results));
+  };
+
   Project.findProjectRange = (models, startId, endId, fields, raw = true) => Project.findAll({
     where: { id: { $between: [startId, endId] } },
     attributes: _.get(fields, 'projects', null),
@@ -0,0 +1,105 @@
+/* eslint-disable valid-jsdoc */
+
+import _ from 'lodash';
+
+/**
+ * Project properties which changes are not recorded
+ */
+const IGNORED_FIELDS = [
+  'id',
+  'createdAt',
+  'createdBy',
+  'updatedAt',
+  'updatedBy',
+  'deletedAt',
+  'deletedBy',
+  'lastActivityAt',
+  'lastActivityUserId',
+];
+
+/**
+ * Get the list of changes between two values.
+ *
+ * Plain objects (like project `details`) are compared recursively, so we record only the changed properties.
+ * Arrays and all other values are compared as a whole.
+ *
+ * @param {*}      original original value
+ * @param {*}      updated  updated value
+ * @param {Array}  path     path to the value
+ *
+ * @returns {Array<{ path: String, from: *, to: * }>} changes
+ */
+const getChanges = (original, updated, path = []) => {
+  if (_.isPlainObject(original) && _.isPlainObject(updated)) {
+    return _.flatMap(
+      _.union(_.keys(original), _.keys(updated)),
+      key => getChanges(original[key], updated[key], [...path, key]),
+    );
+  }
+
+  if (_.isEqual(original, updated)) {
+    return [];
+  }
+
+  return [{
+    path: path.join('.'),
+    from: _.isUndefined(original) ? null : original,
+    to: _.isUndefined(updated) ? null : updated,
+  }];
+};
+
+module.exports = function defineProjectChangeHistory(sequelize, DataTypes) {
+  const ProjectChangeHistory = sequelize.define('ProjectChangeHistory', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    projectId: { type: DataTypes.BIGINT, allowNull: false },
+    source: { type: DataTypes.STRING(45), allowNull: false },
+    // top-level project properties which have been changed, used for filtering
+    fields: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: false, defaultValue: [] },
+    changes: { type: DataTypes.JSON, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    createdBy: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'project_change_history',
+    paranoid: false,
+    timestamps: true,
+    updatedAt: false,
+    createdAt: 'createdAt',
+    indexes: [
+      {
+        fields: ['projectId', 'createdAt'],
+      },
+    ],
+  });
+
+  /**
+   * Record changes made to the project.
+   *
+   * @param {Object} params
+   * @param {Number} params.projectId project id
+   * @param {String} params.source    what kind of operation changed the project, see `PROJECT_CHANGE_SOURCE`
+   * @param {Object} params.original  plain project object before changes
+   * @param {Object} params.updated   plain project object after changes
+   * @param {Number} params.userId    user who changed the project
+   * @param {Object} [options]        sequelize options like `transaction`
+   *
+   * @returns {Promise<Object>} created record or `null` if nothing has been changed
+   */
+  ProjectChangeHistory.recordChanges = ({ projectId, source, original, updated, userId }, options) => {
+    const fields = _.difference(_.keys(sequelize.models.Project.rawAttributes), IGNORED_FIELDS);
+    const changes = getChanges(_.pick(original, fields), _.pick(updated, fields));
+
+    if (changes.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    return ProjectChangeHistory.create({
+      projectId,
+      source,
+      fields: _.uniq(_.map(changes, change => change.path.split('.')[0])),
+      changes,
+      createdBy: userId,
+    }, options);
+  };
+
+  return ProjectChangeHistory;
+};
@@ -6,6 +6,7 @@ module.exports = function defineProjectHistory(sequelize, DataTypes) {
     projectId: { type: DataTypes.BIGINT, allowNull: false },
     status: { type: DataTypes.STRING, allowNull: false },
     cancelReason: { type: DataTypes.STRING, allowNull: true },
+    cancelComment: { type: DataTypes.TEXT, allowNull: true },
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedBy: { type: DataTypes.INTEGER, allowNull: false },
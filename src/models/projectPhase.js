@@ -13,8 +13,14 @@ module.exports = function defineProjectPhase(sequelize, DataTypes) {
     budget: { type: DataTypes.DOUBLE, defaultValue: 0.0 },
     spentBudget: { type: DataTypes.DOUBLE, defaultValue: 0.0 },
     progress: { type: DataTypes.DOUBLE, defaultValue: 0.0 },
+    // if `false`, `budget` and `spentBudget` are calculated from the phase products
+    budgetOverride: { type: DataTypes.BOOLEAN, defaultValue: false },
     details: { type: DataTypes.JSON, defaultValue: {} },
     order: { type: DataTypes.INTEGER, allowNull: true },
+    // phases which this phase depends on, like `[{ phaseId, type, lag }]`
+    dependencies: { type: DataTypes.JSON, defaultValue: [] },
+    // key of the phase definition in `phases` or `planConfig` of the project template the phase is created from
+    templatePhaseKey: { type: DataTypes.STRING, allowNull: true },
 
     deletedAt: { type: DataTypes.DATE, allowNull: true },
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
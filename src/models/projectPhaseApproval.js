@@ -0,0 +1,54 @@
+/* eslint-disable valid-jsdoc */
+
+import _ from 'lodash';
+import { PHASE_APPROVAL_STATUS } from '../constants';
+
+/**
+ * The ProjectPhaseApproval model
+ *
+ * Records the request of the phase sign-off which is created by a manager and approved or rejected by a customer.
+ */
+module.exports = function defineProjectPhaseApproval(sequelize, DataTypes) {
+  const ProjectPhaseApproval = sequelize.define('ProjectPhaseApproval', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    projectId: { type: DataTypes.BIGINT, allowNull: false },
+    phaseId: { type: DataTypes.BIGINT, allowNull: false },
+    status: { type: DataTypes.STRING(45), allowNull: false, defaultValue: PHASE_APPROVAL_STATUS.PENDING },
+    comment: { type: DataTypes.TEXT, allowNull: true },
+    decidedAt: { type: DataTypes.DATE, allowNull: true },
+    decidedBy: { type: DataTypes.INTEGER, allowNull: true },
+    deletedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedBy: { type: DataTypes.INTEGER, allowNull: true },
+    createdBy: { type: DataTypes.INTEGER, allowNull: false },
+    updatedBy: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'project_phase_approvals',
+    paranoid: true,
+    timestamps: true,
+    updatedAt: 'updatedAt',
+    createdAt: 'createdAt',
+    deletedAt: 'deletedAt',
+    indexes: [
+      {
+        fields: ['phaseId'],
+      },
+    ],
+  });
+
+  /**
+   * Get the latest sign-off request of the phase.
+   *
+   * @param {Number} phaseId   phase id
+   * @param {Object} [options] sequelize options like `transaction`
+   *
+   * @returns {Promise<Object>} the latest approval or `null` if sign-off has never been requested
+   */
+  ProjectPhaseApproval.getLatestApproval = (phaseId, options) => ProjectPhaseApproval.findOne(_.assign({
+    where: { phaseId },
+    order: [['id', 'DESC']],
+  }, options));
+
+  return ProjectPhaseApproval;
+};
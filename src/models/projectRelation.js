@@ -0,0 +1,107 @@
+/* eslint-disable valid-jsdoc */
+
+import _ from 'lodash';
+import { PROJECT_RELATION_TYPE } from '../constants';
+
+/**
+ * The ProjectRelation model
+ *
+ * Relation of `projectId` to `relatedProjectId` is read as "project is <type> of related project",
+ * see `PROJECT_RELATION_TYPE`.
+ */
+module.exports = function defineProjectRelation(sequelize, DataTypes) {
+  const ProjectRelation = sequelize.define('ProjectRelation', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    projectId: { type: DataTypes.BIGINT, allowNull: false },
+    relatedProjectId: { type: DataTypes.BIGINT, allowNull: false },
+    type: {
+      type: DataTypes.STRING(45),
+      allowNull: false,
+      validate: {
+        // `parent` relations are always stored as `child` relations of the related project
+        isIn: [_.without(_.values(PROJECT_RELATION_TYPE), PROJECT_RELATION_TYPE.PARENT)],
+      },
+    },
+    deletedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedBy: { type: DataTypes.INTEGER, allowNull: true },
+    createdBy: { type: DataTypes.INTEGER, allowNull: false },
+    updatedBy: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'project_relations',
+    paranoid: true,
+    timestamps: true,
+    updatedAt: 'updatedAt',
+    createdAt: 'createdAt',
+    deletedAt: 'deletedAt',
+    indexes: [
+      {
+        fields: ['projectId'],
+      },
+      {
+        fields: ['relatedProjectId'],
+      },
+    ],
+  });
+
+  /**
+   * Get active relations of the project, both the relations of the project to other projects
+   * and the relations of other projects to the project.
+   *
+   * @param {Number} projectId project id
+   * @param {Object} [options] sequelize options like `transaction`
+   *
+   * @returns {Promise<Array>} relations
+   */
+  ProjectRelation.getActiveProjectRelations = (projectId, options) => ProjectRelation.findAll(_.assign({
+    where: {
+      $or: [{ projectId }, { relatedProjectId: projectId }],
+    },
+    order: [['id', 'ASC']],
+    raw: true,
+  }, options));
+
+  /**
+   * Get active relations of the project to other projects, which are indexed in the ES project document.
+   *
+   * @param {Number} projectId project id
+   *
+   * @returns {Promise<Array>} relations
+   */
+  ProjectRelation.getRelationsOfProject = projectId => ProjectRelation.findAll({
+    where: { projectId },
+    attributes: { exclude: ['deletedAt', 'deletedBy'] },
+    order: [['id', 'ASC']],
+    raw: true,
+  });
+
+  /**
+   * Check if there is a chain of the relations of the same type from one project to another,
+   * like "A is blocked-by B", "B is blocked-by C" makes a chain from A to C.
+   *
+   * @param {String} type          relation type
+   * @param {Number} fromProjectId project id to start the chain
+   * @param {Number} toProjectId   project id to end the chain
+   * @param {Object} [options]     sequelize options like `transaction`
+   *
+   * @returns {Promise<Boolean>} `true` if the chain exists
+   */
+  ProjectRelation.hasRelationChain = (type, fromProjectId, toProjectId, options) => sequelize.query(`
+    WITH RECURSIVE chain("projectId") AS (
+      SELECT CAST(:fromProjectId AS bigint)
+      UNION
+      SELECT r."relatedProjectId" FROM project_relations r
+      JOIN chain c ON r."projectId" = c."projectId"
+      WHERE r.type = :type AND r."deletedAt" IS NULL
+    )
+    SELECT 1 FROM chain WHERE "projectId" = :toProjectId LIMIT 1`,
+  _.assign({
+    type: sequelize.QueryTypes.SELECT,
+    replacements: { type, fromProjectId, toProjectId },
+    raw: true,
+  }, options))
+    .then(rows => rows.length > 0);
+
+  return ProjectRelation;
+};
@@ -0,0 +1,87 @@
+/* eslint-disable valid-jsdoc */
+
+import _ from 'lodash';
+
+/**
+ * The ProjectTermsAcceptance model
+ *
+ * Records that user has accepted the terms with `termsId` from `Project.terms`.
+ */
+module.exports = function defineProjectTermsAcceptance(sequelize, DataTypes) {
+  const ProjectTermsAcceptance = sequelize.define('ProjectTermsAcceptance', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    projectId: { type: DataTypes.BIGINT, allowNull: false },
+    userId: { type: DataTypes.BIGINT, allowNull: false },
+    termsId: { type: DataTypes.STRING(255), allowNull: false },
+    deletedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedBy: { type: DataTypes.INTEGER, allowNull: true },
+    createdBy: { type: DataTypes.INTEGER, allowNull: false },
+    updatedBy: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'project_terms_acceptances',
+    paranoid: true,
+    timestamps: true,
+    updatedAt: 'updatedAt',
+    createdAt: 'createdAt',
+    deletedAt: 'deletedAt',
+    indexes: [
+      {
+        fields: ['projectId', 'userId'],
+      },
+    ],
+  });
+
+  /**
+   * Get terms which users haven't accepted yet.
+   *
+   * @param {Number} projectId project id
+   * @param {Array}  userIds   user ids
+   * @param {Array}  termsIds  terms ids which users have to accept
+   * @param {Object} [options] sequelize options like `transaction`
+   *
+   * @returns {Promise<Object>} `{ [userId]: [termsId] }` only for the users who haven't accepted some terms
+   */
+  ProjectTermsAcceptance.getMissingTermsIdsByUser = (projectId, userIds, termsIds, options) => {
+    if (_.isEmpty(userIds) || _.isEmpty(termsIds)) {
+      return Promise.resolve({});
+    }
+
+    return ProjectTermsAcceptance.findAll(_.assign({
+      where: {
+        projectId,
+        userId: { $in: userIds },
+        termsId: { $in: termsIds },
+      },
+      attributes: ['userId', 'termsId'],
+      raw: true,
+    }, options)).then((acceptances) => {
+      const acceptedTermsIdsByUser = _.mapValues(_.groupBy(acceptances, a => _.toString(a.userId)),
+        userAcceptances => _.map(userAcceptances, 'termsId'));
+
+      return _.reduce(userIds, (missingTermsIdsByUser, userId) => {
+        const missingTermsIds = _.difference(termsIds, acceptedTermsIdsByUser[_.toString(userId)]);
+        return missingTermsIds.length > 0
+          ? _.assign(missingTermsIdsByUser, { [userId]: missingTermsIds })
+          : missingTermsIdsByUser;
+      }, {});
+    });
+  };
+
+  /**
+   * Get terms which user hasn't accepted yet.
+   *
+   * @param {Number} projectId project id
+   * @param {Number} userId    user id
+   * @param {Array}  termsIds  terms ids which user has to accept
+   * @param {Object} [options] sequelize options like `transaction`
+   *
+   * @returns {Promise<Array>} terms ids
+   */
+  ProjectTermsAcceptance.getMissingTermsIds = (projectId, userId, termsIds, options) =>
+    ProjectTermsAcceptance.getMissingTermsIdsByUser(projectId, [userId], termsIds, options)
+      .then(missingTermsIdsByUser => _.get(missingTermsIdsByUser, userId, []));
+
+  return ProjectTermsAcceptance;
+};
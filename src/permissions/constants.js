@@ -51,6 +51,8 @@ import {
   ADMIN_ROLES as TOPCODER_ROLES_ADMINS,
   MANAGER_ROLES as TOPCODER_ROLES_MANAGERS_AND_ADMINS,
   M2M_SCOPES,
+  PROJECT_STATUS,
+  STATUS_TRANSITION_REFERENCES,
 } from '../constants';
 
 /**
@@ -176,7 +178,8 @@ export const PERMISSION = { // eslint-disable-line import/prefer-default-export
     meta: {
       title: 'Read Project',
       group: 'Project',
-      description: 'Read project when user is a member.',
+      description: 'Read project when user is a member. ' +
+        'Projects with groups are visible only to the users of these groups.',
     },
     topcoderRoles: [
       ...TOPCODER_ROLES_ADMINS,
@@ -190,7 +193,8 @@ export const PERMISSION = { // eslint-disable-line import/prefer-default-export
     meta: {
       title: 'Read Any Project',
       group: 'Project',
-      description: 'Read any project, even when not a member.',
+      description: 'Read any project, even when not a member, ' +
+        'except projects of the groups which user does not belong to.',
     },
     topcoderRoles: [
       ...TOPCODER_ROLES_ADMINS,
@@ -223,6 +227,38 @@ export const PERMISSION = { // eslint-disable-line import/prefer-default-export
     scopes: SCOPES_PROJECTS_WRITE,
   },
 
+  UPDATE_PROJECT_STATUS_ANY_TRANSITION: {
+    meta: {
+      title: 'Update Project Status (any transition)',
+      group: 'Project',
+      description: 'Who can change project status ignoring the allowed status transitions.',
+    },
+    topcoderRoles: TOPCODER_ROLES_ADMINS,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  ACTIVATE_PROJECT: {
+    meta: {
+      title: 'Activate Project',
+      group: 'Project',
+      description: 'Who can change project status to "active" when the project is not active yet.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: PROJECT_ROLES_MANAGEMENT,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  REOPEN_PROJECT: {
+    meta: {
+      title: 'Reopen Project',
+      group: 'Project',
+      description: 'Who can change status of the cancelled project.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: PROJECT_ROLES_MANAGEMENT,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
   MANAGE_PROJECT_DIRECT_PROJECT_ID: {
     meta: {
       title: 'Manage Project property "directProjectId"',
@@ -267,6 +303,55 @@ export const PERMISSION = { // eslint-disable-line import/prefer-default-export
     scopes: SCOPES_PROJECTS_WRITE,
   },
 
+  CLONE_PROJECT: {
+    meta: {
+      title: 'Clone Project',
+      group: 'Project',
+      description: 'Create a new project as a copy of the existing project. User becomes a member of the new project.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: ALL,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  BULK_UPDATE_PROJECTS: {
+    meta: {
+      title: 'Bulk Update Projects',
+      group: 'Project',
+      description: 'Perform the same operation with many projects at once. ' +
+        'Permissions to perform the operation are also checked for each project separately.',
+    },
+    topcoderRoles: TOPCODER_ROLES_ADMINS,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  TRANSFER_PROJECT_OWNERSHIP: {
+    meta: {
+      title: 'Transfer Project Ownership',
+      group: 'Project',
+      description: 'Make another member or invitee the primary customer or manager of the project. ' +
+        'To transfer the primary manager role "Update Project Member (non-customer)" permission is also required.',
+    },
+    topcoderRoles: TOPCODER_ROLES_ADMINS,
+    projectRoles: [
+      // primary customer user, usually the one who created the project
+      { role: PROJECT_MEMBER_ROLE.CUSTOMER, isPrimary: true },
+      ...PROJECT_ROLES_MANAGEMENT,
+    ],
+    scopes: SCOPES_PROJECT_MEMBERS_WRITE,
+  },
+
+  READ_PROJECT_CANCELLATIONS_REPORT: {
+    meta: {
+      title: 'Read Project Cancellations Report',
+      group: 'Project',
+      description: 'Who can view the report of the cancelled projects aggregated by cancel reason, ' +
+        'project type and period.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    scopes: SCOPES_PROJECTS_READ,
+  },
+
   /*
    * Project Invite
    */
@@ -626,6 +711,110 @@ export const PERMISSION = { // eslint-disable-line import/prefer-default-export
     scopes: SCOPES_PROJECTS_WRITE,
   },
 
+  /*
+   * Project Relations
+   */
+  READ_PROJECT_RELATION: {
+    meta: {
+      title: 'Read Project Relation',
+      group: 'Project Relation',
+      description: 'Who can view relations of the project to other projects.',
+    },
+    topcoderRoles: [
+      ...TOPCODER_ROLES_ADMINS,
+      USER_ROLE.MANAGER,
+    ],
+    projectRoles: ALL,
+    scopes: SCOPES_PROJECTS_READ,
+  },
+
+  MANAGE_PROJECT_RELATION: {
+    meta: {
+      title: 'Manage Project Relation',
+      group: 'Project Relation',
+      description: 'Who can create, update and delete relations of the project to other projects. ' +
+        'The user should also be able to read the related project.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: [
+      ...PROJECT_ROLES_MANAGEMENT,
+      PROJECT_MEMBER_ROLE.COPILOT,
+    ],
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  /*
+   * Project Terms Acceptance
+   */
+  CREATE_PROJECT_TERMS_ACCEPTANCE_OWN: {
+    meta: {
+      title: 'Accept Project Terms (own)',
+      group: 'Project Terms Acceptance',
+      description: 'Who can accept terms of the project on their own behalf, including users who are not members yet.',
+    },
+    topcoderRoles: ALL,
+  },
+
+  READ_PROJECT_TERMS_ACCEPTANCE_OWN: {
+    meta: {
+      title: 'Read Project Terms Acceptance (own)',
+      group: 'Project Terms Acceptance',
+      description: 'Who can view own acceptances of the project terms.',
+    },
+    topcoderRoles: ALL,
+  },
+
+  READ_PROJECT_TERMS_ACCEPTANCE_NOT_OWN: {
+    meta: {
+      title: 'Read Project Terms Acceptance (not own)',
+      group: 'Project Terms Acceptance',
+      description: 'Who can view acceptances of the project terms by other users.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: ALL,
+    scopes: SCOPES_PROJECT_MEMBERS_READ,
+  },
+
+  /*
+   * Project Phase Approval
+   */
+  READ_PHASE_APPROVAL: {
+    meta: {
+      title: 'Read Phase Approval',
+      group: 'Project Phase Approval',
+      description: 'Who can view sign-off requests of the project phases.',
+    },
+    topcoderRoles: [
+      ...TOPCODER_ROLES_ADMINS,
+      USER_ROLE.MANAGER,
+    ],
+    projectRoles: ALL,
+    scopes: SCOPES_PROJECTS_READ,
+  },
+
+  REQUEST_PHASE_APPROVAL: {
+    meta: {
+      title: 'Request Phase Approval',
+      group: 'Project Phase Approval',
+      description: 'Who can request customer to sign off the project phase.',
+    },
+    topcoderRoles: TOPCODER_ROLES_MANAGERS_AND_ADMINS,
+    projectRoles: PROJECT_ROLES_MANAGEMENT,
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
+  DECIDE_PHASE_APPROVAL: {
+    meta: {
+      title: 'Approve or Reject Phase',
+      group: 'Project Phase Approval',
+      description: 'Who can approve or reject the requested sign-off of the project phase. ' +
+        'Phase can only be completed after it has been approved.',
+    },
+    topcoderRoles: TOPCODER_ROLES_ADMINS,
+    projectRoles: [PROJECT_MEMBER_ROLE.CUSTOMER],
+    scopes: SCOPES_PROJECTS_WRITE,
+  },
+
   /*
    * DEPRECATED - THIS PERMISSION RULE HAS TO BE REMOVED
    *
@@ -667,6 +856,68 @@ export const PROJECT_TO_TOPCODER_ROLES_MATRIX = {
   ],
 };
 
+/**
+ * Allowed status transitions.
+ *
+ * Defined separately for each kind of entity (project, phase or milestone) and per project type.
+ * The `default` table is used for all the project types which don't have their own table.
+ * The tables defined here can be overridden for a project type by `metadata.statusTransitions`
+ * of the project type, like `{ "statusTransitions": { "phase": { "draft": { "active": true } } } }`.
+ *
+ * Each table has a format `{ [fromStatus]: { [toStatus]: rule } }`, where `rule` could be:
+ * - `true` - anybody who can update the status, can make such a transition
+ * - permission rule object, the same as used with `hasPermission` method
+ * - name of permission from `PERMISSION`, like `"ACTIVATE_PROJECT"` (useful for metadata which is JSON)
+ *
+ * Special status `*` means "any status", so `{ '*': { '*': rule } }` allows any transition.
+ * If there is no table for the entity at all, then any transition is allowed.
+ */
+export const STATUS_TRANSITIONS = {
+  [STATUS_TRANSITION_REFERENCES.PROJECT]: {
+    default: {
+      '*': {
+        '*': PERMISSION.UPDATE_PROJECT_STATUS_ANY_TRANSITION,
+      },
+      [PROJECT_STATUS.DRAFT]: {
+        [PROJECT_STATUS.IN_REVIEW]: true,
+        [PROJECT_STATUS.REVIEWED]: true,
+        [PROJECT_STATUS.ACTIVE]: PERMISSION.ACTIVATE_PROJECT,
+        [PROJECT_STATUS.CANCELLED]: true,
+      },
+      [PROJECT_STATUS.IN_REVIEW]: {
+        [PROJECT_STATUS.REVIEWED]: true,
+        [PROJECT_STATUS.ACTIVE]: PERMISSION.ACTIVATE_PROJECT,
+        [PROJECT_STATUS.CANCELLED]: true,
+      },
+      [PROJECT_STATUS.REVIEWED]: {
+        [PROJECT_STATUS.IN_REVIEW]: true,
+        [PROJECT_STATUS.ACTIVE]: PERMISSION.ACTIVATE_PROJECT,
+        [PROJECT_STATUS.CANCELLED]: true,
+      },
+      [PROJECT_STATUS.ACTIVE]: {
+        [PROJECT_STATUS.PAUSED]: true,
+        [PROJECT_STATUS.COMPLETED]: true,
+        [PROJECT_STATUS.CANCELLED]: true,
+      },
+      [PROJECT_STATUS.PAUSED]: {
+        [PROJECT_STATUS.ACTIVE]: true,
+        [PROJECT_STATUS.COMPLETED]: true,
+        [PROJECT_STATUS.CANCELLED]: true,
+      },
+      [PROJECT_STATUS.CANCELLED]: {
+        [PROJECT_STATUS.IN_REVIEW]: PERMISSION.REOPEN_PROJECT,
+        [PROJECT_STATUS.REVIEWED]: PERMISSION.REOPEN_PROJECT,
+        [PROJECT_STATUS.ACTIVE]: PERMISSION.REOPEN_PROJECT,
+        [PROJECT_STATUS.PAUSED]: PERMISSION.REOPEN_PROJECT,
+      },
+    },
+  },
+  // phases and milestones have no restrictions by default, as their statuses are also changed by the other flows,
+  // like phase sign-off or pausing the project, transitions can be restricted per project type in its metadata
+  [STATUS_TRANSITION_REFERENCES.PHASE]: {},
+  [STATUS_TRANSITION_REFERENCES.MILESTONE]: {},
+};
+
 /**
  * This list determines default Project Role by Topcoder Role.
  *
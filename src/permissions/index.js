@@ -19,6 +19,10 @@ module.exports = () => {
   Authorizer.setPolicy('project.view', generalPermission(PERMISSION.READ_PROJECT));
   Authorizer.setPolicy('project.edit', generalPermission(PERMISSION.UPDATE_PROJECT));
   Authorizer.setPolicy('project.delete', generalPermission(PERMISSION.DELETE_PROJECT));
+  Authorizer.setPolicy('project.clone', generalPermission(PERMISSION.CLONE_PROJECT));
+  Authorizer.setPolicy('project.bulkUpdate', generalPermission(PERMISSION.BULK_UPDATE_PROJECTS));
+  Authorizer.setPolicy('project.transferOwnership', generalPermission(PERMISSION.TRANSFER_PROJECT_OWNERSHIP));
+  Authorizer.setPolicy('project.cancellationsReport', generalPermission(PERMISSION.READ_PROJECT_CANCELLATIONS_REPORT));
 
   Authorizer.setPolicy('projectBillingAccounts.view', generalPermission([
     PERMISSION.READ_AVL_PROJECT_BILLING_ACCOUNTS,
@@ -77,7 +81,26 @@ module.exports = () => {
     PERMISSION.DELETE_PROJECT_ATTACHMENT_NOT_OWN,
   ]));
 
+  Authorizer.setPolicy('projectRelation.view', generalPermission(PERMISSION.READ_PROJECT_RELATION));
+  Authorizer.setPolicy('projectRelation.create', generalPermission(PERMISSION.MANAGE_PROJECT_RELATION));
+  Authorizer.setPolicy('projectRelation.edit', generalPermission(PERMISSION.MANAGE_PROJECT_RELATION));
+  Authorizer.setPolicy('projectRelation.delete', generalPermission(PERMISSION.MANAGE_PROJECT_RELATION));
+
+  Authorizer.setPolicy('projectTermsAcceptance.create', generalPermission([
+    PERMISSION.CREATE_PROJECT_TERMS_ACCEPTANCE_OWN,
+  ]));
+  Authorizer.setPolicy('projectTermsAcceptance.view', generalPermission([
+    PERMISSION.READ_PROJECT_TERMS_ACCEPTANCE_OWN,
+    PERMISSION.READ_PROJECT_TERMS_ACCEPTANCE_NOT_OWN,
+  ]));
+
+  Authorizer.setPolicy('phaseApproval.view', generalPermission(PERMISSION.READ_PHASE_APPROVAL));
+  Authorizer.setPolicy('phaseApproval.create', generalPermission(PERMISSION.REQUEST_PHASE_APPROVAL));
+  Authorizer.setPolicy('phaseApproval.edit', generalPermission(PERMISSION.DECIDE_PHASE_APPROVAL));
+
   Authorizer.setPolicy('project.admin', projectAdmin);
+  Authorizer.setPolicy('project.restore', projectAdmin);
+  Authorizer.setPolicy('project.saveAsTemplate', projectAdmin);
 
   Authorizer.setPolicy('projectTemplate.create', projectAdmin);
   Authorizer.setPolicy('projectTemplate.edit', projectAdmin);
@@ -119,6 +142,11 @@ module.exports = () => {
   Authorizer.setPolicy('productCategory.delete', projectAdmin);
   Authorizer.setPolicy('productCategory.view', true); // anyone can view product categories
 
+  Authorizer.setPolicy('cancelReason.create', projectAdmin);
+  Authorizer.setPolicy('cancelReason.edit', projectAdmin);
+  Authorizer.setPolicy('cancelReason.delete', projectAdmin);
+  Authorizer.setPolicy('cancelReason.view', true); // anyone can view cancel reasons
+
   Authorizer.setPolicy('timeline.create', projectEdit);
   Authorizer.setPolicy('timeline.edit', projectEdit);
   Authorizer.setPolicy('timeline.delete', projectEdit);
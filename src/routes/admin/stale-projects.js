@@ -0,0 +1,21 @@
+/**
+ * Admin endpoint to get the report of the stale projects.
+ *
+ * Works in the dry-run mode: shows which projects would be processed by the stale projects detector
+ * and what would be done with them, without sending any notifications or cancelling projects.
+ */
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import { findStaleProjects } from '../../utils/staleProjects';
+
+const permissions = tcMiddleware.permissions;
+
+module.exports = [
+  permissions('project.admin'),
+  (req, res, next) => {
+    req.log.debug('Entered Admin#staleProjects');
+
+    return findStaleProjects()
+      .then(staleProjects => res.json(staleProjects))
+      .catch(next);
+  },
+];
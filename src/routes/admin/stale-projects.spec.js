@@ -0,0 +1,218 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import config from 'config';
+import moment from 'moment';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { processStaleProjects } from '../../utils/staleProjects';
+import { CONNECT_NOTIFICATION_EVENT } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Stale projects', () => {
+  let staleProject;
+  let staleDraftProject;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const projectTypeProps = {
+      icon: 'http://example.com/icon1.ico',
+      question: 'question',
+      info: 'info',
+      aliases: [],
+      createdBy: 1,
+      updatedBy: 1,
+    };
+    await models.ProjectType.bulkCreate([
+      _.assign({ key: 'generic', displayName: 'Generic', metadata: {} }, projectTypeProps),
+      _.assign({ key: 'app', displayName: 'App', metadata: { staleProjectThresholdDays: 90 } }, projectTypeProps),
+      _.assign({ key: 'website', displayName: 'Website', metadata: { staleProjectThresholdDays: 0 } },
+        projectTypeProps),
+    ]);
+
+    const daysAgo = days => moment.utc().subtract(days, 'days').toDate();
+    const projectProps = {
+      billingAccountId: 1,
+      description: 'test project',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityUserId: '1',
+    };
+    // default threshold from config is 30 days
+    staleProject = await models.Project.create(_.assign({
+      name: 'stale active', type: 'generic', status: 'active', lastActivityAt: daysAgo(40),
+    }, projectProps));
+    staleDraftProject = await models.Project.create(_.assign({
+      name: 'stale draft', type: 'app', status: 'draft', lastActivityAt: daysAgo(100),
+    }, projectProps));
+    await models.Project.bulkCreate(_.map([
+      // recently updated project
+      { name: 'recent', type: 'generic', status: 'active', lastActivityAt: daysAgo(10) },
+      // threshold of project type is not reached
+      { name: 'app', type: 'app', status: 'active', lastActivityAt: daysAgo(40) },
+      // projects of this type are never stale
+      { name: 'website', type: 'website', status: 'active', lastActivityAt: daysAgo(400) },
+      // project status is not checked
+      { name: 'completed', type: 'generic', status: 'completed', lastActivityAt: daysAgo(400) },
+    ], props => _.assign(props, projectProps)));
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Override some config values
+   *
+   * @param {Object} sandbox sinon sandbox
+   * @param {Object} values  config values by path
+   *
+   * @returns {void}
+   */
+  const stubConfig = (sandbox, values) => {
+    const get = config.get.bind(config);
+    sandbox.stub(config, 'get', path => (_.has(values, path) ? values[path] : get(path)));
+  };
+
+  describe('GET /projects/admin/staleProjects', () => {
+    it('should return 403 if user is not an admin', (done) => {
+      request(server)
+        .get('/v5/projects/admin/staleProjects')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 200 and the list of stale projects for admin', async () => {
+      const res = await request(server)
+        .get('/v5/projects/admin/staleProjects')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(2);
+      res.body[0].projectId.should.be.eql(staleDraftProject.id);
+      res.body[0].thresholdDays.should.be.eql(90);
+      res.body[0].idleDays.should.be.eql(100);
+      // cancelling drafts is disabled by default
+      res.body[0].action.should.be.eql('notify');
+      res.body[1].projectId.should.be.eql(staleProject.id);
+      res.body[1].thresholdDays.should.be.eql(30);
+      res.body[1].action.should.be.eql('notify');
+
+      // report doesn't change anything
+      const project = await models.Project.findByPk(staleDraftProject.id);
+      project.status.should.be.eql('draft');
+    });
+  });
+
+  describe('processStaleProjects', () => {
+    let createEventSpy;
+    const sandbox = sinon.sandbox.create();
+    const logger = { info: _.noop, debug: _.noop, error: _.noop };
+
+    before((done) => {
+      // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+      testUtil.wait(done);
+    });
+
+    beforeEach(() => {
+      createEventSpy = sandbox.spy(busApi, 'createEvent');
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should send message CONNECT_NOTIFICATION_EVENT.PROJECT_STALE for each stale project', async () => {
+      await processStaleProjects(logger);
+
+      createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, sinon.match({
+        projectId: staleProject.id,
+        projectName: staleProject.name,
+        thresholdDays: 30,
+        cancelled: false,
+      })).should.be.true;
+      createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, sinon.match({
+        projectId: staleDraftProject.id,
+      })).should.be.true;
+      createEventSpy.callCount.should.be.eql(2);
+    });
+
+    it('should process stale projects in batches', async () => {
+      stubConfig(sandbox, { 'staleProjects.batchSize': 1 });
+
+      const processed = await processStaleProjects(logger);
+
+      _.map(processed, 'projectId').should.be.eql([staleDraftProject.id, staleProject.id]);
+      createEventSpy.callCount.should.be.eql(2);
+    });
+
+    it('should cancel stale draft if it is enabled in config', async () => {
+      stubConfig(sandbox, { 'staleProjects.cancelDrafts': true });
+
+      await processStaleProjects(logger);
+
+      const project = await models.Project.findByPk(staleDraftProject.id);
+      project.status.should.be.eql('cancelled');
+      project.cancelReason.should.be.eql('stale_project');
+      createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, sinon.match({
+        projectId: staleDraftProject.id,
+        cancelled: true,
+      })).should.be.true;
+    });
+
+    it('should not notify about the same stale project again', async () => {
+      await processStaleProjects(logger);
+      createEventSpy.reset();
+
+      const processed = await processStaleProjects(logger);
+
+      processed.should.have.lengthOf(0);
+      createEventSpy.called.should.be.false;
+      const project = await models.Project.findByPk(staleProject.id);
+      should.exist(project.staleNotifiedAt);
+    });
+
+    it('should notify about the stale project again when the threshold passes since the previous notification',
+      async () => {
+        await models.Project.update({
+          staleNotifiedAt: moment.utc().subtract(31, 'days').toDate(),
+        }, { where: { id: staleProject.id } });
+        await models.Project.update({
+          staleNotifiedAt: moment.utc().subtract(10, 'days').toDate(),
+        }, { where: { id: staleDraftProject.id } });
+
+        await processStaleProjects(logger);
+
+        createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, sinon.match({
+          projectId: staleProject.id,
+        })).should.be.true;
+        createEventSpy.callCount.should.be.eql(1);
+      });
+
+    it('should notify about the stale project again when it becomes stale after new activity', async () => {
+      // notified before the last activity in the project
+      await models.Project.update({
+        staleNotifiedAt: moment.utc().subtract(45, 'days').toDate(),
+        lastActivityAt: moment.utc().subtract(35, 'days').toDate(),
+      }, { where: { id: staleProject.id } });
+
+      await processStaleProjects(logger);
+
+      createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, sinon.match({
+        projectId: staleProject.id,
+      })).should.be.true;
+    });
+  });
+});
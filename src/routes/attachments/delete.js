@@ -24,13 +24,15 @@ module.exports = [
     const projectId = _.parseInt(req.params.projectId);
     const attachmentId = _.parseInt(req.params.id);
     let attachment;
-    models.sequelize.transaction(() =>
+    let isFileShared = false;
+    models.sequelize.transaction(transaction =>
       // soft delete the record
       models.ProjectAttachment.findOne({
         where: {
           id: attachmentId,
           projectId,
         },
+        transaction,
       })
         .then((_attachment) => {
           if (!_attachment) {
@@ -39,13 +41,27 @@ module.exports = [
             return Promise.reject(err);
           }
           attachment = _attachment;
-          return _attachment.update({ deletedBy: req.authUser.userId })
-            .then(() => _attachment.destroy());
+          return _attachment.update({ deletedBy: req.authUser.userId }, { transaction })
+            .then(() => _attachment.destroy({ transaction }));
+        })
+        .then(() => {
+          if (attachment.type !== ATTACHMENT_TYPES.FILE) {
+            return Promise.resolve();
+          }
+          // the same file may be still used by the attachments of the cloned projects,
+          // including the deleted ones, as they may be restored together with their project
+          return models.ProjectAttachment.count({
+            where: { path: attachment.path, type: ATTACHMENT_TYPES.FILE, id: { $ne: attachment.id } },
+            paranoid: false,
+            transaction,
+          }).then((count) => {
+            isFileShared = count > 0;
+          });
         }))
-      .then((_attachment) => {
-        if (_attachment.type === ATTACHMENT_TYPES.FILE &&
+      .then(() => {
+        if (attachment.type === ATTACHMENT_TYPES.FILE && !isFileShared &&
              (process.env.NODE_ENV !== 'development' || config.get('enableFileUpload') === 'true')) {
-          return fileService.deleteFile(req, _attachment.path);
+          return fileService.deleteFile(req, attachment.path);
         }
         return Promise.resolve();
       })
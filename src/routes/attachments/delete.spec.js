@@ -169,6 +169,41 @@ describe('Project Attachments delete', () => {
         });
     });
 
+    it('should not remove the file if it is used by a deleted attachment of another project', async () => {
+      const project2 = await models.Project.create({
+        type: 'generic',
+        billingAccountId: 1,
+        name: 'test2',
+        description: 'cloned test project1',
+        status: 'draft',
+        details: {},
+        createdBy: 1,
+        updatedBy: 1,
+        lastActivityAt: 1,
+        lastActivityUserId: '1',
+      });
+      const clonedAttachment = await models.ProjectAttachment.create(_.assign(
+        _.pick(attachments[0].get({ plain: true }), ['title', 'size', 'path', 'type', 'tags']),
+        { projectId: project2.id, createdBy: 1, updatedBy: 1 },
+      ));
+      await clonedAttachment.destroy();
+
+      const mockHttpClient = _.merge(testUtil.mockHttpClient, {
+        delete: () => Promise.resolve({ status: 200, data: { result: { success: true, status: 200 } } }),
+      });
+      const deleteSpy = sinon.spy(mockHttpClient, 'delete');
+      sandbox.stub(util, 'getHttpClient', () => mockHttpClient);
+
+      await request(server)
+        .delete(`/v5/projects/${project1.id}/attachments/${attachments[0].id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(204);
+
+      deleteSpy.called.should.be.false;
+    });
+
     it('should return 204 if ADMIN deletes the file attachment successfully', (done) => {
       request(server)
         .delete(`/v5/projects/${project1.id}/attachments/${attachments[0].id}`)
@@ -0,0 +1,61 @@
+/**
+ * API to add a cancel reason
+ */
+import validate from 'express-validation';
+import _ from 'lodash';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import { EVENT, RESOURCES } from '../../constants';
+import util from '../../util';
+import models from '../../models';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  body: Joi.object().keys({
+    code: Joi.string().max(45).required(),
+    label: Joi.string().max(255).required(),
+    requiresComment: Joi.boolean().optional(),
+    disabled: Joi.boolean().optional(),
+    createdAt: Joi.any().strip(),
+    updatedAt: Joi.any().strip(),
+    deletedAt: Joi.any().strip(),
+    createdBy: Joi.any().strip(),
+    updatedBy: Joi.any().strip(),
+    deletedBy: Joi.any().strip(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('cancelReason.create'),
+  (req, res, next) => {
+    const entity = _.assign(req.body, {
+      createdBy: req.authUser.userId,
+      updatedBy: req.authUser.userId,
+    });
+
+    // Check if duplicated code
+    return models.CancelReason.findByPk(req.body.code, { paranoid: false })
+      .then((existing) => {
+        if (existing) {
+          const apiErr = new Error(`Cancel reason already exists (may be deleted) for code ${req.body.code}`);
+          apiErr.status = 400;
+          return Promise.reject(apiErr);
+        }
+
+        // Create
+        return models.CancelReason.create(entity);
+      }).then((createdEntity) => {
+        // emit event
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_METADATA_CREATE,
+          RESOURCES.CANCEL_REASON,
+          createdEntity.toJSON());
+        // Omit deletedAt, deletedBy
+        res.status(201).json(_.omit(createdEntity.toJSON(), 'deletedAt', 'deletedBy'));
+      })
+      .catch(next);
+  },
+];
@@ -0,0 +1,96 @@
+/**
+ * Tests for create.js
+ */
+import chai from 'chai';
+import request from 'supertest';
+
+import server from '../../app';
+import testUtil from '../../tests/util';
+import models from '../../models';
+
+const should = chai.should();
+
+describe('CREATE cancel reason', () => {
+  beforeEach(() => testUtil.clearDb()
+    .then(() => models.CancelReason.create({
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/metadata/cancelReasons', () => {
+    const body = {
+      code: 'other',
+      label: 'Other',
+      requiresComment: true,
+    };
+
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .post('/v5/projects/metadata/cancelReasons')
+        .send(body)
+        .expect(403, done);
+    });
+
+    it('should return 403 for manager', (done) => {
+      request(server)
+        .post('/v5/projects/metadata/cancelReasons')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send(body)
+        .expect(403, done);
+    });
+
+    it('should return 400 for missing label', (done) => {
+      request(server)
+        .post('/v5/projects/metadata/cancelReasons')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ code: 'other' })
+        .expect(400, done);
+    });
+
+    it('should return 400 for duplicated code', (done) => {
+      request(server)
+        .post('/v5/projects/metadata/cancelReasons')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ code: 'price', label: 'Price' })
+        .expect(400, done);
+    });
+
+    it('should return 201 for admin', (done) => {
+      request(server)
+        .post('/v5/projects/metadata/cancelReasons')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(201)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+            return;
+          }
+          const resJson = res.body;
+          resJson.code.should.be.eql(body.code);
+          resJson.label.should.be.eql(body.label);
+          resJson.requiresComment.should.be.eql(true);
+          resJson.disabled.should.be.eql(false);
+          resJson.createdBy.should.be.eql(40051333); // admin
+          resJson.updatedBy.should.be.eql(40051333); // admin
+          should.not.exist(resJson.deletedAt);
+          should.not.exist(resJson.deletedBy);
+          done();
+        });
+    });
+  });
+});
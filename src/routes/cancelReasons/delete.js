@@ -0,0 +1,47 @@
+/**
+ * API to delete a cancel reason
+ *
+ * Projects which have been cancelled with the reason keep its code in `cancelReason`.
+ */
+import validate from 'express-validation';
+import _ from 'lodash';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import { EVENT, RESOURCES } from '../../constants';
+import util from '../../util';
+import models from '../../models';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    code: Joi.string().max(45).required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('cancelReason.delete'),
+  (req, res, next) =>
+    models.sequelize.transaction(transaction =>
+      models.CancelReason.findByPk(req.params.code, { transaction })
+        .then((entity) => {
+          if (!entity) {
+            const apiErr = new Error(`Cancel reason not found for code ${req.params.code}`);
+            apiErr.status = 404;
+            return Promise.reject(apiErr);
+          }
+          // Update the deletedBy, then delete
+          return entity.update({ deletedBy: req.authUser.userId }, { transaction });
+        })
+        .then(entity => entity.destroy({ transaction })))
+      .then((entity) => {
+        // emit event
+        util.sendResourceToKafkaBus(req,
+          EVENT.ROUTING_KEY.PROJECT_METADATA_DELETE,
+          RESOURCES.CANCEL_REASON,
+          _.pick(entity.toJSON(), 'code'));
+        res.status(204).end();
+      })
+      .catch(next),
+];
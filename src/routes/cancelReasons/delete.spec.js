@@ -0,0 +1,56 @@
+/**
+ * Tests for delete.js
+ */
+import chai from 'chai';
+import request from 'supertest';
+
+import server from '../../app';
+import testUtil from '../../tests/util';
+import models from '../../models';
+
+const should = chai.should();
+
+describe('DELETE cancel reason', () => {
+  beforeEach(() => testUtil.clearDb()
+    .then(() => models.CancelReason.create({
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('DELETE /projects/metadata/cancelReasons/{code}', () => {
+    it('should return 403 for manager', (done) => {
+      request(server)
+        .delete('/v5/projects/metadata/cancelReasons/price')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 for non-existed cancel reason', (done) => {
+      request(server)
+        .delete('/v5/projects/metadata/cancelReasons/not_existed')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 204 for admin', async () => {
+      await request(server)
+        .delete('/v5/projects/metadata/cancelReasons/price')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(204);
+
+      const cancelReason = await models.CancelReason.findByPk('price');
+      should.not.exist(cancelReason);
+    });
+  });
+});
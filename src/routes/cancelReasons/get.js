@@ -0,0 +1,39 @@
+/**
+ * API to get a cancel reason
+ */
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    code: Joi.string().max(45).required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('cancelReason.view'),
+  (req, res, next) => models.CancelReason.findOne({
+    where: {
+      code: req.params.code,
+    },
+    attributes: { exclude: ['deletedAt', 'deletedBy'] },
+    raw: true,
+  })
+    .then((cancelReason) => {
+      // Not found
+      if (!cancelReason) {
+        const apiErr = new Error(`Cancel reason not found for code ${req.params.code}`);
+        apiErr.status = 404;
+        return Promise.reject(apiErr);
+      }
+
+      res.json(cancelReason);
+      return Promise.resolve();
+    })
+    .catch(next),
+];
@@ -0,0 +1,63 @@
+/**
+ * Tests for get.js
+ */
+import chai from 'chai';
+import request from 'supertest';
+
+import server from '../../app';
+import testUtil from '../../tests/util';
+import models from '../../models';
+
+chai.should();
+
+describe('GET cancel reason', () => {
+  beforeEach(() => testUtil.clearDb()
+    .then(() => models.CancelReason.create({
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/metadata/cancelReasons/{code}', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .get('/v5/projects/metadata/cancelReasons/price')
+        .expect(403, done);
+    });
+
+    it('should return 404 for non-existed cancel reason', (done) => {
+      request(server)
+        .get('/v5/projects/metadata/cancelReasons/not_existed')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 200 for member', (done) => {
+      request(server)
+        .get('/v5/projects/metadata/cancelReasons/price')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+            return;
+          }
+          const resJson = res.body;
+          resJson.code.should.be.eql('price');
+          resJson.label.should.be.eql('Price is too high');
+          resJson.requiresComment.should.be.eql(false);
+          resJson.should.not.have.property('deletedBy');
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * API to list all cancel reasons
+ */
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+
+const permissions = tcMiddleware.permissions;
+
+module.exports = [
+  permissions('cancelReason.view'),
+  (req, res, next) => models.CancelReason.findAll({
+    attributes: { exclude: ['deletedAt', 'deletedBy'] },
+    order: [['code', 'ASC']],
+    raw: true,
+  })
+    .then(cancelReasons => res.json(cancelReasons))
+    .catch(next),
+];
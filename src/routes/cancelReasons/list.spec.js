@@ -0,0 +1,62 @@
+/**
+ * Tests for list.js
+ */
+import chai from 'chai';
+import request from 'supertest';
+
+import server from '../../app';
+import testUtil from '../../tests/util';
+import models from '../../models';
+
+chai.should();
+
+describe('LIST cancel reasons', () => {
+  beforeEach(() => testUtil.clearDb()
+    .then(() => models.CancelReason.bulkCreate([{
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      code: 'other',
+      label: 'Other',
+      requiresComment: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }])));
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/metadata/cancelReasons', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .get('/v5/projects/metadata/cancelReasons')
+        .expect(403, done);
+    });
+
+    it('should return 200 with cancel reasons ordered by code for member', (done) => {
+      request(server)
+        .get('/v5/projects/metadata/cancelReasons')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+            return;
+          }
+          const resJson = res.body;
+          resJson.should.have.length(2);
+          resJson[0].code.should.be.eql('other');
+          resJson[0].requiresComment.should.be.eql(true);
+          resJson[1].code.should.be.eql('price');
+          resJson[1].label.should.be.eql('Price is too high');
+          resJson[1].should.not.have.property('deletedAt');
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * API to update a cancel reason
+ */
+import validate from 'express-validation';
+import _ from 'lodash';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import { EVENT, RESOURCES } from '../../constants';
+import util from '../../util';
+import models from '../../models';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    code: Joi.string().max(45).required(),
+  },
+  body: Joi.object().keys({
+    code: Joi.any().strip(),
+    label: Joi.string().max(255).optional(),
+    requiresComment: Joi.boolean().optional(),
+    disabled: Joi.boolean().optional(),
+    createdAt: Joi.any().strip(),
+    updatedAt: Joi.any().strip(),
+    deletedAt: Joi.any().strip(),
+    createdBy: Joi.any().strip(),
+    updatedBy: Joi.any().strip(),
+    deletedBy: Joi.any().strip(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('cancelReason.edit'),
+  (req, res, next) => {
+    const entityToUpdate = _.assign(req.body, {
+      updatedBy: req.authUser.userId,
+    });
+
+    return models.CancelReason.findOne({
+      where: {
+        code: req.params.code,
+      },
+      attributes: { exclude: ['deletedAt', 'deletedBy'] },
+    })
+      .then((cancelReason) => {
+        // Not found
+        if (!cancelReason) {
+          const apiErr = new Error(`Cancel reason not found for code ${req.params.code}`);
+          apiErr.status = 404;
+          return Promise.reject(apiErr);
+        }
+
+        return cancelReason.update(entityToUpdate);
+      })
+      .then((cancelReason) => {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_METADATA_UPDATE,
+          RESOURCES.CANCEL_REASON,
+          cancelReason.get({ plain: true }),
+        );
+
+        res.json(cancelReason);
+        return Promise.resolve();
+      })
+      .catch(next);
+  },
+];
@@ -0,0 +1,74 @@
+/**
+ * Tests for update.js
+ */
+import chai from 'chai';
+import request from 'supertest';
+
+import server from '../../app';
+import testUtil from '../../tests/util';
+import models from '../../models';
+
+chai.should();
+
+describe('UPDATE cancel reason', () => {
+  beforeEach(() => testUtil.clearDb()
+    .then(() => models.CancelReason.create({
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('PATCH /projects/metadata/cancelReasons/{code}', () => {
+    const body = {
+      label: 'Price',
+      requiresComment: true,
+    };
+
+    it('should return 403 for manager', (done) => {
+      request(server)
+        .patch('/v5/projects/metadata/cancelReasons/price')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send(body)
+        .expect(403, done);
+    });
+
+    it('should return 404 for non-existed cancel reason', (done) => {
+      request(server)
+        .patch('/v5/projects/metadata/cancelReasons/not_existed')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect(404, done);
+    });
+
+    it('should return 200 for admin', (done) => {
+      request(server)
+        .patch('/v5/projects/metadata/cancelReasons/price')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+            return;
+          }
+          const resJson = res.body;
+          resJson.code.should.be.eql('price');
+          resJson.label.should.be.eql(body.label);
+          resJson.requiresComment.should.be.eql(true);
+          resJson.updatedBy.should.be.eql(40051333); // admin
+          done();
+        });
+    });
+  });
+});
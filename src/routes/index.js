@@ -62,6 +62,10 @@ router.route('/v5/projects/metadata/projectTypes')
   .get(require('./projectTypes/list'));
 router.route('/v5/projects/metadata/projectTypes/:key')
   .get(require('./projectTypes/get'));
+router.route('/v5/projects/metadata/cancelReasons')
+  .get(require('./cancelReasons/list'));
+router.route('/v5/projects/metadata/cancelReasons/:code')
+  .get(require('./cancelReasons/get'));
 
 router.route('/v5/projects/metadata/projectTemplates/:templateId(\\d+)/upgrade')
   .post(require('./projectTemplates/upgrade'));
@@ -107,12 +111,30 @@ router.route('/v5/projects/admin/es/project/index')
   .post(require('./admin/project-index-create'));
 router.route('/v5/projects/admin/es/project/remove')
   .delete(require('./admin/project-index-delete'));
+router.route('/v5/projects/admin/staleProjects')
+  .get(require('./admin/stale-projects'));
+
+router.route('/v5/projects/bulk')
+  .post(require('./projects/bulk'));
 
 router.route('/v5/projects/:projectId(\\d+)')
   .get(require('./projects/get'))
   .patch(require('./projects/update'))
   .delete(require('./projects/delete'));
 
+router.route('/v5/projects/:projectId(\\d+)/clone')
+  .post(require('./projects/clone'));
+router.route('/v5/projects/:projectId(\\d+)/restore')
+  .post(require('./projects/restore'));
+router.route('/v5/projects/:projectId(\\d+)/transfer')
+  .post(require('./projects/transfer'));
+router.route('/v5/projects/:projectId(\\d+)/saveAsTemplate')
+  .post(require('./projects/saveAsTemplate'));
+router.route('/v5/projects/:projectId(\\d+)/eligibility')
+  .get(require('./projects/eligibility'));
+router.route('/v5/projects/:projectId(\\d+)/history')
+  .get(require('./projectHistory/list'));
+
 router.route('/v5/projects/:projectId(\\d+)/scopeChangeRequests')
   .post(require('./scopeChangeRequests/create'));
 // .get(require('./scopeChangeRequests/list'));
@@ -148,6 +170,19 @@ router.route('/v5/projects/:projectId(\\d+)/attachments/:id(\\d+)')
   .patch(require('./attachments/update'))
   .delete(require('./attachments/delete'));
 
+router.route('/v5/projects/:projectId(\\d+)/relations')
+  .post(require('./projectRelations/create'))
+  .get(require('./projectRelations/list'));
+
+router.route('/v5/projects/:projectId(\\d+)/relations/:relationId(\\d+)')
+  .get(require('./projectRelations/get'))
+  .patch(require('./projectRelations/update'))
+  .delete(require('./projectRelations/delete'));
+
+router.route('/v5/projects/:projectId(\\d+)/termsAcceptances')
+  .post(require('./projectTermsAcceptances/create'))
+  .get(require('./projectTermsAcceptances/list'));
+
 router.route('/v5/projects/:projectId(\\d+)/upgrade')
   .post(require('./projectUpgrade/create'));
 
@@ -169,11 +204,21 @@ router.route('/v5/projects/:projectId(\\d+)/phases')
   .get(require('./phases/list'))
   .post(require('./phases/create'));
 
+router.route('/v5/projects/:projectId(\\d+)/phases/order')
+  .put(require('./phases/updateOrder'));
+
 router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)')
   .get(require('./phases/get'))
   .patch(require('./phases/update'))
   .delete(require('./phases/delete'));
 
+router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)/approvals')
+  .get(require('./phaseApprovals/list'))
+  .post(require('./phaseApprovals/create'));
+
+router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)/approvals/:approvalId(\\d+)')
+  .patch(require('./phaseApprovals/update'));
+
 router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)/products')
   .get(require('./phaseProducts/list'))
   .post(require('./phaseProducts/create'));
@@ -183,6 +228,9 @@ router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)/products/:prod
   .patch(require('./phaseProducts/update'))
   .delete(require('./phaseProducts/delete'));
 
+router.route('/v5/projects/:projectId(\\d+)/phases/:phaseId(\\d+)/products/:productId(\\d+)/move')
+  .post(require('./phaseProducts/move'));
+
 router.route('/v5/projects/metadata/productCategories')
   .post(require('./productCategories/create'));
 
@@ -204,6 +252,13 @@ router.route('/v5/projects/metadata/projectTypes/:key')
   .patch(require('./projectTypes/update'))
   .delete(require('./projectTypes/delete'));
 
+router.route('/v5/projects/metadata/cancelReasons')
+  .post(require('./cancelReasons/create'));
+
+router.route('/v5/projects/metadata/cancelReasons/:code')
+  .patch(require('./cancelReasons/update'))
+  .delete(require('./cancelReasons/delete'));
+
 router.route('/v5/timelines')
   .post(require('./timelines/create'))
   .get(require('./timelines/list'));
@@ -319,6 +374,8 @@ router.route('/v5/projects/metadata/planConfig/:key/versions/:version(\\d+)')
 // user level reports
 router.route('/v5/projects/reports/embed')
   .get(require('./userReports/getEmbedReport'));
+router.route('/v5/projects/reports/cancellations')
+  .get(require('./userReports/getCancellationsReport'));
 
 // work streams
 router.route('/v5/projects/:projectId(\\d+)/workstreams')
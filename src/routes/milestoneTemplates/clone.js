@@ -9,6 +9,7 @@ import util from '../../util';
 import models from '../../models';
 import { EVENT, RESOURCES, MILESTONE_TEMPLATE_REFERENCES } from '../../constants';
 import validateMilestoneTemplate from '../../middlewares/validateMilestoneTemplate';
+import { cloneMilestoneTemplates } from './commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -28,7 +29,7 @@ module.exports = [
   (req, res, next) => {
     let result;
 
-    return models.sequelize.transaction(() =>
+    return models.sequelize.transaction(transaction =>
       // Find the product template
       models.MilestoneTemplate.findAll({
         where: {
@@ -37,30 +38,18 @@ module.exports = [
         },
         attributes: { exclude: ['id', 'deletedAt', 'createdAt', 'updatedAt', 'deletedBy'] },
         raw: true,
+        transaction,
       })
-        .then((milestoneTemplatesToClone) => {
-          const newMilestoneTemplates = _.cloneDeep(milestoneTemplatesToClone);
-          _.each(newMilestoneTemplates, (milestone) => {
-            milestone.reference = req.body.reference; // eslint-disable-line no-param-reassign
-            milestone.referenceId = req.body.referenceId; // eslint-disable-line no-param-reassign
-            milestone.createdBy = req.authUser.userId; // eslint-disable-line no-param-reassign
-            milestone.updatedBy = req.authUser.userId; // eslint-disable-line no-param-reassign
-          });
-          return models.MilestoneTemplate.bulkCreate(newMilestoneTemplates);
-        })
-        .then(() => { // eslint-disable-line arrow-body-style
-          return models.MilestoneTemplate.findAll({
-            where: {
-              reference: req.body.reference,
-              referenceId: req.body.referenceId,
-            },
-            attributes: { exclude: ['deletedAt', 'deletedBy'] },
-            raw: true,
-          })
-            .then((clonedMilestoneTemplates) => {
-              result = clonedMilestoneTemplates;
-              return result;
-            });
+        .then(milestoneTemplatesToClone => cloneMilestoneTemplates(
+          req,
+          milestoneTemplatesToClone,
+          req.body.reference,
+          req.body.referenceId,
+          transaction,
+        ))
+        .then((clonedMilestoneTemplates) => {
+          result = clonedMilestoneTemplates;
+          return result;
         }),
     )
       .then(() => {
@@ -0,0 +1,42 @@
+/**
+ * Helper methods for milestone templates routes
+ */
+import _ from 'lodash';
+import models from '../../models';
+
+/**
+ * Create copies of the milestone templates for another reference and return them.
+ *
+ * Any fields which should not be copied like `id` or dates have to be already excluded from `milestoneTemplates`.
+ *
+ * @param {Object}      req                the request
+ * @param {Array}       milestoneTemplates plain milestone templates to copy
+ * @param {String}      reference          reference of the created milestone templates
+ * @param {Number}      referenceId        reference id of the created milestone templates
+ * @param {Transaction} [transaction]      the transaction
+ *
+ * @returns {Promise<Array>} all the milestone templates of the reference
+ */
+function cloneMilestoneTemplates(req, milestoneTemplates, reference, referenceId, transaction) {
+  const newMilestoneTemplates = _.map(milestoneTemplates, milestone => _.assign(_.cloneDeep(milestone), {
+    reference,
+    referenceId,
+    createdBy: req.authUser.userId,
+    updatedBy: req.authUser.userId,
+  }));
+
+  return models.MilestoneTemplate.bulkCreate(newMilestoneTemplates, { transaction })
+    .then(() => models.MilestoneTemplate.findAll({
+      where: {
+        reference,
+        referenceId,
+      },
+      attributes: { exclude: ['deletedAt', 'deletedBy'] },
+      raw: true,
+      transaction,
+    }));
+}
+
+module.exports = {
+  cloneMilestoneTemplates,
+};
@@ -8,8 +8,9 @@ import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import validateTimeline from '../../middlewares/validateTimeline';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, STATUS_TRANSITION_REFERENCES } from '../../constants';
 import models from '../../models';
+import statusTransitionUtils from '../../utils/statusTransitions';
 import { createMilestone, deleteMilestone, updateMilestone } from './commonHelper';
 
 const permissions = tcMiddleware.permissions;
@@ -91,8 +92,11 @@ module.exports = [
       toCreate, data => createMilestone(req.authUser, req.timeline, data, transaction));
     const deleted = await Promise.mapSeries(
       toDelete, item => deleteMilestone(req.authUser, timelineId, item.id, transaction, item));
+    const validateStatusTransition = await statusTransitionUtils.createStatusTransitionValidator(
+      STATUS_TRANSITION_REFERENCES.MILESTONE, req.params.projectId, req, transaction);
     const updated = await Promise.mapSeries(
-      toUpdate, ([item, data]) => updateMilestone(req.authUser, timelineId, data, transaction, item));
+      toUpdate, ([item, data]) =>
+        updateMilestone(req.authUser, timelineId, data, transaction, item, validateStatusTransition));
     return { created, deleted, updated };
   })
     .then(async ({ created, deleted, updated }) => {
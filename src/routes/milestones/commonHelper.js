@@ -5,7 +5,7 @@ import _ from 'lodash';
 import moment from 'moment';
 import config from 'config';
 import models from '../../models';
-import { MILESTONE_STATUS, ADMIN_ROLES } from '../../constants';
+import { MILESTONE_STATUS, ADMIN_ROLES, STATUS_HISTORY_REFERENCES } from '../../constants';
 import util from '../../util';
 
 const validStatuses = JSON.parse(config.get('VALID_STATUSES_BEFORE_PAUSED'));
@@ -60,10 +60,11 @@ async function deleteMilestone(authUser, timelineId, id, transaction, item) {
  * @param {Object} data The updated data
  * @param {Object} transaction The transaction to use
  * @param {Object} [item] The item to update
+ * @param {Function} [validateStatusTransition] The function to validate the milestone status transition
  * @returns {{updated: Object, original: Object}} The updated and original milestones
  * @throws {Error} If something went wrong
  */
-async function updateMilestone(authUser, timelineId, data, transaction, item) {
+async function updateMilestone(authUser, timelineId, data, transaction, item, validateStatusTransition) {
   const id = data.id;
   const where = {
     timelineId,
@@ -91,6 +92,10 @@ async function updateMilestone(authUser, timelineId, data, transaction, item) {
     apiErr.status = 400;
     throw apiErr;
   }
+  // resuming restores the status which milestone had before, so it's always allowed
+  if (validateStatusTransition && entityToUpdate.status !== 'resume') {
+    validateStatusTransition(milestone.status, entityToUpdate.status);
+  }
   if (entityToUpdate.status === 'resume') {
     if (milestone.status !== MILESTONE_STATUS.PAUSED) {
       const apiErr = new Error('Milestone status isn\'t paused');
@@ -98,7 +103,7 @@ async function updateMilestone(authUser, timelineId, data, transaction, item) {
       throw apiErr;
     }
     const statusHistory = await models.StatusHistory.findAll({
-      where: { referenceId: id },
+      where: { reference: STATUS_HISTORY_REFERENCES.MILESTONE, referenceId: id },
       order: [['createdAt', 'desc'], ['id', 'desc']],
       attributes: ['status', 'id'],
       limit: 2,
@@ -8,6 +8,7 @@ import models from '../../models';
 import util from '../../util';
 import { EVENT, RESOURCES } from '../../constants';
 import validateTimeline from '../../middlewares/validateTimeline';
+import etag from '../../middlewares/etag';
 import { deleteMilestone } from './commonHelper';
 
 const permissions = tcMiddleware.permissions;
@@ -28,7 +29,11 @@ module.exports = [
   (req, res, next) =>
     models
       .sequelize
-      .transaction(t => deleteMilestone(req.authUser, req.params.timelineId, req.params.milestoneId, t))
+      .transaction(t => etag.lockAndCheckIfMatch(req, models.Milestone, {
+        id: req.params.milestoneId,
+        timelineId: req.params.timelineId,
+      }, t).then(milestone => deleteMilestone(req.authUser, req.params.timelineId, req.params.milestoneId, t,
+        milestone)))
       .then((deleted) => {
         util.sendResourceToKafkaBus(
           req,
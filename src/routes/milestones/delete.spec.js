@@ -11,6 +11,7 @@ import server from '../../app';
 import testUtil from '../../tests/util';
 import { RESOURCES, BUS_API_EVENT } from '../../constants';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 
 const should = chai.should(); // eslint-disable-line no-unused-vars
 
@@ -360,6 +361,35 @@ describe('DELETE milestone', () => {
         .end(err => expectAfterDelete(1, 1, err, done));
     });
 
+    it('should return 412 and keep the milestone if "If-Match" header does not match the current milestone ETag',
+      async () => {
+        await request(server)
+          .delete('/v5/timelines/1/milestones/1')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+            'If-Match': '"1-0"',
+          })
+          .expect('Content-Type', /json/)
+          .expect(412);
+
+        const milestone = await models.Milestone.findByPk(1);
+        should.exist(milestone);
+      });
+
+    it('should return 204 if "If-Match" header matches the current milestone ETag', (done) => {
+      models.Milestone.findByPk(1, { raw: true })
+        .then((milestone) => {
+          request(server)
+            .delete('/v5/timelines/1/milestones/1')
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.admin}`,
+              'If-Match': etag.buildETag(milestone),
+            })
+            .expect(204)
+            .end(err => expectAfterDelete(1, 1, err, done));
+        });
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
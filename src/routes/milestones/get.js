@@ -8,6 +8,7 @@ import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import validateTimeline from '../../middlewares/validateTimeline';
 import models from '../../models';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -24,6 +25,7 @@ module.exports = [
   // checking by the permissions middleware
   validateTimeline.validateTimelineIdParam,
   permissions('milestone.view'),
+  etag.setETag,
   (req, res, next) => {
     const where = {
       timelineId: req.params.timelineId,
@@ -319,6 +319,23 @@ describe('GET milestone', () => {
         });
     });
 
+    it('should return ETag header calculated from id and updatedAt', (done) => {
+      request(server)
+        .get('/v5/timelines/1/milestones/1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+          } else {
+            res.headers.etag.should.be.eql(`"1-${new Date(res.body.updatedAt).getTime()}"`);
+            done();
+          }
+        });
+    });
+
     it('should return 200 for connect admin', (done) => {
       request(server)
         .get('/v5/timelines/1/milestones/1')
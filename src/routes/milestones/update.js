@@ -6,8 +6,10 @@ import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import validateTimeline from '../../middlewares/validateTimeline';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, STATUS_TRANSITION_REFERENCES } from '../../constants';
 import models from '../../models';
+import statusTransitionUtils from '../../utils/statusTransitions';
+import etag from '../../middlewares/etag';
 import { updateMilestone } from './commonHelper';
 
 const permissions = tcMiddleware.permissions;
@@ -51,14 +53,26 @@ module.exports = [
   // and set to request params for checking by the permissions middleware
   validateTimeline.validateTimelineIdParam,
   permissions('milestone.edit'),
+  etag.setETag,
   (req, res, next) =>
     models
       .sequelize
-      .transaction(t => updateMilestone(
+      .transaction(t => Promise.all([
+        req.body.status
+          ? statusTransitionUtils.createStatusTransitionValidator(
+            STATUS_TRANSITION_REFERENCES.MILESTONE, req.params.projectId, req, t)
+          : Promise.resolve(),
+        etag.lockAndCheckIfMatch(req, models.Milestone, {
+          id: req.params.milestoneId,
+          timelineId: req.params.timelineId,
+        }, t),
+      ]).then(([validateStatusTransition, milestone]) => updateMilestone(
         req.authUser,
         req.params.timelineId,
         Object.assign({}, req.body, { id: req.params.milestoneId }),
-        t))
+        t,
+        milestone,
+        validateStatusTransition)))
       .then(({ updated, original }) => {
         util.sendResourceToKafkaBus(
           req,
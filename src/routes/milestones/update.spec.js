@@ -11,6 +11,7 @@ import models from '../../models';
 import server from '../../app';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 import { RESOURCES, MILESTONE_STATUS, BUS_API_EVENT, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 
 const should = chai.should();
@@ -285,6 +286,35 @@ describe('UPDATE Milestone', () => {
       hidden: true,
     };
 
+    it('should return 412 if "If-Match" header does not match the current milestone ETag', (done) => {
+      request(server)
+        .patch('/v5/timelines/1/milestones/1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': '"1-0"',
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(412, done);
+    });
+
+    it('should return 200 and new ETag if "If-Match" header matches the current milestone ETag', async () => {
+      const currentETag = etag.buildETag(await models.Milestone.findByPk(1, { raw: true }));
+
+      const res = await request(server)
+        .patch('/v5/timelines/1/milestones/1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': currentETag,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.headers.etag.should.not.equal(currentETag);
+      res.headers.etag.should.equal(etag.buildETag(res.body));
+    });
+
     it('should return 403 if user is not authenticated', (done) => {
       request(server)
         .patch('/v5/timelines/1/milestones/1')
@@ -0,0 +1,32 @@
+/**
+ * Helper methods for phase approvals routes
+ */
+import _ from 'lodash';
+import models from '../../models';
+import util from '../../util';
+
+/**
+ * Find the active phase of the project.
+ *
+ * @param {Number} projectId  project id
+ * @param {Number} phaseId    phase id
+ * @param {Object} [options]  sequelize options like `transaction`
+ *
+ * @returns {Promise<Object>} the phase
+ * @throws {Error} 404 error if the phase is not found
+ */
+const findPhase = async (projectId, phaseId, options) => {
+  const phase = await models.ProjectPhase.findOne(_.assign({
+    where: { id: phaseId, projectId },
+  }, options));
+
+  if (!phase) {
+    throw util.buildApiError(`No active project phase found for project id ${projectId} and phase id ${phaseId}`, 404);
+  }
+
+  return phase;
+};
+
+module.exports = {
+  findPhase,
+};
@@ -0,0 +1,68 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, PHASE_APPROVAL_STATUS, PROJECT_PHASE_STATUS } from '../../constants';
+import { findPhase } from './commonHelper';
+
+/**
+ * API to request customer to sign off the phase.
+ *
+ * Only one sign-off request of the phase can be pending at a time.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    phaseId: Joi.number().integer().positive().required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('phaseApproval.create'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const phaseId = _.parseInt(req.params.phaseId);
+
+    try {
+      const created = await models.sequelize.transaction(async (transaction) => {
+        // lock the phase, so concurrent requests cannot create another pending sign-off request
+        // or complete the phase until this request is saved
+        const phase = await findPhase(projectId, phaseId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (phase.status === PROJECT_PHASE_STATUS.COMPLETED) {
+          throw util.buildApiError(`Phase ${phaseId} is already completed.`, 400);
+        }
+
+        const latestApproval = await models.ProjectPhaseApproval.getLatestApproval(phaseId, { transaction });
+        if (latestApproval && latestApproval.status === PHASE_APPROVAL_STATUS.PENDING) {
+          throw util.buildApiError(`Sign-off of the phase ${phaseId} is already requested.`, 400);
+        }
+
+        return models.ProjectPhaseApproval.create({
+          projectId,
+          phaseId,
+          status: PHASE_APPROVAL_STATUS.PENDING,
+          createdBy: req.authUser.userId,
+          updatedBy: req.authUser.userId,
+        }, { transaction });
+      });
+
+      const newApproval = _.omit(created.toJSON(), ['deletedAt', 'deletedBy']);
+      req.log.debug('new phase approval created', JSON.stringify(newApproval));
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_PHASE_APPROVAL_ADDED,
+        RESOURCES.PHASE_APPROVAL,
+        newApproval);
+
+      res.status(201).json(newApproval);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,226 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import sinon from 'sinon';
+import chai from 'chai';
+import request from 'supertest';
+import server from '../../app';
+import models from '../../models';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import {
+  BUS_API_EVENT,
+  RESOURCES,
+  CONNECT_NOTIFICATION_EVENT,
+} from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Request Phase Approval', () => {
+  let projectId;
+  let phaseId;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    projectId = project.id;
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.copilot,
+      projectId,
+      role: 'copilot',
+      isPrimary: false,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.member,
+      projectId,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    const phase = await models.ProjectPhase.create({
+      projectId,
+      name: 'test phase',
+      status: 'active',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    phaseId = phase.id;
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/{projectId}/phases/{phaseId}/approvals', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .expect(403, done);
+    });
+
+    it('should return 403 for customer', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 403 for copilot', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 if phase is not found', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId + 1}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 400 if phase is already completed', async () => {
+      await models.ProjectPhase.update({ status: 'completed' }, { where: { id: phaseId } });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(400);
+    });
+
+    it('should return 400 if sign-off is already requested', async () => {
+      await models.ProjectPhaseApproval.create({
+        projectId,
+        phaseId,
+        status: 'pending',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(400);
+    });
+
+    it('should create pending approval for manager', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(201);
+
+      res.body.should.include({
+        projectId,
+        phaseId,
+        status: 'pending',
+        createdBy: testUtil.userIds.manager,
+      });
+      should.not.exist(res.body.deletedAt);
+    });
+
+    it('should create only one pending approval if sign-off is requested concurrently', async () => {
+      const requestSignOff = () => request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        });
+
+      const responses = await Promise.all([requestSignOff(), requestSignOff()]);
+
+      _.map(responses, 'status').should.have.members([201, 400]);
+      const approvalsCount = await models.ProjectPhaseApproval.count({ where: { phaseId, status: 'pending' } });
+      approvalsCount.should.be.eql(1);
+    });
+
+    it('should create approval again after the previous one has been rejected', async () => {
+      await models.ProjectPhaseApproval.create({
+        projectId,
+        phaseId,
+        status: 'rejected',
+        comment: 'not ready',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(201);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send PROJECT_PHASE_APPROVAL_REQUESTED notification', (done) => {
+        request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.manager}`,
+          })
+          .expect(201)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_APPROVAL_ADDED, sinon.match({
+                  resource: RESOURCES.PHASE_APPROVAL,
+                  phaseId,
+                  status: 'pending',
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_REQUESTED, sinon.match({
+                  projectId,
+                  phaseId,
+                  phaseName: 'test phase',
+                  initiatorUserId: testUtil.userIds.manager,
+                })).should.be.true;
+                done();
+              });
+            }
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import { findPhase } from './commonHelper';
+
+/**
+ * API to list sign-off requests of the phase, the latest first.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    phaseId: Joi.number().integer().positive().required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('phaseApproval.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const phaseId = _.parseInt(req.params.phaseId);
+
+    try {
+      await findPhase(projectId, phaseId);
+      const approvals = await models.ProjectPhaseApproval.findAll({
+        where: { projectId, phaseId },
+        order: [['id', 'DESC']],
+        raw: true,
+      });
+      res.json(_.map(approvals, approval => _.omit(approval, ['deletedAt', 'deletedBy'])));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
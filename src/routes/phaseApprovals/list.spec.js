@@ -0,0 +1,99 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import request from 'supertest';
+import server from '../../app';
+import models from '../../models';
+import testUtil from '../../tests/util';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('List Phase Approvals', () => {
+  let projectId;
+  let phaseId;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    projectId = project.id;
+    await models.ProjectMember.create({
+      userId: testUtil.userIds.member,
+      projectId,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    const phase = await models.ProjectPhase.create({
+      projectId,
+      name: 'test phase',
+      status: 'active',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    phaseId = phase.id;
+    await models.ProjectPhaseApproval.bulkCreate(_.map(['rejected', 'pending'], status => ({
+      projectId,
+      phaseId,
+      status,
+      comment: status === 'rejected' ? 'not ready' : null,
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/{projectId}/phases/{phaseId}/approvals', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .get(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .expect(403, done);
+    });
+
+    it('should return 403 for non-member', (done) => {
+      request(server)
+        .get(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 if phase is not found', (done) => {
+      request(server)
+        .get(`/v5/projects/${projectId}/phases/${phaseId + 1}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return approvals of the phase, the latest first', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${projectId}/phases/${phaseId}/approvals`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      _.map(res.body, 'status').should.eql(['pending', 'rejected']);
+      res.body[1].comment.should.equal('not ready');
+      should.not.exist(res.body[0].deletedAt);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, PHASE_APPROVAL_STATUS } from '../../constants';
+import { findPhase } from './commonHelper';
+
+/**
+ * API for customer to approve or reject the requested sign-off of the phase.
+ *
+ * The decision cannot be changed, to sign off the phase again a new sign-off has to be requested.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    phaseId: Joi.number().integer().positive().required(),
+    approvalId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    status: Joi.any().valid(PHASE_APPROVAL_STATUS.APPROVED, PHASE_APPROVAL_STATUS.REJECTED).required(),
+    // customer has to explain why the phase is rejected
+    comment: Joi.when('status', {
+      is: PHASE_APPROVAL_STATUS.REJECTED,
+      then: Joi.string().required(),
+      otherwise: Joi.string().optional(),
+    }),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('phaseApproval.edit'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const phaseId = _.parseInt(req.params.phaseId);
+    const approvalId = _.parseInt(req.params.approvalId);
+
+    try {
+      let original;
+      const updated = await models.sequelize.transaction(async (transaction) => {
+        await findPhase(projectId, phaseId, { transaction });
+        // lock the approval, so concurrent requests cannot decide on it twice
+        const approval = await models.ProjectPhaseApproval.findOne({
+          where: { id: approvalId, projectId, phaseId },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!approval) {
+          throw util.buildApiError(`Phase approval not found for approval id ${approvalId}`, 404);
+        }
+        if (approval.status !== PHASE_APPROVAL_STATUS.PENDING) {
+          throw util.buildApiError(`Phase approval ${approvalId} is already ${approval.status}.`, 400);
+        }
+        original = _.omit(approval.toJSON(), ['deletedAt', 'deletedBy']);
+
+        return approval.update({
+          status: req.body.status,
+          comment: req.body.comment,
+          decidedAt: new Date(),
+          decidedBy: req.authUser.userId,
+          updatedBy: req.authUser.userId,
+        }, { transaction });
+      });
+
+      const updatedApproval = _.omit(updated.toJSON(), ['deletedAt', 'deletedBy']);
+      req.log.debug('updated phase approval', JSON.stringify(updatedApproval));
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_PHASE_APPROVAL_UPDATED,
+        RESOURCES.PHASE_APPROVAL,
+        updatedApproval,
+        original);
+
+      res.json(updatedApproval);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
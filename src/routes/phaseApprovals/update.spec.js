@@ -0,0 +1,276 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import sinon from 'sinon';
+import chai from 'chai';
+import request from 'supertest';
+import server from '../../app';
+import models from '../../models';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import {
+  BUS_API_EVENT,
+  RESOURCES,
+  CONNECT_NOTIFICATION_EVENT,
+} from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Approve or Reject Phase', () => {
+  let projectId;
+  let phaseId;
+  let approvalId;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    projectId = project.id;
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.manager,
+      projectId,
+      role: 'manager',
+      isPrimary: false,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.member,
+      projectId,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    const phase = await models.ProjectPhase.create({
+      projectId,
+      name: 'test phase',
+      status: 'active',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    phaseId = phase.id;
+    const approval = await models.ProjectPhaseApproval.create({
+      projectId,
+      phaseId,
+      status: 'pending',
+      createdBy: testUtil.userIds.manager,
+      updatedBy: testUtil.userIds.manager,
+    });
+    approvalId = approval.id;
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('PATCH /projects/{projectId}/phases/{phaseId}/approvals/{approvalId}', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .send({ status: 'approved' })
+        .expect(403, done);
+    });
+
+    it('should return 403 for manager', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ status: 'approved' })
+        .expect(403, done);
+    });
+
+    it('should return 400 for invalid status', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'pending' })
+        .expect(400, done);
+    });
+
+    it('should return 400 if rejected without comment', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'rejected' })
+        .expect(400, done);
+    });
+
+    it('should return 404 if approval is not found', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId + 1}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'approved' })
+        .expect(404, done);
+    });
+
+    it('should return 400 if approval is already decided', async () => {
+      await models.ProjectPhaseApproval.update({ status: 'approved' }, { where: { id: approvalId } });
+
+      await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'rejected', comment: 'changed my mind' })
+        .expect(400);
+    });
+
+    it('should decide on approval only once if it is updated concurrently', async () => {
+      const decide = body => request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send(body);
+
+      const responses = await Promise.all([
+        decide({ status: 'approved' }),
+        decide({ status: 'rejected', comment: 'not good enough' }),
+      ]);
+
+      _.map(responses, 'status').should.have.members([200, 400]);
+      const decided = _.find(responses, { status: 200 }).body;
+      const approval = await models.ProjectPhaseApproval.findByPk(approvalId);
+      approval.status.should.be.eql(decided.status);
+    });
+
+    it('should approve phase for customer', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'approved' })
+        .expect(200);
+
+      res.body.should.include({
+        id: approvalId,
+        status: 'approved',
+        decidedBy: testUtil.userIds.member,
+      });
+      should.exist(res.body.decidedAt);
+    });
+
+    it('should reject phase with comment for customer', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'rejected', comment: 'not ready' })
+        .expect(200);
+
+      res.body.should.include({ status: 'rejected', comment: 'not ready' });
+    });
+
+    it('should allow to complete phase after it has been approved', async () => {
+      await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ status: 'approved' })
+        .expect(200);
+
+      await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ status: 'completed' })
+        .expect(200);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send PROJECT_PHASE_APPROVAL_APPROVED notification', (done) => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .send({ status: 'approved' })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_APPROVAL_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE_APPROVAL,
+                  id: approvalId,
+                  status: 'approved',
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_APPROVED, sinon.match({
+                  projectId,
+                  phaseId,
+                  approvalId,
+                  initiatorUserId: testUtil.userIds.member,
+                })).should.be.true;
+                done();
+              });
+            }
+          });
+      });
+
+      it('should send PROJECT_PHASE_APPROVAL_REJECTED notification with comment', (done) => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}/approvals/${approvalId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .send({ status: 'rejected', comment: 'not ready' })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_APPROVAL_REJECTED, sinon.match({
+                  projectId,
+                  phaseId,
+                  comment: 'not ready',
+                })).should.be.true;
+                done();
+              });
+            }
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Helper methods for phase products routes
+ *
+ * Phase definitions in `phases` or `planConfig` of the project template may constrain the products of the phase:
+ * - `minProducts` - the minimal number of products, `0` by default
+ * - `maxProducts` - the maximal number of products, `config.maxPhaseProductCount` by default
+ * - `productCategories` - categories of the product templates which products can be created from, any by default
+ *
+ * The constraints are validated when the project template or plan config is saved, and checked when the project
+ * is created from the template, and when products are added to, moved between or removed from the phases.
+ */
+import _ from 'lodash';
+import config from 'config';
+import Joi from 'joi';
+import models from '../../models';
+import util from '../../util';
+
+// the constraints of the phase definition, the other properties of the phase definition are not validated
+const phaseDefinitionConstraintsSchema = Joi.object().keys({
+  minProducts: Joi.number().integer().min(0),
+  maxProducts: Joi.number().integer().min(0),
+  productCategories: Joi.array().items(Joi.string()).min(1),
+}).unknown();
+
+/**
+ * Get the constraints of the phase products from the phase definition.
+ *
+ * @param {Object} phaseDefinition the phase definition, or `null` if the phase is not created from a template
+ *
+ * @returns {Object} the constraints `{ minProducts, maxProducts, productCategories }`
+ */
+function getProductConstraints(phaseDefinition) {
+  return {
+    minProducts: _.get(phaseDefinition, 'minProducts', 0),
+    maxProducts: _.get(phaseDefinition, 'maxProducts', config.maxPhaseProductCount),
+    productCategories: _.get(phaseDefinition, 'productCategories', null),
+  };
+}
+
+/**
+ * Validate that the product template is of the category allowed by the phase definition.
+ *
+ * @param {String} phaseName         name of the phase
+ * @param {Array}  productCategories allowed categories, or `null` if any category is allowed
+ * @param {Object} productTemplate   the product template, or `null` if the product is not created from a template
+ *
+ * @returns {undefined}
+ * @throws {Error} 400 error if the product template is not allowed
+ */
+function validateProductCategory(phaseName, productCategories, productTemplate) {
+  if (!productCategories || (productTemplate && _.includes(productCategories, productTemplate.category))) {
+    return;
+  }
+
+  const allowed = `Products of phase "${phaseName}" can only be created from product templates ` +
+    `of categories: ${productCategories.join(', ')}.`;
+  throw util.buildApiError(productTemplate
+    ? `${allowed} Product template ${productTemplate.id} has category "${productTemplate.category}".`
+    : allowed, 400);
+}
+
+/**
+ * Find the phase definition the phase is created from.
+ *
+ * @param {Number} templateId       id of the project template of the project
+ * @param {String} templatePhaseKey key of the phase definition in the project template
+ *
+ * @returns {Promise<Object>} the phase definition, or `null` if the phase is not created from a template
+ */
+async function findTemplatePhaseDefinition(templateId, templatePhaseKey) {
+  if (!templateId || !templatePhaseKey) {
+    return null;
+  }
+
+  const projectTemplate = await models.ProjectTemplate.findByPk(templateId, { raw: true });
+  let phases = _.get(projectTemplate, 'phases');
+  if (!phases && _.get(projectTemplate, 'planConfig')) {
+    const planConfig = await models.PlanConfig.findOneWithLatestRevision(projectTemplate.planConfig);
+    phases = _.get(planConfig, 'config');
+  }
+
+  // keys of phase definitions may contain dots, so don't let lodash treat them as paths
+  return _.get(phases, [templatePhaseKey], null);
+}
+
+/**
+ * Get the phase definition of the project template a new phase is created from.
+ *
+ * @param {Number} templateId       id of the project template of the project
+ * @param {String} templatePhaseKey key of the phase definition in the project template
+ *
+ * @returns {Promise<Object>} the phase definition
+ * @throws {Error} 400 error if the project template doesn't have such phase definition
+ */
+async function getTemplatePhaseDefinition(templateId, templatePhaseKey) {
+  const phaseDefinition = await findTemplatePhaseDefinition(templateId, templatePhaseKey);
+  if (!phaseDefinition) {
+    throw util.buildApiError(
+      `Phase definition "${templatePhaseKey}" not found in the project template of the project`, 400);
+  }
+
+  return phaseDefinition;
+}
+
+/**
+ * Validate the products of the phase definition when the project is created from the template.
+ *
+ * @param {Object} phaseDefinition  the phase definition
+ * @param {Array}  productTemplates product templates of the products of the phase definition
+ *
+ * @returns {undefined}
+ * @throws {Error} 400 error if the products don't satisfy the constraints of the phase definition
+ */
+function validateTemplatePhaseProducts(phaseDefinition, productTemplates) {
+  const { minProducts, maxProducts, productCategories } = getProductConstraints(phaseDefinition);
+  const productCount = _.size(phaseDefinition.products);
+
+  if (productCount > maxProducts) {
+    throw util.buildApiError(`Number of products of phase "${phaseDefinition.name}" cannot exceed ${maxProducts}`, 400);
+  }
+  if (productCount < minProducts) {
+    throw util.buildApiError(
+      `Number of products of phase "${phaseDefinition.name}" cannot be less than ${minProducts}`, 400);
+  }
+  _.each(productTemplates, (productTemplate) => {
+    validateProductCategory(phaseDefinition.name, productCategories, productTemplate);
+  });
+}
+
+/**
+ * Validate that one more product can be added to the existing phase.
+ *
+ * @param {Object} phase           the phase
+ * @param {Object} phaseDefinition the phase definition, or `null` if the phase is not created from a template
+ * @param {Number} productCount    number of products the phase already has
+ * @param {Number} templateId      id of the product template of the product, if any
+ * @param {Object} [transaction]   the transaction to use
+ *
+ * @returns {Promise} resolved if the product can be added to the phase
+ * @throws {Error} 400 error if the product cannot be added to the phase
+ */
+async function validateProductAddition(phase, phaseDefinition, productCount, templateId, transaction) {
+  const { maxProducts, productCategories } = getProductConstraints(phaseDefinition);
+
+  if (productCount >= maxProducts) {
+    throw util.buildApiError(`the number of products of phase "${phase.name}" cannot exceed ${maxProducts}`, 400);
+  }
+  if (productCategories) {
+    const productTemplate = templateId
+      ? await models.ProductTemplate.findByPk(templateId, { raw: true, transaction })
+      : null;
+    validateProductCategory(phase.name, productCategories, productTemplate);
+  }
+}
+
+/**
+ * Validate that one product can be removed from the existing phase.
+ *
+ * @param {Object} phase           the phase
+ * @param {Object} phaseDefinition the phase definition, or `null` if the phase is not created from a template
+ * @param {Number} productCount    number of products the phase has, including the product to remove
+ *
+ * @returns {undefined}
+ * @throws {Error} 400 error if the product cannot be removed from the phase
+ */
+function validateProductRemoval(phase, phaseDefinition, productCount) {
+  const { minProducts } = getProductConstraints(phaseDefinition);
+
+  if (productCount <= minProducts) {
+    throw util.buildApiError(`the number of products of phase "${phase.name}" cannot be less than ${minProducts}`, 400);
+  }
+}
+
+/**
+ * Validate the product constraints of the phase definitions of the project template or plan config.
+ *
+ * @param {Object} phases        phase definitions by key, `phases` of the project template or `config` of plan config
+ * @param {Object} [transaction] the transaction to use
+ *
+ * @returns {Promise} resolved if the constraints are valid
+ * @throws {Error} 400 error if some constraints are not valid or refer to product categories which don't exist
+ */
+async function validatePhaseDefinitions(phases, transaction) {
+  const phaseDefinitions = _.pickBy(_.omit(phases, 'workstreamsConfig'), _.isPlainObject);
+
+  _.each(phaseDefinitions, (phaseDefinition, key) => {
+    const { error } = Joi.validate(phaseDefinition, phaseDefinitionConstraintsSchema);
+    if (error) {
+      throw util.buildApiError(`Invalid phase definition "${key}": ${error.message}`, 400);
+    }
+
+    const { minProducts, maxProducts } = getProductConstraints(phaseDefinition);
+    if (minProducts > maxProducts) {
+      throw util.buildApiError(`Invalid phase definition "${key}": ` +
+        `"minProducts" ${minProducts} cannot be greater than "maxProducts" ${maxProducts}`, 400);
+    }
+  });
+
+  const productCategories = _.uniq(_.compact(_.flatMap(_.values(phaseDefinitions), 'productCategories')));
+  const existingCategories = productCategories.length > 0
+    ? await models.ProductCategory.findAll({
+      where: { key: productCategories },
+      attributes: ['key'],
+      raw: true,
+      transaction,
+    })
+    : [];
+  const missingCategories = _.difference(productCategories, _.map(existingCategories, 'key'));
+  if (missingCategories.length > 0) {
+    throw util.buildApiError(`Product categories not found: ${missingCategories.join(', ')}`, 400);
+  }
+}
+
+module.exports = {
+  validatePhaseDefinitions,
+  findTemplatePhaseDefinition,
+  getTemplatePhaseDefinition,
+  validateTemplatePhaseProducts,
+  validateProductAddition,
+  validateProductRemoval,
+};
@@ -1,12 +1,13 @@
 
 import validate from 'express-validation';
 import _ from 'lodash';
-import config from 'config';
 import Joi from 'joi';
 
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
+import { findTemplatePhaseDefinition, validateProductAddition } from './commonHelper';
 
 const permissions = require('tc-core-library-js').middleware.permissions;
 
@@ -41,9 +42,13 @@ module.exports = [
     });
 
     let newPhaseProduct = null;
-    models.sequelize.transaction(() => models.Project.findOne({
+    let rolledUp;
+    let templateId;
+    let existingPhase;
+    models.sequelize.transaction(transaction => models.Project.findOne({
       where: { id: projectId, deletedAt: { $eq: null } },
       raw: true,
+      transaction,
     }).then((existingProject) => {
       // make sure project exists
       if (!existingProject) {
@@ -56,12 +61,17 @@ module.exports = [
         directProjectId: existingProject.directProjectId,
         billingAccountId: existingProject.billingAccountId,
       });
+      templateId = existingProject.templateId;
 
+      // lock the phase, so concurrent requests cannot add more products than allowed to it
       return models.ProjectPhase.findOne({
         where: { id: phaseId, projectId, deletedAt: { $eq: null } },
         raw: true,
+        lock: transaction.LOCK.UPDATE,
+        transaction,
       });
-    }).then((existingPhase) => {
+    }).then((_existingPhase) => {
+      existingPhase = _existingPhase;
       // make sure phase exists
       if (!existingPhase) {
         const err = new Error(`project phase not found for project id ${projectId}` +
@@ -80,24 +90,25 @@ module.exports = [
           deletedAt: { $eq: null },
         },
         raw: true,
+        transaction,
       });
-    }).then((productCount) => {
-      // make sure number of products of per phase <= max value
-      if (productCount >= config.maxPhaseProductCount) {
-        const err = new Error('the number of products per phase cannot exceed ' +
-          `${config.maxPhaseProductCount}`);
-        err.status = 400;
-        throw err;
-      }
-      return models.PhaseProduct.create(data)
-        .then((_newPhaseProduct) => {
-          newPhaseProduct = _.cloneDeep(_newPhaseProduct);
-          req.log.debug('new phase product created (id# %d, name: %s)',
-            newPhaseProduct.id, newPhaseProduct.name);
-          newPhaseProduct = newPhaseProduct.get({ plain: true });
-          newPhaseProduct = _.omit(newPhaseProduct, ['deletedAt', 'utm']);
-        });
-    }))
+    }).then(productCount => findTemplatePhaseDefinition(templateId, existingPhase.templatePhaseKey)
+      // make sure the product satisfies the constraints of the phase definition of the project template
+      .then(phaseDefinition =>
+        validateProductAddition(existingPhase, phaseDefinition, productCount, data.templateId, transaction)))
+      .then(() => models.PhaseProduct.create(data, { transaction }))
+      .then((_newPhaseProduct) => {
+        newPhaseProduct = _.cloneDeep(_newPhaseProduct);
+        req.log.debug('new phase product created (id# %d, name: %s)',
+          newPhaseProduct.id, newPhaseProduct.name);
+        newPhaseProduct = newPhaseProduct.get({ plain: true });
+        newPhaseProduct = _.omit(newPhaseProduct, ['deletedAt', 'utm']);
+
+        return rollUpProductBudget(null, newPhaseProduct, req.authUser.userId, transaction);
+      })
+      .then((_rolledUp) => {
+        rolledUp = _rolledUp;
+      }))
       .then(() => {
         // emit the event
         util.sendResourceToKafkaBus(
@@ -105,6 +116,7 @@ module.exports = [
           EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_ADDED,
           RESOURCES.PHASE_PRODUCT,
           newPhaseProduct);
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.PHASES.UPDATE);
 
         res.status(201).json(newPhaseProduct);
       })
@@ -7,7 +7,7 @@ import server from '../../app';
 import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
-import { RESOURCES, BUS_API_EVENT } from '../../constants';
+import { RESOURCES, BUS_API_EVENT, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 
 const should = chai.should();
 
@@ -283,6 +283,138 @@ describe('Phase Products', () => {
       });
     });
 
+    it('should return 400 if phase already has the default max number of products', async () => {
+      await models.PhaseProduct.create({
+        name: 'existing product',
+        type: 'generic',
+        projectId,
+        phaseId,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(400);
+    });
+
+    describe('phase created from the project template', () => {
+      beforeEach(async () => {
+        await models.ProductTemplate.bulkCreate(_.map([[21, 'generic'], [22, 'design']], ([id, category]) => ({
+          id,
+          name: `template ${id}`,
+          productKey: `productKey-${id}`,
+          category,
+          subCategory: category,
+          icon: 'http://example.com/icon.ico',
+          brief: 'brief',
+          details: 'details',
+          aliases: {},
+          template: {},
+          createdBy: 1,
+          updatedBy: 1,
+        })));
+        await models.ProjectTemplate.create({
+          id: 1,
+          name: 'template 1',
+          key: 'key 1',
+          category: 'category 1',
+          icon: 'http://example.com/icon1.ico',
+          question: 'question 1',
+          info: 'info 1',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              maxProducts: 2,
+              productCategories: ['generic'],
+              products: [],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 1,
+        });
+        await models.Project.update({ templateId: 1 }, { where: { id: projectId } });
+        await models.ProjectPhase.update({ templatePhaseKey: 'phase1' }, { where: { id: phaseId } });
+        await models.PhaseProduct.create({
+          name: 'existing product',
+          type: 'generic',
+          templateId: 21,
+          projectId,
+          phaseId,
+          createdBy: 1,
+          updatedBy: 1,
+        });
+      });
+
+      it('should return 201 if phase definition allows more products than the default max value', async () => {
+        const res = await request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/products`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templateId: 21 }, body))
+          .expect('Content-Type', /json/)
+          .expect(201);
+
+        res.body.templateId.should.be.eql(21);
+      });
+
+      it('should return 400 if phase already has the max number of products of the phase definition', async () => {
+        await models.PhaseProduct.create({
+          name: 'another product',
+          type: 'generic',
+          templateId: 21,
+          projectId,
+          phaseId,
+          createdBy: 1,
+          updatedBy: 1,
+        });
+
+        const res = await request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/products`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templateId: 21 }, body))
+          .expect('Content-Type', /json/)
+          .expect(400);
+
+        res.body.message.should.be.eql('the number of products of phase "test project phase" cannot exceed 2');
+      });
+
+      it('should return 400 if product template category is not allowed by the phase definition', async () => {
+        const res = await request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/products`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templateId: 22 }, body))
+          .expect('Content-Type', /json/)
+          .expect(400);
+
+        res.body.message.should.be.eql('Products of phase "test project phase" can only be created from ' +
+          'product templates of categories: generic. Product template 22 has category "design".');
+      });
+
+      it('should return 400 if product is not created from a product template', (done) => {
+        request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/products`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(body)
+          .expect('Content-Type', /json/)
+          .expect(400, done);
+      });
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
@@ -314,7 +446,24 @@ describe('Phase Products', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(1);
+                createEventSpy.callCount.should.be.eql(4);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseId,
+                  budget: 20,
+                  spentBudget: 1.23456,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 20,
+                  actualPrice: 1.23,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_CREATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
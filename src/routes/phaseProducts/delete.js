@@ -4,7 +4,10 @@ import _ from 'lodash';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
+import { findTemplatePhaseDefinition, validateProductRemoval } from './commonHelper';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -17,16 +20,17 @@ module.exports = [
     const phaseId = _.parseInt(req.params.phaseId);
     const productId = _.parseInt(req.params.productId);
 
-    models.sequelize.transaction(() =>
+    let deleted;
+    let rolledUp;
+
+    models.sequelize.transaction(transaction =>
       // soft delete the record
-      models.PhaseProduct.findOne({
-        where: {
-          id: productId,
-          projectId,
-          phaseId,
-          deletedAt: { $eq: null },
-        },
-      }).then((existing) => {
+      etag.lockAndCheckIfMatch(req, models.PhaseProduct, {
+        id: productId,
+        projectId,
+        phaseId,
+        deletedAt: { $eq: null },
+      }, transaction).then((existing) => {
         if (!existing) {
           // handle 404
           const err = new Error('No active phase product found for project id ' +
@@ -34,10 +38,34 @@ module.exports = [
           err.status = 404;
           return Promise.reject(err);
         }
-        return existing.update({ deletedBy: req.authUser.userId });
+
+        // make sure the phase keeps the minimal number of products of its phase definition,
+        // the phase is locked, so concurrent requests cannot remove more products from it
+        return models.ProjectPhase.findOne({
+          where: { id: phaseId, projectId },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        })
+          .then(phase => Promise.all([
+            models.Project.findByPk(projectId, { attributes: ['templateId'], transaction }),
+            models.PhaseProduct.count({ where: { projectId, phaseId }, transaction }),
+          ])
+            .then(([project, productCount]) => findTemplatePhaseDefinition(
+              project.templateId,
+              _.get(phase, 'templatePhaseKey'),
+            )
+              .then(phaseDefinition => validateProductRemoval(phase, phaseDefinition, productCount))))
+          .then(() => existing.update({ deletedBy: req.authUser.userId }, { transaction }));
       })
-        .then(entity => entity.destroy()))
-      .then((deleted) => {
+        .then(entity => entity.destroy({ transaction }))
+        .then((entity) => {
+          deleted = entity;
+          return rollUpProductBudget(deleted.get({ plain: true }), null, req.authUser.userId, transaction);
+        })
+        .then((_rolledUp) => {
+          rolledUp = _rolledUp;
+        }))
+      .then(() => {
         req.log.debug('deleted phase product', JSON.stringify(deleted, null, 2));
         // emit the event
         util.sendResourceToKafkaBus(
@@ -45,6 +73,7 @@ module.exports = [
           EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_REMOVED,
           RESOURCES.PHASE_PRODUCT,
           _.pick(deleted.toJSON(), 'id'));
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.PHASES.UPDATE);
 
         res.status(204).json({});
       })
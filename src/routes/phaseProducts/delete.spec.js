@@ -7,7 +7,8 @@ import server from '../../app';
 import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
-import { BUS_API_EVENT, RESOURCES } from '../../constants';
+import etag from '../../middlewares/etag';
+import { BUS_API_EVENT, RESOURCES, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 
 const should = chai.should(); // eslint-disable-line no-unused-vars
 
@@ -189,6 +190,92 @@ describe('Phase Products', () => {
         .end(err => expectAfterDelete(projectId, phaseId, productId, err, done));
     });
 
+    describe('phase created from the project template', () => {
+      beforeEach(async () => {
+        await models.ProjectTemplate.create({
+          id: 1,
+          name: 'template 1',
+          key: 'key 1',
+          category: 'category 1',
+          icon: 'http://example.com/icon1.ico',
+          question: 'question 1',
+          info: 'info 1',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              minProducts: 1,
+              maxProducts: 2,
+              products: [],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 1,
+        });
+        await models.Project.update({ templateId: 1 }, { where: { id: projectId } });
+        await models.ProjectPhase.update({ templatePhaseKey: 'phase1' }, { where: { id: phaseId } });
+      });
+
+      it('should return 400 and keep the product if phase has the min number of products', async () => {
+        await request(server)
+          .delete(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .expect('Content-Type', /json/)
+          .expect(400);
+
+        const product = await models.PhaseProduct.findByPk(productId);
+        should.exist(product);
+      });
+
+      it('should return 204 if phase has more than the min number of products', async () => {
+        await models.PhaseProduct.create({
+          name: 'another product',
+          type: 'generic',
+          projectId,
+          phaseId,
+          createdBy: 1,
+          updatedBy: 1,
+        });
+
+        await request(server)
+          .delete(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .expect(204);
+      });
+    });
+
+    it('should return 412 and keep the product if "If-Match" header does not match the current product ETag',
+      async () => {
+        await request(server)
+          .delete(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+            'If-Match': `"${productId}-0"`,
+          })
+          .expect('Content-Type', /json/)
+          .expect(412);
+
+        const product = await models.PhaseProduct.findByPk(productId);
+        should.exist(product);
+      });
+
+    it('should return 204 if "If-Match" header matches the current product ETag', async () => {
+      const product = await models.PhaseProduct.findByPk(productId, { raw: true });
+
+      await request(server)
+        .delete(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': etag.buildETag(product),
+        })
+        .expect(204);
+    });
+
     it('should return 204 if requested by admin', (done) => {
       request(server)
         .delete(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
@@ -272,7 +359,24 @@ describe('Phase Products', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(1);
+                createEventSpy.callCount.should.be.eql(4);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseId,
+                  budget: 0,
+                  spentBudget: 0,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 0,
+                  actualPrice: 0,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_DELETED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
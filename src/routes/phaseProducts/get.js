@@ -3,12 +3,14 @@ import _ from 'lodash';
 
 import models from '../../models';
 import util from '../../util';
+import etag from '../../middlewares/etag';
 
 const permissions = require('tc-core-library-js').middleware.permissions;
 
 module.exports = [
   // check permission
   permissions('project.view'),
+  etag.setETag,
 
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
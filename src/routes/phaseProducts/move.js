@@ -0,0 +1,127 @@
+/**
+ * API to move a phase product to another phase of the same project.
+ *
+ * The product keeps its id, so its `details` and the timeline which refers to the product stay as they are.
+ * For the consumers which index products inside phases, moving is reported as removing the product
+ * from the original phase and adding it to the target phase.
+ */
+import validate from 'express-validation';
+import _ from 'lodash';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpPhaseBudget, rollUpProjectPrices, sendRolledUpBudgetEvents } from '../phases/commonHelper';
+import { findTemplatePhaseDefinition, validateProductAddition, validateProductRemoval } from './commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    phaseId: Joi.number().integer().positive().required(),
+    productId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    phaseId: Joi.number().integer().positive().required(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('project.updatePhaseProduct'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const phaseId = _.parseInt(req.params.phaseId);
+    const productId = _.parseInt(req.params.productId);
+    const targetPhaseId = req.body.phaseId;
+    const userId = req.authUser.userId;
+
+    try {
+      let original;
+      let rolledUpPhases;
+      let rolledUpProject;
+      const moved = await models.sequelize.transaction(async (transaction) => {
+        const product = await models.PhaseProduct.findOne({
+          where: { id: productId, projectId, phaseId },
+          transaction,
+        });
+        if (!product) {
+          throw util.buildApiError('No active phase product found for project id ' +
+            `${projectId}, phase id ${phaseId} and product id ${productId}`, 404);
+        }
+        if (targetPhaseId === phaseId) {
+          throw util.buildApiError(`Product ${productId} already belongs to phase ${phaseId}.`, 400);
+        }
+
+        // lock both phases, so concurrent requests cannot change the number of their products until the move is saved,
+        // the phases are always locked in the same order, so concurrent moves between them cannot deadlock
+        const phases = await models.ProjectPhase.findAll({
+          where: { id: [phaseId, targetPhaseId], projectId },
+          order: [['id', 'ASC']],
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        const sourcePhase = _.find(phases, { id: phaseId });
+        const targetPhase = _.find(phases, { id: targetPhaseId });
+        if (!targetPhase) {
+          throw util.buildApiError(`Target phase not found for project id ${projectId} ` +
+            `and phase id ${targetPhaseId}`, 400);
+        }
+
+        const project = await models.Project.findByPk(projectId, { attributes: ['templateId'], transaction });
+
+        // make sure the source phase keeps the minimal number of products of its phase definition
+        const sourceProductCount = await models.PhaseProduct.count({ where: { projectId, phaseId }, transaction });
+        const sourcePhaseDefinition = await findTemplatePhaseDefinition(
+          project.templateId,
+          _.get(sourcePhase, 'templatePhaseKey'),
+        );
+        validateProductRemoval(sourcePhase, sourcePhaseDefinition, sourceProductCount);
+
+        // make sure the product satisfies the constraints of the phase definition of the target phase
+        const productCount = await models.PhaseProduct.count({
+          where: { projectId, phaseId: targetPhaseId },
+          transaction,
+        });
+        const phaseDefinition = await findTemplatePhaseDefinition(project.templateId, targetPhase.templatePhaseKey);
+        await validateProductAddition(targetPhase, phaseDefinition, productCount, product.templateId, transaction);
+
+        original = _.omit(product.get({ plain: true }), ['deletedAt', 'deletedBy']);
+        await product.update({ phaseId: targetPhaseId, updatedBy: userId }, { transaction });
+
+        // budgets of both phases change, while the project total only changes if some phase budget is overridden
+        rolledUpPhases = [
+          await rollUpPhaseBudget(projectId, phaseId, userId, transaction),
+          await rollUpPhaseBudget(projectId, targetPhaseId, userId, transaction),
+        ];
+        rolledUpProject = await rollUpProjectPrices(projectId, userId, transaction);
+
+        return product;
+      });
+
+      const movedProduct = _.omit(moved.get({ plain: true }), ['deletedAt', 'deletedBy']);
+      req.log.debug(`moved phase product ${productId} from phase ${phaseId} to phase ${targetPhaseId}`);
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_REMOVED,
+        RESOURCES.PHASE_PRODUCT,
+        original);
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_ADDED,
+        RESOURCES.PHASE_PRODUCT,
+        movedProduct);
+      _.each(rolledUpPhases, (phase) => {
+        sendRolledUpBudgetEvents(req, { phase }, ROUTES.PHASES.UPDATE);
+      });
+      sendRolledUpBudgetEvents(req, { project: rolledUpProject }, ROUTES.PHASES.UPDATE);
+
+      res.json(movedProduct);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
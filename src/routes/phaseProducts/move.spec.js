@@ -0,0 +1,288 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import sinon from 'sinon';
+import chai from 'chai';
+import request from 'supertest';
+import server from '../../app';
+import models from '../../models';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import {
+  BUS_API_EVENT,
+  RESOURCES,
+  CONNECT_NOTIFICATION_EVENT,
+  TIMELINE_REFERENCES,
+} from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Move Phase Product', () => {
+  let projectId;
+  let phaseId;
+  let targetPhaseId;
+  let productId;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      estimatedPrice: 20,
+      actualPrice: 5,
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    projectId = project.id;
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.copilot,
+      projectId,
+      role: 'copilot',
+      isPrimary: false,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.member,
+      projectId,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    const phases = await models.ProjectPhase.bulkCreate([{
+      projectId,
+      name: 'phase 1',
+      status: 'active',
+      budget: 20,
+      spentBudget: 5,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      projectId,
+      name: 'phase 2',
+      status: 'active',
+      createdBy: 1,
+      updatedBy: 1,
+    }], { returning: true });
+    phaseId = phases[0].id;
+    targetPhaseId = phases[1].id;
+    const product = await models.PhaseProduct.create({
+      name: 'test product',
+      type: 'generic',
+      projectId,
+      phaseId,
+      estimatedPrice: 20,
+      actualPrice: 5,
+      details: { message: 'This can be any json' },
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    productId = product.id;
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/{projectId}/phases/{phaseId}/products/{productId}/move', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .send({ phaseId: targetPhaseId })
+        .expect(403, done);
+    });
+
+    it('should return 403 for customer', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ phaseId: targetPhaseId })
+        .expect(403, done);
+    });
+
+    it('should return 404 if product is not found in the phase', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${targetPhaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId })
+        .expect(404, done);
+    });
+
+    it('should return 400 if target phase is not a phase of the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId: targetPhaseId + 1 })
+        .expect(400, done);
+    });
+
+    it('should return 400 if target phase is the same phase', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId })
+        .expect(400, done);
+    });
+
+    it('should return 400 if target phase already has the max number of products', async () => {
+      await models.PhaseProduct.create({
+        name: 'another product',
+        type: 'generic',
+        projectId,
+        phaseId: targetPhaseId,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId: targetPhaseId })
+        .expect(400);
+
+      const product = await models.PhaseProduct.findByPk(productId);
+      product.phaseId.should.equal(phaseId);
+    });
+
+    it('should return 400 if source phase has the min number of products of its phase definition', async () => {
+      await models.ProjectTemplate.create({
+        id: 1,
+        name: 'template 1',
+        key: 'key 1',
+        category: 'category 1',
+        icon: 'http://example.com/icon1.ico',
+        question: 'question 1',
+        info: 'info 1',
+        aliases: [],
+        scope: {},
+        phases: {
+          phase1: {
+            name: 'phase 1',
+            minProducts: 1,
+            maxProducts: 2,
+            products: [],
+          },
+        },
+        createdBy: 1,
+        updatedBy: 1,
+      });
+      await models.Project.update({ templateId: 1 }, { where: { id: projectId } });
+      await models.ProjectPhase.update({ templatePhaseKey: 'phase1' }, { where: { id: phaseId } });
+
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId: targetPhaseId })
+        .expect(400);
+
+      const product = await models.PhaseProduct.findByPk(productId);
+      product.phaseId.should.equal(phaseId);
+    });
+
+    it('should move product with its details and timeline, and recalculate phase budgets', async () => {
+      const timeline = await models.Timeline.create({
+        name: 'product timeline',
+        startDate: '2018-05-15T00:00:00Z',
+        reference: TIMELINE_REFERENCES.PRODUCT,
+        referenceId: productId,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      const res = await request(server)
+        .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseId: targetPhaseId })
+        .expect(200);
+
+      res.body.should.include({ id: productId, phaseId: targetPhaseId, updatedBy: testUtil.userIds.copilot });
+      res.body.details.should.eql({ message: 'This can be any json' });
+
+      const productTimeline = await models.Timeline.findByPk(timeline.id);
+      productTimeline.reference.should.equal(TIMELINE_REFERENCES.PRODUCT);
+      productTimeline.referenceId.should.equal(productId);
+
+      const phases = await models.ProjectPhase.findAll({ where: { projectId }, order: [['id', 'asc']] });
+      _.map(phases, 'budget').should.eql([0, 20]);
+      _.map(phases, 'spentBudget').should.eql([0, 5]);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send product removed and added events', (done) => {
+        request(server)
+          .post(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}/move`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ phaseId: targetPhaseId })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                // the project total doesn't change, so only the budgets of both phases are updated
+                createEventSpy.callCount.should.be.eql(6);
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_REMOVED, sinon.match({
+                  resource: RESOURCES.PHASE_PRODUCT,
+                  id: productId,
+                  phaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_ADDED, sinon.match({
+                  resource: RESOURCES.PHASE_PRODUCT,
+                  id: productId,
+                  phaseId: targetPhaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: targetPhaseId,
+                  budget: 20,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId: targetPhaseId,
+                })).should.be.true;
+                done();
+              });
+            }
+          });
+      });
+    });
+  });
+});
@@ -1,11 +1,13 @@
 
-import validate from 'express-validation';
 import _ from 'lodash';
 import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
 import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
+import etag from '../../middlewares/etag';
+import jsonPatch from '../../middlewares/jsonPatch';
 
 
 const permissions = tcMiddleware.permissions;
@@ -25,29 +27,28 @@ const updatePhaseProductValidation = {
 
 
 module.exports = [
-  // validate request payload
-  validate(updatePhaseProductValidation),
   // check permission
   permissions('project.updatePhaseProduct'),
+  // validate request payload, JSON Patch is validated after it's applied to the phase product
+  jsonPatch.validate(updatePhaseProductValidation),
+  etag.setETag,
 
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
     const phaseId = _.parseInt(req.params.phaseId);
     const productId = _.parseInt(req.params.productId);
 
-    const updatedProps = req.body;
-    updatedProps.updatedBy = req.authUser.userId;
-
+    let updatedProps = req.body;
     let previousValue;
+    let updated;
+    let rolledUp;
 
-    models.sequelize.transaction(() => models.PhaseProduct.findOne({
-      where: {
-        id: productId,
-        projectId,
-        phaseId,
-        deletedAt: { $eq: null },
-      },
-    }).then(existing => new Promise((accept, reject) => {
+    models.sequelize.transaction(transaction => etag.lockAndCheckIfMatch(req, models.PhaseProduct, {
+      id: productId,
+      projectId,
+      phaseId,
+      deletedAt: { $eq: null },
+    }, transaction).then(existing => new Promise((accept, reject) => {
       if (!existing) {
         // handle 404
         const err = new Error('No active phase product found for project id ' +
@@ -57,11 +58,22 @@ module.exports = [
       } else {
         previousValue = _.clone(existing.get({ plain: true }));
 
+        if (req.jsonPatch) {
+          updatedProps = jsonPatch.applyJsonPatch(req, existing, updatePhaseProductValidation.body);
+        }
+        updatedProps.updatedBy = req.authUser.userId;
         _.extend(existing, updatedProps);
-        existing.save().then(accept).catch(reject);
+        existing.save({ transaction }).then(accept).catch(reject);
       }
-    })))
-      .then((updated) => {
+    }))
+      .then((updatedPhaseProduct) => {
+        updated = updatedPhaseProduct;
+        return rollUpProductBudget(previousValue, updated.get({ plain: true }), req.authUser.userId, transaction);
+      })
+      .then((_rolledUp) => {
+        rolledUp = _rolledUp;
+      }))
+      .then(() => {
         req.log.debug('updated phase product', JSON.stringify(updated, null, 2));
 
         const updatedValue = updated.get({ plain: true });
@@ -74,6 +86,7 @@ module.exports = [
           updatedValue,
           previousValue,
           ROUTES.PHASE_PRODUCTS.UPDATE);
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.PHASES.UPDATE);
 
         res.json(updated);
       }).catch(err => next(err));
@@ -7,6 +7,7 @@ import server from '../../app';
 import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 import { BUS_API_EVENT, RESOURCES, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 
 const should = chai.should();
@@ -212,6 +213,97 @@ describe('Phase Products', () => {
         });
     });
 
+    it('should return 412 if "If-Match" header does not match the current product ETag', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': `"${productId}-0"`,
+        })
+        .send(updateBody)
+        .expect('Content-Type', /json/)
+        .expect(412, done);
+    });
+
+    it('should return 200 and new ETag if "If-Match" header matches the current product ETag', async () => {
+      const currentETag = etag.buildETag(await models.PhaseProduct.findByPk(productId, { raw: true }));
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': currentETag,
+        })
+        .send(updateBody)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.headers.etag.should.not.equal(currentETag);
+      res.headers.etag.should.equal(etag.buildETag(res.body));
+    });
+
+    it('should update product only once for concurrent requests with the same "If-Match" header', async () => {
+      const currentETag = etag.buildETag(await models.PhaseProduct.findByPk(productId, { raw: true }));
+      const patch = name => request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': currentETag,
+        })
+        .send({ name });
+
+      const responses = await Promise.all([patch('first'), patch('second')]);
+
+      _.map(responses, 'status').sort().should.be.eql([200, 412]);
+    });
+
+    it('should return 200 and update product using JSON Patch', async () => {
+      await models.PhaseProduct.update({ details: { a: 1, b: [1] } }, { where: { id: productId } });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([
+          { op: 'remove', path: '/details/a' },
+          { op: 'add', path: '/details/b/-', value: 2 },
+          { op: 'replace', path: '/name', value: 'patched name' },
+        ])
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.name.should.equal('patched name');
+      res.body.details.should.be.eql({ b: [1, 2] });
+      const updated = await models.PhaseProduct.findByPk(productId);
+      updated.details.should.be.eql({ b: [1, 2] });
+    });
+
+    it('should return 400 if JSON Patch cannot be applied', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'remove', path: '/details/notExistent' }])
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 403 for JSON Patch if user does not have permissions, even if product does not exist', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'replace', path: '/name', value: 'patched name' }])
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+    });
+
     it('should return 200 if requested by admin', (done) => {
       request(server)
         .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
@@ -274,6 +366,56 @@ describe('Phase Products', () => {
       });
     });
 
+    describe('budget roll-up', () => {
+      it('should recalculate phase budget and project prices when product prices are updated', async () => {
+        await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ estimatedPrice: 30.5, actualPrice: 10 })
+          .expect(200);
+
+        const phase = await models.ProjectPhase.findByPk(phaseId);
+        phase.budget.should.equal(30.5);
+        phase.spentBudget.should.equal(10);
+        const project = await models.Project.findByPk(projectId);
+        parseFloat(project.estimatedPrice).should.equal(30.5);
+        parseFloat(project.actualPrice).should.equal(10);
+      });
+
+      it('should not recalculate phase budget if it is overridden', async () => {
+        await models.ProjectPhase.update({ budgetOverride: true }, { where: { id: phaseId } });
+
+        await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ estimatedPrice: 30.5 })
+          .expect(200);
+
+        const phase = await models.ProjectPhase.findByPk(phaseId);
+        phase.budget.should.equal(20);
+        // project prices are still calculated from the phase budgets
+        const project = await models.Project.findByPk(projectId);
+        parseFloat(project.estimatedPrice).should.equal(20);
+      });
+
+      it('should not recalculate budgets if product prices are not changed', async () => {
+        await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}/products/${productId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ name: 'new name' })
+          .expect(200);
+
+        const project = await models.Project.findByPk(projectId);
+        should.not.exist(project.estimatedPrice);
+      });
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
@@ -345,7 +487,24 @@ describe('Phase Products', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(5);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseId,
+                  budget: 123,
+                  spentBudget: 1.23456,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 123,
+                  actualPrice: 1.23,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
@@ -383,7 +542,24 @@ describe('Phase Products', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(5);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseId,
+                  budget: 20,
+                  spentBudget: 123,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 20,
+                  actualPrice: 123,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
@@ -0,0 +1,373 @@
+/**
+ * Common functionality for phase endpoints
+ */
+import _ from 'lodash';
+import moment from 'moment';
+import Joi from 'joi';
+import models from '../../models';
+import util from '../../util';
+import {
+  EVENT,
+  RESOURCES,
+  PHASE_DEPENDENCY_TYPE,
+  PROJECT_CHANGE_SOURCE,
+  PHASE_APPROVAL_STATUS,
+} from '../../constants';
+
+/**
+ * Joi schema of the phase dependencies
+ */
+const dependenciesSchema = Joi.array().items(Joi.object().keys({
+  phaseId: Joi.number().integer().positive().required(),
+  type: Joi.string().valid(_.values(PHASE_DEPENDENCY_TYPE)).required(),
+  lag: Joi.number().integer().default(0),
+}));
+
+/**
+ * Get the date when the phase has to start according to its dependencies.
+ *
+ * Dependencies on phases which are not active anymore, or which don't have the required date, are ignored.
+ * If the phase depends on several phases, it starts when the latest of the dependencies allows it.
+ *
+ * @param {Object} phase       the phase
+ * @param {Object} phasesById  active phases of the project by id
+ * @returns {Date|null} the start date, or `null` if the phase isn't constrained by any dependency
+ */
+function getDependentStartDate(phase, phasesById) {
+  const startDates = _.compact(_.map(phase.dependencies, (dependency) => {
+    const dependsOn = phasesById[dependency.phaseId];
+    const date = dependency.type === PHASE_DEPENDENCY_TYPE.START_TO_START
+      ? _.get(dependsOn, 'startDate')
+      : _.get(dependsOn, 'endDate');
+
+    return date ? moment.utc(date).add(dependency.lag || 0, 'days') : null;
+  }));
+
+  return startDates.length > 0 ? moment.max(startDates).toDate() : null;
+}
+
+/**
+ * Sort phases so each phase goes after all the phases it depends on.
+ *
+ * @param {Array} phases the phases
+ * @returns {Array|null} the sorted phases, or `null` if there is a dependency cycle
+ */
+function sortByDependencies(phases) {
+  const phasesById = _.keyBy(phases, 'id');
+  const sorted = [];
+  const visited = {};
+
+  // depth-first search, where `visited[id] === false` means the phase is on the current path
+  const visit = (phase) => {
+    if (visited[phase.id] === false) {
+      return false;
+    }
+    if (!visited[phase.id]) {
+      visited[phase.id] = false;
+      const dependsOn = _.compact(_.map(phase.dependencies, dependency => phasesById[dependency.phaseId]));
+      if (!_.every(dependsOn, visit)) {
+        return false;
+      }
+      visited[phase.id] = true;
+      sorted.push(phase);
+    }
+    return true;
+  };
+
+  return _.every(phases, visit) ? sorted : null;
+}
+
+/**
+ * Validate dependencies of the phase. The phase can only depend on the other active phases
+ * of the same project, and dependencies cannot have cycles.
+ *
+ * @param {Number} phaseId       the phase id, `undefined` for the new phase
+ * @param {Array}  dependencies  the dependencies of the phase
+ * @param {Array}  phases        all active phases of the project
+ * @returns {undefined}
+ * @throws {Error} if dependencies are not valid
+ */
+function validateDependencies(phaseId, dependencies, phases) {
+  const phaseIds = _.map(phases, 'id');
+  if (_.uniqBy(dependencies, 'phaseId').length !== _.size(dependencies)) {
+    throw util.buildApiError('Phase cannot depend on the same phase more than once.', 400);
+  }
+  _.each(dependencies, (dependency) => {
+    if (dependency.phaseId === phaseId) {
+      throw util.buildApiError('Phase cannot depend on itself.', 400);
+    }
+    if (!_.includes(phaseIds, dependency.phaseId)) {
+      throw util.buildApiError(
+        `Phase can only depend on active phases of the same project, phase ${dependency.phaseId} is not found.`, 400);
+    }
+  });
+
+  const updatedPhases = _.map(phases, phase => (
+    phase.id === phaseId ? _.assign({}, phase, { dependencies }) : phase
+  ));
+  if (!sortByDependencies(updatedPhases)) {
+    throw util.buildApiError('Phase dependencies cannot have cycles.', 400);
+  }
+}
+
+/**
+ * Shift all the phases which directly or transitively depend on the updated phase,
+ * so they start according to their dependencies. Shifted phases keep their length.
+ *
+ * @param {Object} updatedPhase  the updated phase
+ * @param {Array}  phases        all active phases of the project, including the updated phase
+ * @param {Number} userId        the user who updates the phase
+ * @param {Object} transaction   the transaction to use
+ * @returns {Promise<Array>} cascaded updates, as a list of `{ original, updated }` phases
+ */
+async function shiftDependentPhases(updatedPhase, phases, userId, transaction) {
+  const phasesById = _.keyBy(phases, 'id');
+  phasesById[updatedPhase.id] = updatedPhase;
+  const shiftedIds = { [updatedPhase.id]: true };
+  const cascadedUpdates = [];
+
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const phase of sortByDependencies(_.values(phasesById)) || []) {
+    const startDate = _.some(phase.dependencies, dependency => shiftedIds[dependency.phaseId])
+      ? getDependentStartDate(phase, phasesById)
+      : null;
+
+    if (startDate && !moment(startDate).isSame(phase.startDate)) {
+      const changes = { startDate, updatedBy: userId };
+      if (phase.startDate && phase.endDate) {
+        changes.endDate = moment.utc(phase.endDate).add(moment(startDate).diff(phase.startDate)).toDate();
+      }
+
+      const original = _.omit(phase, ['deletedAt', 'deletedBy']);
+      const [, [updated]] = await models.ProjectPhase.update(changes, {
+        where: { id: phase.id },
+        returning: true,
+        transaction,
+      });
+      phasesById[phase.id] = updated.get({ plain: true });
+      shiftedIds[phase.id] = true;
+      cascadedUpdates.push({
+        original,
+        updated: _.omit(phasesById[phase.id], ['deletedAt', 'deletedBy']),
+      });
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+  return cascadedUpdates;
+}
+
+/**
+ * Remove dependencies on the deleted phase from the other phases of the project.
+ *
+ * @param {Object} deletedPhase  the deleted phase
+ * @param {Number} userId        the user who deletes the phase
+ * @param {Object} transaction   the transaction to use
+ * @returns {Promise<Array>} updated phases, as a list of `{ original, updated }` phases
+ */
+async function removeDependenciesOnPhase(deletedPhase, userId, transaction) {
+  const phases = await models.ProjectPhase.findAll({
+    where: { projectId: deletedPhase.projectId },
+    transaction,
+  });
+
+  const dependentPhases = _.filter(phases, phase => _.some(phase.dependencies, { phaseId: deletedPhase.id }));
+  return Promise.all(_.map(dependentPhases, (phase) => {
+    const original = _.omit(phase.get({ plain: true }), ['deletedAt', 'deletedBy']);
+    return phase.update({
+      dependencies: _.reject(phase.dependencies, { phaseId: deletedPhase.id }),
+      updatedBy: userId,
+    }, { transaction })
+      .then(updated => ({ original, updated: _.omit(updated.get({ plain: true }), ['deletedAt', 'deletedBy']) }));
+  }));
+}
+
+/**
+ * Recalculate `budget` and `spentBudget` of the phase as the totals of `estimatedPrice` and `actualPrice`
+ * of its products, unless the phase has `budgetOverride`.
+ *
+ * @param {Number} projectId   the project id
+ * @param {Number} phaseId     the phase id
+ * @param {Number} userId      the user who made the change
+ * @param {Object} transaction the transaction to use
+ * @returns {Promise<Object>} `{ original, updated }` phase if it has been changed, or `null` otherwise
+ */
+async function rollUpPhaseBudget(projectId, phaseId, userId, transaction) {
+  const phase = await models.ProjectPhase.findOne({ where: { id: phaseId, projectId }, transaction });
+  if (!phase || phase.budgetOverride) {
+    return null;
+  }
+
+  const products = await models.PhaseProduct.findAll({
+    where: { projectId, phaseId },
+    attributes: ['estimatedPrice', 'actualPrice'],
+    raw: true,
+    transaction,
+  });
+  const budget = _.sumBy(products, 'estimatedPrice');
+  const spentBudget = _.sumBy(products, 'actualPrice');
+
+  if (budget === phase.budget && spentBudget === phase.spentBudget) {
+    return null;
+  }
+
+  const original = _.omit(phase.get({ plain: true }), ['deletedAt', 'deletedBy']);
+  await phase.update({ budget, spentBudget, updatedBy: userId }, { transaction });
+  return { original, updated: _.omit(phase.get({ plain: true }), ['deletedAt', 'deletedBy']) };
+}
+
+/**
+ * Recalculate `estimatedPrice` and `actualPrice` of the project as the totals of the budgets of its phases,
+ * unless the project has `priceOverride`.
+ *
+ * @param {Number} projectId   the project id
+ * @param {Number} userId      the user who made the change
+ * @param {Object} transaction the transaction to use
+ * @returns {Promise<Object>} `{ original, updated }` project if it has been changed, or `null` otherwise
+ */
+async function rollUpProjectPrices(projectId, userId, transaction) {
+  const project = await models.Project.findByPk(projectId, { transaction });
+  if (!project || project.priceOverride) {
+    return null;
+  }
+
+  const phases = await models.ProjectPhase.findAll({
+    where: { projectId },
+    attributes: ['budget', 'spentBudget'],
+    raw: true,
+    transaction,
+  });
+  // project prices are stored with 2 decimal places
+  const estimatedPrice = _.round(_.sumBy(phases, 'budget'), 2);
+  const actualPrice = _.round(_.sumBy(phases, 'spentBudget'), 2);
+
+  if (parseFloat(project.estimatedPrice) === estimatedPrice && parseFloat(project.actualPrice) === actualPrice) {
+    return null;
+  }
+
+  const original = _.omit(project.get({ plain: true }), ['deletedAt', 'deletedBy']);
+  await project.update({ estimatedPrice, actualPrice, updatedBy: userId }, { transaction });
+  const updated = _.omit(project.get({ plain: true }), ['deletedAt', 'deletedBy']);
+  await models.ProjectChangeHistory.recordChanges({
+    projectId,
+    source: PROJECT_CHANGE_SOURCE.PHASE_BUDGET_ROLL_UP,
+    original,
+    updated,
+    userId,
+  }, { transaction });
+  return { original, updated };
+}
+
+/**
+ * Recalculate budgets of the phase using `rollUpPhaseBudget`, and then prices of the project
+ * using `rollUpProjectPrices`.
+ *
+ * @param {Number} projectId   the project id
+ * @param {Number} phaseId     the phase id
+ * @param {Number} userId      the user who made the change
+ * @param {Object} transaction the transaction to use
+ * @returns {Promise<Object>} `{ phase, project }`, where each one is `{ original, updated }`
+ *                            if it has been changed, or `null` otherwise
+ */
+async function rollUpBudget(projectId, phaseId, userId, transaction) {
+  const phase = await rollUpPhaseBudget(projectId, phaseId, userId, transaction);
+  const project = await rollUpProjectPrices(projectId, userId, transaction);
+
+  return { phase, project };
+}
+
+/**
+ * Recalculate budgets using `rollUpBudget` if prices of the phase product have been changed.
+ *
+ * @param {Object} original    the original product, `null` if the product has been created
+ * @param {Object} updated     the updated product, `null` if the product has been deleted
+ * @param {Number} userId      the user who made the change
+ * @param {Object} transaction the transaction to use
+ * @returns {Promise<Object>} the result of `rollUpBudget`
+ */
+function rollUpProductBudget(original, updated, userId, transaction) {
+  const getPrices = product => [_.get(product, 'estimatedPrice') || 0, _.get(product, 'actualPrice') || 0];
+  if (_.isEqual(getPrices(original), getPrices(updated))) {
+    return Promise.resolve({ phase: null, project: null });
+  }
+
+  const product = updated || original;
+  return rollUpBudget(product.projectId, product.phaseId, userId, transaction);
+}
+
+/**
+ * Send events about the phase and the project updated by `rollUpBudget`.
+ *
+ * @param {Object} req       the request
+ * @param {Object} rolledUp  the result of `rollUpBudget`
+ * @param {String} route     `ROUTES.WORKS.UPDATE` if the phase is a work, `ROUTES.PHASES.UPDATE` otherwise
+ * @returns {undefined}
+ */
+function sendRolledUpBudgetEvents(req, rolledUp, route) {
+  if (rolledUp.phase) {
+    // the main event is about the product, so users are only notified about the changed payment
+    util.sendResourceToKafkaBus(
+      req,
+      EVENT.ROUTING_KEY.PROJECT_PHASE_UPDATED,
+      RESOURCES.PHASE,
+      rolledUp.phase.updated,
+      rolledUp.phase.original,
+      route,
+      true);
+    req.app.emit(EVENT.ROUTING_KEY.PROJECT_PHASE_PAYMENT_UPDATED, _.assign({ req, route }, rolledUp.phase));
+  }
+  if (rolledUp.project) {
+    req.app.emit(EVENT.ROUTING_KEY.PROJECT_UPDATED, {
+      req,
+      original: rolledUp.project.original,
+      updated: _.assign({ resource: RESOURCES.PROJECT }, rolledUp.project.updated),
+    });
+  }
+}
+
+/**
+ * Turn on the override flag if calculated values are set manually, so they are not recalculated anymore.
+ * The values are still recalculated if the override flag is explicitly set to `false` at the same time.
+ *
+ * @param {Object} props         the properties to create or update the entity with, updated in place
+ * @param {Array}  fields        the calculated properties, like `['budget', 'spentBudget']`
+ * @param {String} overrideField the override flag, like `budgetOverride`
+ * @returns {Object} the same `props`
+ */
+function setOverrideIfValuesSet(props, fields, overrideField) {
+  if (!_.has(props, overrideField) && _.some(fields, field => _.has(props, field))) {
+    props[overrideField] = true; // eslint-disable-line no-param-reassign
+  }
+  return props;
+}
+
+/**
+ * Validate that the phase can be completed, which is only possible after the customer has approved
+ * the latest sign-off request of the phase.
+ *
+ * @param {Number} phaseId     the phase id
+ * @param {Object} transaction the transaction to use
+ * @returns {Promise} resolved if the phase is approved
+ * @throws {Error} if the phase is not approved
+ */
+async function validatePhaseApproved(phaseId, transaction) {
+  const approval = await models.ProjectPhaseApproval.getLatestApproval(phaseId, { transaction });
+  if (!approval || approval.status !== PHASE_APPROVAL_STATUS.APPROVED) {
+    throw util.buildApiError(
+      `Phase ${phaseId} cannot be completed until the customer approves the sign-off of the phase.`, 400);
+  }
+}
+
+module.exports = {
+  dependenciesSchema,
+  validateDependencies,
+  shiftDependentPhases,
+  removeDependenciesOnPhase,
+  rollUpPhaseBudget,
+  rollUpProjectPrices,
+  rollUpBudget,
+  rollUpProductBudget,
+  sendRolledUpBudgetEvents,
+  setOverrideIfValuesSet,
+  validatePhaseApproved,
+};
@@ -4,7 +4,15 @@ import Joi from 'joi';
 
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES, PROJECT_PHASE_STATUS } from '../../constants';
+import {
+  dependenciesSchema,
+  validateDependencies,
+  rollUpProjectPrices,
+  sendRolledUpBudgetEvents,
+  setOverrideIfValuesSet,
+} from './commonHelper';
+import { getTemplatePhaseDefinition, validateProductAddition } from '../phaseProducts/commonHelper';
 
 const permissions = require('tc-core-library-js').middleware.permissions;
 
@@ -20,10 +28,13 @@ const addProjectPhaseValidations = {
     duration: Joi.number().min(0).optional(),
     budget: Joi.number().min(0).optional(),
     spentBudget: Joi.number().min(0).optional(),
+    budgetOverride: Joi.boolean().optional(),
     progress: Joi.number().min(0).optional(),
     details: Joi.any().optional(),
     order: Joi.number().integer().optional(),
     productTemplateId: Joi.number().integer().positive().optional(),
+    templatePhaseKey: Joi.string().max(255).optional(),
+    dependencies: dependenciesSchema.optional(),
   }).required(),
 };
 
@@ -42,12 +53,17 @@ module.exports = [
       createdBy: req.authUser.userId,
       updatedBy: req.authUser.userId,
     });
+    // budget set manually shouldn't be recalculated from the phase products
+    setOverrideIfValuesSet(data, ['budget', 'spentBudget'], 'budgetOverride');
 
     let newProjectPhase = null;
-    models.sequelize.transaction(() => {
+    let phaseDefinition = null;
+    let rolledUpProject;
+    models.sequelize.transaction((transaction) => {
       req.log.debug('Create Phase - Starting transaction');
       return models.Project.findOne({
         where: { id: projectId, deletedAt: { $eq: null } },
+        transaction,
       })
         .then((existingProject) => {
           if (!existingProject) {
@@ -60,8 +76,24 @@ module.exports = [
             err.status = 400;
             throw err;
           }
-          return models.ProjectPhase
-            .create(data)
+          // phase can only be completed after the customer signs it off
+          if (data.status === PROJECT_PHASE_STATUS.COMPLETED) {
+            const err = new Error('Phase cannot be created as completed.');
+            err.status = 400;
+            throw err;
+          }
+          return (data.dependencies
+            ? models.ProjectPhase.getActiveProjectPhases(projectId)
+              .then(phases => validateDependencies(undefined, data.dependencies, phases))
+            : Promise.resolve())
+            // the phase may be created from the phase definition of the project template
+            .then(() => (data.templatePhaseKey
+              ? getTemplatePhaseDefinition(existingProject.templateId, data.templatePhaseKey)
+              : null))
+            .then((_phaseDefinition) => {
+              phaseDefinition = _phaseDefinition;
+              return models.ProjectPhase.create(data, { transaction });
+            })
             .then((_newProjectPhase) => {
               newProjectPhase = _.cloneDeep(_newProjectPhase);
               req.log.debug('new project phase created (id# %d, name: %s)',
@@ -86,22 +118,31 @@ module.exports = [
                 throw err;
               }
 
-              // Create the phase product
-              return models.PhaseProduct.create({
-                name: productTemplate.name,
-                templateId: data.productTemplateId,
-                type: productTemplate.productKey,
-                projectId,
-                phaseId: newProjectPhase.id,
-                createdBy: req.authUser.userId,
-                updatedBy: req.authUser.userId,
-              })
-                .then((phaseProduct) => {
-                  newProjectPhase.products = [
-                    _.omit(phaseProduct.toJSON(), ['deletedAt', 'deletedBy']),
-                  ];
-                });
+              return validateProductAddition(newProjectPhase, phaseDefinition, 0, data.productTemplateId, transaction)
+                .then(() => productTemplate);
+            })
+            // Create the phase product
+            .then(productTemplate => models.PhaseProduct.create({
+              name: productTemplate.name,
+              templateId: data.productTemplateId,
+              type: productTemplate.productKey,
+              projectId,
+              phaseId: newProjectPhase.id,
+              createdBy: req.authUser.userId,
+              updatedBy: req.authUser.userId,
+            }, { transaction }))
+            .then((phaseProduct) => {
+              newProjectPhase.products = [
+                _.omit(phaseProduct.toJSON(), ['deletedAt', 'deletedBy']),
+              ];
             });
+        })
+        // project prices are the totals of the budgets of its phases
+        .then(() => (newProjectPhase.budget || newProjectPhase.spentBudget
+          ? rollUpProjectPrices(projectId, req.authUser.userId, transaction)
+          : null))
+        .then((_rolledUpProject) => {
+          rolledUpProject = _rolledUpProject;
         });
     })
       .then(() => {
@@ -110,6 +151,7 @@ module.exports = [
           EVENT.ROUTING_KEY.PROJECT_PHASE_ADDED,
           RESOURCES.PHASE,
           newProjectPhase);
+        sendRolledUpBudgetEvents(req, { project: rolledUpProject }, ROUTES.PHASES.UPDATE);
 
         res.status(201).json(newProjectPhase);
       })
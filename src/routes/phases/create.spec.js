@@ -197,6 +197,19 @@ describe('Project Phases', () => {
         .expect(400, done);
     });
 
+    it('should return 400 when status is completed', (done) => {
+      const reqBody = _.cloneDeep(body);
+      reqBody.status = 'completed';
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(reqBody)
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
     it('should return 400 when budget is negative', (done) => {
       const reqBody = _.cloneDeep(body);
       reqBody.budget = -20;
@@ -254,6 +267,56 @@ describe('Project Phases', () => {
         });
     });
 
+    it('should return 400 when phase depends on the phase which does not exist', (done) => {
+      request(server)
+        .post(`/v5/projects/${projectId}/phases/`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(_.assign({ dependencies: [{ phaseId: 99999, type: 'finish-to-start' }] }, body))
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 201 if phase depends on the other phase of the project', async () => {
+      const phase = await models.ProjectPhase.create(_.assign({ projectId, createdBy: 1, updatedBy: 1 }, body));
+      const res = await request(server)
+        .post(`/v5/projects/${projectId}/phases/`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(_.assign({ dependencies: [{ phaseId: phase.id, type: 'start-to-start', lag: 2 }] }, body))
+        .expect(201);
+
+      res.body.dependencies.should.be.eql([{ phaseId: phase.id, type: 'start-to-start', lag: 2 }]);
+    });
+
+    it('should recalculate project prices from the budget of the created phase', async () => {
+      await request(server)
+        .post(`/v5/projects/${projectId}/phases/`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(_.assign({}, body, { spentBudget: 5 }))
+        .expect(201);
+
+      const updatedProject = await models.Project.findByPk(projectId);
+      parseFloat(updatedProject.estimatedPrice).should.equal(body.budget);
+      parseFloat(updatedProject.actualPrice).should.equal(5);
+    });
+
+    it('should turn budgetOverride on if budget is set', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${projectId}/phases/`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send(body)
+        .expect(201);
+
+      res.body.budgetOverride.should.be.true;
+    });
+
     it('should return 201 if payload is valid (0 for non negative numbers)', (done) => {
       const bodyWithZeros = _.cloneDeep(body);
       bodyWithZeros.duration = 0;
@@ -308,6 +371,67 @@ describe('Project Phases', () => {
         });
     });
 
+    describe('phase definition of the project template', () => {
+      beforeEach(async () => {
+        await models.ProjectTemplate.create({
+          id: 1,
+          name: 'template 1',
+          key: 'key 1',
+          category: 'category 1',
+          icon: 'http://example.com/icon1.ico',
+          question: 'question 1',
+          info: 'info 1',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              productCategories: ['other'],
+              products: [],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 1,
+        });
+        await models.Project.update({ templateId: 1 }, { where: { id: projectId } });
+      });
+
+      it('should return 201 and keep the key of the phase definition', async () => {
+        const res = await request(server)
+          .post(`/v5/projects/${projectId}/phases/`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templatePhaseKey: 'phase1' }, body))
+          .expect(201);
+
+        res.body.templatePhaseKey.should.be.eql('phase1');
+      });
+
+      it('should return 400 if the project template has no such phase definition', async () => {
+        await request(server)
+          .post(`/v5/projects/${projectId}/phases/`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templatePhaseKey: 'phase2' }, body))
+          .expect(400);
+      });
+
+      it('should return 400 if product template category is not allowed by the phase definition', async () => {
+        await request(server)
+          .post(`/v5/projects/${projectId}/phases/`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send(_.assign({ templatePhaseKey: 'phase1', productTemplateId }, body))
+          .expect(400);
+
+        const phasesCount = await models.ProjectPhase.count({ where: { projectId } });
+        phasesCount.should.be.eql(0);
+      });
+    });
+
     it('should return 201 if requested by admin', (done) => {
       request(server)
         .post(`/v5/projects/${projectId}/phases/`)
@@ -401,7 +525,14 @@ describe('Project Phases', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(3);
+
+                // project prices are recalculated from the phase budget
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  estimatedPrice: body.budget,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_CREATED, sinon.match({
                   resource: RESOURCES.PHASE,
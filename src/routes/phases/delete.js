@@ -4,7 +4,9 @@ import _ from 'lodash';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { removeDependenciesOnPhase, rollUpProjectPrices, sendRolledUpBudgetEvents } from './commonHelper';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -15,16 +17,17 @@ module.exports = [
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
     const phaseId = _.parseInt(req.params.phaseId);
+    let deleted;
+    let dependentPhases;
+    let rolledUpProject;
 
-    models.sequelize.transaction(() =>
+    models.sequelize.transaction(transaction =>
       // soft delete the record
-      models.ProjectPhase.findOne({
-        where: {
-          id: phaseId,
-          projectId,
-          deletedAt: { $eq: null },
-        },
-      }).then((existing) => {
+      etag.lockAndCheckIfMatch(req, models.ProjectPhase, {
+        id: phaseId,
+        projectId,
+        deletedAt: { $eq: null },
+      }, transaction).then((existing) => {
         if (!existing) {
           // handle 404
           const err = new Error('no active project phase found for project id ' +
@@ -32,10 +35,25 @@ module.exports = [
           err.status = 404;
           return Promise.reject(err);
         }
-        return existing.update({ deletedBy: req.authUser.userId });
+        return existing.update({ deletedBy: req.authUser.userId }, { transaction });
       })
-        .then(entity => entity.destroy()))
-      .then((deleted) => {
+        .then(entity => entity.destroy({ transaction }))
+        .then((entity) => {
+          deleted = entity;
+          // other phases shouldn't depend on the deleted phase anymore
+          return removeDependenciesOnPhase(deleted, req.authUser.userId, transaction);
+        })
+        .then((updatedPhases) => {
+          dependentPhases = updatedPhases;
+          // budget of the deleted phase is not counted in the project prices anymore
+          return deleted.budget || deleted.spentBudget
+            ? rollUpProjectPrices(projectId, req.authUser.userId, transaction)
+            : null;
+        })
+        .then((_rolledUpProject) => {
+          rolledUpProject = _rolledUpProject;
+        }))
+      .then(() => {
         req.log.debug('deleted project phase', JSON.stringify(deleted, null, 2));
 
         //  emit event
@@ -45,6 +63,17 @@ module.exports = [
           RESOURCES.PHASE,
           deleted.toJSON(),
         );
+        _.each(dependentPhases, ({ original, updated }) => {
+          util.sendResourceToKafkaBus(
+            req,
+            EVENT.ROUTING_KEY.PROJECT_PHASE_UPDATED,
+            RESOURCES.PHASE,
+            updated,
+            original,
+            ROUTES.PHASES.UPDATE,
+            true);
+        });
+        sendRolledUpBudgetEvents(req, { project: rolledUpProject }, ROUTES.PHASES.UPDATE);
 
         res.status(204).json({});
       }).catch(err => next(err));
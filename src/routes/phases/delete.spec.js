@@ -7,6 +7,7 @@ import server from '../../app';
 import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 import {
   BUS_API_EVENT,
   RESOURCES,
@@ -169,6 +170,64 @@ describe('Project Phases', () => {
         .end(err => expectAfterDelete(projectId, phaseId, err, done));
     });
 
+    it('should remove dependencies on the deleted phase from the other phases', async () => {
+      const dependentPhase = await models.ProjectPhase.create(_.assign({}, body, {
+        dependencies: [{ phaseId, type: 'finish-to-start', lag: 0 }],
+      }));
+
+      await request(server)
+        .delete(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(204);
+
+      await dependentPhase.reload();
+      dependentPhase.dependencies.should.be.eql([]);
+      dependentPhase.updatedBy.should.equal(testUtil.userIds.copilot);
+    });
+
+    it('should recalculate project prices without the deleted phase budget', async () => {
+      await models.ProjectPhase.create(_.assign({}, body, { projectId, budget: 30, spentBudget: 10 }));
+
+      await request(server)
+        .delete(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(204);
+
+      const updatedProject = await models.Project.findByPk(projectId);
+      parseFloat(updatedProject.estimatedPrice).should.equal(30);
+      parseFloat(updatedProject.actualPrice).should.equal(10);
+    });
+
+    it('should return 412 and keep the phase if "If-Match" header does not match the current phase ETag', async () => {
+      await request(server)
+        .delete(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': `"${phaseId}-0"`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(412);
+
+      const phase = await models.ProjectPhase.findByPk(phaseId);
+      should.exist(phase);
+    });
+
+    it('should return 204 if "If-Match" header matches the current phase ETag', async () => {
+      const phase = await models.ProjectPhase.findByPk(phaseId, { raw: true });
+
+      await request(server)
+        .delete(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': etag.buildETag(phase),
+        })
+        .expect(204);
+    });
+
     it('should return 204 if requested by admin', (done) => {
       request(server)
         .delete(`/v5/projects/${projectId}/phases/${phaseId}`)
@@ -252,13 +311,20 @@ describe('Project Phases', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(3);
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_DELETED, sinon.match({
                   resource: RESOURCES.PHASE,
                   id: phaseId,
                 })).should.be.true;
 
+                // project prices are recalculated without the deleted phase
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  estimatedPrice: 0,
+                })).should.be.true;
+
                 // Check Notification Service events
                 createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PLAN_UPDATED, sinon.match({
                   projectId,
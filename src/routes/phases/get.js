@@ -3,11 +3,13 @@ import _ from 'lodash';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import models from '../../models';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
 module.exports = [
   permissions('project.view'),
+  etag.setETag,
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
     const phaseId = _.parseInt(req.params.phaseId);
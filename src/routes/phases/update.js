@@ -1,11 +1,28 @@
 
-import validate from 'express-validation';
 import _ from 'lodash';
 import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import statusTransitionUtils from '../../utils/statusTransitions';
+import {
+  EVENT,
+  RESOURCES,
+  ROUTES,
+  STATUS_TRANSITION_REFERENCES,
+  PROJECT_PHASE_STATUS,
+} from '../../constants';
+import {
+  dependenciesSchema,
+  validateDependencies,
+  shiftDependentPhases,
+  rollUpBudget,
+  sendRolledUpBudgetEvents,
+  setOverrideIfValuesSet,
+  validatePhaseApproved,
+} from './commonHelper';
+import etag from '../../middlewares/etag';
+import jsonPatch from '../../middlewares/jsonPatch';
 
 
 const permissions = tcMiddleware.permissions;
@@ -21,43 +38,56 @@ const updateProjectPhaseValidation = {
     duration: Joi.number().min(0).optional(),
     budget: Joi.number().min(0).optional(),
     spentBudget: Joi.number().min(0).optional(),
+    budgetOverride: Joi.boolean().optional(),
     progress: Joi.number().min(0).optional(),
     details: Joi.any().optional(),
     order: Joi.number().integer().optional(),
+    dependencies: dependenciesSchema.optional(),
   }).required(),
 };
 
 
 module.exports = [
-  // validate request payload
-  validate(updateProjectPhaseValidation),
   // check permission
   permissions('project.updateProjectPhase'),
+  // validate request payload, JSON Patch is validated after it's applied to the phase
+  jsonPatch.validate(updateProjectPhaseValidation),
+  etag.setETag,
 
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
     const phaseId = _.parseInt(req.params.phaseId);
 
-    const updatedProps = req.body;
-    updatedProps.updatedBy = req.authUser.userId;
-
+    let updatedProps = req.body;
     let previousValue;
     let updated;
-
-    models.sequelize.transaction(() => models.ProjectPhase.findOne({
-      where: {
-        id: phaseId,
-        projectId,
-        deletedAt: { $eq: null },
-      },
-    }).then(existing => new Promise((accept, reject) => {
+    let cascadedPhases = [];
+    let rolledUpProject;
+
+    models.sequelize.transaction(transaction => etag.lockAndCheckIfMatch(req, models.ProjectPhase, {
+      id: phaseId,
+      projectId,
+      deletedAt: { $eq: null },
+    }, transaction).then((existing) => {
       if (!existing) {
         // handle 404
         const err = new Error('No active project phase found for project id ' +
           `${projectId} and phase id ${phaseId}`);
         err.status = 404;
-        reject(err);
-      } else {
+        throw err;
+      }
+
+      if (req.jsonPatch) {
+        updatedProps = jsonPatch.applyJsonPatch(req, existing, updateProjectPhaseValidation.body);
+      }
+      updatedProps.updatedBy = req.authUser.userId;
+      // budget set manually shouldn't be recalculated from the phase products
+      setOverrideIfValuesSet(updatedProps, ['budget', 'spentBudget'], 'budgetOverride');
+
+      return (updatedProps.status
+        ? statusTransitionUtils.createStatusTransitionValidator(STATUS_TRANSITION_REFERENCES.PHASE, projectId, req)
+        : Promise.resolve(_.noop)
+      ).then(validateStatusTransition => new Promise((accept, reject) => {
         previousValue = _.clone(existing.get({ plain: true }));
 
         // make sure startDate < endDate
@@ -80,19 +110,64 @@ module.exports = [
           err.status = 400;
           reject(err);
         } else {
+          validateStatusTransition(existing.status, updatedProps.status);
           _.extend(existing, updatedProps);
-          existing.save().then(accept).catch(reject);
+          existing.save({ transaction }).then(accept).catch(reject);
         }
-      }
-    }))
+      }));
+    })
       .then((updatedPhase) => {
         updated = updatedPhase;
+
+        // phase can only be completed after the customer signs it off
+        return previousValue.status !== PROJECT_PHASE_STATUS.COMPLETED &&
+          updated.status === PROJECT_PHASE_STATUS.COMPLETED
+          ? validatePhaseApproved(phaseId, transaction)
+          : Promise.resolve();
+      })
+      .then(() => {
+        const datesChanged = !_.isEqual(previousValue.startDate, updated.startDate) ||
+          !_.isEqual(previousValue.endDate, updated.endDate);
+        if (!updatedProps.dependencies && !datesChanged) {
+          return Promise.resolve();
+        }
+
+        return models.ProjectPhase.findAll({ where: { projectId }, raw: true, transaction })
+          .then((phases) => {
+            if (updatedProps.dependencies) {
+              validateDependencies(phaseId, updatedProps.dependencies, phases);
+            }
+            // phases which depend on the updated phase should start according to its new dates
+            return datesChanged
+              ? shiftDependentPhases(updated.get({ plain: true }), phases, req.authUser.userId, transaction)
+              : [];
+          })
+          .then((cascadedUpdates) => {
+            cascadedPhases = cascadedUpdates;
+          });
+      })
+      .then(() => {
+        // recalculate budget of the phase and prices of the project when the budget is changed
+        const budgetChanged = _.some(['budget', 'spentBudget', 'budgetOverride'],
+          field => previousValue[field] !== updated[field]);
+        if (!budgetChanged) {
+          return Promise.resolve();
+        }
+
+        return rollUpBudget(projectId, phaseId, req.authUser.userId, transaction)
+          .then((rolledUp) => {
+            rolledUpProject = rolledUp.project;
+            return rolledUp.phase ? updated.reload({ transaction }) : null;
+          });
       }),
     )
       .then(() => {
         req.log.debug('updated project phase', JSON.stringify(updated, null, 2));
 
         const updatedValue = updated.get({ plain: true });
+        if (cascadedPhases.length > 0) {
+          updatedValue.cascadedUpdates = { phases: cascadedPhases };
+        }
 
         //  emit event
         util.sendResourceToKafkaBus(
@@ -103,7 +178,21 @@ module.exports = [
           previousValue,
           ROUTES.PHASES.UPDATE);
 
-        res.json(updated);
+        sendRolledUpBudgetEvents(req, { project: rolledUpProject }, ROUTES.PHASES.UPDATE);
+
+        // send updated event for all the shifted phases, users are notified only about the main phase update
+        _.each(cascadedPhases, ({ original, updated: cascadedPhase }) => {
+          util.sendResourceToKafkaBus(
+            req,
+            EVENT.ROUTING_KEY.PROJECT_PHASE_UPDATED,
+            RESOURCES.PHASE,
+            cascadedPhase,
+            original,
+            ROUTES.PHASES.UPDATE,
+            true);
+        });
+
+        res.json(updatedValue);
       })
       .catch(err => next(err));
   },
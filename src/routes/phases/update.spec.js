@@ -7,6 +7,7 @@ import server from '../../app';
 import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 import {
   BUS_API_EVENT,
   RESOURCES,
@@ -60,6 +61,7 @@ describe('Project Phases', () => {
   let projectId;
   let projectName;
   let phaseId;
+  let phaseId2;
   let phaseId3;
   const memberUser = {
     handle: testUtil.getDecodedToken(testUtil.jwts.member).handle,
@@ -121,6 +123,7 @@ describe('Project Phases', () => {
             models.ProjectPhase.bulkCreate(phases, { returning: true })
               .then((createdPhases) => {
                 phaseId = createdPhases[0].id;
+                phaseId2 = createdPhases[1].id;
                 phaseId3 = createdPhases[2].id;
 
                 done();
@@ -205,6 +208,122 @@ describe('Project Phases', () => {
         .expect(400, done);
     });
 
+    it('should allow any status transition if the project type does not restrict phase transitions', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({
+          status: 'draft',
+        })
+        .expect(200);
+
+      res.body.status.should.be.eql('draft');
+    });
+
+    it('should return 400 when status transition is not allowed by the project type metadata', (done) => {
+      models.ProjectType.create({
+        key: 'generic',
+        displayName: 'Generic',
+        icon: 'http://example.com/icon1.ico',
+        question: 'question 1',
+        info: 'info 1',
+        aliases: ['key-1', 'key_1'],
+        createdBy: 1,
+        updatedBy: 1,
+        metadata: {
+          statusTransitions: {
+            phase: {
+              active: { completed: true },
+            },
+          },
+        },
+      }).then(() => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({
+            status: 'draft',
+          })
+          .expect('Content-Type', /json/)
+          .expect(400)
+          .end((err, res) => {
+            if (err) {
+              done(err);
+            } else {
+              res.body.message.should.be.eql(
+                'Cannot change phase status from \'active\' to \'draft\'. Allowed statuses: completed.');
+              JSON.parse(res.body.details).should.be.eql({ allowedStatuses: ['completed'] });
+              done();
+            }
+          });
+      });
+    });
+
+    it('should return 400 when completing phase which has not been signed off', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ status: 'completed' })
+        .expect(400);
+
+      res.body.message.should.be.eql(
+        `Phase ${phaseId} cannot be completed until the customer approves the sign-off of the phase.`);
+    });
+
+    it('should return 400 when completing phase which sign-off has been rejected', async () => {
+      await models.ProjectPhaseApproval.bulkCreate([{
+        projectId,
+        phaseId,
+        status: 'approved',
+        createdBy: 1,
+        updatedBy: 1,
+      }, {
+        projectId,
+        phaseId,
+        status: 'rejected',
+        comment: 'not ready',
+        createdBy: 1,
+        updatedBy: 1,
+      }]);
+
+      await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ status: 'completed' })
+        .expect(400);
+
+      const phase = await models.ProjectPhase.findByPk(phaseId);
+      phase.status.should.be.eql('active');
+    });
+
+    it('should complete phase which sign-off has been approved', async () => {
+      await models.ProjectPhaseApproval.create({
+        projectId,
+        phaseId,
+        status: 'approved',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ status: 'completed' })
+        .expect(200);
+
+      res.body.status.should.be.eql('completed');
+    });
+
     it('should return updated phase when user have permission and parameters are valid', (done) => {
       request(server)
         .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
@@ -250,6 +369,128 @@ describe('Project Phases', () => {
         });
     });
 
+    it('should return 412 if "If-Match" header does not match the current phase ETag', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': `"${phaseId}-0"`,
+        })
+        .send(updateBody)
+        .expect('Content-Type', /json/)
+        .expect(412, done);
+    });
+
+    it('should return 200 and new ETag if "If-Match" header matches the current phase ETag', async () => {
+      const currentETag = etag.buildETag(await models.ProjectPhase.findByPk(phaseId, { raw: true }));
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': currentETag,
+        })
+        .send(updateBody)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.headers.etag.should.not.equal(currentETag);
+      res.headers.etag.should.equal(etag.buildETag(res.body));
+    });
+
+    it('should update phase only once for concurrent requests with the same "If-Match" header', async () => {
+      const currentETag = etag.buildETag(await models.ProjectPhase.findByPk(phaseId, { raw: true }));
+      const patch = name => request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': currentETag,
+        })
+        .send({ name });
+
+      const responses = await Promise.all([patch('first'), patch('second')]);
+
+      _.map(responses, 'status').sort().should.be.eql([200, 412]);
+      const phase = await models.ProjectPhase.findByPk(phaseId);
+      phase.name.should.be.eql(_.find(responses, { status: 200 }).body.name);
+    });
+
+    it('should return 200 and update phase using JSON Patch', async () => {
+      await models.ProjectPhase.update({ details: { a: 1, b: [1] } }, { where: { id: phaseId } });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([
+          { op: 'remove', path: '/details/a' },
+          { op: 'add', path: '/details/b/-', value: 2 },
+          { op: 'replace', path: '/name', value: 'patched name' },
+        ])
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.name.should.equal('patched name');
+      res.body.details.should.be.eql({ b: [1, 2] });
+      const updated = await models.ProjectPhase.findByPk(phaseId);
+      updated.details.should.be.eql({ b: [1, 2] });
+    });
+
+    it('should keep concurrent JSON Patch updates of the different details properties', async () => {
+      await models.ProjectPhase.update({ details: {} }, { where: { id: phaseId } });
+
+      const patchDetails = (key, value) => request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'add', path: `/details/${key}`, value }])
+        .expect(200);
+      await Promise.all([patchDetails('a', 1), patchDetails('b', 2)]);
+
+      const updated = await models.ProjectPhase.findByPk(phaseId);
+      updated.details.should.be.eql({ a: 1, b: 2 });
+    });
+
+    it('should return 404 for JSON Patch if phase does not exist', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'replace', path: '/name', value: 'patched name' }])
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+    });
+
+    it('should return 400 if JSON Patch cannot be applied', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'remove', path: '/details/notExistent' }])
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 403 for JSON Patch if user does not have permissions, even if phase does not exist', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/phases/999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'replace', path: '/name', value: 'patched name' }])
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+    });
+
     it('should return 200 if requested by admin', (done) => {
       request(server)
         .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
@@ -312,6 +553,187 @@ describe('Project Phases', () => {
       });
     });
 
+    describe('phase dependencies', () => {
+      beforeEach(() => Promise.all([
+        models.ProjectPhase.update({
+          dependencies: [{ phaseId, type: 'finish-to-start', lag: 1 }],
+        }, { where: { id: phaseId2 } }),
+        models.ProjectPhase.update({
+          dependencies: [{ phaseId: phaseId2, type: 'start-to-start', lag: 0 }],
+        }, { where: { id: phaseId3 } }),
+      ]));
+
+      it('should return 400 if phase depends on itself', (done) => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ dependencies: [{ phaseId, type: 'finish-to-start' }] })
+          .expect(400, done);
+      });
+
+      it('should return 400 if phase depends on the phase which does not exist', (done) => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ dependencies: [{ phaseId: 999, type: 'finish-to-start' }] })
+          .expect(400, done);
+      });
+
+      it('should return 400 if dependency type is invalid', (done) => {
+        request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ dependencies: [{ phaseId: phaseId2, type: 'finish-to-finish' }] })
+          .expect(400, done);
+      });
+
+      it('should return 400 if dependencies have a cycle', async () => {
+        await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ dependencies: [{ phaseId: phaseId3, type: 'finish-to-start' }] })
+          .expect(400);
+
+        // the dependencies are not updated
+        const phase = await models.ProjectPhase.findByPk(phaseId);
+        phase.dependencies.should.be.eql([]);
+      });
+
+      it('should update dependencies of the phase', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId3}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ dependencies: [{ phaseId, type: 'start-to-start' }] })
+          .expect(200);
+
+        res.body.dependencies.should.be.eql([{ phaseId, type: 'start-to-start', lag: 0 }]);
+        should.not.exist(res.body.cascadedUpdates);
+      });
+
+      it('should shift dependent phases when dates of the phase are updated', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ endDate: '2018-05-20T00:00:00Z' })
+          .expect(200);
+
+        res.body.cascadedUpdates.phases.should.have.length(2);
+        const [cascaded2, cascaded3] = res.body.cascadedUpdates.phases;
+        cascaded2.original.id.should.equal(phaseId2);
+        cascaded2.original.startDate.should.equal('2018-05-15T00:00:00.000Z');
+        cascaded2.updated.startDate.should.equal('2018-05-21T00:00:00.000Z');
+        cascaded2.updated.endDate.should.equal('2018-05-21T12:00:00.000Z');
+        cascaded3.updated.id.should.equal(phaseId3);
+        cascaded3.updated.startDate.should.equal('2018-05-21T00:00:00.000Z');
+
+        const phase3 = await models.ProjectPhase.findByPk(phaseId3);
+        phase3.startDate.toISOString().should.equal('2018-05-21T00:00:00.000Z');
+        phase3.endDate.toISOString().should.equal('2018-05-21T12:00:00.000Z');
+        phase3.updatedBy.should.equal(testUtil.userIds.copilot);
+      });
+
+      it('should not shift phases which do not depend on the updated phase', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId3}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ endDate: '2018-05-20T00:00:00Z' })
+          .expect(200);
+
+        should.not.exist(res.body.cascadedUpdates);
+        const phase2 = await models.ProjectPhase.findByPk(phaseId2);
+        phase2.startDate.toISOString().should.equal('2018-05-15T00:00:00.000Z');
+      });
+    });
+
+    describe('budget roll-up', () => {
+      beforeEach(() => models.PhaseProduct.bulkCreate([50, 25].map(price => ({
+        name: 'test product',
+        type: 'generic',
+        projectId,
+        phaseId,
+        estimatedPrice: price,
+        actualPrice: price / 5,
+        createdBy: 1,
+        updatedBy: 1,
+      }))));
+
+      it('should recalculate budget from the products when budgetOverride is turned off', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ budget: 1000, budgetOverride: false })
+          .expect(200);
+
+        res.body.budget.should.equal(75);
+        res.body.spentBudget.should.equal(15);
+        const updatedProject = await models.Project.findByPk(projectId);
+        // the other phases have budget 20
+        parseFloat(updatedProject.estimatedPrice).should.equal(115);
+      });
+
+      it('should keep budget set manually when budgetOverride is turned on', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ budget: 1000, budgetOverride: true })
+          .expect(200);
+
+        res.body.budget.should.equal(1000);
+        res.body.budgetOverride.should.be.true;
+        const updatedProject = await models.Project.findByPk(projectId);
+        parseFloat(updatedProject.estimatedPrice).should.equal(1040);
+      });
+
+      it('should turn budgetOverride on when budget is set without it', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ spentBudget: 300 })
+          .expect(200);
+
+        res.body.budgetOverride.should.be.true;
+        res.body.budget.should.equal(20);
+        res.body.spentBudget.should.equal(300);
+        const updatedProject = await models.Project.findByPk(projectId);
+        parseFloat(updatedProject.estimatedPrice).should.equal(60);
+        parseFloat(updatedProject.actualPrice).should.equal(300);
+      });
+
+      it('should not recalculate project prices if project has priceOverride', async () => {
+        await models.Project.update({ estimatedPrice: 10, priceOverride: true }, { where: { id: projectId } });
+        await request(server)
+          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ budget: 1000 })
+          .expect(200);
+
+        const updatedProject = await models.Project.findByPk(projectId);
+        parseFloat(updatedProject.estimatedPrice).should.equal(10);
+      });
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
@@ -348,7 +770,7 @@ describe('Project Phases', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(3);
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE,
@@ -359,6 +781,13 @@ describe('Project Phases', () => {
                 // Check Notification Service events
                 createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_UPDATE_PAYMENT).should.be.true;
 
+                // project prices are recalculated from the phase budgets
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  actualPrice: 123,
+                })).should.be.true;
+
                 done();
               });
             }
@@ -434,36 +863,46 @@ describe('Project Phases', () => {
       });
 
       it('should send correct BUS API messages when status updated (completed)', (done) => {
-        request(server)
-          .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
-          .set({
-            Authorization: `Bearer ${testUtil.jwts.copilot}`,
-          })
-          .send({
-            status: 'completed',
-          })
-          .expect('Content-Type', /json/)
-          .expect(200)
-          .end((err) => {
-            if (err) {
-              done(err);
-            } else {
-              testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
-
-                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
-                  resource: RESOURCES.PHASE,
-                  id: phaseId,
-                  updatedBy: testUtil.userIds.copilot,
-                })).should.be.true;
-
-                // Check Notification Service events
-                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_TRANSITION_COMPLETED).should.be.true;
-
-                done();
-              });
-            }
-          });
+        // phase can only be completed after sign-off
+        models.ProjectPhaseApproval.create({
+          projectId,
+          phaseId,
+          status: 'approved',
+          createdBy: 1,
+          updatedBy: 1,
+        }).then(() => {
+          request(server)
+            .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.copilot}`,
+            })
+            .send({
+              status: 'completed',
+            })
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                done(err);
+              } else {
+                testUtil.wait(() => {
+                  createEventSpy.callCount.should.be.eql(2);
+
+                  createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                    resource: RESOURCES.PHASE,
+                    id: phaseId,
+                    updatedBy: testUtil.userIds.copilot,
+                  })).should.be.true;
+
+                  // Check Notification Service events
+                  createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PHASE_TRANSITION_COMPLETED)
+                    .should.be.true;
+
+                  done();
+                });
+              }
+            });
+        });
       });
 
       it('should send correct BUS API messages when status updated (active)', (done) => {
@@ -515,7 +954,7 @@ describe('Project Phases', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(1);
+                createEventSpy.callCount.should.be.eql(2);
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE,
@@ -523,6 +962,13 @@ describe('Project Phases', () => {
                   updatedBy: testUtil.userIds.copilot,
                 })).should.be.true;
 
+                // project prices are recalculated from the phase budgets
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  estimatedPrice: 163,
+                })).should.be.true;
+
                 done();
               });
             }
@@ -667,6 +1113,47 @@ describe('Project Phases', () => {
             }
           });
       });
+
+      it('should send BUS API messages for the phases shifted by dependencies', (done) => {
+        models.ProjectPhase.update({
+          dependencies: [{ phaseId, type: 'finish-to-start' }],
+        }, { where: { id: phaseId2 } }).then(() => {
+          request(server)
+            .patch(`/v5/projects/${projectId}/phases/${phaseId}`)
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.copilot}`,
+            })
+            .send({
+              endDate: '2018-05-20T00:00:00Z',
+            })
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                done(err);
+              } else {
+                testUtil.wait(() => {
+                  createEventSpy.callCount.should.be.eql(2);
+
+                  createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                    resource: RESOURCES.PHASE,
+                    id: phaseId,
+                  })).should.be.true;
+                  const [, updatedPhase] = _.find(createEventSpy.args, ([, resource]) => resource.id === phaseId);
+                  updatedPhase.cascadedUpdates.phases.should.have.length(1);
+                  updatedPhase.cascadedUpdates.phases[0].updated.id.should.equal(phaseId2);
+                  createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                    resource: RESOURCES.PHASE,
+                    id: phaseId2,
+                    updatedBy: testUtil.userIds.copilot,
+                  })).should.be.true;
+
+                  done();
+                });
+              }
+            });
+        });
+      });
     });
   });
 });
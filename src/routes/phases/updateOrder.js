@@ -0,0 +1,93 @@
+/**
+ * API to reorder all the phases of the project at once.
+ *
+ * Takes the full ordered list of the project phase ids and updates `order` of the phases in one transaction,
+ * so the plan is never left partially reordered. Instead of a notification per phase,
+ * only one `PROJECT_PLAN_UPDATED` notification is sent.
+ */
+import validate from 'express-validation';
+import _ from 'lodash';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    phaseIds: Joi.array().items(Joi.number().integer().positive()).unique().min(1)
+      .required(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('project.updateProjectPhase'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const phaseIds = req.body.phaseIds;
+
+    try {
+      const updatedPhases = [];
+      const phases = await models.sequelize.transaction(async (transaction) => {
+        const existingPhases = await models.ProjectPhase.findAll({
+          where: { projectId },
+          transaction,
+        });
+
+        const existingIds = _.map(existingPhases, 'id');
+        if (existingIds.length !== phaseIds.length || _.difference(existingIds, phaseIds).length > 0) {
+          throw util.buildApiError(
+            `"phaseIds" should contain all the active phases of the project ${projectId}: ` +
+            `${_.sortBy(existingIds).join(', ')}.`, 400);
+        }
+
+        const phasesById = _.keyBy(existingPhases, 'id');
+        return Promise.all(_.map(phaseIds, (phaseId, index) => {
+          const phase = phasesById[phaseId];
+          const order = index + 1;
+          if (phase.order === order) {
+            return phase;
+          }
+
+          const original = _.clone(phase.get({ plain: true }));
+          return phase.update({ order, updatedBy: req.authUser.userId }, { transaction })
+            .then((updated) => {
+              updatedPhases.push({ original, updated: updated.get({ plain: true }) });
+              return updated;
+            });
+        }));
+      });
+
+      req.log.debug(`reordered ${updatedPhases.length} phases of project ${projectId}`);
+
+      // phases are indexed one by one, but users are notified only once about the whole plan update
+      _.each(updatedPhases, ({ original, updated }) => {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_PHASE_UPDATED,
+          RESOURCES.PHASE,
+          updated,
+          original,
+          ROUTES.PHASES.UPDATE,
+          true);
+      });
+      if (updatedPhases.length > 0) {
+        req.app.emit(EVENT.ROUTING_KEY.PROJECT_PHASES_REORDERED, {
+          req,
+          projectId,
+          phases: _.map(updatedPhases, 'updated'),
+        });
+      }
+
+      res.json(phases);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,207 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import sinon from 'sinon';
+import chai from 'chai';
+import request from 'supertest';
+import server from '../../app';
+import models from '../../models';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import {
+  BUS_API_EVENT,
+  RESOURCES,
+  CONNECT_NOTIFICATION_EVENT,
+} from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Reorder Project Phases', () => {
+  let projectId;
+  let phaseIds;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    projectId = project.id;
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.copilot,
+      projectId,
+      role: 'copilot',
+      isPrimary: false,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.member,
+      projectId,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    const phases = await models.ProjectPhase.bulkCreate(_.map([1, 2, 3, 4], order => ({
+      projectId,
+      name: `phase ${order}`,
+      status: 'active',
+      order,
+      createdBy: 1,
+      updatedBy: 1,
+    })), { returning: true });
+    phaseIds = _.map(phases, 'id');
+    // deleted phases don't have to be listed
+    await models.ProjectPhase.destroy({ where: { id: phaseIds.pop() } });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('PUT /projects/{id}/phases/order', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .send({ phaseIds })
+        .expect(403, done);
+    });
+
+    it('should return 403 for customer', (done) => {
+      request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ phaseIds })
+        .expect(403, done);
+    });
+
+    it('should return 400 if some active phase is missing', (done) => {
+      request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseIds: [phaseIds[1], phaseIds[0]] })
+        .expect(400, done);
+    });
+
+    it('should return 400 if phase is not an active phase of the project', (done) => {
+      request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseIds: [phaseIds[1], phaseIds[0], phaseIds[2] + 1] })
+        .expect(400, done);
+    });
+
+    it('should return 400 if phase is listed twice', (done) => {
+      request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseIds: [phaseIds[1], phaseIds[0], phaseIds[1]] })
+        .expect(400, done);
+    });
+
+    it('should update order of all the phases', async () => {
+      const res = await request(server)
+        .put(`/v5/projects/${projectId}/phases/order`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ phaseIds: [phaseIds[2], phaseIds[0], phaseIds[1]] })
+        .expect(200);
+
+      _.map(res.body, 'id').should.eql([phaseIds[2], phaseIds[0], phaseIds[1]]);
+      _.map(res.body, 'order').should.eql([1, 2, 3]);
+
+      const phases = await models.ProjectPhase.findAll({ where: { projectId }, order: [['order', 'asc']] });
+      _.map(phases, 'id').should.eql([phaseIds[2], phaseIds[0], phaseIds[1]]);
+      phases[0].updatedBy.should.equal(testUtil.userIds.copilot);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send a resource event per moved phase and only one PROJECT_PLAN_UPDATED notification', (done) => {
+        request(server)
+          .put(`/v5/projects/${projectId}/phases/order`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ phaseIds: [phaseIds[1], phaseIds[0], phaseIds[2]] })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                createEventSpy.callCount.should.be.eql(3);
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseIds[1],
+                  order: 1,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: phaseIds[0],
+                  order: 2,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_PLAN_UPDATED, sinon.match({
+                  projectId,
+                  initiatorUserId: testUtil.userIds.copilot,
+                })).should.be.true;
+                done();
+              });
+            }
+          });
+      });
+
+      it('should not send any events if order is not changed', (done) => {
+        request(server)
+          .put(`/v5/projects/${projectId}/phases/order`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ phaseIds })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              done(err);
+            } else {
+              testUtil.wait(() => {
+                createEventSpy.notCalled.should.be.true;
+                done();
+              });
+            }
+          });
+      });
+    });
+  });
+});
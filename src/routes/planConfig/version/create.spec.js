@@ -75,6 +75,24 @@ describe('CREATE PlanConfig version', () => {
         .end(done);
     });
 
+    it('should return 400 if minProducts of the phase definition is greater than maxProducts', (done) => {
+      const invalidBody = {
+        config: {
+          phase1: { name: 'phase 1', minProducts: 2, maxProducts: 1 },
+        },
+      };
+
+      request(server)
+        .post('/v5/projects/metadata/planConfig/dev/versions/')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(invalidBody)
+        .expect('Content-Type', /json/)
+        .expect(400)
+        .end(done);
+    });
+
     it('should return 201 for admin', (done) => {
       request(server)
         .post('/v5/projects/metadata/planConfig/dev/versions/')
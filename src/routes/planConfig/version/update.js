@@ -10,6 +10,7 @@ import { middleware as tcMiddleware } from 'tc-core-library-js';
 import { EVENT, RESOURCES } from '../../../constants';
 import util from '../../../util';
 import models from '../../../models';
+import { validatePhaseDefinitions } from '../../phaseProducts/commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -33,6 +34,7 @@ const schema = {
 module.exports = [
   validate(schema),
   permissions('planConfig.create'),
+  (req, res, next) => validatePhaseDefinitions(req.body.config).then(() => next()).catch(next),
   (req, res, next) => {
     models.sequelize.transaction(() => models.PlanConfig.findAll({
       where: {
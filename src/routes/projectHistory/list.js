@@ -0,0 +1,72 @@
+/**
+ * API to list the history of changes made to the project
+ */
+import _ from 'lodash';
+import config from 'config';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  query: {
+    field: Joi.string().optional(),
+    userId: Joi.number().integer().positive().optional(),
+    fromDate: Joi.date().optional(),
+    toDate: Joi.date().optional(),
+    page: Joi.number().integer().positive().optional(),
+    perPage: Joi.number().integer().positive().optional(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('project.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const limit = Math.min(_.parseInt(req.query.perPage) || config.pageSize, config.pageSize);
+    const page = _.parseInt(req.query.page) || 1;
+
+    const where = { projectId };
+    if (req.query.field) {
+      where.fields = { $contains: [req.query.field] };
+    }
+    if (req.query.userId) {
+      where.createdBy = _.parseInt(req.query.userId);
+    }
+    if (req.query.fromDate || req.query.toDate) {
+      where.createdAt = {};
+      if (req.query.fromDate) {
+        where.createdAt.$gte = new Date(req.query.fromDate);
+      }
+      if (req.query.toDate) {
+        where.createdAt.$lte = new Date(req.query.toDate);
+      }
+    }
+
+    try {
+      const project = await models.Project.findByPk(projectId, { attributes: ['id'], raw: true });
+      if (!project) {
+        throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+      }
+
+      const { rows, count } = await models.ProjectChangeHistory.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+        raw: true,
+      });
+
+      util.setPaginationHeaders(req, res, { rows, count, page, pageSize: limit });
+    } catch (err) {
+      next(err);
+    }
+  },
+];
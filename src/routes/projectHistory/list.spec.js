@@ -0,0 +1,174 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import { PROJECT_CHANGE_SOURCE } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project change history', () => {
+  let project;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'draft',
+      details: { summary: 'old summary', appDefinition: { budget: 100 } },
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Update the project using API
+   *
+   * @param {String} jwt  token of the user who updates the project
+   * @param {Object} body updated properties
+   *
+   * @returns {Promise} promise
+   */
+  const updateProject = (jwt, body) => request(server)
+    .patch(`/v5/projects/${project.id}`)
+    .set({
+      Authorization: `Bearer ${jwt}`,
+    })
+    .send(body)
+    .expect(200);
+
+  describe('GET /projects/{id}/history', () => {
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/history`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .get('/v5/projects/999999/history')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return field-level changes made by project update', async () => {
+      await updateProject(testUtil.jwts.copilot, {
+        name: 'new name',
+        billingAccountId: 2,
+        details: { appDefinition: { budget: 200 } },
+      });
+
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/history`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      const record = res.body[0];
+      record.source.should.be.eql(PROJECT_CHANGE_SOURCE.PROJECT_UPDATE);
+      record.createdBy.should.be.eql(testUtil.userIds.copilot);
+      record.fields.should.have.members(['name', 'billingAccountId', 'details']);
+      record.changes.should.have.deep.members([
+        { path: 'name', from: 'test1', to: 'new name' },
+        { path: 'billingAccountId', from: 1, to: 2 },
+        { path: 'details.appDefinition.budget', from: 100, to: 200 },
+      ]);
+    });
+
+    it('should not record anything if nothing has been changed', async () => {
+      await updateProject(testUtil.jwts.copilot, { name: 'test1' });
+
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/history`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(0);
+    });
+
+    it('should filter history by field, user and date range', async () => {
+      await updateProject(testUtil.jwts.copilot, { name: 'new name' });
+      await updateProject(testUtil.jwts.member, { description: 'new description' });
+
+      let res = await request(server)
+        .get(`/v5/projects/${project.id}/history?field=description`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+      res.body.should.have.lengthOf(1);
+      res.body[0].fields.should.be.eql(['description']);
+
+      res = await request(server)
+        .get(`/v5/projects/${project.id}/history?userId=${testUtil.userIds.copilot}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+      res.body.should.have.lengthOf(1);
+      res.body[0].fields.should.be.eql(['name']);
+
+      res = await request(server)
+        .get(`/v5/projects/${project.id}/history?toDate=2000-01-01T00:00:00Z`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+      res.body.should.have.lengthOf(0);
+    });
+
+    it('should paginate history', async () => {
+      await updateProject(testUtil.jwts.copilot, { name: 'new name 1' });
+      await updateProject(testUtil.jwts.copilot, { name: 'new name 2' });
+
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/history?perPage=1&page=2`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      // the newest changes go first
+      res.body[0].changes.should.be.eql([{ path: 'name', from: 'test1', to: 'new name 1' }]);
+      res.headers['x-total'].should.be.eql('2');
+    });
+  });
+});
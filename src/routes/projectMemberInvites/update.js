@@ -6,6 +6,7 @@ import models from '../../models';
 import util from '../../util';
 import { INVITE_STATUS, EVENT, RESOURCES } from '../../constants';
 import { PERMISSION } from '../../permissions/constants';
+import { validateProjectTermsAccepted } from '../projectTermsAcceptances/commonHelper';
 
 /**
  * API to update invite member to project.
@@ -76,10 +77,19 @@ module.exports = [
           return next(err);
         }
 
-        req.log.debug('Updating invite status');
-        return invite
-          .update({
-            status: newStatus,
+        // user has to accept the project terms before joining the project
+        const joiningUserId = invite.userId || (ownInvite ? currentUserId : null);
+        const validateTerms = joiningUserId &&
+          (newStatus === INVITE_STATUS.ACCEPTED || newStatus === INVITE_STATUS.REQUEST_APPROVED)
+          ? validateProjectTermsAccepted(projectId, joiningUserId)
+          : Promise.resolve();
+
+        return validateTerms
+          .then(() => {
+            req.log.debug('Updating invite status');
+            return invite.update({
+              status: newStatus,
+            });
           })
           .then((updatedInvite) => {
             // emit the event
@@ -331,6 +331,46 @@ describe('Project member invite update', () => {
         .end(() => done());
     });
 
+    it('should return 403 if member accepts invitation without accepting the project terms', async () => {
+      await project1.update({ terms: ['terms-1'] });
+
+      await request(server)
+        .patch(`/v5/projects/${project1.id}/invites/1`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({
+          status: INVITE_STATUS.ACCEPTED,
+        })
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+      const invite = await models.ProjectMemberInvite.findByPk(1);
+      invite.status.should.equal(INVITE_STATUS.PENDING);
+    });
+
+    it('should return 200 if member accepts invitation after accepting the project terms', async () => {
+      await project1.update({ terms: ['terms-1'] });
+      await models.ProjectTermsAcceptance.create({
+        projectId: project1.id,
+        userId: testUtil.userIds.member,
+        termsId: 'terms-1',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .patch(`/v5/projects/${project1.id}/invites/1`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({
+          status: INVITE_STATUS.ACCEPTED,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+    });
+
     it('should return 200 if admin accepts his/her invitation', (done) => {
       request(server)
         .patch(`/v5/projects/${project1.id}/invites/1`)
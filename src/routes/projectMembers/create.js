@@ -5,6 +5,7 @@ import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import models from '../../models';
 import { PROJECT_TO_TOPCODER_ROLES_MATRIX, PERMISSION } from '../../permissions/constants';
+import { validateProjectTermsAccepted } from '../projectTermsAcceptances/commonHelper';
 
 /**
  * API to add a project member.
@@ -76,6 +77,7 @@ module.exports = [
 
       let newMember;
       await models.sequelize.transaction(async (transaction) => {
+        await validateProjectTermsAccepted(projectId, addUserId, transaction);
         // Kafka event is emitted inside `addUserToProject`
         newMember = await util.addUserToProject(req, member, transaction);
       });
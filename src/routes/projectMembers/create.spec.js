@@ -327,6 +327,71 @@ describe('Project Members create', () => {
         });
     });
 
+    describe('Project terms', () => {
+      beforeEach(() => {
+        const mockHttpClient = _.merge(testUtil.mockHttpClient, {
+          get: () => Promise.resolve({
+            status: 200,
+            data: {
+              id: 'requesterId',
+              version: 'v3',
+              result: {
+                success: true,
+                status: 200,
+                content: [{
+                  roleName: USER_ROLE.TOPCODER_ADMIN,
+                }],
+              },
+            },
+          }),
+        });
+        sandbox.stub(util, 'getHttpClient', () => mockHttpClient);
+        return project1.update({ terms: ['terms-1', 'terms-2'] });
+      });
+
+      it('should return 403 if user has not accepted all the project terms', async () => {
+        await models.ProjectTermsAcceptance.create({
+          projectId: project1.id,
+          userId: testUtil.userIds.admin,
+          termsId: 'terms-1',
+          createdBy: 1,
+          updatedBy: 1,
+        });
+
+        await request(server)
+          .post(`/v5/projects/${project1.id}/members/`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .expect('Content-Type', /json/)
+          .expect(403);
+
+        const member = await models.ProjectMember.findOne({
+          where: { projectId: project1.id, userId: testUtil.userIds.admin },
+        });
+        should.not.exist(member);
+      });
+
+      it('should return 201 if user has accepted all the project terms', async () => {
+        await models.ProjectTermsAcceptance.bulkCreate(_.map(['terms-1', 'terms-2'], termsId => ({
+          projectId: project1.id,
+          userId: testUtil.userIds.admin,
+          termsId,
+          createdBy: 1,
+          updatedBy: 1,
+        })));
+
+        const res = await request(server)
+          .post(`/v5/projects/${project1.id}/members/`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .expect('Content-Type', /json/)
+          .expect(201);
+        res.body.userId.should.equal(testUtil.userIds.admin);
+      });
+    });
+
     it('should return 401 if register admin as role other than manager (copilot) ', (done) => {
       request(server)
         .post(`/v5/projects/${project1.id}/members/`)
@@ -0,0 +1,109 @@
+/**
+ * Helper methods for project relations routes
+ */
+import _ from 'lodash';
+import models from '../../models';
+import util from '../../util';
+import { PROJECT_RELATION_TYPE } from '../../constants';
+
+/**
+ * Relation types which cannot make cycles,
+ * like a project cannot be blocked-by itself through a chain of other projects.
+ */
+const ACYCLIC_RELATION_TYPES = [
+  PROJECT_RELATION_TYPE.CHILD,
+  PROJECT_RELATION_TYPE.BLOCKED_BY,
+];
+
+/**
+ * Convert relation to the form in which it's stored in DB.
+ * `parent` relation is stored as `child` relation of the related project.
+ *
+ * @param {Object} relation relation with `projectId`, `relatedProjectId` and `type`
+ *
+ * @returns {Object} relation in the stored form
+ */
+const normalizeRelation = (relation) => {
+  if (relation.type === PROJECT_RELATION_TYPE.PARENT) {
+    return _.assign({}, relation, {
+      projectId: relation.relatedProjectId,
+      relatedProjectId: relation.projectId,
+      type: PROJECT_RELATION_TYPE.CHILD,
+    });
+  }
+
+  return relation;
+};
+
+/**
+ * Find the relation which is related to the project, no matter on which side of the relation the project is.
+ *
+ * @param {Number} projectId   project id
+ * @param {Number} relationId  relation id
+ * @param {Object} [options]   sequelize options like `transaction`
+ *
+ * @returns {Promise} promise which resolves to the relation, or rejects with 404 error if not found
+ */
+const findProjectRelation = (projectId, relationId, options) => models.ProjectRelation.findOne(_.assign({
+  where: {
+    id: relationId,
+    $or: [{ projectId }, { relatedProjectId: projectId }],
+  },
+}, options))
+  .then((relation) => {
+    if (!relation) {
+      throw util.buildApiError(`Project relation not found for project id ${projectId} ` +
+        `and relation id ${relationId}`, 404);
+    }
+
+    return relation;
+  });
+
+/**
+ * Validate that the relation in the stored form can be saved:
+ * - no duplicate relations of the same type between the same projects
+ * - project can have only one parent project
+ * - `child` and `blocked-by` relations don't make cycles
+ *
+ * @param {Object} relation          relation in the stored form
+ * @param {Number} [relationId]      id of the relation which is being updated
+ * @param {Object} transaction       transaction
+ *
+ * @returns {Promise} promise which rejects with 400 error if relation is not valid
+ */
+async function validateRelation(relation, relationId, transaction) {
+  const { projectId, relatedProjectId, type } = relation;
+  const exceptCurrent = relationId ? { id: { $ne: relationId } } : {};
+
+  const existing = await models.ProjectRelation.findOne({
+    where: _.assign({ projectId, relatedProjectId, type }, exceptCurrent),
+    transaction,
+  });
+  if (existing) {
+    throw util.buildApiError(`Project ${projectId} is already "${type}" of project ${relatedProjectId}.`, 400);
+  }
+
+  if (type === PROJECT_RELATION_TYPE.CHILD) {
+    const parent = await models.ProjectRelation.findOne({
+      where: _.assign({ projectId, type }, exceptCurrent),
+      transaction,
+    });
+    if (parent) {
+      throw util.buildApiError(`Project ${projectId} already has parent project ${parent.relatedProjectId}.`, 400);
+    }
+  }
+
+  if (_.includes(ACYCLIC_RELATION_TYPES, type)) {
+    const hasCycle = await models.ProjectRelation.hasRelationChain(type, relatedProjectId, projectId, { transaction });
+    if (hasCycle) {
+      throw util.buildApiError(`Relation "${type}" of project ${projectId} to project ${relatedProjectId} ` +
+        'would make a cycle.', 400);
+    }
+  }
+}
+
+module.exports = {
+  normalizeRelation,
+  findProjectRelation,
+  validateRelation,
+};
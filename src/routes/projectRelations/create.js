@@ -0,0 +1,83 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, PROJECT_RELATION_TYPE } from '../../constants';
+import { PERMISSION } from '../../permissions/constants';
+import { normalizeRelation, validateRelation } from './commonHelper';
+
+/**
+ * API to create a relation of the project to another project.
+ *
+ * `parent` relation is stored as `child` relation of the related project,
+ * so the created relation is returned in the stored form.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    type: Joi.any().valid(_.values(PROJECT_RELATION_TYPE)).required(),
+    relatedProjectId: Joi.number().integer().positive().required(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectRelation.create'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const { type, relatedProjectId } = req.body;
+
+    try {
+      if (relatedProjectId === projectId) {
+        throw util.buildApiError('Project cannot be related to itself.', 400);
+      }
+
+      const created = await models.sequelize.transaction(async (transaction) => {
+        const projects = await models.Project.findAll({
+          where: { id: [projectId, relatedProjectId] },
+          attributes: ['id'],
+          transaction,
+        });
+        if (!_.find(projects, { id: projectId })) {
+          throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+        }
+        if (!_.find(projects, { id: relatedProjectId })) {
+          throw util.buildApiError(`Related project not found for id ${relatedProjectId}`, 400);
+        }
+
+        // user should have access to the related project too
+        const relatedProjectMembers = await models.ProjectMember.getActiveProjectMembers(relatedProjectId);
+        if (!util.hasPermission(PERMISSION.READ_PROJECT, req.authUser, relatedProjectMembers)) {
+          throw util.buildApiError(`You don't have permissions to access related project ${relatedProjectId}.`, 403);
+        }
+
+        const relation = normalizeRelation({ projectId, relatedProjectId, type });
+        await validateRelation(relation, null, transaction);
+
+        return models.ProjectRelation.create(_.assign(relation, {
+          createdBy: req.authUser.userId,
+          updatedBy: req.authUser.userId,
+        }), { transaction });
+      });
+
+      const newRelation = _.omit(created.toJSON(), ['deletedAt', 'deletedBy']);
+      req.log.debug('new project relation created', JSON.stringify(newRelation));
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_RELATION_ADDED,
+        RESOURCES.PROJECT_RELATION,
+        newRelation);
+
+      res.status(201).json(newRelation);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,276 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Create project relation', () => {
+  let project1;
+  let project2;
+  let project3;
+  let notAccessibleProject;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2' }, projectProps));
+    project3 = await models.Project.create(_.assign({ name: 'test3' }, projectProps));
+    notAccessibleProject = await models.Project.create(_.assign({ name: 'test4' }, projectProps));
+
+    const members = [];
+    _.forEach([project1, project2, project3], (project) => {
+      members.push({
+        userId: testUtil.userIds.member,
+        projectId: project.id,
+        role: 'customer',
+        isPrimary: true,
+        createdBy: 1,
+        updatedBy: 1,
+      }, {
+        userId: testUtil.userIds.manager,
+        projectId: project.id,
+        role: 'manager',
+        isPrimary: true,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+    });
+    members.push({
+      userId: testUtil.userIds.copilot,
+      projectId: project1.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.manager,
+      projectId: notAccessibleProject.id,
+      role: 'manager',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.ProjectMember.bulkCreate(members);
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Create relation directly in DB
+   *
+   * @param {Number} projectId        project id
+   * @param {Number} relatedProjectId related project id
+   * @param {String} type             relation type
+   *
+   * @returns {Promise} promise
+   */
+  const createRelation = (projectId, relatedProjectId, type) => models.ProjectRelation.create({
+    projectId,
+    relatedProjectId,
+    type,
+    createdBy: 1,
+    updatedBy: 1,
+  });
+
+  describe('POST /projects/{id}/relations', () => {
+    it('should return 403 if user is customer of the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: project2.id })
+        .expect(403, done);
+    });
+
+    it('should return 403 if user is not a member of the related project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: notAccessibleProject.id })
+        .expect(403, done);
+    });
+
+    it('should return 400 for invalid type', (done) => {
+      request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'invalid', relatedProjectId: project2.id })
+        .expect(400, done);
+    });
+
+    it('should return 400 if project is related to itself', (done) => {
+      request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: project1.id })
+        .expect(400, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .post('/v5/projects/999999/relations')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: project2.id })
+        .expect(404, done);
+    });
+
+    it('should return 400 if related project does not exist', (done) => {
+      request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: 999999 })
+        .expect(400, done);
+    });
+
+    it('should return 400 for duplicate relation', async () => {
+      await createRelation(project1.id, project2.id, 'follow-up');
+
+      await request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: project2.id })
+        .expect(400);
+    });
+
+    it('should return 400 if project already has a parent project', async () => {
+      await createRelation(project1.id, project2.id, 'child');
+
+      await request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'child', relatedProjectId: project3.id })
+        .expect(400);
+    });
+
+    it('should return 400 if blocked-by relations make a cycle', async () => {
+      await createRelation(project1.id, project2.id, 'blocked-by');
+      await createRelation(project2.id, project3.id, 'blocked-by');
+
+      await request(server)
+        .post(`/v5/projects/${project3.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'blocked-by', relatedProjectId: project1.id })
+        .expect(400);
+    });
+
+    it('should return 400 if child relations make a cycle', async () => {
+      await createRelation(project2.id, project1.id, 'child');
+
+      await request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'child', relatedProjectId: project2.id })
+        .expect(400);
+    });
+
+    it('should return 201 for manager', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ type: 'follow-up', relatedProjectId: project2.id })
+        .expect(201);
+
+      res.body.id.should.be.a('number');
+      res.body.projectId.should.be.eql(project1.id);
+      res.body.relatedProjectId.should.be.eql(project2.id);
+      res.body.type.should.be.eql('follow-up');
+      res.body.createdBy.should.be.eql(testUtil.userIds.manager);
+      should.not.exist(res.body.deletedAt);
+      should.not.exist(res.body.deletedBy);
+    });
+
+    it('should return 201 and store parent relation as child relation of the related project', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ type: 'parent', relatedProjectId: project2.id })
+        .expect(201);
+
+      res.body.projectId.should.be.eql(project2.id);
+      res.body.relatedProjectId.should.be.eql(project1.id);
+      res.body.type.should.be.eql('child');
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_RELATION_ADDED', async () => {
+        await request(server)
+          .post(`/v5/projects/${project1.id}/relations`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.manager}`,
+          })
+          .send({ type: 'follow-up', relatedProjectId: project2.id })
+          .expect(201);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_RELATION_ADDED, sinon.match({
+          resource: RESOURCES.PROJECT_RELATION,
+          projectId: project1.id,
+          relatedProjectId: project2.id,
+          type: 'follow-up',
+        })).should.be.true;
+      });
+    });
+  });
+});
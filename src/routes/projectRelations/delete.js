@@ -0,0 +1,49 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES } from '../../constants';
+import { findProjectRelation } from './commonHelper';
+
+/**
+ * API to delete a project relation.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    relationId: Joi.number().integer().positive().required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectRelation.delete'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const relationId = _.parseInt(req.params.relationId);
+
+    try {
+      const deleted = await models.sequelize.transaction(async (transaction) => {
+        const relation = await findProjectRelation(projectId, relationId, { transaction });
+        await relation.update({ deletedBy: req.authUser.userId }, { transaction });
+        await relation.destroy({ transaction });
+        return relation;
+      });
+      req.log.debug('deleted project relation', JSON.stringify(deleted));
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_RELATION_REMOVED,
+        RESOURCES.PROJECT_RELATION,
+        _.pick(deleted.toJSON(), ['id', 'projectId', 'relatedProjectId', 'type']));
+
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,132 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Delete project relation', () => {
+  let project1;
+  let project2;
+  let relation;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2' }, projectProps));
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project1.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project1.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    relation = await models.ProjectRelation.create({
+      projectId: project1.id,
+      relatedProjectId: project2.id,
+      type: 'follow-up',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('DELETE /projects/{id}/relations/{relationId}', () => {
+    it('should return 403 if user is customer of the project', (done) => {
+      request(server)
+        .delete(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 for not existing relation', (done) => {
+      request(server)
+        .delete(`/v5/projects/${project1.id}/relations/999999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 204 for copilot', async () => {
+      await request(server)
+        .delete(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(204);
+
+      const deletedRelation = await models.ProjectRelation.findByPk(relation.id, { paranoid: false });
+      should.exist(deletedRelation.deletedAt);
+      deletedRelation.deletedBy.should.be.eql(testUtil.userIds.copilot);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_RELATION_REMOVED', async () => {
+        await request(server)
+          .delete(`/v5/projects/${project1.id}/relations/${relation.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .expect(204);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_RELATION_REMOVED, sinon.match({
+          resource: RESOURCES.PROJECT_RELATION,
+          id: relation.id,
+          projectId: project1.id,
+          relatedProjectId: project2.id,
+        })).should.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import { findProjectRelation } from './commonHelper';
+
+/**
+ * API to get a project relation.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    relationId: Joi.number().integer().positive().required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectRelation.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const relationId = _.parseInt(req.params.relationId);
+
+    try {
+      const relation = await findProjectRelation(projectId, relationId);
+      res.json(_.omit(relation.toJSON(), ['deletedAt', 'deletedBy']));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
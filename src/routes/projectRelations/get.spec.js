@@ -0,0 +1,131 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Get project relation', () => {
+  let project1;
+  let project2;
+  let relation;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2' }, projectProps));
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project1.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project1.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    relation = await models.ProjectRelation.create({
+      projectId: project1.id,
+      relatedProjectId: project2.id,
+      type: 'follow-up',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/{id}/relations/{relationId}', () => {
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .get(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 404 if relation does not belong to the project', async () => {
+      const project3 = await models.Project.create({
+        type: 'generic',
+        billingAccountId: 1,
+        name: 'test3',
+        description: 'test project3',
+        status: 'active',
+        details: {},
+        createdBy: 1,
+        updatedBy: 1,
+        lastActivityAt: 1,
+        lastActivityUserId: '1',
+      });
+
+      await request(server)
+        .get(`/v5/projects/${project3.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404);
+    });
+
+    it('should return 404 for deleted relation', async () => {
+      await relation.destroy();
+
+      await request(server)
+        .get(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404);
+    });
+
+    it('should return 200 for member', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.id.should.be.eql(relation.id);
+      res.body.projectId.should.be.eql(project1.id);
+      res.body.relatedProjectId.should.be.eql(project2.id);
+      res.body.type.should.be.eql('follow-up');
+      should.not.exist(res.body.deletedBy);
+    });
+
+    it('should return 200 when requested by the related project', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project2.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.id.should.be.eql(relation.id);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+
+/**
+ * API to list relations of the project to other projects and relations of other projects to the project.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectRelation.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+
+    try {
+      const relations = await models.ProjectRelation.getActiveProjectRelations(projectId);
+      res.json(_.map(relations, relation => _.omit(relation, ['deletedAt', 'deletedBy'])));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
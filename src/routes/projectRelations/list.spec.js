@@ -0,0 +1,112 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('List project relations', () => {
+  let project1;
+  let project2;
+  let relation;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2' }, projectProps));
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project1.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project1.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    relation = await models.ProjectRelation.create({
+      projectId: project1.id,
+      relatedProjectId: project2.id,
+      type: 'follow-up',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/{id}/relations', () => {
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .get(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 200 for member with relations of the project', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      res.body[0].id.should.be.eql(relation.id);
+      res.body[0].type.should.be.eql('follow-up');
+      should.not.exist(res.body[0].deletedAt);
+    });
+
+    it('should return 200 with relations of other projects to the project', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project2.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      res.body[0].projectId.should.be.eql(project1.id);
+      res.body[0].relatedProjectId.should.be.eql(project2.id);
+    });
+
+    it('should return 200 without deleted relations', async () => {
+      await relation.destroy();
+
+      const res = await request(server)
+        .get(`/v5/projects/${project1.id}/relations`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(0);
+    });
+  });
+});
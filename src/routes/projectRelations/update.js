@@ -0,0 +1,67 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, PROJECT_RELATION_TYPE } from '../../constants';
+import { findProjectRelation, validateRelation } from './commonHelper';
+
+/**
+ * API to update the type of a project relation.
+ *
+ * The type is updated for the relation in the stored form, so `parent` type cannot be used here,
+ * to make the related project a parent, delete the relation and create a new one.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+    relationId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    type: Joi.any().valid(_.without(_.values(PROJECT_RELATION_TYPE), PROJECT_RELATION_TYPE.PARENT)).required(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectRelation.edit'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const relationId = _.parseInt(req.params.relationId);
+
+    try {
+      let original;
+      const updated = await models.sequelize.transaction(async (transaction) => {
+        const relation = await findProjectRelation(projectId, relationId, { transaction });
+        original = _.omit(relation.toJSON(), ['deletedAt', 'deletedBy']);
+
+        if (relation.type === req.body.type) {
+          return relation;
+        }
+
+        await validateRelation(_.assign({}, original, { type: req.body.type }), relationId, transaction);
+
+        return relation.update({ type: req.body.type, updatedBy: req.authUser.userId }, { transaction });
+      });
+
+      const updatedRelation = _.omit(updated.toJSON(), ['deletedAt', 'deletedBy']);
+      req.log.debug('updated project relation', JSON.stringify(updatedRelation));
+
+      if (updatedRelation.type !== original.type) {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_RELATION_UPDATED,
+          RESOURCES.PROJECT_RELATION,
+          updatedRelation,
+          original);
+      }
+
+      res.json(updatedRelation);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,163 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Update project relation', () => {
+  let project1;
+  let project2;
+  let relation;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2' }, projectProps));
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project1.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project1.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    relation = await models.ProjectRelation.create({
+      projectId: project1.id,
+      relatedProjectId: project2.id,
+      type: 'follow-up',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('PATCH /projects/{id}/relations/{relationId}', () => {
+    it('should return 403 if user is customer of the project', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ type: 'duplicate' })
+        .expect(403, done);
+    });
+
+    it('should return 400 for parent type', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ type: 'parent' })
+        .expect(400, done);
+    });
+
+    it('should return 404 for not existing relation', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}/relations/999999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ type: 'duplicate' })
+        .expect(404, done);
+    });
+
+    it('should return 400 if relation would make a cycle', async () => {
+      await models.ProjectRelation.create({
+        projectId: project2.id,
+        relatedProjectId: project1.id,
+        type: 'blocked-by',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .patch(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ type: 'blocked-by' })
+        .expect(400);
+    });
+
+    it('should return 200 for copilot', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${project1.id}/relations/${relation.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ type: 'duplicate' })
+        .expect(200);
+
+      res.body.id.should.be.eql(relation.id);
+      res.body.type.should.be.eql('duplicate');
+      res.body.updatedBy.should.be.eql(testUtil.userIds.copilot);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_RELATION_UPDATED', async () => {
+        await request(server)
+          .patch(`/v5/projects/${project1.id}/relations/${relation.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .send({ type: 'duplicate' })
+          .expect(200);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_RELATION_UPDATED, sinon.match({
+          resource: RESOURCES.PROJECT_RELATION,
+          id: relation.id,
+          type: 'duplicate',
+        })).should.be.true;
+      });
+    });
+  });
+});
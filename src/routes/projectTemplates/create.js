@@ -9,6 +9,7 @@ import { EVENT, RESOURCES } from '../../constants';
 import fieldLookupValidation from '../../middlewares/fieldLookupValidation';
 import util from '../../util';
 import models from '../../models';
+import { validatePhaseDefinitions } from '../phaseProducts/commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -65,6 +66,7 @@ module.exports = [
       util.checkModel(form, 'Form', models.Form, 'project template'),
       util.checkModel(priceConfig, 'PriceConfig', models.PriceConfig, 'project template'),
       util.checkModel(planConfig, 'PlanConfig', models.PlanConfig, 'project template'),
+      validatePhaseDefinitions(param.phases),
     ])
       .then(() => {
         const entity = _.assign(req.body, {
@@ -208,6 +208,32 @@ describe('CREATE project template', () => {
         .expect(400, done);
     });
 
+    it('should return 400 if maxProducts of the phase definition is not a number', (done) => {
+      const invalidBody = _.cloneDeep(body);
+      invalidBody.phases.phase1.maxProducts = 'many';
+      request(server)
+        .post('/v5/projects/metadata/projectTemplates')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(invalidBody)
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 400 if product category of the phase definition does not exist', (done) => {
+      const invalidBody = _.cloneDeep(body);
+      invalidBody.phases.phase1.productCategories = ['not_exist'];
+      request(server)
+        .post('/v5/projects/metadata/projectTemplates')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(invalidBody)
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
     it('should return 201 for admin', (done) => {
       request(server)
         .post('/v5/projects/metadata/projectTemplates')
@@ -9,6 +9,7 @@ import { EVENT, RESOURCES } from '../../constants';
 import fieldLookupValidation from '../../middlewares/fieldLookupValidation';
 import util from '../../util';
 import models from '../../models';
+import { validatePhaseDefinitions } from '../phaseProducts/commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -100,7 +101,8 @@ module.exports = [
             // removes null phase templates
             entityToUpdate.phases = _.omitBy(entityToUpdate.phases, _.isNull);
 
-            return projectTemplate.update(entityToUpdate);
+            return validatePhaseDefinitions(entityToUpdate.phases)
+              .then(() => projectTemplate.update(entityToUpdate));
           })
           .then((projectTemplate) => {
             util.sendResourceToKafkaBus(
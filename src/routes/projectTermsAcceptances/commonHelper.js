@@ -0,0 +1,42 @@
+/**
+ * Helper methods for project terms acceptances routes
+ */
+import _ from 'lodash';
+import config from 'config';
+import models from '../../models';
+import util from '../../util';
+
+/**
+ * Check that user has accepted all the terms of the project before joining the project.
+ * The check is only performed if `requireProjectTermsAcceptance` is enabled in config.
+ *
+ * @param {Number} projectId     project id
+ * @param {Number} userId        id of the user who joins the project
+ * @param {Object} [transaction] transaction
+ *
+ * @returns {Promise} promise which is rejected with 403 error if some terms are not accepted
+ */
+const validateProjectTermsAccepted = async (projectId, userId, transaction) => {
+  // config values may come from environment variables as strings
+  if (_.toString(config.get('requireProjectTermsAcceptance')) !== 'true') {
+    return;
+  }
+
+  const project = await models.Project.findByPk(projectId, { attributes: ['terms'], raw: true, transaction });
+  const missingTermsIds = await models.ProjectTermsAcceptance.getMissingTermsIds(
+    projectId,
+    userId,
+    _.get(project, 'terms', []),
+    { transaction },
+  );
+  if (missingTermsIds.length > 0) {
+    throw util.buildApiError(
+      `User ${userId} has to accept the project terms before joining the project: ${missingTermsIds.join(', ')}.`,
+      403,
+    );
+  }
+};
+
+module.exports = {
+  validateProjectTermsAccepted,
+};
@@ -0,0 +1,75 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES } from '../../constants';
+
+/**
+ * API to accept one of the project terms on behalf of the current user.
+ *
+ * Terms can be accepted by the users who are not members of the project yet,
+ * so they can join the project when accepting of all the project terms is required.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    termsId: Joi.string().max(255).required(),
+  }).required(),
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectTermsAcceptance.create'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const userId = req.authUser.userId;
+    const termsId = req.body.termsId;
+
+    try {
+      const acceptance = await models.sequelize.transaction(async (transaction) => {
+        const project = await models.Project.findByPk(projectId, { attributes: ['terms'], raw: true, transaction });
+        if (!project) {
+          throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+        }
+        if (!_.includes(project.terms, termsId)) {
+          throw util.buildApiError(`Terms ${termsId} are not the terms of the project ${projectId}.`, 400);
+        }
+
+        const existingAcceptance = await models.ProjectTermsAcceptance.findOne({
+          where: { projectId, userId, termsId },
+          transaction,
+        });
+        if (existingAcceptance) {
+          throw util.buildApiError(`Terms ${termsId} are already accepted by user ${userId}.`, 400);
+        }
+
+        const newAcceptance = await models.ProjectTermsAcceptance.create({
+          projectId,
+          userId,
+          termsId,
+          createdBy: userId,
+          updatedBy: userId,
+        }, { transaction });
+
+        return _.omit(newAcceptance.toJSON(), ['deletedAt', 'deletedBy']);
+      });
+      req.log.debug(`user ${userId} accepted terms ${termsId} of project ${projectId}`);
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_TERMS_ACCEPTANCE_ADDED,
+        RESOURCES.PROJECT_TERMS_ACCEPTANCE,
+        acceptance);
+
+      res.status(201).json(acceptance);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
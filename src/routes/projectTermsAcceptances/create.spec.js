@@ -0,0 +1,155 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Create project terms acceptance', () => {
+  let project;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project',
+      status: 'active',
+      details: {},
+      terms: ['terms-1', 'terms-2'],
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/{id}/termsAcceptances', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/termsAcceptances`)
+        .send({ termsId: 'terms-1' })
+        .expect(403, done);
+    });
+
+    it('should return 400 if termsId is not provided', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({})
+        .expect(400, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .post('/v5/projects/999999/termsAcceptances')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ termsId: 'terms-1' })
+        .expect(404, done);
+    });
+
+    it('should return 400 if terms are not the terms of the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ termsId: 'terms-3' })
+        .expect(400, done);
+    });
+
+    it('should return 400 if terms are already accepted by user', async () => {
+      await models.ProjectTermsAcceptance.create({
+        projectId: project.id,
+        userId: testUtil.userIds.member,
+        termsId: 'terms-1',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ termsId: 'terms-1' })
+        .expect(400);
+    });
+
+    it('should return 201 for user who is not a member of the project', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ termsId: 'terms-1' })
+        .expect(201);
+
+      const resJson = res.body;
+      resJson.projectId.should.be.eql(project.id);
+      resJson.userId.should.be.eql(testUtil.userIds.member);
+      resJson.termsId.should.be.eql('terms-1');
+      resJson.createdBy.should.be.eql(testUtil.userIds.member);
+      should.not.exist(resJson.deletedAt);
+
+      const missingTermsIds = await models.ProjectTermsAcceptance.getMissingTermsIds(
+        project.id,
+        testUtil.userIds.member,
+        project.terms,
+      );
+      missingTermsIds.should.be.eql(['terms-2']);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_TERMS_ACCEPTANCE_ADDED when terms are accepted', async () => {
+        await request(server)
+          .post(`/v5/projects/${project.id}/termsAcceptances`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .send({ termsId: 'terms-1' })
+          .expect(201);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_TERMS_ACCEPTANCE_ADDED, sinon.match({
+          resource: RESOURCES.PROJECT_TERMS_ACCEPTANCE,
+          projectId: project.id,
+          userId: testUtil.userIds.member,
+          termsId: 'terms-1',
+        })).should.be.true;
+      });
+    });
+  });
+});
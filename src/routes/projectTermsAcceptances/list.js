@@ -0,0 +1,54 @@
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { PERMISSION } from '../../permissions/constants';
+
+/**
+ * API to list acceptances of the project terms.
+ *
+ * Users who cannot view acceptances of other users only get their own acceptances.
+ */
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  query: {
+    userId: Joi.number().integer().positive(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('projectTermsAcceptance.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const userId = req.query.userId ? _.parseInt(req.query.userId) : null;
+    const where = { projectId };
+
+    try {
+      if (!util.hasPermissionByReq(PERMISSION.READ_PROJECT_TERMS_ACCEPTANCE_NOT_OWN, req)) {
+        if (userId && userId !== req.authUser.userId) {
+          throw util.buildApiError('You don\'t have permissions to view terms acceptances of other users.', 403);
+        }
+        where.userId = req.authUser.userId;
+      } else if (userId) {
+        where.userId = userId;
+      }
+
+      const acceptances = await models.ProjectTermsAcceptance.findAll({
+        where,
+        attributes: { exclude: ['deletedAt', 'deletedBy'] },
+        order: [['id', 'ASC']],
+        raw: true,
+      });
+      res.json(acceptances);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
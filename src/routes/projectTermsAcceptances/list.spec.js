@@ -0,0 +1,102 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('List project terms acceptances', () => {
+  let project;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project',
+      status: 'active',
+      details: {},
+      terms: ['terms-1', 'terms-2'],
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.create({
+      userId: testUtil.userIds.copilot,
+      projectId: project.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.ProjectTermsAcceptance.bulkCreate(_.map([
+      { userId: testUtil.userIds.member, termsId: 'terms-1' },
+      { userId: testUtil.userIds.copilot, termsId: 'terms-1' },
+      { userId: testUtil.userIds.copilot, termsId: 'terms-2' },
+    ], acceptance => _.assign(acceptance, { projectId: project.id, createdBy: 1, updatedBy: 1 })));
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/{id}/termsAcceptances', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/termsAcceptances`)
+        .expect(403, done);
+    });
+
+    it('should return only own acceptances for user who is not a member of the project', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      res.body[0].userId.should.be.eql(testUtil.userIds.member);
+      res.body[0].termsId.should.be.eql('terms-1');
+      should.not.exist(res.body[0].deletedAt);
+    });
+
+    it('should return 403 if user who is not a member of the project filters by another user', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/termsAcceptances?userId=${testUtil.userIds.copilot}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return acceptances of all users for project member', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/termsAcceptances`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(200);
+
+      res.body.should.have.lengthOf(3);
+    });
+
+    it('should return acceptances of one user when filtering by userId', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/termsAcceptances?userId=${testUtil.userIds.copilot}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      _.map(res.body, 'termsId').should.be.eql(['terms-1', 'terms-2']);
+    });
+  });
+});
@@ -12,6 +12,7 @@ import models from '../../models';
 import util from '../../util';
 import {
   PROJECT_STATUS,
+  PROJECT_CHANGE_SOURCE,
   EVENT,
   RESOURCES,
 } from '../../constants';
@@ -179,6 +180,13 @@ async function migrateFromV2ToV3(req, project, defaultProductTemplateId, phaseNa
       }
     }
     await project.update({ version: 'v3', templateId: projectTemplate.id }, { transaction });
+    await models.ProjectChangeHistory.recordChanges({
+      projectId: project.id,
+      source: PROJECT_CHANGE_SOURCE.PROJECT_UPGRADE,
+      original: previousValue,
+      updated: project.get({ plain: true }),
+      userId: req.authUser.userId,
+    }, { transaction });
   });
   newPhasesAndProducts.forEach(({ phase, products }) => {
     const phaseJSON = phase.toJSON();
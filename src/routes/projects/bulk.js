@@ -0,0 +1,245 @@
+/* eslint-disable no-await-in-loop */
+
+/**
+ * API to perform the same operation with many projects at once.
+ *
+ * Each project is processed separately in its own transaction and with its own permission checks,
+ * so a failure with one project doesn't affect other projects.
+ * Returns the list of successfully processed projects and the list of failed projects with error messages.
+ */
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import statusTransitionUtils from '../../utils/statusTransitions';
+import {
+  EVENT,
+  RESOURCES,
+  PROJECT_STATUS,
+  PROJECT_BULK_OPERATION,
+  PROJECT_CHANGE_SOURCE,
+  STATUS_TRANSITION_REFERENCES,
+} from '../../constants';
+import { PERMISSION } from '../../permissions/constants';
+import {
+  deleteProjectChildren,
+  cascadeProjectStatus,
+  sendCascadedStatusEvents,
+  validateCancelReason,
+} from './commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+// maximum number of projects which can be processed by one request
+const MAX_PROJECTS_PER_REQUEST = 100;
+
+/**
+ * Build schema for the property which is required for the operation and not allowed for other operations
+ *
+ * @param {String} operation operation, see `PROJECT_BULK_OPERATION`
+ * @param {Object} rule      Joi rule for the property
+ *
+ * @returns {Object} Joi rule
+ */
+const operationProperty = (operation, rule) => Joi.when('operation', {
+  is: operation,
+  then: rule.required(),
+  otherwise: Joi.forbidden(),
+});
+
+const schema = {
+  body: Joi.object().keys({
+    projectIds: Joi.array()
+      .items(Joi.number().integer().positive())
+      .unique()
+      .min(1)
+      .max(MAX_PROJECTS_PER_REQUEST)
+      .required(),
+    operation: Joi.any().valid(_.values(PROJECT_BULK_OPERATION)).required(),
+    status: operationProperty(PROJECT_BULK_OPERATION.STATUS, Joi.any().valid(_.values(PROJECT_STATUS))),
+    // cancel reason is mandatory when project status is cancelled
+    cancelReason: Joi.when('status', {
+      is: PROJECT_STATUS.CANCELLED,
+      then: Joi.string().required(),
+      otherwise: Joi.forbidden(),
+    }),
+    // free-text comment of the cancel reason, it's only kept in the project history
+    cancelComment: Joi.when('status', {
+      is: PROJECT_STATUS.CANCELLED,
+      then: Joi.string().optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    billingAccountId: operationProperty(PROJECT_BULK_OPERATION.BILLING_ACCOUNT, Joi.number().positive().allow(null)),
+    groups: operationProperty(PROJECT_BULK_OPERATION.GROUPS, Joi.array().items(Joi.string())),
+    terms: operationProperty(PROJECT_BULK_OPERATION.TERMS, Joi.array().items(Joi.string())),
+  }).required(),
+};
+
+/**
+ * Update the project the same way as `PATCH /projects/{projectId}` does.
+ *
+ * @param {Object} req          request in the context of the project
+ * @param {Number} projectId    project id
+ * @param {Object} updatedProps properties to update
+ *
+ * @returns {Promise} promise
+ */
+async function updateProject(req, projectId, updatedProps) {
+  if (!util.hasPermissionByReq(PERMISSION.UPDATE_PROJECT, req)) {
+    throw util.buildApiError('You do not have permissions to update the project.', 403);
+  }
+
+  let project;
+  let original;
+  let cascaded;
+  await models.sequelize.transaction(async (transaction) => {
+    project = await models.Project.findOne({
+      where: { id: projectId },
+      lock: { of: models.Project },
+      transaction,
+    });
+    if (!project) {
+      throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+    }
+    original = project.get({ plain: true });
+
+    if (original.status === PROJECT_STATUS.COMPLETED) {
+      throw util.buildApiError(`cannot update a project that is in '${original.status}' state`, 400);
+    }
+
+    const isStatusChanged = updatedProps.status && updatedProps.status !== original.status;
+    if (isStatusChanged) {
+      if (!util.hasPermissionByReq(PERMISSION.UPDATE_PROJECT_STATUS, req)) {
+        throw util.buildApiError('You are not allowed to update project status.', 403);
+      }
+      if (updatedProps.status === PROJECT_STATUS.DRAFT) {
+        throw util.buildApiError('cannot update a project status to draft', 400);
+      }
+      const transitions = await statusTransitionUtils.getStatusTransitions(
+        STATUS_TRANSITION_REFERENCES.PROJECT,
+        project.type,
+      );
+      statusTransitionUtils.validateStatusTransition(
+        STATUS_TRANSITION_REFERENCES.PROJECT,
+        transitions,
+        original.status,
+        updatedProps.status,
+        req,
+      );
+    }
+
+    await project.update(_.assign({}, updatedProps, { updatedBy: req.authUser.userId }), { transaction });
+
+    if (isStatusChanged) {
+      await models.ProjectHistory.create({
+        projectId,
+        status: updatedProps.status,
+        cancelReason: updatedProps.cancelReason,
+        cancelComment: req.body.cancelComment,
+        updatedBy: req.authUser.userId,
+      }, { transaction });
+    }
+
+    // propagate the new status to the project phases, works and milestones
+    cascaded = await cascadeProjectStatus(projectId, original.status, project.status, req.authUser.userId,
+      transaction);
+
+    await models.ProjectChangeHistory.recordChanges({
+      projectId,
+      source: PROJECT_CHANGE_SOURCE.BULK_UPDATE,
+      original,
+      updated: project.get({ plain: true }),
+      userId: req.authUser.userId,
+    }, { transaction });
+  });
+
+  req.app.emit(EVENT.ROUTING_KEY.PROJECT_UPDATED, {
+    req,
+    original: _.omit(original, ['deletedAt']),
+    updated: _.assign({ resource: RESOURCES.PROJECT }, _.omit(project.get({ plain: true }), ['deletedAt'])),
+  });
+  sendCascadedStatusEvents(req, cascaded);
+}
+
+/**
+ * Delete the project the same way as `DELETE /projects/{projectId}` does.
+ *
+ * @param {Object} req       request in the context of the project
+ * @param {Number} projectId project id
+ *
+ * @returns {Promise} promise
+ */
+async function deleteProject(req, projectId) {
+  if (!util.hasPermissionByReq(PERMISSION.DELETE_PROJECT, req)) {
+    throw util.buildApiError('You do not have permissions to delete the project.', 403);
+  }
+
+  const project = await models.sequelize.transaction(async (transaction) => {
+    const entity = await models.Project.findByPk(projectId, { transaction });
+    if (!entity) {
+      throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+    }
+
+    await entity.update({ deletedBy: req.authUser.userId }, { transaction });
+    await entity.destroy({ cascade: true, transaction });
+    // soft delete child records with the same `deletedAt` so they could be restored together with the project
+    await deleteProjectChildren(entity.id, entity.deletedAt, req.authUser.userId, transaction);
+
+    return entity;
+  });
+
+  req.app.emit(EVENT.ROUTING_KEY.PROJECT_DELETED, {
+    req,
+    project: _.assign({ resource: RESOURCES.PROJECT }, _.pick(project.toJSON(), 'id')),
+  });
+}
+
+module.exports = [
+  validate(schema),
+  permissions('project.bulkUpdate'),
+  /*
+   * Validate cancel reason against the cancel reasons taxonomy once for all the projects.
+   */
+  (req, res, next) => {
+    if (req.body.status === PROJECT_STATUS.CANCELLED) {
+      validateCancelReason(req.body.cancelReason, req.body.cancelComment)
+        .then(() => next())
+        .catch(next);
+    } else {
+      next();
+    }
+  },
+  async (req, res) => {
+    const { projectIds, operation } = req.body;
+    const updatedProps = operation === PROJECT_BULK_OPERATION.STATUS
+      ? _.pick(req.body, ['status', 'cancelReason'])
+      : _.pick(req.body, operation);
+
+    const success = [];
+    const failed = [];
+    for (const projectId of projectIds) { // eslint-disable-line no-restricted-syntax
+      try {
+        // create request in the context of the project, so permissions are checked using members of this project
+        const projectReq = Object.create(req);
+        projectReq.params = { projectId };
+        projectReq.context = {
+          currentProjectMembers: await models.ProjectMember.getActiveProjectMembers(projectId),
+        };
+
+        if (operation === PROJECT_BULK_OPERATION.DELETE) {
+          await deleteProject(projectReq, projectId);
+        } else {
+          await updateProject(projectReq, projectId, updatedProps);
+        }
+        success.push({ projectId });
+      } catch (err) {
+        req.log.error(`Cannot perform bulk operation '${operation}' with project ${projectId}.`, err);
+        failed.push({ projectId, message: err.message });
+      }
+    }
+
+    res.json({ success, failed });
+  },
+];
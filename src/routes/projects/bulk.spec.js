@@ -0,0 +1,291 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES, PROJECT_CHANGE_SOURCE } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project bulk operations', () => {
+  let project1;
+  let project2;
+  let completedProject;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    const projectProps = {
+      type: 'generic',
+      billingAccountId: 1,
+      description: 'test project',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    };
+    project1 = await models.Project.create(_.assign({ name: 'test1', status: 'active' }, projectProps));
+    project2 = await models.Project.create(_.assign({ name: 'test2', status: 'active' }, projectProps));
+    completedProject = await models.Project.create(_.assign({ name: 'test3', status: 'completed' }, projectProps));
+    await models.CancelReason.create({ code: 'price', label: 'Price is too high', createdBy: 1, updatedBy: 1 });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Find the active projects which are processed by the tests
+   *
+   * @returns {Promise} promise which resolves to the list of projects
+   */
+  const findProjects = () => models.Project.findAll({
+    where: { id: [project1.id, project2.id] },
+    order: [['id', 'ASC']],
+  });
+
+  describe('POST /projects/bulk', () => {
+    it('should return 403 if user is not an admin', (done) => {
+      request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ projectIds: [project1.id], operation: 'billingAccountId', billingAccountId: 2 })
+        .expect(403, done);
+    });
+
+    it('should return 400 if cancelReason is not provided when cancelling projects', (done) => {
+      request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ projectIds: [project1.id], operation: 'status', status: 'cancelled' })
+        .expect(400, done);
+    });
+
+    it('should return 400 if cancelReason is not in the cancel reasons taxonomy', (done) => {
+      request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ projectIds: [project1.id], operation: 'status', status: 'cancelled', cancelReason: 'not_existed' })
+        .expect(400, done);
+    });
+
+    it('should return 400 if property of another operation is provided', (done) => {
+      request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ projectIds: [project1.id], operation: 'status', status: 'paused', billingAccountId: 2 })
+        .expect(400, done);
+    });
+
+    it('should return 200 and cancel all the projects', async () => {
+      const res = await request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({
+          projectIds: [project1.id, project2.id],
+          operation: 'status',
+          status: 'cancelled',
+          cancelReason: 'price',
+        })
+        .expect(200);
+
+      res.body.success.should.be.eql([{ projectId: project1.id }, { projectId: project2.id }]);
+      res.body.failed.should.be.eql([]);
+
+      const projects = await findProjects();
+      _.map(projects, 'status').should.be.eql(['cancelled', 'cancelled']);
+      _.map(projects, 'cancelReason').should.be.eql(['price', 'price']);
+
+      const history = await models.ProjectHistory.findAll({ where: { projectId: project1.id } });
+      history.should.have.lengthOf(1);
+      history[0].status.should.be.eql('cancelled');
+
+      const changes = await models.ProjectChangeHistory.findAll({ where: { projectId: project1.id } });
+      changes.should.have.lengthOf(1);
+      changes[0].source.should.be.eql(PROJECT_CHANGE_SOURCE.BULK_UPDATE);
+    });
+
+    it('should return 200 and cancel phases of the cancelled projects', async () => {
+      const phase = await models.ProjectPhase.create({
+        projectId: project1.id,
+        name: 'test phase',
+        status: 'active',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({
+          projectIds: [project1.id],
+          operation: 'status',
+          status: 'cancelled',
+          cancelReason: 'price',
+        })
+        .expect(200);
+
+      await phase.reload();
+      phase.status.should.be.eql('cancelled');
+    });
+
+    it('should return 200 and report projects which cannot be updated', async () => {
+      const res = await request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({
+          projectIds: [project1.id, completedProject.id, 999999],
+          operation: 'billingAccountId',
+          billingAccountId: 2,
+        })
+        .expect(200);
+
+      res.body.success.should.be.eql([{ projectId: project1.id }]);
+      res.body.failed.should.have.lengthOf(2);
+      res.body.failed[0].projectId.should.be.eql(completedProject.id);
+      res.body.failed[1].projectId.should.be.eql(999999);
+      res.body.failed[1].message.should.be.eql('Project not found for id 999999');
+
+      const updatedProject = await models.Project.findByPk(project1.id);
+      updatedProject.billingAccountId.should.be.eql(2);
+      const notUpdatedProject = await models.Project.findByPk(completedProject.id);
+      notUpdatedProject.billingAccountId.should.be.eql(1);
+    });
+
+    it('should return 200 and update groups of the projects', async () => {
+      await request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ projectIds: [project1.id, project2.id], operation: 'groups', groups: ['group1'] })
+        .expect(200);
+
+      const projects = await findProjects();
+      _.map(projects, 'groups').should.be.eql([['group1'], ['group1']]);
+    });
+
+    it('should return 200 and delete the projects', async () => {
+      const res = await request(server)
+        .post('/v5/projects/bulk')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ projectIds: [project1.id, project2.id], operation: 'delete' })
+        .expect(200);
+
+      res.body.success.should.have.lengthOf(2);
+      const projects = await findProjects();
+      projects.should.have.lengthOf(0);
+      const deletedProject = await models.Project.findByPk(project1.id, { paranoid: false });
+      deletedProject.deletedBy.should.be.eql(testUtil.userIds.admin);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_UPDATED for each updated project', async () => {
+        await request(server)
+          .post('/v5/projects/bulk')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .send({ projectIds: [project1.id, project2.id], operation: 'billingAccountId', billingAccountId: 2 })
+          .expect(200);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: project1.id,
+          billingAccountId: 2,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: project2.id,
+          billingAccountId: 2,
+        })).should.be.true;
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_PHASE_UPDATED for phases paused together with project',
+        async () => {
+          const phase = await models.ProjectPhase.create({
+            projectId: project1.id,
+            name: 'test phase',
+            status: 'active',
+            createdBy: 1,
+            updatedBy: 1,
+          });
+
+          await request(server)
+            .post('/v5/projects/bulk')
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.admin}`,
+            })
+            .send({ projectIds: [project1.id], operation: 'status', status: 'paused' })
+            .expect(200);
+          await new Promise(resolve => testUtil.wait(resolve));
+
+          createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+            resource: RESOURCES.PHASE,
+            id: phase.id,
+            status: 'paused',
+          })).should.be.true;
+        });
+
+      it('should send message BUS_API_EVENT.PROJECT_DELETED for each deleted project', async () => {
+        await request(server)
+          .post('/v5/projects/bulk')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .send({ projectIds: [project1.id, project2.id], operation: 'delete' })
+          .expect(200);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_DELETED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: project1.id,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_DELETED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: project2.id,
+        })).should.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,369 @@
+/* eslint-disable no-await-in-loop */
+
+/**
+ * API to clone an existing project.
+ *
+ * Deep-copies the project with its phases, phase products, timelines, milestones,
+ * project settings and work streams. Members and attachments are copied only on request.
+ * Copied members have to accept the project terms the same way as when they join a project,
+ * their acceptances of the source project terms are copied to the new project.
+ * All the dates can be shifted by providing either `shiftDays` or a new `startDate`.
+ */
+import _ from 'lodash';
+import moment from 'moment';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import {
+  EVENT,
+  RESOURCES,
+  PROJECT_STATUS,
+  PROJECT_PHASE_STATUS,
+  PROJECT_MEMBER_ROLE,
+  MILESTONE_STATUS,
+  WORKSTREAM_STATUS,
+  TIMELINE_REFERENCES,
+} from '../../constants';
+import { PERMISSION } from '../../permissions/constants';
+import { buildProjectTimelinesWhere } from './commonHelper';
+import { validateProjectTermsAccepted } from '../projectTermsAcceptances/commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    name: Joi.string().max(255),
+    shiftDays: Joi.number().integer(),
+    startDate: Joi.date(),
+    includeMembers: Joi.boolean().default(false),
+    includeAttachments: Joi.boolean().default(false),
+  }).nand('shiftDays', 'startDate').required(),
+};
+
+// fields which are never copied from one record to another
+const OMIT_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'createdBy', 'updatedBy', 'deletedBy'];
+
+/**
+ * Calculates the number of days all the dates of the cloned project should be shifted by.
+ *
+ * When `startDate` is provided, the earliest start date of the project phases and timelines
+ * becomes `startDate` and all other dates are moved accordingly.
+ *
+ * @param {Object} options       request options
+ * @param {Array}  phases        source project phases
+ * @param {Array}  timelines     source project timelines
+ *
+ * @returns {Number} number of days to shift the dates
+ */
+function getShiftDays(options, phases, timelines) {
+  if (options.startDate) {
+    const startDates = _.compact(_.map([...phases, ...timelines], 'startDate'));
+    if (startDates.length === 0) {
+      return 0;
+    }
+    const earliestDate = moment.utc(_.minBy(startDates, date => date.getTime())).startOf('day');
+    return moment.utc(options.startDate).startOf('day').diff(earliestDate, 'days');
+  }
+
+  return options.shiftDays || 0;
+}
+
+/**
+ * Builds the list of members of the cloned project.
+ *
+ * The user who clones the project always becomes a member, if they are not a member yet
+ * they join the cloned project the same way as when they create a new project.
+ *
+ * @param {Object}  req            the request
+ * @param {Array}   sourceMembers  members of the source project
+ * @param {Boolean} includeMembers if `true` copy members of the source project
+ *
+ * @returns {Array} list of members to create
+ */
+function buildMembers(req, sourceMembers, includeMembers) {
+  const userId = req.authUser.userId;
+  const members = includeMembers
+    ? _.map(sourceMembers, member => _.assign(_.pick(member, ['userId', 'role', 'isPrimary']), {
+      createdBy: userId,
+      updatedBy: userId,
+    }))
+    : [];
+
+  if (!_.some(members, { userId })) {
+    const role = util.hasPermissionByReq(PERMISSION.CREATE_PROJECT_AS_MANAGER, req)
+      ? PROJECT_MEMBER_ROLE.MANAGER
+      : PROJECT_MEMBER_ROLE.CUSTOMER;
+    members.push({
+      isPrimary: !_.some(members, { role, isPrimary: true }),
+      role,
+      userId,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+  }
+
+  return members;
+}
+
+module.exports = [
+  validate(schema),
+  permissions('project.clone'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const userId = req.authUser.userId;
+    const options = req.body;
+
+    const result = {
+      project: null,
+      phases: [],
+      timelines: [],
+    };
+
+    try {
+      await models.sequelize.transaction(async (transaction) => {
+        const sourceProject = await models.Project.findOne({
+          where: { id: projectId },
+          include: [
+            { model: models.ProjectMember, as: 'members' },
+            { model: models.ProjectAttachment, as: 'attachments' },
+            { model: models.WorkStream, as: 'workStreams' },
+          ],
+          transaction,
+        });
+        if (!sourceProject) {
+          throw util.buildApiError(`project not found for id ${projectId}`, 404);
+        }
+
+        const sourcePhases = await models.ProjectPhase.findAll({
+          where: { projectId },
+          include: [
+            { model: models.PhaseProduct, as: 'products' },
+            { model: models.WorkStream },
+          ],
+          order: [['id', 'asc']],
+          transaction,
+        });
+        const sourceProducts = _.flatMap(sourcePhases, 'products');
+        const sourceTimelines = await models.Timeline.findAll({
+          where: buildProjectTimelinesWhere(projectId, _.map(sourcePhases, 'id'), _.map(sourceProducts, 'id')),
+          include: [{ model: models.Milestone, as: 'milestones' }],
+          order: [['id', 'asc']],
+          transaction,
+        });
+
+        // copied members join the new project with the same terms, so they have to accept them first
+        const copiedMemberIds = options.includeMembers
+          ? _.without(_.uniq(_.map(sourceProject.members, 'userId')), userId)
+          : [];
+        await Promise.all(_.map(copiedMemberIds, memberId =>
+          validateProjectTermsAccepted(projectId, memberId, transaction)));
+
+        const shiftDays = getShiftDays(options, sourcePhases, sourceTimelines);
+        const shiftDate = date => (date ? moment.utc(date).add(shiftDays, 'days').toDate() : date);
+
+        // Create project with members
+        const projectData = _.assign(
+          _.omit(sourceProject.get({ plain: true }), [
+            ...OMIT_FIELDS, 'members', 'attachments', 'workStreams', 'phases',
+            'directProjectId', 'status', 'cancelReason', 'actualPrice', 'lastActivityAt', 'lastActivityUserId',
+          ]), {
+            name: options.name ? req.sanitize(options.name) : sourceProject.name,
+            status: PROJECT_STATUS.IN_REVIEW,
+            createdBy: userId,
+            updatedBy: userId,
+            lastActivityAt: new Date(),
+            lastActivityUserId: userId.toString(10),
+            members: buildMembers(req, sourceProject.members, options.includeMembers),
+          },
+        );
+        const newProject = await models.Project.create(projectData, {
+          include: [{ model: models.ProjectMember, as: 'members' }],
+          transaction,
+        });
+        result.project = newProject;
+        req.log.debug('project %d cloned to a new project %d', projectId, newProject.id);
+
+        await models.ProjectHistory.create({
+          projectId: newProject.id,
+          status: PROJECT_STATUS.IN_REVIEW,
+          cancelReason: null,
+          updatedBy: userId,
+        }, { transaction });
+
+        // Copy terms acceptances of the copied members
+        if (copiedMemberIds.length > 0 && !_.isEmpty(newProject.terms)) {
+          const acceptances = await models.ProjectTermsAcceptance.findAll({
+            where: { projectId, userId: copiedMemberIds, termsId: newProject.terms },
+            raw: true,
+            transaction,
+          });
+          await models.ProjectTermsAcceptance.bulkCreate(_.map(acceptances, acceptance =>
+            _.assign(_.omit(acceptance, OMIT_FIELDS), {
+              projectId: newProject.id,
+              createdBy: userId,
+              updatedBy: userId,
+            })), { transaction });
+        }
+
+        // Create attachments
+        if (options.includeAttachments && sourceProject.attachments.length > 0) {
+          const attachments = await models.ProjectAttachment.bulkCreate(_.map(sourceProject.attachments, attachment =>
+            _.assign(_.omit(attachment.get({ plain: true }), OMIT_FIELDS), {
+              projectId: newProject.id,
+              createdBy: userId,
+              updatedBy: userId,
+            })), { returning: true, transaction });
+          result.attachments = _.map(attachments, attachment =>
+            _.omit(attachment.toJSON(), ['deletedAt', 'deletedBy']));
+        }
+
+        // Create project settings
+        const sourceSettings = await models.ProjectSetting.findAll({
+          where: { projectId },
+          includeAllProjectSettingsForInternalUsage: true,
+          raw: true,
+          transaction,
+        });
+        if (sourceSettings.length > 0) {
+          await models.ProjectSetting.bulkCreate(_.map(sourceSettings, setting =>
+            _.assign(_.omit(setting, OMIT_FIELDS), {
+              projectId: newProject.id,
+              createdBy: userId,
+              updatedBy: userId,
+            })), { transaction });
+        }
+
+        // Create work streams
+        const workStreamIdsMap = {};
+        for (const workStream of sourceProject.workStreams) { // eslint-disable-line no-restricted-syntax
+          const newWorkStream = await models.WorkStream.create(_.assign(
+            _.omit(workStream.get({ plain: true }), [...OMIT_FIELDS, 'projectId']), {
+              projectId: newProject.id,
+              status: WORKSTREAM_STATUS.DRAFT,
+              createdBy: userId,
+              updatedBy: userId,
+            },
+          ), { transaction });
+          workStreamIdsMap[workStream.id] = newWorkStream.id;
+        }
+
+        // Create phases (and works) with products
+        const phaseIdsMap = {};
+        const productIdsMap = {};
+        for (const phase of sourcePhases) { // eslint-disable-line no-restricted-syntax
+          const newPhase = await models.ProjectPhase.create(_.assign(
+            _.omit(phase.get({ plain: true }), [...OMIT_FIELDS, 'products', 'WorkStreams']), {
+              projectId: newProject.id,
+              status: PROJECT_PHASE_STATUS.DRAFT,
+              startDate: shiftDate(phase.startDate),
+              endDate: shiftDate(phase.endDate),
+              spentBudget: 0,
+              progress: 0,
+              createdBy: userId,
+              updatedBy: userId,
+            },
+          ), { transaction });
+          phaseIdsMap[phase.id] = newPhase.id;
+
+          const phaseWorkStreams = _.filter(phase.WorkStreams, ws => _.has(workStreamIdsMap, ws.id));
+          if (phaseWorkStreams.length > 0) {
+            await models.PhaseWorkStream.bulkCreate(_.map(phaseWorkStreams, ws => ({
+              phaseId: newPhase.id,
+              workStreamId: workStreamIdsMap[ws.id],
+            })), { transaction });
+          }
+
+          const newPhaseJson = _.omit(newPhase.toJSON(), ['deletedAt', 'deletedBy']);
+          newPhaseJson.products = [];
+          for (const product of phase.products) { // eslint-disable-line no-restricted-syntax
+            const newProduct = await models.PhaseProduct.create(_.assign(
+              _.omit(product.get({ plain: true }), [...OMIT_FIELDS, 'directProjectId']), {
+                projectId: newProject.id,
+                phaseId: newPhase.id,
+                actualPrice: 0,
+                createdBy: userId,
+                updatedBy: userId,
+              },
+            ), { transaction });
+            productIdsMap[product.id] = newProduct.id;
+            newPhaseJson.products.push(_.omit(newProduct.toJSON(), ['deletedAt', 'deletedBy']));
+          }
+          result.phases.push(newPhaseJson);
+        }
+
+        // Create timelines with milestones
+        const referenceIdsMap = {
+          [TIMELINE_REFERENCES.PROJECT]: { [projectId]: newProject.id },
+          [TIMELINE_REFERENCES.PHASE]: phaseIdsMap,
+          [TIMELINE_REFERENCES.WORK]: phaseIdsMap,
+          [TIMELINE_REFERENCES.PRODUCT]: productIdsMap,
+        };
+        for (const timeline of sourceTimelines) { // eslint-disable-line no-restricted-syntax
+          const newTimeline = await models.Timeline.create(_.assign(
+            _.omit(timeline.get({ plain: true }), [...OMIT_FIELDS, 'milestones']), {
+              referenceId: referenceIdsMap[timeline.reference][timeline.referenceId],
+              startDate: shiftDate(timeline.startDate),
+              endDate: shiftDate(timeline.endDate),
+              createdBy: userId,
+              updatedBy: userId,
+            },
+          ), { transaction });
+          const newTimelineJson = _.omit(newTimeline.toJSON(), ['deletedAt', 'deletedBy']);
+
+          const milestones = _.map(_.sortBy(timeline.milestones, 'order'), milestone => _.assign(
+            _.omit(milestone.get({ plain: true }), [...OMIT_FIELDS, 'statusHistory']), {
+              timelineId: newTimeline.id,
+              status: MILESTONE_STATUS.REVIEWED,
+              startDate: shiftDate(milestone.startDate),
+              endDate: shiftDate(milestone.endDate),
+              actualStartDate: null,
+              completionDate: null,
+              createdBy: userId,
+              updatedBy: userId,
+            },
+          ));
+          const newMilestones = milestones.length > 0
+            ? await models.Milestone.bulkCreate(milestones, { returning: true, transaction })
+            : [];
+          newTimelineJson.milestones = _.map(newMilestones, milestone =>
+            _.omit(milestone.toJSON(), ['deletedAt', 'deletedBy']));
+          result.timelines.push(newTimelineJson);
+        }
+      });
+
+      let newProject = _.omit(result.project.get({ plain: true }), ['deletedAt', 'utm']);
+      newProject.attachments = result.attachments;
+      newProject.phases = result.phases;
+
+      // the same event as when a new project is created, phases and products are sent inside the project
+      req.app.emit(EVENT.ROUTING_KEY.PROJECT_DRAFT_CREATED,
+        { req, project: _.assign({ resource: RESOURCES.PROJECT }, newProject) });
+
+      // the same events as when timelines are created
+      _.forEach(result.timelines, (timeline) => {
+        util.sendResourceToKafkaBus(req,
+          EVENT.ROUTING_KEY.TIMELINE_ADDED,
+          RESOURCES.TIMELINE,
+          _.omit(timeline, 'milestones'));
+        // don't notify about each milestone, users are notified about the new project
+        _.forEach(timeline.milestones, milestone => util.sendResourceToKafkaBus(req,
+          EVENT.ROUTING_KEY.MILESTONE_ADDED,
+          RESOURCES.MILESTONE,
+          milestone,
+          null,
+          null,
+          true));
+      });
+
+      newProject = _.assign(newProject, { timelines: result.timelines });
+      res.status(201).json(newProject);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
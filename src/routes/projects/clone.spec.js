@@ -0,0 +1,359 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import {
+  ATTACHMENT_TYPES,
+  BUS_API_EVENT,
+  CONNECT_NOTIFICATION_EVENT,
+  PROJECT_STATUS,
+  RESOURCES,
+  TIMELINE_REFERENCES,
+} from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project clone', () => {
+  let project;
+  let phase;
+  let product;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    project = await models.Project.create({
+      type: 'generic',
+      directProjectId: 1,
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: PROJECT_STATUS.ACTIVE,
+      details: { summary: 'project details' },
+      terms: ['terms-1'],
+      groups: ['group-1'],
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    await models.ProjectAttachment.create({
+      projectId: project.id,
+      title: 'Test Link 1',
+      size: 123456,
+      category: null,
+      path: 'https://connect.topcoder-dev.com/projects/8600/assets',
+      type: ATTACHMENT_TYPES.LINK,
+      tags: ['tag1'],
+      createdBy: testUtil.userIds.member,
+      updatedBy: 1,
+    });
+    await models.ProjectSetting.create({
+      key: 'markup_topcoder_service',
+      value: '3500',
+      valueType: 'double',
+      projectId: project.id,
+      readPermission: { topcoderRoles: ['administrator'] },
+      writePermission: { topcoderRoles: ['administrator'] },
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    const workStream = await models.WorkStream.create({
+      name: 'Work Stream',
+      type: 'generic',
+      status: 'active',
+      projectId: project.id,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    phase = await models.ProjectPhase.create({
+      name: 'test project phase',
+      projectId: project.id,
+      status: 'active',
+      startDate: '2018-05-15T00:00:00Z',
+      endDate: '2018-05-20T00:00:00Z',
+      budget: 20.0,
+      spentBudget: 10.0,
+      progress: 50,
+      details: { message: 'This can be any json' },
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.PhaseWorkStream.create({ phaseId: phase.id, workStreamId: workStream.id });
+    product = await models.PhaseProduct.create({
+      name: 'test phase product',
+      projectId: project.id,
+      phaseId: phase.id,
+      templateId: 1,
+      type: 'generic-product',
+      estimatedPrice: 20.0,
+      actualPrice: 15.0,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    const timeline = await models.Timeline.create({
+      name: 'name 1',
+      startDate: '2018-05-15T00:00:00Z',
+      endDate: '2018-05-20T00:00:00Z',
+      reference: TIMELINE_REFERENCES.PRODUCT,
+      referenceId: product.id,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.Milestone.create({
+      timelineId: timeline.id,
+      name: 'milestone 1',
+      duration: 3,
+      startDate: '2018-05-15T00:00:00Z',
+      endDate: '2018-05-17T00:00:00Z',
+      completionDate: '2018-05-17T00:00:00Z',
+      status: PROJECT_STATUS.COMPLETED,
+      type: 'type1',
+      order: 1,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/{id}/clone', () => {
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .send({})
+        .expect(403, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .post('/v5/projects/999999/clone')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({})
+        .expect(404, done);
+    });
+
+    it('should return 400 if both shiftDays and startDate are provided', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ shiftDays: 10, startDate: '2019-01-01T00:00:00Z' })
+        .expect(400, done);
+    });
+
+    it('should return 201 and clone project with phases, products, timelines and settings', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ name: 'cloned project', shiftDays: 10 })
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      const resJson = res.body;
+      resJson.id.should.not.be.eql(project.id);
+      resJson.name.should.be.eql('cloned project');
+      resJson.status.should.be.eql(PROJECT_STATUS.IN_REVIEW);
+      resJson.details.should.be.eql(project.details);
+      resJson.terms.should.be.eql(['terms-1']);
+      resJson.groups.should.be.eql(['group-1']);
+      should.not.exist(resJson.directProjectId);
+      should.not.exist(resJson.attachments);
+
+      // only the user who cloned the project becomes a member
+      const members = await models.ProjectMember.getActiveProjectMembers(resJson.id);
+      members.should.have.lengthOf(1);
+      members[0].userId.should.be.eql(testUtil.userIds.copilot);
+
+      resJson.phases.should.have.lengthOf(1);
+      const newPhase = resJson.phases[0];
+      newPhase.status.should.be.eql(PROJECT_STATUS.DRAFT);
+      newPhase.budget.should.be.eql(20);
+      newPhase.spentBudget.should.be.eql(0);
+      new Date(newPhase.startDate).toISOString().should.be.eql('2018-05-25T00:00:00.000Z');
+      new Date(newPhase.endDate).toISOString().should.be.eql('2018-05-30T00:00:00.000Z');
+      newPhase.products.should.have.lengthOf(1);
+      newPhase.products[0].name.should.be.eql('test phase product');
+      newPhase.products[0].phaseId.should.be.eql(newPhase.id);
+      newPhase.products[0].actualPrice.should.be.eql(0);
+
+      resJson.timelines.should.have.lengthOf(1);
+      const newTimeline = resJson.timelines[0];
+      newTimeline.reference.should.be.eql(TIMELINE_REFERENCES.PRODUCT);
+      newTimeline.referenceId.should.be.eql(newPhase.products[0].id);
+      new Date(newTimeline.startDate).toISOString().should.be.eql('2018-05-25T00:00:00.000Z');
+      newTimeline.milestones.should.have.lengthOf(1);
+      newTimeline.milestones[0].status.should.be.eql(PROJECT_STATUS.REVIEWED);
+      should.not.exist(newTimeline.milestones[0].completionDate);
+      new Date(newTimeline.milestones[0].endDate).toISOString().should.be.eql('2018-05-27T00:00:00.000Z');
+
+      const settings = await models.ProjectSetting.findAll({
+        where: { projectId: resJson.id },
+        includeAllProjectSettingsForInternalUsage: true,
+        raw: true,
+      });
+      settings.should.have.lengthOf(1);
+      settings[0].key.should.be.eql('markup_topcoder_service');
+      settings[0].value.should.be.eql('3500');
+
+      const workStreams = await models.WorkStream.findAll({
+        where: { projectId: resJson.id },
+        include: [{ model: models.ProjectPhase }],
+      });
+      workStreams.should.have.lengthOf(1);
+      workStreams[0].ProjectPhases.should.have.lengthOf(1);
+      workStreams[0].ProjectPhases[0].id.should.be.eql(newPhase.id);
+
+      // the source project stays untouched
+      const sourceProducts = await models.PhaseProduct.getActivePhaseProducts(phase.id);
+      sourceProducts.should.have.lengthOf(1);
+      sourceProducts[0].actualPrice.should.be.eql(15);
+    });
+
+    it('should move all the dates so the project starts on startDate', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ startDate: '2020-01-01T00:00:00Z' })
+        .expect(201);
+
+      const newPhase = res.body.phases[0];
+      new Date(newPhase.startDate).toISOString().should.be.eql('2020-01-01T00:00:00.000Z');
+      new Date(newPhase.endDate).toISOString().should.be.eql('2020-01-06T00:00:00.000Z');
+    });
+
+    it('should return 403 if copied members have not accepted the project terms', async () => {
+      await models.ProjectTermsAcceptance.create({
+        projectId: project.id,
+        userId: testUtil.userIds.member,
+        termsId: 'terms-1',
+        createdBy: testUtil.userIds.member,
+        updatedBy: testUtil.userIds.member,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ includeMembers: true })
+        .expect(403);
+
+      const projectsCount = await models.Project.count();
+      projectsCount.should.be.eql(1);
+    });
+
+    it('should copy members and attachments if requested', async () => {
+      await models.ProjectTermsAcceptance.bulkCreate(_.map([testUtil.userIds.member, testUtil.userIds.copilot],
+        memberId => ({
+          projectId: project.id,
+          userId: memberId,
+          termsId: 'terms-1',
+          createdBy: memberId,
+          updatedBy: memberId,
+        })));
+
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/clone`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ includeMembers: true, includeAttachments: true })
+        .expect(201);
+
+      res.body.attachments.should.have.lengthOf(1);
+      res.body.attachments[0].path.should.be.eql('https://connect.topcoder-dev.com/projects/8600/assets');
+
+      const members = await models.ProjectMember.getActiveProjectMembers(res.body.id);
+      const memberIds = _.map(members, 'userId');
+      memberIds.should.have.members([
+        testUtil.userIds.member,
+        testUtil.userIds.copilot,
+        testUtil.userIds.admin,
+      ]);
+      // admin joins as manager and becomes the primary manager as there are no other managers
+      _.find(members, { userId: testUtil.userIds.admin }).should.include({ role: 'manager', isPrimary: true });
+
+      const acceptances = await models.ProjectTermsAcceptance.findAll({ where: { projectId: res.body.id } });
+      _.map(acceptances, 'userId').should.have.members([testUtil.userIds.member, testUtil.userIds.copilot]);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send the same messages as when project and timelines are created', async () => {
+        const res = await request(server)
+          .post(`/v5/projects/${project.id}/clone`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .send({})
+          .expect(201);
+
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_CREATED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: res.body.id,
+          name: project.name,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.TIMELINE_CREATED, sinon.match({
+          resource: RESOURCES.TIMELINE,
+          id: res.body.timelines[0].id,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.MILESTONE_ADDED, sinon.match({
+          resource: RESOURCES.MILESTONE,
+          id: res.body.timelines[0].milestones[0].id,
+        })).should.be.true;
+        createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.MILESTONE_ADDED).should.be.false;
+      });
+    });
+  });
+});
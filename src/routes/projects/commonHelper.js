@@ -0,0 +1,319 @@
+/**
+ * Common functionality for project endpoints
+ */
+import _ from 'lodash';
+import config from 'config';
+import models from '../../models';
+import util from '../../util';
+import {
+  EVENT,
+  RESOURCES,
+  ROUTES,
+  TIMELINE_REFERENCES,
+  PROJECT_STATUS,
+  PROJECT_PHASE_STATUS,
+  STATUS_HISTORY_REFERENCES,
+} from '../../constants';
+
+const validStatusesBeforePaused = JSON.parse(config.get('VALID_STATUSES_BEFORE_PAUSED'));
+
+/**
+ * Comment of the status history record of phases and milestones which have been paused together with the project,
+ * it's used to only resume the children which have been paused by the project, not on their own.
+ */
+const PAUSED_WITH_PROJECT_COMMENT = 'Paused together with the project';
+
+/**
+ * Build `where` condition to find all the timelines which belong to the project, its phases, works or products.
+ *
+ * @param {Number} projectId  project id
+ * @param {Array}  phaseIds   ids of the project phases (works are phases too)
+ * @param {Array}  productIds ids of the phase products
+ *
+ * @returns {Object} `where` condition for Timeline model
+ */
+function buildProjectTimelinesWhere(projectId, phaseIds, productIds) {
+  return {
+    $or: [
+      { reference: TIMELINE_REFERENCES.PROJECT, referenceId: projectId },
+      { reference: { $in: [TIMELINE_REFERENCES.PHASE, TIMELINE_REFERENCES.WORK] }, referenceId: { $in: phaseIds } },
+      { reference: TIMELINE_REFERENCES.PRODUCT, referenceId: { $in: productIds } },
+    ],
+  };
+}
+
+/**
+ * Find ids of the records using `where` condition.
+ *
+ * @param {Object}      model       sequelize model
+ * @param {Object}      where       `where` condition
+ * @param {Boolean}     paranoid    if `false` deleted records are also returned
+ * @param {Transaction} transaction the transaction
+ *
+ * @returns {Promise<Array>} list of ids
+ */
+async function findIds(model, where, paranoid, transaction) {
+  const records = await model.findAll({ where, attributes: ['id'], paranoid, raw: true, transaction });
+  return _.map(records, 'id');
+}
+
+/**
+ * Soft delete all the project child records: phases, products, members, invites, attachments,
+ * timelines, milestones and relations to/from other projects.
+ *
+ * All the records are marked with the same `deletedAt` as the project,
+ * so we can find them later if we want to restore the project.
+ *
+ * @param {Number}      projectId   project id
+ * @param {Date}        deletedAt   date when the project has been deleted
+ * @param {Number}      deletedBy   user who deleted the project
+ * @param {Transaction} transaction the transaction
+ *
+ * @returns {Promise} promise
+ */
+async function deleteProjectChildren(projectId, deletedAt, deletedBy, transaction) {
+  const active = { deletedAt: { $eq: null } };
+  const phaseIds = await findIds(models.ProjectPhase, { projectId }, true, transaction);
+  const productIds = await findIds(models.PhaseProduct, { projectId }, true, transaction);
+  const timelineIds = await findIds(models.Timeline,
+    buildProjectTimelinesWhere(projectId, phaseIds, productIds), true, transaction);
+
+  const values = { deletedAt, deletedBy };
+  await models.Milestone.update(values, { where: _.assign({ timelineId: timelineIds }, active), transaction });
+  await models.Timeline.update(values, { where: _.assign({ id: timelineIds }, active), transaction });
+  await Promise.all([
+    models.PhaseProduct,
+    models.ProjectPhase,
+    models.ProjectMember,
+    models.ProjectMemberInvite,
+    models.ProjectAttachment,
+  ].map(model => model.update(values, { where: _.assign({ projectId }, active), transaction })));
+  await models.ProjectRelation.update(values, {
+    where: _.assign({ $or: [{ projectId }, { relatedProjectId: projectId }] }, active),
+    transaction,
+  });
+}
+
+/**
+ * Restore all the project child records which have been deleted together with the project.
+ * The same way as records are deleted, they are restored by updating `deletedAt` together with `deletedBy`.
+ *
+ * @param {Number}      projectId   project id
+ * @param {Date}        deletedAt   date when the project has been deleted
+ * @param {Transaction} transaction the transaction
+ *
+ * @returns {Promise} promise
+ */
+async function restoreProjectChildren(projectId, deletedAt, transaction) {
+  const deletedWithProject = { projectId, deletedAt };
+  const phaseIds = await findIds(models.ProjectPhase, deletedWithProject, false, transaction);
+  const productIds = await findIds(models.PhaseProduct, deletedWithProject, false, transaction);
+  const timelineIds = await findIds(models.Timeline, _.assign(
+    buildProjectTimelinesWhere(projectId, phaseIds, productIds),
+    { deletedAt },
+  ), false, transaction);
+
+  const values = { deletedAt: null, deletedBy: null };
+  const options = { paranoid: false, transaction };
+  await models.Timeline.update(values, _.assign({ where: { id: timelineIds, deletedAt } }, options));
+  await models.Milestone.update(values, _.assign({ where: { timelineId: timelineIds, deletedAt } }, options));
+  await Promise.all([
+    models.PhaseProduct,
+    models.ProjectPhase,
+    models.ProjectMember,
+    models.ProjectMemberInvite,
+    models.ProjectAttachment,
+  ].map(model => model.update(values, _.assign({ where: deletedWithProject }, options))));
+  await models.ProjectRelation.update(values, _.assign({
+    where: { $or: [{ projectId }, { relatedProjectId: projectId }], deletedAt },
+  }, options));
+}
+
+/**
+ * Get the status which phase or milestone had before it has been paused together with the project.
+ *
+ * The same way as milestone `resume` does, the previous status is taken from the status history.
+ *
+ * @param {String}      reference   status history reference
+ * @param {Number}      referenceId phase or milestone id
+ * @param {Transaction} transaction the transaction
+ *
+ * @returns {Promise<String|null>} previous status, or `null` if it wasn't paused together with the project
+ */
+async function getStatusBeforePausedWithProject(reference, referenceId, transaction) {
+  const statusHistory = await models.StatusHistory.findAll({
+    where: { reference, referenceId },
+    order: [['createdAt', 'desc'], ['id', 'desc']],
+    attributes: ['status', 'comment'],
+    limit: 2,
+    raw: true,
+    transaction,
+  });
+  if (
+    statusHistory.length !== 2 ||
+    statusHistory[0].status !== PROJECT_STATUS.PAUSED ||
+    statusHistory[0].comment !== PAUSED_WITH_PROJECT_COMMENT
+  ) {
+    return null;
+  }
+
+  return statusHistory[1].status;
+}
+
+/**
+ * Get the status which phase or milestone should get when the project status is changed.
+ *
+ * @param {String}      reference      status history reference
+ * @param {Object}      child          phase or milestone
+ * @param {String}      originalStatus original project status
+ * @param {String}      status         new project status
+ * @param {Transaction} transaction    the transaction
+ *
+ * @returns {Promise<String|null>} new status, or `null` if status shouldn't be changed
+ */
+async function getCascadedStatus(reference, child, originalStatus, status, transaction) {
+  if (status === PROJECT_STATUS.CANCELLED) {
+    return _.includes([PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED], child.status)
+      ? null
+      : PROJECT_STATUS.CANCELLED;
+  }
+
+  if (status === PROJECT_STATUS.PAUSED) {
+    return _.includes(validStatusesBeforePaused, child.status) ? PROJECT_STATUS.PAUSED : null;
+  }
+
+  if (originalStatus === PROJECT_STATUS.PAUSED && child.status === PROJECT_STATUS.PAUSED) {
+    return getStatusBeforePausedWithProject(reference, child.id, transaction);
+  }
+
+  return null;
+}
+
+/**
+ * Propagate the new project status to the project phases, works and milestones.
+ *
+ * - pausing the project pauses active phases and milestones
+ * - resuming the project restores the statuses which phases and milestones had before pausing the project
+ * - cancelling the project cancels all phases and milestones which are not completed
+ *
+ * Phases don't record their status history on their own, so we record it here to be able to resume them.
+ *
+ * @param {Number}      projectId      project id
+ * @param {String}      originalStatus original project status
+ * @param {String}      status         new project status
+ * @param {Number}      userId         user who updates the project
+ * @param {Transaction} transaction    the transaction
+ *
+ * @returns {Promise<Object>} `{ phases, milestones }` lists of `{ original, updated }` objects
+ */
+async function cascadeProjectStatus(projectId, originalStatus, status, userId, transaction) {
+  const cascaded = { phases: [], milestones: [] };
+  if (
+    status === originalStatus ||
+    (originalStatus !== PROJECT_STATUS.PAUSED && !_.includes([PROJECT_STATUS.PAUSED, PROJECT_STATUS.CANCELLED], status))
+  ) {
+    return cascaded;
+  }
+
+  const phases = await models.ProjectPhase.findAll({ where: { projectId }, transaction });
+  const productIds = await findIds(models.PhaseProduct, { projectId }, true, transaction);
+  const timelineIds = await findIds(models.Timeline,
+    buildProjectTimelinesWhere(projectId, _.map(phases, 'id'), productIds), true, transaction);
+  const milestones = await models.Milestone.findAll({ where: { timelineId: timelineIds }, transaction });
+  const comment = status === PROJECT_STATUS.PAUSED ? PAUSED_WITH_PROJECT_COMMENT : null;
+
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const phase of phases) {
+    const newStatus = await getCascadedStatus(STATUS_HISTORY_REFERENCES.PHASE, phase, originalStatus, status,
+      transaction);
+    if (newStatus) {
+      const original = _.omit(phase.toJSON(), ['deletedBy', 'deletedAt']);
+      const statusHistory = [{ status: newStatus, comment }];
+      if (newStatus === PROJECT_PHASE_STATUS.PAUSED) {
+        // record the current status, so we can restore it when the project is resumed
+        statusHistory.unshift({ status: phase.status, comment: null });
+      }
+      await phase.update({ status: newStatus, updatedBy: userId }, { transaction });
+      await models.StatusHistory.bulkCreate(_.map(statusHistory, record => _.assign({
+        reference: STATUS_HISTORY_REFERENCES.PHASE,
+        referenceId: phase.id,
+        createdBy: userId,
+        updatedBy: userId,
+      }, record)), { transaction });
+      cascaded.phases.push({ original, updated: _.omit(phase.toJSON(), ['deletedBy', 'deletedAt']) });
+    }
+  }
+
+  for (const milestone of milestones) {
+    const newStatus = await getCascadedStatus(STATUS_HISTORY_REFERENCES.MILESTONE, milestone, originalStatus, status,
+      transaction);
+    if (newStatus) {
+      const original = _.omit(milestone.toJSON(), ['deletedBy', 'deletedAt']);
+      // milestone records its status history with the `comment` on its own
+      await milestone.update({ status: newStatus, updatedBy: userId }, { comment, transaction });
+      cascaded.milestones.push({ original, updated: _.omit(milestone.toJSON(), ['deletedBy', 'deletedAt']) });
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+  return cascaded;
+}
+
+/**
+ * Send events for phases and milestones which have been updated together with the project status,
+ * see `cascadeProjectStatus`. They are not sent to Notification Service as the main event is updating the project.
+ *
+ * @param {Object} req      the request
+ * @param {Object} cascaded `{ phases, milestones }` returned by `cascadeProjectStatus`
+ *
+ * @returns {undefined}
+ */
+function sendCascadedStatusEvents(req, cascaded) {
+  _.each(cascaded.phases, ({ original, updated }) => util.sendResourceToKafkaBus(
+    req,
+    EVENT.ROUTING_KEY.PROJECT_PHASE_UPDATED,
+    RESOURCES.PHASE,
+    updated,
+    original,
+    ROUTES.PHASES.UPDATE,
+    true,
+  ));
+  _.each(cascaded.milestones, ({ original, updated }) => util.sendResourceToKafkaBus(
+    req,
+    EVENT.ROUTING_KEY.MILESTONE_UPDATED,
+    RESOURCES.MILESTONE,
+    updated,
+    original,
+    null,
+    true,
+  ));
+}
+
+/**
+ * Validate the cancel reason against the cancel reasons taxonomy, only enabled cancel reasons are allowed.
+ *
+ * @param {String} cancelReason  cancel reason code
+ * @param {String} cancelComment free-text comment of the cancel reason
+ *
+ * @returns {Promise} promise which is rejected with 400 error if cancel reason is not valid
+ */
+async function validateCancelReason(cancelReason, cancelComment) {
+  const cancelReasons = await models.CancelReason.findAll({ where: { disabled: false }, raw: true });
+  const reason = _.find(cancelReasons, { code: cancelReason });
+  if (!reason) {
+    throw util.buildApiError(`Cancel reason "${cancelReason}" is not valid, allowed reasons: ` +
+      `${_.map(cancelReasons, 'code').join(', ')}.`, 400);
+  }
+  if (reason.requiresComment && !cancelComment) {
+    throw util.buildApiError(`Cancel reason "${cancelReason}" requires "cancelComment".`, 400);
+  }
+}
+
+module.exports = {
+  buildProjectTimelinesWhere,
+  deleteProjectChildren,
+  restoreProjectChildren,
+  cascadeProjectStatus,
+  sendCascadedStatusEvents,
+  validateCancelReason,
+};
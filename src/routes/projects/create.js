@@ -3,7 +3,6 @@
 import validate from 'express-validation';
 import _ from 'lodash';
 import Joi from 'joi';
-import config from 'config';
 import moment from 'moment';
 
 import models from '../../models';
@@ -12,6 +11,8 @@ import { PROJECT_MEMBER_ROLE, PROJECT_STATUS, PROJECT_PHASE_STATUS,
 import fieldLookupValidation from '../../middlewares/fieldLookupValidation';
 import util from '../../util';
 import { PERMISSION } from '../../permissions/constants';
+import { validateTemplatePhaseProducts } from '../phaseProducts/commonHelper';
+import { setOverrideIfValuesSet } from '../phases/commonHelper';
 
 const traverse = require('traverse');
 
@@ -45,6 +46,7 @@ const createProjectValidations = {
     })).optional().allow(null),
     estimatedPrice: Joi.number().precision(2).positive().optional()
       .allow(null),
+    priceOverride: Joi.boolean().optional(),
     terms: Joi.array().items(Joi.string()).optional(),
     groups: Joi.array().items(Joi.string()).optional(),
     external: Joi.object().keys({
@@ -262,6 +264,7 @@ function createProjectAndPhases(req, project, projectTemplate, productTemplates,
             endDate: moment.utc(startDate).add(duration - 1, 'days').format(),
             status: _.get(phase, 'status', PROJECT_PHASE_STATUS.DRAFT),
             budget: _.get(phase, 'budget', 0),
+            templatePhaseKey: phase.templatePhaseKey,
             updatedBy: req.authUser.userId,
             createdBy: req.authUser.userId,
           }).then((newPhase) => {
@@ -293,6 +296,17 @@ function createProjectAndPhases(req, project, projectTemplate, productTemplates,
     .then(() => Promise.resolve(result));
 }
 
+/**
+ * Get the list of phase definitions from `phases` of the project template or from `config` of its plan config.
+ * Each phase definition gets `templatePhaseKey`, so the created phase can be matched with its definition later.
+ *
+ * @param {Object} phases phase definitions by key
+ * @returns {Array} list of phase definitions
+ */
+function getPhasesList(phases) {
+  return _.map(_.omit(phases, 'workstreamsConfig'), (phase, templatePhaseKey) => _.assign({ templatePhaseKey }, phase));
+}
+
 /**
  * Validates the project and product templates for the give project template id.
  *
@@ -317,7 +331,7 @@ function validateAndFetchTemplates(templateId) {
     // for old projectTemplate with `phases` just get phases config directly from projectTemplate
       if (projectTemplate.phases) {
       // for now support both ways: creating phases and creating workstreams
-        const phasesList = _(projectTemplate.phases).omit('workstreamsConfig').values().value();
+        const phasesList = getPhasesList(projectTemplate.phases);
         const workstreamsConfig = _.get(projectTemplate.phases, 'workstreamsConfig');
 
         return { projectTemplate, phasesList, workstreamsConfig };
@@ -333,7 +347,7 @@ function validateAndFetchTemplates(templateId) {
           }
 
           // for now support both ways: creating phases and creating workstreams
-          const phasesList = _(planConfig.config).omit('workstreamsConfig').values().value();
+          const phasesList = getPhasesList(planConfig.config);
           const workstreamsConfig = _.get(planConfig.config, 'workstreamsConfig');
 
           return { projectTemplate, phasesList, workstreamsConfig };
@@ -343,37 +357,27 @@ function validateAndFetchTemplates(templateId) {
       return { projectTemplate };
     })
     .then(({ projectTemplate, phasesList, workstreamsConfig }) => {
-      const productPromises = [];
-      if (phasesList) {
-        phasesList.forEach((phase) => {
-        // Make sure number of products of per phase <= max value
-          const productCount = _.isArray(phase.products) ? phase.products.length : 0;
-          if (productCount > config.maxPhaseProductCount) {
-            const apiErr = new Error(`Number of products per phase cannot exceed ${config.maxPhaseProductCount}`);
-            apiErr.status = 400;
-            throw apiErr;
-          }
-          _.map(phase.products, (product) => {
-            productPromises.push(models.ProductTemplate.findByPk(product.id)
-              .then((productTemplate) => {
-                if (!productTemplate) {
-                  // Not found
-                  const apiErr = new Error(`Product template not found for id ${product.id}`);
-                  apiErr.status = 400;
-                  return Promise.reject(apiErr);
-                }
-                return Promise.resolve(productTemplate);
-              }));
-          });
-        });
-      }
-      if (productPromises.length > 0) {
-        return Promise.all(productPromises).then(productTemplates => (
-          { projectTemplate, productTemplates, phasesList, workstreamsConfig }
-        ));
-      }
-      // if there is no phase or product in a phase is specified, return empty product templates
-      return Promise.resolve({ projectTemplate, productTemplates: [], phasesList, workstreamsConfig });
+      // validate products of each phase against the constraints of its phase definition
+      const phasePromises = _.map(phasesList, phase => Promise.all(_.map(phase.products, product =>
+        models.ProductTemplate.findByPk(product.id)
+          .then((productTemplate) => {
+            if (!productTemplate) {
+              // Not found
+              const apiErr = new Error(`Product template not found for id ${product.id}`);
+              apiErr.status = 400;
+              return Promise.reject(apiErr);
+            }
+            return Promise.resolve(productTemplate);
+          }),
+      )).then((phaseProductTemplates) => {
+        validateTemplatePhaseProducts(phase, phaseProductTemplates);
+        return phaseProductTemplates;
+      }));
+
+      // if there is no phase or product in a phase is specified, product templates are empty
+      return Promise.all(phasePromises).then(productTemplates => (
+        { projectTemplate, productTemplates: _.flatten(productTemplates), phasesList, workstreamsConfig }
+      ));
     });
 }
 
@@ -414,6 +418,8 @@ module.exports = [
       external: null,
       utm: null,
     });
+    // price set manually shouldn't be recalculated from the phase budgets
+    setOverrideIfValuesSet(project, ['estimatedPrice'], 'priceOverride');
     traverse(project).forEach(function (x) { // eslint-disable-line func-names
       // keep the raw '&&' string in conditions string in estimation
       const isEstimationCondition =
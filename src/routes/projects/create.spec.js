@@ -207,6 +207,82 @@ describe('Project create', () => {
           createdBy: 1,
           updatedBy: 2,
         },
+        {
+          id: 5,
+          name: 'template with product constraints',
+          key: 'key 5',
+          category: 'category 5',
+          icon: 'http://example.com/icon5.ico',
+          question: 'question 5',
+          info: 'info 5',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              minProducts: 1,
+              maxProducts: 2,
+              productCategories: ['generic'],
+              products: [
+                {
+                  id: 21,
+                  name: 'product 1',
+                },
+                {
+                  id: 22,
+                  name: 'product 2',
+                },
+              ],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 2,
+        },
+        {
+          id: 6,
+          name: 'template with too few products',
+          key: 'key 6',
+          category: 'category 6',
+          icon: 'http://example.com/icon6.ico',
+          question: 'question 6',
+          info: 'info 6',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              minProducts: 1,
+              products: [],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 2,
+        },
+        {
+          id: 7,
+          name: 'template with not allowed product category',
+          key: 'key 7',
+          category: 'category 7',
+          icon: 'http://example.com/icon7.ico',
+          question: 'question 7',
+          info: 'info 7',
+          aliases: [],
+          scope: {},
+          phases: {
+            phase1: {
+              name: 'phase 1',
+              productCategories: ['design'],
+              products: [
+                {
+                  id: 21,
+                  name: 'product 1',
+                },
+              ],
+            },
+          },
+          createdBy: 1,
+          updatedBy: 2,
+        },
       ]))
       .then(() => models.BuildingBlock.bulkCreate([
         {
@@ -375,6 +451,28 @@ describe('Project create', () => {
         .expect(400, done);
     });
 
+    it('should return 400 if phase has less products than the phase definition requires', (done) => {
+      request(server)
+        .post('/v5/projects')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send(_.merge({ templateId: 6 }, body))
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 400 if product category is not allowed by the phase definition', (done) => {
+      request(server)
+        .post('/v5/projects')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send(_.merge({ templateId: 7 }, body))
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
     it('should return 400 with wrong format estimation field', (done) => {
       const invalidBody = _.cloneDeep(body);
       invalidBody.estimation = [
@@ -724,6 +822,46 @@ describe('Project create', () => {
             phases[0].products.should.have.lengthOf(1);
             phases[0].products[0].name.should.be.eql('product 1');
             phases[0].products[0].templateId.should.be.eql(21);
+            phases[0].templatePhaseKey.should.be.eql('1');
+            done();
+          }
+        });
+    });
+
+    it('should create phase with more products than default max value if phase definition allows', (done) => {
+      const mockHttpClient = _.merge(testUtil.mockHttpClient, {
+        post: () => Promise.resolve({
+          status: 200,
+          data: {
+            id: 'requesterId',
+            version: 'v3',
+            result: {
+              success: true,
+              status: 200,
+              content: {
+                projectId: 128,
+              },
+            },
+          },
+        }),
+      });
+      sandbox.stub(util, 'getHttpClient', () => mockHttpClient);
+      request(server)
+        .post('/v5/projects')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send(_.merge({ templateId: 5 }, body))
+        .expect('Content-Type', /json/)
+        .expect(201)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+          } else {
+            const resJson = res.body;
+            resJson.phases.should.have.lengthOf(1);
+            resJson.phases[0].templatePhaseKey.should.be.eql('phase1');
+            _.map(resJson.phases[0].products, 'templateId').sort().should.be.eql([21, 22]);
             done();
           }
         });
@@ -3,6 +3,8 @@ import _ from 'lodash';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import { EVENT, RESOURCES } from '../../constants';
 import models from '../../models';
+import etag from '../../middlewares/etag';
+import { deleteProjectChildren } from './commonHelper';
 
 /**
  * API to delete a project member.
@@ -16,8 +18,8 @@ module.exports = [
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
 
-    models.sequelize.transaction(() =>
-      models.Project.findByPk(req.params.projectId)
+    models.sequelize.transaction(transaction =>
+      etag.lockAndCheckIfMatch(req, models.Project, { id: projectId }, transaction)
         .then((entity) => {
           if (!entity) {
             const apiErr = new Error(`Project not found for id ${projectId}`);
@@ -25,9 +27,12 @@ module.exports = [
             return Promise.reject(apiErr);
           }
           // Update the deletedBy, then delete
-          return entity.update({ deletedBy: req.authUser.userId });
+          return entity.update({ deletedBy: req.authUser.userId }, { transaction });
         })
-        .then(project => project.destroy({ cascade: true })))
+        .then(project => project.destroy({ cascade: true, transaction }))
+        // soft delete child records with the same `deletedAt` so they could be restored together with the project
+        .then(project => deleteProjectChildren(project.id, project.deletedAt, req.authUser.userId, transaction)
+          .then(() => project)))
       .then((project) => {
         // emit event
         req.app.emit(EVENT.ROUTING_KEY.PROJECT_DELETED,
@@ -6,6 +6,8 @@ import models from '../../models';
 import server from '../../app';
 import testUtil from '../../tests/util';
 
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
 const expectAfterDelete = (id, err, next) => {
   if (err) throw err;
   setTimeout(() =>
@@ -161,5 +163,31 @@ describe('Project delete test', () => {
           expectAfterDelete(project1.id, err, done);
         });
     });
+
+    it('should also remove project members with the same deletion date as the project', (done) => {
+      request(server)
+        .delete(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(204)
+        .end((err) => {
+          if (err) {
+            done(err);
+          } else {
+            Promise.all([
+              models.Project.findByPk(project1.id, { paranoid: false }),
+              models.ProjectMember.findAll({ where: { projectId: project1.id }, paranoid: false }),
+            ]).then(([project, members]) => {
+              members.should.have.lengthOf(4);
+              members.forEach((member) => {
+                member.deletedAt.should.be.eql(project.deletedAt);
+                member.deletedBy.should.be.eql(testUtil.userIds.admin);
+              });
+              done();
+            }).catch(done);
+          }
+        });
+    });
   });
 });
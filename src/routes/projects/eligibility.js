@@ -0,0 +1,61 @@
+/**
+ * API to resolve users who are eligible for the challenge role in the project.
+ *
+ * Merges users listed in `challengeEligibility` for the role with the members of the listed groups.
+ * If the project doesn't have `challengeEligibility` for the role, the role is not `restricted`.
+ *
+ * Permissions:
+ * Only users that have access to the project can retrieve it.
+ */
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { hasAccessToProjectGroups } from '../../utils/groups';
+import { getEligibleUserIds } from '../../utils/challengeEligibility';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  query: {
+    role: Joi.string().valid('submitter', 'reviewer', 'copilot').required(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('project.view'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const role = req.query.role;
+
+    try {
+      const project = await models.Project.findOne({
+        where: { id: projectId },
+        attributes: ['id', 'groups', 'challengeEligibility'],
+        raw: true,
+      });
+      if (!project) {
+        throw util.buildApiError(`project not found for id ${projectId}`, 404);
+      }
+      if (!await hasAccessToProjectGroups(req, project.groups)) {
+        throw util.buildApiError('You do not have permissions to perform this action', 403);
+      }
+
+      const userIds = await getEligibleUserIds(project, role, req.log, req.id);
+      res.json({
+        projectId,
+        role,
+        restricted: _.some(project.challengeEligibility, { role }),
+        userIds,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+];
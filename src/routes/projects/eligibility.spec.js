@@ -0,0 +1,145 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import { invalidateEligibility } from '../../utils/challengeEligibility';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project challenge eligibility', () => {
+  let project;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      challengeEligibility: [{
+        role: 'submitter',
+        users: [40051331, 40051399],
+        groups: [1001],
+      }, {
+        role: 'submitter',
+        groups: [1002],
+      }, {
+        role: 'reviewer',
+        users: [40051335],
+      }],
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.create({
+      userId: testUtil.userIds.member,
+      projectId: project.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    // projects ids are reused after cleaning DB, so make sure we don't get eligibility of the previous test
+    invalidateEligibility(project.id);
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/{id}/eligibility', () => {
+    it('should return 403 for anonymous user', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=submitter`)
+        .expect(403, done);
+    });
+
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=submitter`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 400 if role is missing or invalid', (done) => {
+      request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=customer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(400, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .get('/v5/projects/9999/eligibility?role=submitter')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return explicit users merged with the members of the groups', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=submitter`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect(200);
+
+      res.body.projectId.should.equal(project.id);
+      res.body.role.should.equal('submitter');
+      res.body.restricted.should.be.true;
+      res.body.userIds.should.have.members([40051331, 40051399, 40051332, 40051334]);
+      res.body.userIds.should.have.lengthOf(4);
+    });
+
+    it('should return not restricted role without users', async () => {
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=copilot`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.restricted.should.be.false;
+      res.body.userIds.should.be.empty;
+    });
+
+    it('should cache eligible users until challengeEligibility is updated', async () => {
+      const getEligibility = () => request(server)
+        .get(`/v5/projects/${project.id}/eligibility?role=reviewer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      let res = await getEligibility();
+      res.body.userIds.should.eql([40051335]);
+
+      // updating DB directly doesn't trigger PROJECT_UPDATED, so the cached users are returned
+      await project.update({ challengeEligibility: [{ role: 'reviewer', groups: [1001] }] });
+      res = await getEligibility();
+      res.body.userIds.should.eql([40051335]);
+
+      await request(server)
+        .patch(`/v5/projects/${project.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ challengeEligibility: [{ role: 'reviewer', users: [40051336], groups: [1002] }] })
+        .expect(200);
+      res = await getEligibility();
+      res.body.userIds.should.have.members([40051336, 40051332, 40051334]);
+    });
+  });
+});
@@ -5,6 +5,8 @@ import models from '../../models';
 import util from '../../util';
 import { PERMISSION } from '../../permissions/constants';
 import permissionUtils from '../../utils/permissions';
+import { hasAccessToProjectGroups } from '../../utils/groups';
+import etag from '../../middlewares/etag';
 
 const ES_PROJECT_INDEX = config.get('elasticsearchConfig.indexName');
 const ES_PROJECT_TYPE = config.get('elasticsearchConfig.docType');
@@ -201,6 +203,24 @@ const retrieveProjectFromDB = (projectId, req) => {
 
 module.exports = [
   permissions('project.view'),
+  /*
+   * Projects restricted to groups are visible only to the users of these groups
+   */
+  (req, res, next) => models.Project.findOne({
+    where: { id: req.params.projectId },
+    attributes: ['groups'],
+    raw: true,
+  })
+    // if project is not found, it's handled below
+    .then(project => hasAccessToProjectGroups(req, _.get(project, 'groups')))
+    .then((hasAccess) => {
+      if (!hasAccess) {
+        throw util.buildApiError('You do not have permissions to perform this action', 403);
+      }
+      next();
+    })
+    .catch(next),
+  etag.setETag,
   /*
    * GET projects/{projectId}
    * Get a project by id
@@ -398,6 +398,60 @@ describe('GET Project', () => {
         });
     });
 
+    describe('Project groups', () => {
+      // groups of the users are defined by `localUserGroups` in the test config
+      before(() => project2.update({ groups: ['group-2'] }));
+
+      after(() => project2.update({ groups: [] }));
+
+      it('should return 403 if project member does not belong to any of the project groups', (done) => {
+        request(server)
+          .get(`/v5/projects/${project2.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member2}`,
+          })
+          .expect(403)
+          .end(done);
+      });
+
+      it('should return the project for manager who belongs to the project group', (done) => {
+        request(server)
+          .get(`/v5/projects/${project2.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.manager}`,
+          })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              done(err);
+            } else {
+              res.body.id.should.be.eql(project2.id);
+              done();
+            }
+          });
+      });
+
+      it('should return 403 for manager who does not belong to any of the project groups', async () => {
+        await project2.update({ groups: ['group-3'] });
+
+        await request(server)
+          .get(`/v5/projects/${project2.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.manager}`,
+          })
+          .expect(403);
+      });
+
+      it('should return the project for administrator regardless of the project groups', (done) => {
+        request(server)
+          .get(`/v5/projects/${project2.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .expect(200, done);
+      });
+    });
+
     describe('URL Query fields', () => {
       it('should not return "email" for project members when "fields" query param is not defined (to non-admin users)', (done) => {
         request(server)
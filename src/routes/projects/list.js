@@ -2,10 +2,22 @@ import _ from 'lodash';
 import config from 'config';
 
 import models from '../../models';
-import { INVITE_STATUS, PROJECT_MEMBER_NON_CUSTOMER_ROLES } from '../../constants';
+import {
+  INVITE_STATUS,
+  PROJECT_MEMBER_NON_CUSTOMER_ROLES,
+  PROJECT_MEMBER_MANAGER_ROLES,
+  PROJECT_MEMBER_ROLE,
+  PROJECT_AGGREGATIONS,
+  PROJECT_AGGREGATION_TYPE,
+  PROJECT_AGGREGATION_INTERVALS,
+  PROJECT_RANGE_FILTERS,
+  PROJECT_RANGE_FILTER_OPERATORS,
+  PROJECT_RELATION_TYPE,
+} from '../../constants';
 import util from '../../util';
 import { PERMISSION } from '../../permissions/constants';
 import permissionUtils from '../../utils/permissions';
+import { getVisibleGroupIds } from '../../utils/groups';
 
 const ES_PROJECT_INDEX = config.get('elasticsearchConfig.indexName');
 const ES_PROJECT_TYPE = config.get('elasticsearchConfig.docType');
@@ -59,8 +71,89 @@ const SUPPORTED_FILTERS = [
   'customer',
   'manager',
   'directProjectId',
+  'billingAccountId',
+  'templateId',
+  'groups',
+  'parentProjectId',
+  ...PROJECT_RANGE_FILTERS,
 ];
 
+// matches query param names of range filters like `createdAt>=`, see `parseRangeFilters`
+const RANGE_FILTER_REGEXP = new RegExp(`^(${PROJECT_RANGE_FILTERS.join('|')})(>=|<=|>|<)(.*)$`);
+
+// maximum number of buckets returned by terms aggregations
+const AGGREGATION_SIZE = 100;
+
+// project roles of the members counted by `manager` aggregation, observers only watch the project
+const AGGREGATION_MANAGER_ROLES = _.without(PROJECT_MEMBER_MANAGER_ROLES, PROJECT_MEMBER_ROLE.OBSERVER);
+
+/**
+ * Parse range filters like `createdAt>=2020-01-01` or `lastActivityAt<2020-01-01`.
+ *
+ * As `=` separates query param names and values, such filters come to us in a different form:
+ * `createdAt>=2020-01-01` is parsed as `{ 'createdAt>': '2020-01-01' }`
+ * and `lastActivityAt<2020-01-01` is parsed as `{ 'lastActivityAt<2020-01-01': '' }`.
+ * Encoded operators like `createdAt%3E%3D=2020-01-01` are supported too.
+ *
+ * @param  {Object}     filters           filters from the request query
+ * @return {Object}                       filters where range filters are converted to `{ createdAt: { $gte: Date } }`
+ *                                        or `null` if some range filter is invalid
+ */
+const parseRangeFilters = (filters) => {
+  const parsedFilters = {};
+  let valid = true;
+
+  _.forEach(filters, (value, key) => {
+    const match = key.match(RANGE_FILTER_REGEXP);
+    if (!match) {
+      // date fields can be only used with range operators
+      valid = valid && !_.includes(PROJECT_RANGE_FILTERS, key);
+      parsedFilters[key] = value;
+      return;
+    }
+
+    const [, field, operator, valueInKey] = match;
+    // if there is no value in the param name, then `=` has been used as a separator
+    const fullOperator = !valueInKey && operator.length === 1 ? `${operator}=` : operator;
+    const date = new Date(valueInKey || value);
+    if ((!valueInKey && !_.isString(value)) || _.isNaN(date.getTime())) {
+      valid = false;
+      return;
+    }
+
+    _.set(parsedFilters, [field, PROJECT_RANGE_FILTER_OPERATORS[fullOperator]], date);
+  });
+
+  return valid ? parsedFilters : null;
+};
+
+/**
+ * Encode cursor which is returned to the client to get the next page
+ *
+ * @param  {Object}     cursor            cursor data: `sort`, `after` - sort values of the last project
+ *                                        and `source` - where the projects have been retrieved from `es` or `db`
+ * @return {String}                       opaque cursor string
+ */
+const encodeCursor = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64');
+
+/**
+ * Decode cursor passed by the client
+ *
+ * @param  {String}     cursorStr         opaque cursor string, see `encodeCursor`
+ * @return {Object}                       cursor data or `null` if cursor is invalid
+ */
+const decodeCursor = (cursorStr) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(cursorStr, 'base64').toString());
+    if (!_.isString(cursor.sort) || !_.isArray(cursor.after) || !_.includes(['es', 'db'], cursor.source)) {
+      return null;
+    }
+    return cursor;
+  } catch (err) {
+    return null;
+  }
+};
+
 /**
   * ES need to skip special chars else it is considered as RegEx or other ES query string syntax,
   * see https://www.elastic.co/guide/en/elasticsearch/reference/current/query-dsl-query-string-query.html
@@ -404,6 +497,62 @@ const parseElasticSearchCriteria = (criteria, fields, order) => {
       },
     });
   }
+  _.forEach(['billingAccountId', 'templateId', 'groups'], (field) => {
+    if (_.has(criteria, ['filters', field, '$in'])) {
+      boolQuery.push({
+        terms: {
+          [field]: _.castArray(criteria.filters[field].$in),
+        },
+      });
+    } else if (_.has(criteria, ['filters', field])) {
+      boolQuery.push({
+        term: {
+          [field]: criteria.filters[field],
+        },
+      });
+    }
+  });
+
+  if (_.has(criteria, 'filters.userGroupIds')) {
+    // projects without groups, or projects which have at least one of the groups of the user
+    const groupsShould = [{ bool: { must_not: { exists: { field: 'groups' } } } }];
+    if (!_.isEmpty(criteria.filters.userGroupIds)) {
+      groupsShould.push({ terms: { groups: criteria.filters.userGroupIds } });
+    }
+    boolQuery.push({ bool: { should: groupsShould } });
+  }
+
+  if (_.has(criteria, 'filters.parentProjectId')) {
+    // child projects keep the relation to the parent project
+    const parentProjectIds = _.has(criteria, 'filters.parentProjectId.$in')
+      ? criteria.filters.parentProjectId.$in
+      : [criteria.filters.parentProjectId];
+    boolQuery.push({
+      nested: {
+        path: 'relations',
+        query: {
+          bool: {
+            must: [
+              { term: { 'relations.type': PROJECT_RELATION_TYPE.CHILD } },
+              { terms: { 'relations.relatedProjectId': _.castArray(parentProjectIds) } },
+            ],
+          },
+        },
+      },
+    });
+  }
+
+  _.forEach(PROJECT_RANGE_FILTERS, (field) => {
+    if (_.has(criteria, ['filters', field])) {
+      boolQuery.push({
+        range: {
+          // convert `$gte` to `gte` and so on
+          [field]: _.mapKeys(criteria.filters[field], (value, operator) => operator.substring(1)),
+        },
+      });
+    }
+  });
+
   if (_.has(criteria, 'filters.keyword')) {
     // keyword is a full text search
     // escape special fields from keyword search
@@ -480,6 +629,70 @@ const parseElasticSearchCriteria = (criteria, fields, order) => {
   return searchCriteria;
 };
 
+/**
+ * Build ES aggregations for the requested aggregation names
+ *
+ * @param  {Array}      aggregations      aggregation names, see `PROJECT_AGGREGATIONS`
+ * @param  {String}     interval          interval for date histogram aggregations
+ * @return {Object}                       ES aggregations
+ */
+const buildEsAggregations = (aggregations, interval) => _.fromPairs(_.map(aggregations, (name) => {
+  switch (PROJECT_AGGREGATIONS[name]) {
+    case PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM:
+      return [name, {
+        date_histogram: { field: name, interval, min_doc_count: 1 },
+      }];
+    case PROJECT_AGGREGATION_TYPE.MEMBERS:
+      return [name, {
+        nested: { path: 'members' },
+        aggs: {
+          members: {
+            filter: { terms: { 'members.role': AGGREGATION_MANAGER_ROLES } },
+            aggs: {
+              userIds: {
+                terms: { field: 'members.userId', size: AGGREGATION_SIZE },
+                // count projects, not members
+                aggs: { projects: { reverse_nested: {} } },
+              },
+            },
+          },
+        },
+      }];
+    default:
+      return [name, {
+        terms: { field: name, size: AGGREGATION_SIZE },
+      }];
+  }
+}));
+
+/**
+ * Convert ES aggregations result to the list of buckets `{ key, count }` per aggregation name,
+ * the same format as returned by `Project.searchAggregations`
+ *
+ * @param  {Array}      aggregations      aggregation names, see `PROJECT_AGGREGATIONS`
+ * @param  {Object}     esAggregations    ES aggregations result
+ * @return {Object}                       aggregations
+ */
+const parseEsAggregations = (aggregations, esAggregations) => _.fromPairs(_.map(aggregations, (name) => {
+  switch (PROJECT_AGGREGATIONS[name]) {
+    case PROJECT_AGGREGATION_TYPE.DATE_HISTOGRAM:
+      return [name, _.map(_.get(esAggregations, `${name}.buckets`), bucket => ({
+        key: new Date(bucket.key),
+        count: bucket.doc_count,
+      }))];
+    case PROJECT_AGGREGATION_TYPE.MEMBERS:
+      return [name, _.map(_.get(esAggregations, `${name}.members.userIds.buckets`), bucket => ({
+        key: bucket.key,
+        count: bucket.projects.doc_count,
+      }))];
+    default:
+      return [name, _.map(_.get(esAggregations, `${name}.buckets`), bucket => ({
+        key: bucket.key,
+        count: bucket.doc_count,
+      }))];
+  }
+}));
+
 const retrieveProjectsFromDB = (req, criteria, sort, ffields) => {
   // order by
   const order = sort ? [sort.split(' ')] : [['createdAt', 'asc']];
@@ -493,6 +706,11 @@ const retrieveProjectsFromDB = (req, criteria, sort, ffields) => {
 
   // make sure project.id is part of fields
   if (_.indexOf(fields.projects, 'id') < 0) fields.projects.push('id');
+  // make sure the sort field is part of fields, as we need its value to build the next cursor
+  const addOrderField = criteria.cursor && _.indexOf(fields.projects, order[0][0]) < 0;
+  if (addOrderField) {
+    fields.projects.push(order[0][0]);
+  }
   // add userId to project_members field so it can be used to check READ_PROJECT_MEMBER permission below.
   const addMembersUserId = fields.project_members.length > 0 && _.indexOf(fields.project_members, 'userId') < 0;
   if (addMembersUserId) {
@@ -501,14 +719,40 @@ const retrieveProjectsFromDB = (req, criteria, sort, ffields) => {
   const retrieveAttachments = !req.query.fields || req.query.fields.indexOf('attachments') > -1;
   const retrieveMembers = !req.query.fields || !!fields.project_members.length;
 
-  return models.Project.searchText({
-    filters: criteria.filters,
-    order,
-    limit: criteria.limit,
-    offset: criteria.offset,
-    attributes: _.get(fields, 'projects', null),
-  }, req.log)
-    .then(({ rows, count }) => {
+  return Promise.all([
+    models.Project.searchText({
+      filters: criteria.filters,
+      order,
+      limit: criteria.limit,
+      offset: criteria.offset,
+      after: _.get(criteria, 'cursor.after'),
+      attributes: _.get(fields, 'projects', null),
+    }, req.log),
+    criteria.aggregations ? models.Project.searchAggregations({
+      filters: criteria.filters,
+      aggregations: criteria.aggregations,
+      interval: criteria.aggregationInterval,
+      managerRoles: AGGREGATION_MANAGER_ROLES,
+      size: AGGREGATION_SIZE,
+    }, req.log) : Promise.resolve(undefined),
+  ])
+    .then(([{ rows, count }, aggregations]) => {
+      let nextCursor = null;
+      if (criteria.cursor && rows.length === criteria.limit) {
+        const lastProject = _.last(rows);
+        nextCursor = encodeCursor({
+          sort: criteria.cursor.sort,
+          after: order[0][0] === 'id' ? [lastProject.id] : [lastProject[order[0][0]], lastProject.id],
+          source: 'db',
+        });
+      }
+      if (addOrderField) {
+        // remove the sort field if it was added only to build the next cursor
+        _.forEach(rows, (p) => {
+          const fp = p;
+          delete fp[order[0][0]];
+        });
+      }
       const projectIds = _.map(rows, 'id');
       const promises = [];
       // retrieve members
@@ -557,7 +801,7 @@ const retrieveProjectsFromDB = (req, criteria, sort, ffields) => {
               p.attachments = _.filter(allAttachments, a => a.projectId === p.id);
             }
           });
-          return { rows, count, pageSize: criteria.limit, page: criteria.page };
+          return { rows, count, pageSize: criteria.limit, page: criteria.page, aggregations, nextCursor };
         });
     });
 };
@@ -587,6 +831,23 @@ const retrieveProjects = (req, criteria, sort, ffields) => {
   }
 
   const searchCriteria = parseElasticSearchCriteria(criteria, fields, order) || {};
+  if (criteria.aggregations) {
+    // aggregations are calculated using the same query as used to find projects
+    searchCriteria.body = _.assign({}, searchCriteria.body, {
+      aggs: buildEsAggregations(criteria.aggregations, criteria.aggregationInterval),
+    });
+  }
+  if (criteria.cursor) {
+    // `search_after` requires unique sort values, so we always sort by `id` as the last field
+    delete searchCriteria.from;
+    delete searchCriteria.sort;
+    searchCriteria.body = _.assign({}, searchCriteria.body, {
+      sort: _.map(_.uniq([order[0], 'id']), field => ({ [field]: order[1] })),
+    });
+    if (criteria.cursor.after) {
+      searchCriteria.body.search_after = criteria.cursor.after;
+    }
+  }
   return new Promise((accept, reject) => {
     const es = util.getElasticSearchClient();
     es.search(searchCriteria).then((docs) => {
@@ -629,19 +890,41 @@ const retrieveProjects = (req, criteria, sort, ffields) => {
           }
         });
       }
-      accept({ rows, count: docs.hits.total, pageSize: criteria.limit, page: criteria.page });
+      accept({
+        rows,
+        count: docs.hits.total,
+        pageSize: criteria.limit,
+        page: criteria.page,
+        aggregations: criteria.aggregations ? parseEsAggregations(criteria.aggregations, docs.aggregations) : undefined,
+        nextCursor: criteria.cursor && rows.length === criteria.limit ? encodeCursor({
+          sort: criteria.cursor.sort,
+          after: _.last(docs.hits.hits).sort,
+          source: 'es',
+        }) : null,
+      });
     }).catch(reject);
   });
 };
 
 module.exports = [
+  /*
+   * Retrieve groups of the user, as projects restricted to groups are visible only to the users of these groups
+   */
+  (req, res, next) => getVisibleGroupIds(req)
+    .then((userGroupIds) => {
+      req.context = req.context || {};
+      req.context.userGroupIds = userGroupIds;
+      next();
+    })
+    .catch(next),
   /*
    * GET projects/
    * Return a list of projects that match the criteria
    */
   (req, res, next) => {
     // handle filters
-    let filters = _.omit(req.query, 'sort', 'perPage', 'page', 'fields');
+    let filters = parseRangeFilters(_.omit(req.query,
+      'sort', 'perPage', 'page', 'cursor', 'fields', 'aggregations', 'aggregationInterval'));
 
     let sort = req.query.sort ? decodeURIComponent(req.query.sort) : 'createdAt';
     if (sort && sort.indexOf(' ') === -1) {
@@ -657,10 +940,36 @@ module.exports = [
       'name', 'name asc', 'name desc',
       'type', 'type asc', 'type desc',
     ];
-    if (!util.isValidFilter(filters, SUPPORTED_FILTERS) ||
+    if (!filters || !util.isValidFilter(filters, SUPPORTED_FILTERS) ||
       (sort && _.indexOf(sortableProps, sort) < 0)) {
       return util.handleError('Invalid filters or sort', null, req, next);
     }
+    const aggregations = req.query.aggregations ? _.uniq(req.query.aggregations.split(',')) : undefined;
+    const aggregationInterval = req.query.aggregationInterval || 'month';
+    if (
+      _.difference(aggregations, _.keys(PROJECT_AGGREGATIONS)).length > 0 ||
+      !_.includes(PROJECT_AGGREGATION_INTERVALS, aggregationInterval)
+    ) {
+      const err = new Error('Invalid aggregations. ' +
+        `Supported aggregations: ${_.keys(PROJECT_AGGREGATIONS).join(', ')}. ` +
+        `Supported intervals: ${PROJECT_AGGREGATION_INTERVALS.join(', ')}.`);
+      err.status = 400;
+      return next(err);
+    }
+    // cursor pagination is used if `cursor` param is defined, empty cursor means the first page
+    let cursor;
+    if (_.has(req.query, 'cursor')) {
+      cursor = req.query.cursor ? decodeCursor(req.query.cursor) : { sort };
+      if (sort === 'best match' || !cursor || cursor.sort !== sort) {
+        const err = new Error('Invalid cursor. Cursor can be used only with the same sort as the previous page ' +
+          'and cannot be used with "best match" sort.');
+        err.status = 400;
+        return next(err);
+      }
+    }
+    const setPaginationHeaders = cursor ? util.setCursorPaginationHeaders : util.setPaginationHeaders;
+    // projects which were found in DB are paginated using DB for the next pages too
+    const retrieve = _.get(cursor, 'source') === 'db' ? retrieveProjectsFromDB : retrieveProjects;
     // check if user only wants to retrieve projects where he/she is a member
     const memberOnly = _.get(filters, 'memberOnly', false);
     filters = _.omit(filters, 'memberOnly');
@@ -669,16 +978,23 @@ module.exports = [
     const criteria = {
       filters,
       limit,
-      offset: ((req.query.page - 1) * limit) || 0,
+      offset: cursor ? 0 : ((req.query.page - 1) * limit) || 0,
       page: req.query.page || 1,
+      cursor,
+      aggregations,
+      aggregationInterval,
     };
+    if (req.context.userGroupIds) {
+      criteria.filters.userGroupIds = req.context.userGroupIds;
+    }
     req.log.info(criteria);
     // TODO refactor (DRY) code below so we don't repeat the same logic for admins and non-admin users
     if (!memberOnly && util.hasPermission(PERMISSION.READ_PROJECT_ANY, req.authUser)) {
-      // admins & topcoder managers can see all projects
-      return retrieveProjects(req, criteria, sort, req.query.fields)
+      // admins & topcoder managers can see all projects, except projects of the groups they don't belong to
+      return retrieve(req, criteria, sort, req.query.fields)
         .then((result) => {
-          if (result.rows.length === 0) {
+          // when getting the next page by cursor, no projects means there are no more pages
+          if (result.rows.length === 0 && !_.get(criteria, 'cursor.after')) {
             req.log.debug('No projects found in ES');
 
             // if we have some filters and didn't get any data from ES
@@ -686,17 +1002,17 @@ module.exports = [
             // so we don't want DB to return unrelated data, ref issue #450
             if (_.intersection(_.keys(filters), SUPPORTED_FILTERS).length > 0) {
               req.log.debug('Don\'t fallback to DB because some filters are defined.');
-              return util.setPaginationHeaders(req, res,
+              return setPaginationHeaders(req, res,
                 util.postProcessInvites('$.rows[*].invites[?(@.email)]', result, req));
             }
 
             return retrieveProjectsFromDB(req, criteria, sort, req.query.fields)
-              .then(r => util.setPaginationHeaders(req, res,
+              .then(r => setPaginationHeaders(req, res,
                 util.postProcessInvites('$.rows[*].invites[?(@.email)]', r, req)));
           }
           req.log.debug('Projects found in ES');
           // set header
-          return util.setPaginationHeaders(req, res,
+          return setPaginationHeaders(req, res,
             util.postProcessInvites('$.rows[*].invites[?(@.email)]', result, req));
         })
         .catch(err => next(err));
@@ -705,9 +1021,10 @@ module.exports = [
     // regular users can only see projects they are members of (or invited, handled below)
     criteria.filters.email = req.authUser.email;
     criteria.filters.userId = req.authUser.userId;
-    return retrieveProjects(req, criteria, sort, req.query.fields)
+    return retrieve(req, criteria, sort, req.query.fields)
       .then((result) => {
-        if (result.rows.length === 0) {
+        // when getting the next page by cursor, no projects means there are no more pages
+        if (result.rows.length === 0 && !_.get(criteria, 'cursor.after')) {
           req.log.debug('No projects found in ES');
 
           // if we have some filters and didn't get any data from ES
@@ -738,7 +1055,7 @@ module.exports = [
           }
         });
 
-        return util.setPaginationHeaders(req, res, postProcessedResult);
+        return setPaginationHeaders(req, res, postProcessedResult);
       })
       .catch(err => next(err));
   },
@@ -1057,6 +1057,245 @@ describe('LIST Project', () => {
         });
     });
 
+    it('should return aggregations in header when "aggregations" query param is used', (done) => {
+      request(server)
+        .get('/v5/projects/?aggregations=status,type,manager')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+          } else {
+            const resJson = res.body;
+            should.exist(resJson);
+            // the body is still the list of projects
+            resJson.should.have.lengthOf(3);
+            res.headers['access-control-expose-headers'].should.include('X-Aggregations');
+            const aggregations = JSON.parse(res.headers['x-aggregations']);
+            aggregations.status.should.have.deep.members([
+              { key: 'active', count: 1 },
+              { key: 'draft', count: 1 },
+              { key: 'reviewed', count: 1 },
+            ]);
+            aggregations.type.should.have.deep.members([
+              { key: 'visual_design', count: 2 },
+              { key: 'generic', count: 1 },
+            ]);
+            // copilots are not counted as managers
+            aggregations.manager.should.be.eql([
+              { key: 40051334, count: 1 },
+            ]);
+            done();
+          }
+        });
+    });
+
+    it('should return aggregations only for the projects which user can see', (done) => {
+      request(server)
+        .get('/v5/projects/?aggregations=type')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+          } else {
+            const resJson = res.body;
+            should.exist(resJson);
+            resJson.should.have.lengthOf(1);
+            JSON.parse(res.headers['x-aggregations']).type.should.be.eql([{ key: 'generic', count: 1 }]);
+            done();
+          }
+        });
+    });
+
+    it('should return 400 if aggregation is not supported', (done) => {
+      request(server)
+        .get('/v5/projects/?aggregations=status,description')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return projects filtered by "lastActivityAt" range', async () => {
+      let res = await request(server)
+        .get('/v5/projects/?sort=id asc&lastActivityAt>=1970-01-01T00:00:00.002Z')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+      _.map(res.body, 'id').should.be.eql([project2.id, project3.id]);
+
+      res = await request(server)
+        .get('/v5/projects/?sort=id asc&lastActivityAt<1970-01-01T00:00:00.002Z')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+      _.map(res.body, 'id').should.be.eql([project1.id]);
+    });
+
+    it('should return projects filtered by "billingAccountId"', async () => {
+      let res = await request(server)
+        .get('/v5/projects/?billingAccountId=1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+      res.body.should.have.lengthOf(3);
+
+      res = await request(server)
+        .get('/v5/projects/?billingAccountId=2')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+      res.body.should.have.lengthOf(0);
+    });
+
+    it('should return 400 if range filter has invalid date', (done) => {
+      request(server)
+        .get('/v5/projects/?createdAt>=invalid')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 400 if date filter is used without range operator', (done) => {
+      request(server)
+        .get('/v5/projects/?createdAt=2020-01-01')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return all projects page by page when "cursor" query param is used', async () => {
+      let res = await request(server)
+        .get('/v5/projects/?sort=id asc&perPage=2&cursor=')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.should.have.lengthOf(2);
+      _.map(res.body, 'id').should.be.eql([project1.id, project2.id]);
+      res.headers['x-total'].should.be.eql('3');
+      const nextCursor = res.headers['x-next-cursor'];
+      should.exist(nextCursor);
+      res.headers.link.should.include(`cursor=${encodeURIComponent(nextCursor)}`);
+      res.headers.link.should.include('rel="next"');
+
+      res = await request(server)
+        .get(`/v5/projects/?sort=id asc&perPage=2&cursor=${encodeURIComponent(nextCursor)}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.should.have.lengthOf(1);
+      res.body[0].id.should.be.eql(project3.id);
+      should.not.exist(res.headers['x-next-cursor']);
+      should.not.exist(res.headers.link);
+    });
+
+    it('should return 400 if cursor is invalid', (done) => {
+      request(server)
+        .get('/v5/projects/?cursor=invalid')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 400 if cursor is used with "best match" sort', (done) => {
+      request(server)
+        .get('/v5/projects/?sort=best match&cursor=')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    describe('Project groups', () => {
+      // groups of the users are defined by `localUserGroups` in the test config
+      const updateGroups = (projectId, groups) => eClient.update({
+        index: ES_PROJECT_INDEX,
+        type: ES_PROJECT_TYPE,
+        id: projectId,
+        body: { doc: { groups } },
+        refresh: 'wait_for',
+      });
+
+      before(() => Promise.all([
+        updateGroups(project1.id, ['group-1']),
+        updateGroups(project3.id, ['group-3']),
+      ]));
+
+      after(() => Promise.all([
+        updateGroups(project1.id, []),
+        updateGroups(project3.id, []),
+      ]));
+
+      it('should not return projects of the groups which project member does not belong to', async () => {
+        const res = await request(server)
+          .get('/v5/projects/?sort=id asc')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          })
+          .expect(200);
+        _.map(res.body, 'id').should.be.eql([project2.id]);
+      });
+
+      it('should return projects of the groups which project member belongs to', async () => {
+        const res = await request(server)
+          .get('/v5/projects/?sort=id asc')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .expect(200);
+        _.map(res.body, 'id').should.be.eql([project1.id]);
+      });
+
+      it('should not return projects of the groups which manager does not belong to', async () => {
+        const res = await request(server)
+          .get('/v5/projects/?sort=id asc')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.manager}`,
+          })
+          .expect(200);
+        _.map(res.body, 'id').should.be.eql([project2.id]);
+      });
+
+      it('should return projects of all the groups for administrator', async () => {
+        const res = await request(server)
+          .get('/v5/projects/?sort=id asc')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .expect(200);
+        _.map(res.body, 'id').should.be.eql([project1.id, project2.id, project3.id]);
+      });
+    });
+
     describe('GET All /projects/ for Connect Admin, ', () => {
       it('should return the project ', (done) => {
         request(server)
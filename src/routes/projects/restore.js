@@ -0,0 +1,68 @@
+/**
+ * API to restore a deleted project.
+ *
+ * Restores the project together with all the child records which have been deleted
+ * in the same operation: phases, products, members, invites, attachments, timelines and milestones.
+ *
+ * Permissions:
+ * Only admins are allowed to restore projects.
+ */
+import _ from 'lodash';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES } from '../../constants';
+import { indexProjectsRange } from '../../utils/es';
+import { restoreProjectChildren } from './commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+module.exports = [
+  permissions('project.restore'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+
+    try {
+      const project = await models.sequelize.transaction(async (transaction) => {
+        const entity = await models.Project.findOne({
+          where: { id: projectId },
+          paranoid: false,
+          transaction,
+        });
+        if (!entity) {
+          throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+        }
+        if (!entity.deletedAt) {
+          throw util.buildApiError(`Project with id ${projectId} is not deleted`, 400);
+        }
+
+        await restoreProjectChildren(projectId, entity.deletedAt, transaction);
+        await entity.restore({ transaction });
+        return entity.update({ deletedBy: null, updatedBy: req.authUser.userId }, { transaction });
+      });
+      req.log.debug('project %d restored', projectId);
+
+      try {
+        await indexProjectsRange({
+          logger: req.log,
+          projectIdStart: projectId,
+          projectIdEnd: projectId,
+          id: req.id,
+        });
+      } catch (err) {
+        // the project is already restored in DB, so we don't fail the request
+        // in such case it can be indexed later using `/v5/projects/admin/es/project/index`
+        req.log.error(`Error indexing restored project ${projectId}`, err);
+      }
+
+      const restored = _.omit(project.get({ plain: true }), ['deletedAt', 'deletedBy', 'utm']);
+      req.app.emit(EVENT.ROUTING_KEY.PROJECT_RESTORED, {
+        req,
+        project: _.assign({ resource: RESOURCES.PROJECT }, restored),
+      });
+      res.json(restored);
+    } catch (err) {
+      next(err);
+    }
+  },
+];
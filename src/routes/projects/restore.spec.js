@@ -0,0 +1,228 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES, TIMELINE_REFERENCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project restore', () => {
+  let project;
+  let phase;
+  let timeline;
+  let milestone;
+  let previouslyDeletedMember;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'draft',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.create({
+      userId: testUtil.userIds.member,
+      projectId: project.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    // this member was removed before the project has been deleted, so should not be restored
+    previouslyDeletedMember = await models.ProjectMember.create({
+      userId: testUtil.userIds.copilot,
+      projectId: project.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await previouslyDeletedMember.destroy();
+    phase = await models.ProjectPhase.create({
+      name: 'test project phase',
+      projectId: project.id,
+      status: 'draft',
+      startDate: '2018-05-15T00:00:00Z',
+      endDate: '2018-05-20T00:00:00Z',
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.PhaseProduct.create({
+      name: 'test phase product',
+      projectId: project.id,
+      phaseId: phase.id,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    timeline = await models.Timeline.create({
+      name: 'name 1',
+      startDate: '2018-05-15T00:00:00Z',
+      reference: TIMELINE_REFERENCES.PHASE,
+      referenceId: phase.id,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    milestone = await models.Milestone.create({
+      timelineId: timeline.id,
+      name: 'milestone 1',
+      duration: 3,
+      startDate: '2018-05-15T00:00:00Z',
+      status: 'reviewed',
+      type: 'type1',
+      order: 1,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Delete the project using API, so all the child records are deleted the same way as in real life
+   *
+   * @returns {Promise} promise
+   */
+  const deleteProject = () => request(server)
+    .delete(`/v5/projects/${project.id}`)
+    .set({
+      Authorization: `Bearer ${testUtil.jwts.admin}`,
+    })
+    .expect(204);
+
+  describe('POST /projects/{id}/restore', () => {
+    it('should return 403 if user is not an admin', async () => {
+      await deleteProject();
+      await request(server)
+        .post(`/v5/projects/${project.id}/restore`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(403);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .post('/v5/projects/999999/restore')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 400 if project is not deleted', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/restore`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(400, done);
+    });
+
+    it('should return 200 and restore project with records deleted in the same operation', async () => {
+      await deleteProject();
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/restore`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.id.should.be.eql(project.id);
+      should.not.exist(res.body.deletedAt);
+
+      const restoredProject = await models.Project.findByPk(project.id);
+      should.exist(restoredProject);
+      should.not.exist(restoredProject.deletedBy);
+
+      const members = await models.ProjectMember.getActiveProjectMembers(project.id);
+      members.should.have.lengthOf(1);
+      members[0].userId.should.be.eql(testUtil.userIds.member);
+
+      const phases = await models.ProjectPhase.getActiveProjectPhases(project.id);
+      phases.should.have.lengthOf(1);
+      const products = await models.PhaseProduct.getActivePhaseProducts(phase.id);
+      products.should.have.lengthOf(1);
+      should.exist(await models.Timeline.findByPk(timeline.id));
+      should.exist(await models.Milestone.findByPk(milestone.id));
+      should.not.exist(members[0].deletedBy);
+      should.not.exist(phases[0].deletedBy);
+      should.not.exist(products[0].deletedBy);
+      should.not.exist((await models.Timeline.findByPk(timeline.id)).deletedBy);
+      should.not.exist((await models.Milestone.findByPk(milestone.id)).deletedBy);
+
+      const deletedMember = await models.ProjectMember.findByPk(previouslyDeletedMember.id, { paranoid: false });
+      should.exist(deletedMember.deletedAt);
+    });
+
+    it('should return 200 and index restored project in ES', async () => {
+      await deleteProject();
+      await request(server)
+        .post(`/v5/projects/${project.id}/restore`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+      await new Promise(resolve => testUtil.wait(resolve));
+
+      const res = await request(server)
+        .get(`/v5/projects/${project.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+      res.body.id.should.be.eql(project.id);
+      res.body.phases.should.have.lengthOf(1);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_RESTORED when project restored', async () => {
+        await deleteProject();
+        await request(server)
+          .post(`/v5/projects/${project.id}/restore`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .expect(200);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_RESTORED, sinon.match({
+          resource: RESOURCES.PROJECT,
+          id: project.id,
+          name: project.name,
+        })).should.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * API to save an existing project as a new project template.
+ *
+ * Phases and products of the project become `phases` of the new template, milestones of the project timelines
+ * become milestone templates of the new template and `details` of the project are kept in the template `metadata`.
+ * The new template refers the same form, plan and price configs as the project template,
+ * with versions fixed to the ones which are currently used by the project.
+ *
+ * Permissions:
+ * Only admins are allowed to create project templates.
+ */
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import fieldLookupValidation from '../../middlewares/fieldLookupValidation';
+import { EVENT, RESOURCES, TIMELINE_REFERENCES, MILESTONE_TEMPLATE_REFERENCES } from '../../constants';
+import { buildProjectTimelinesWhere } from './commonHelper';
+import { cloneMilestoneTemplates } from '../milestoneTemplates/commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  params: {
+    projectId: Joi.number().integer().positive().required(),
+  },
+  body: Joi.object().keys({
+    name: Joi.string().max(255).required(),
+    key: Joi.string().max(45).required(),
+    category: Joi.string().max(45),
+    subCategory: Joi.string().max(45).empty(null),
+    icon: Joi.string().max(255),
+    question: Joi.string().max(255),
+    info: Joi.string().max(1024),
+    aliases: Joi.array(),
+    metadata: Joi.object(),
+    disabled: Joi.boolean(),
+    hidden: Joi.boolean(),
+  }).required(),
+};
+
+// fields of the project template which are copied from the template of the project if not provided
+const TEMPLATE_FIELDS = ['category', 'subCategory', 'icon', 'question', 'info', 'aliases', 'disabled', 'hidden'];
+
+/**
+ * Get the reference to the version of the form, plan or price config which is currently used by the project.
+ * If the project template refers the config without a version, the latest version is used.
+ *
+ * @param {Object} keyInfo   reference to the config `{ key, version }`
+ * @param {String} modelName name of the config model
+ * @param {Object} model     config model
+ *
+ * @returns {Promise} promise which resolves to `{ key, version }` or `null` if config is not used
+ */
+async function getCurrentVersionReference(keyInfo, modelName, model) {
+  if (_.isNil(keyInfo)) {
+    return null;
+  }
+
+  if (!_.isNil(keyInfo.version)) {
+    await util.checkModel(keyInfo, modelName, model, 'project template');
+    return _.pick(keyInfo, ['key', 'version']);
+  }
+
+  const latest = await model.latestRevisionOfLatestVersion(keyInfo.key);
+  if (!latest) {
+    throw util.buildApiError(`${modelName} with key ${keyInfo.key} referred in project template is not found`, 400);
+  }
+
+  return { key: keyInfo.key, version: latest.version };
+}
+
+/**
+ * Build `phases` of the project template from the project phases and products.
+ * Only products created from product templates can be added to the project template.
+ *
+ * @param {Array} phases project phases with products ordered the same way as they should go in the template
+ *
+ * @returns {Object} `phases` of the project template
+ */
+function buildTemplatePhases(phases) {
+  return _.reduce(phases, (templatePhases, phase, phaseIdx) => _.assign(templatePhases, {
+    [`phase${phaseIdx + 1}`]: {
+      name: phase.name,
+      duration: phase.duration,
+      budget: phase.budget,
+      products: _.map(_.filter(_.sortBy(phase.products, 'id'), 'templateId'), product => ({
+        id: product.templateId,
+        name: product.name,
+        estimatedPrice: product.estimatedPrice,
+      })),
+    },
+  }), {});
+}
+
+/**
+ * Build milestone templates from the milestones of the project timelines.
+ *
+ * Milestones of the project timeline go first, then milestones of each phase and its products
+ * in the order of the phases. The order of milestone templates is reset to follow one another.
+ *
+ * @param {Number} projectId project id
+ * @param {Array}  phases    project phases with products in the order they go in the template
+ * @param {Array}  timelines project timelines with milestones
+ *
+ * @returns {Array} plain milestone templates without reference
+ */
+function buildMilestoneTemplates(projectId, phases, timelines) {
+  const findTimelines = (references, referenceIds) => _.filter(timelines, timeline =>
+    _.includes(references, timeline.reference) && _.includes(referenceIds, timeline.referenceId));
+  const orderedTimelines = [
+    ...findTimelines([TIMELINE_REFERENCES.PROJECT], [projectId]),
+    ..._.flatMap(phases, phase => [
+      ...findTimelines([TIMELINE_REFERENCES.PHASE, TIMELINE_REFERENCES.WORK], [phase.id]),
+      ...findTimelines([TIMELINE_REFERENCES.PRODUCT], _.map(phase.products, 'id')),
+    ]),
+  ];
+  const milestones = _.flatMap(orderedTimelines, timeline => _.sortBy(timeline.milestones, ['order', 'id']));
+
+  return _.map(milestones, (milestone, idx) => ({
+    name: milestone.name,
+    description: milestone.description,
+    duration: milestone.duration,
+    type: milestone.type,
+    order: idx + 1,
+    // texts are optional for milestones but required for milestone templates
+    plannedText: milestone.plannedText || '',
+    activeText: milestone.activeText || '',
+    completedText: milestone.completedText || '',
+    blockedText: milestone.blockedText || '',
+    hidden: !!milestone.hidden,
+    metadata: _.get(milestone, 'details.metadata', {}),
+  }));
+}
+
+module.exports = [
+  validate(schema),
+  permissions('project.saveAsTemplate'),
+  fieldLookupValidation(models.ProjectType, 'key', 'body.category', 'Category'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const userId = req.authUser.userId;
+
+    try {
+      const result = await models.sequelize.transaction(async (transaction) => {
+        const project = await models.Project.findByPk(projectId, { transaction });
+        if (!project) {
+          throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+        }
+        const sourceTemplate = project.templateId
+          ? await models.ProjectTemplate.findByPk(project.templateId, { paranoid: false, raw: true, transaction })
+          : null;
+        if (!sourceTemplate) {
+          throw util.buildApiError(`Project with id ${projectId} is not created from a project template.`, 400);
+        }
+
+        const [form, planConfig, priceConfig] = await Promise.all([
+          getCurrentVersionReference(sourceTemplate.form, 'Form', models.Form),
+          getCurrentVersionReference(sourceTemplate.planConfig, 'PlanConfig', models.PlanConfig),
+          getCurrentVersionReference(sourceTemplate.priceConfig, 'PriceConfig', models.PriceConfig),
+        ]);
+
+        const phases = await models.ProjectPhase.findAll({
+          where: { projectId },
+          include: [{ model: models.PhaseProduct, as: 'products' }],
+          order: [['order', 'asc'], ['startDate', 'asc'], ['id', 'asc']],
+          transaction,
+        });
+        const productIds = _.flatMap(phases, phase => _.map(phase.products, 'id'));
+        const timelines = await models.Timeline.findAll({
+          where: buildProjectTimelinesWhere(projectId, _.map(phases, 'id'), productIds),
+          include: [{ model: models.Milestone, as: 'milestones' }],
+          order: [['id', 'asc']],
+          transaction,
+        });
+
+        const template = await models.ProjectTemplate.create(_.assign(
+          _.pick(sourceTemplate, TEMPLATE_FIELDS),
+          req.body,
+          {
+            // keep the answers of the project so they could be used to prefill the form
+            metadata: _.assign({}, req.body.metadata, {
+              sourceProjectId: projectId,
+              details: project.details,
+            }),
+            // `phases` take precedence over `planConfig` when projects are created from the template
+            phases: buildTemplatePhases(phases),
+            scope: form ? null : sourceTemplate.scope,
+            form,
+            planConfig,
+            priceConfig,
+            createdBy: userId,
+            updatedBy: userId,
+          },
+        ), { transaction });
+
+        const milestoneTemplates = await cloneMilestoneTemplates(
+          req,
+          buildMilestoneTemplates(projectId, phases, timelines),
+          MILESTONE_TEMPLATE_REFERENCES.PROJECT_TEMPLATE,
+          template.id,
+          transaction,
+        );
+
+        return { template: template.toJSON(), milestoneTemplates };
+      });
+      req.log.debug(`project ${projectId} saved as a new project template ${result.template.id}`);
+
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_METADATA_CREATE,
+        RESOURCES.PROJECT_TEMPLATE,
+        result.template);
+      _.forEach(result.milestoneTemplates, milestoneTemplate => util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.MILESTONE_TEMPLATE_ADDED,
+        RESOURCES.MILESTONE_TEMPLATE,
+        milestoneTemplate));
+
+      res.status(201).json(_.assign(_.omit(result.template, 'deletedAt', 'deletedBy'), {
+        milestoneTemplates: result.milestoneTemplates,
+      }));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
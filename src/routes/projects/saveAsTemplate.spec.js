@@ -0,0 +1,321 @@
+/* eslint-disable no-unused-expressions */
+import _ from 'lodash';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { BUS_API_EVENT, RESOURCES, TIMELINE_REFERENCES, MILESTONE_TEMPLATE_REFERENCES } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Save project as template', () => {
+  let project;
+  let projectTemplate;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    await models.ProjectType.create({
+      key: 'generic',
+      displayName: 'Generic',
+      icon: 'http://example.com/icon1.ico',
+      question: 'question 1',
+      info: 'info 1',
+      aliases: ['key-1', 'key_1'],
+      metadata: {},
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.Form.bulkCreate(_.map([1, 2], version => ({
+      key: 'form',
+      config: { sections: [] },
+      version,
+      revision: 1,
+      createdBy: 1,
+      updatedBy: 1,
+    })));
+    await models.PriceConfig.create({
+      key: 'price',
+      config: {},
+      version: 1,
+      revision: 1,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    projectTemplate = await models.ProjectTemplate.create({
+      name: 'template 1',
+      key: 'template1',
+      category: 'generic',
+      icon: 'http://example.com/icon1.ico',
+      question: 'question 1',
+      info: 'info 1',
+      aliases: ['template-1'],
+      form: { key: 'form' },
+      priceConfig: { key: 'price', version: 1 },
+      phases: {
+        phase1: { name: 'phase 1', products: [{ id: 21 }] },
+      },
+      createdBy: 1,
+      updatedBy: 1,
+    });
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: { appDefinition: { goal: { value: 'test goal' } } },
+      templateId: projectTemplate.id,
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.create({
+      userId: testUtil.userIds.manager,
+      projectId: project.id,
+      role: 'manager',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+
+    const phase2 = await models.ProjectPhase.create({
+      name: 'phase 2',
+      projectId: project.id,
+      status: 'draft',
+      duration: 5,
+      budget: 30,
+      order: 2,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    const phase1 = await models.ProjectPhase.create({
+      name: 'phase 1',
+      projectId: project.id,
+      status: 'active',
+      duration: 10,
+      budget: 20,
+      order: 1,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    const product = await models.PhaseProduct.create({
+      name: 'product 1',
+      projectId: project.id,
+      phaseId: phase1.id,
+      templateId: 21,
+      estimatedPrice: 20,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+    await models.PhaseProduct.create({
+      name: 'product without template',
+      projectId: project.id,
+      phaseId: phase2.id,
+      estimatedPrice: 10,
+      createdBy: 1,
+      updatedBy: 1,
+    });
+
+    const timelineProps = {
+      name: 'timeline',
+      startDate: '2018-05-15T00:00:00Z',
+      createdBy: 1,
+      updatedBy: 1,
+    };
+    const milestoneProps = {
+      duration: 2,
+      startDate: '2018-05-15T00:00:00Z',
+      status: 'active',
+      type: 'generic-work',
+      plannedText: 'planned',
+      activeText: 'active',
+      completedText: 'completed',
+      blockedText: 'blocked',
+      createdBy: 1,
+      updatedBy: 1,
+    };
+    // timeline of the second phase is created first to test ordering of the milestone templates
+    const phase2Timeline = await models.Timeline.create(_.assign({
+      reference: TIMELINE_REFERENCES.PHASE,
+      referenceId: phase2.id,
+    }, timelineProps));
+    const productTimeline = await models.Timeline.create(_.assign({
+      reference: TIMELINE_REFERENCES.PRODUCT,
+      referenceId: product.id,
+    }, timelineProps));
+    await models.Milestone.create(_.assign({
+      timelineId: phase2Timeline.id,
+      name: 'milestone 3',
+      order: 1,
+    }, milestoneProps));
+    await models.Milestone.create(_.assign({
+      timelineId: productTimeline.id,
+      name: 'milestone 2',
+      order: 2,
+      details: { metadata: { key: 'value' } },
+    }, milestoneProps));
+    await models.Milestone.create(_.assign({
+      timelineId: productTimeline.id,
+      name: 'milestone 1',
+      order: 1,
+    }, milestoneProps, { plannedText: null }));
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('POST /projects/{id}/saveAsTemplate', () => {
+    const body = {
+      name: 'new template',
+      key: 'newTemplate',
+    };
+
+    it('should return 403 if user is not an admin', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/saveAsTemplate`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send(body)
+        .expect(403, done);
+    });
+
+    it('should return 400 if key is not provided', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/saveAsTemplate`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ name: 'new template' })
+        .expect(400, done);
+    });
+
+    it('should return 400 for not existing category', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/saveAsTemplate`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(_.assign({ category: 'not-exist' }, body))
+        .expect(400, done);
+    });
+
+    it('should return 404 if project does not exist', (done) => {
+      request(server)
+        .post('/v5/projects/999999/saveAsTemplate')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect(404, done);
+    });
+
+    it('should return 400 if project is not created from a template', async () => {
+      await project.update({ templateId: null });
+
+      await request(server)
+        .post(`/v5/projects/${project.id}/saveAsTemplate`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect(400);
+    });
+
+    it('should return 201 and create the project template', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/saveAsTemplate`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(body)
+        .expect(201);
+
+      const resJson = res.body;
+      resJson.name.should.be.eql(body.name);
+      resJson.key.should.be.eql(body.key);
+      // copied from the template of the project
+      resJson.category.should.be.eql('generic');
+      resJson.icon.should.be.eql(projectTemplate.icon);
+      resJson.aliases.should.be.eql(projectTemplate.aliases);
+      // versions of the configs are fixed
+      resJson.form.should.be.eql({ key: 'form', version: 2 });
+      resJson.priceConfig.should.be.eql({ key: 'price', version: 1 });
+      should.not.exist(resJson.planConfig);
+      resJson.phases.should.be.eql({
+        phase1: {
+          name: 'phase 1',
+          duration: 10,
+          budget: 20,
+          products: [{ id: 21, name: 'product 1', estimatedPrice: 20 }],
+        },
+        phase2: {
+          name: 'phase 2',
+          duration: 5,
+          budget: 30,
+          products: [],
+        },
+      });
+      resJson.metadata.sourceProjectId.should.be.eql(project.id);
+      resJson.metadata.details.should.be.eql(project.details);
+      resJson.createdBy.should.be.eql(testUtil.userIds.admin);
+      should.not.exist(resJson.deletedAt);
+
+      resJson.milestoneTemplates.should.have.lengthOf(3);
+      const milestoneTemplates = _.sortBy(resJson.milestoneTemplates, 'order');
+      _.map(milestoneTemplates, 'name').should.be.eql(['milestone 1', 'milestone 2', 'milestone 3']);
+      _.map(milestoneTemplates, 'order').should.be.eql([1, 2, 3]);
+      milestoneTemplates[0].plannedText.should.be.eql('');
+      milestoneTemplates[1].metadata.should.be.eql({ key: 'value' });
+      milestoneTemplates[2].reference.should.be.eql(MILESTONE_TEMPLATE_REFERENCES.PROJECT_TEMPLATE);
+      milestoneTemplates[2].referenceId.should.be.eql(resJson.id);
+
+      const template = await models.ProjectTemplate.findByPk(resJson.id);
+      template.key.should.be.eql(body.key);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message BUS_API_EVENT.PROJECT_METADATA_CREATE', async () => {
+        const res = await request(server)
+          .post(`/v5/projects/${project.id}/saveAsTemplate`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .send(body)
+          .expect(201);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_METADATA_CREATE, sinon.match({
+          resource: RESOURCES.PROJECT_TEMPLATE,
+          id: res.body.id,
+          key: body.key,
+        })).should.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * API to transfer project ownership to another user.
+ *
+ * Makes another member or invitee the primary member with the `customer` or `manager` role.
+ * If the user is only invited to the project, the invite is accepted on the user's behalf,
+ * but only if the user has already accepted the project terms.
+ * Optionally, attachments created by the previous primary member are re-assigned to the new one.
+ *
+ * Permissions:
+ * Primary customer, project managers and admins can transfer the primary `customer` role,
+ * while the primary `manager` role can be only transferred by project managers and admins.
+ */
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import util from '../../util';
+import { EVENT, RESOURCES, PROJECT_MEMBER_ROLE, INVITE_STATUS } from '../../constants';
+import { PERMISSION } from '../../permissions/constants';
+import { validateProjectTermsAccepted } from '../projectTermsAcceptances/commonHelper';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  body: Joi.object().keys({
+    role: Joi.any().valid(PROJECT_MEMBER_ROLE.CUSTOMER, PROJECT_MEMBER_ROLE.MANAGER).required(),
+    userId: Joi.number().integer().positive().required(),
+    reassignAttachments: Joi.boolean().default(false),
+  }).required(),
+};
+
+/**
+ * Get the project member who should become the primary member.
+ * If the user is not a member yet but has a pending invite, accepts the invite and creates the member
+ * the same way as when user accepts the invite, so the user has to accept the project terms first.
+ *
+ * @param {Object} req         request
+ * @param {Number} projectId   project id
+ * @param {Number} userId      user id
+ * @param {String} role        project role
+ * @param {Object} transaction transaction
+ *
+ * @returns {Promise} promise which resolves to `{ member, invite }`, where `invite` is set only if it was accepted
+ */
+async function getOrCreateMember(req, projectId, userId, role, transaction) {
+  const member = await models.ProjectMember.findOne({ where: { projectId, userId }, transaction });
+  if (member) {
+    if (member.role !== role) {
+      throw util.buildApiError(`User ${userId} has role "${member.role}" in the project, ` +
+        `only a member with role "${role}" can become the primary "${role}".`, 400);
+    }
+    return { member };
+  }
+
+  const invite = await models.ProjectMemberInvite.findOne({
+    where: { projectId, userId, status: INVITE_STATUS.PENDING },
+    transaction,
+  });
+  if (!invite) {
+    throw util.buildApiError(`User ${userId} is neither a member nor an invitee of the project.`, 400);
+  }
+  if (invite.role !== role) {
+    throw util.buildApiError(`User ${userId} is invited with role "${invite.role}", ` +
+      `only a user invited with role "${role}" can become the primary "${role}".`, 400);
+  }
+
+  await validateProjectTermsAccepted(projectId, userId, transaction);
+
+  await invite.update({ status: INVITE_STATUS.ACCEPTED, updatedBy: req.authUser.userId }, { transaction });
+  const newMember = await models.ProjectMember.create({
+    projectId,
+    userId,
+    role,
+    isPrimary: false,
+    createdBy: req.authUser.userId,
+    updatedBy: req.authUser.userId,
+  }, { transaction });
+
+  return { member: newMember, invite };
+}
+
+module.exports = [
+  validate(schema),
+  permissions('project.transferOwnership'),
+  async (req, res, next) => {
+    const projectId = _.parseInt(req.params.projectId);
+    const { role, userId, reassignAttachments } = req.body;
+
+    try {
+      // only the primary customer role can be transferred by the primary customer
+      if (role !== PROJECT_MEMBER_ROLE.CUSTOMER &&
+        !util.hasPermissionByReq(PERMISSION.UPDATE_PROJECT_MEMBER_NON_CUSTOMER, req)
+      ) {
+        throw util.buildApiError(`You don't have permissions to transfer the primary "${role}" role.`, 403);
+      }
+
+      const result = await models.sequelize.transaction(async (transaction) => {
+        const project = await models.Project.findByPk(projectId, { transaction });
+        if (!project) {
+          throw util.buildApiError(`Project not found for id ${projectId}`, 404);
+        }
+
+        const { member, invite } = await getOrCreateMember(req, projectId, userId, role, transaction);
+        if (member.isPrimary) {
+          throw util.buildApiError(`User ${userId} is already the primary "${role}" of the project.`, 400);
+        }
+        const addedMember = invite ? member.get({ plain: true }) : null;
+
+        const previousPrimaryMembers = await models.ProjectMember.findAll({
+          where: { projectId, role, isPrimary: true },
+          transaction,
+        });
+        const originalMembers = _.map(previousPrimaryMembers, m => m.get({ plain: true }));
+        const originalMember = member.get({ plain: true });
+
+        // there should be only one primary member with the same role
+        await models.ProjectMember.update({ isPrimary: false, updatedBy: req.authUser.userId }, {
+          where: { projectId, role, isPrimary: true },
+          transaction,
+        });
+        await member.update({ isPrimary: true, updatedBy: req.authUser.userId }, { transaction });
+
+        let attachments = [];
+        if (reassignAttachments && previousPrimaryMembers.length > 0) {
+          attachments = await models.ProjectAttachment.findAll({
+            where: { projectId, createdBy: _.map(previousPrimaryMembers, 'userId') },
+            transaction,
+          });
+          await Promise.all(_.map(attachments, attachment => attachment.update({
+            createdBy: userId,
+            updatedBy: req.authUser.userId,
+          }, { transaction })));
+        }
+
+        const updatedMembers = await models.ProjectMember.findAll({
+          where: { id: _.map(previousPrimaryMembers, 'id') },
+          transaction,
+        });
+
+        return {
+          invite,
+          addedMember,
+          originalMember,
+          member: member.get({ plain: true }),
+          originalMembers,
+          updatedMembers: _.map(updatedMembers, m => m.get({ plain: true })),
+          attachments,
+        };
+      });
+      req.log.debug(`primary "${role}" of project ${projectId} transferred to user ${userId}`);
+
+      if (result.invite) {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_MEMBER_INVITE_UPDATED,
+          RESOURCES.PROJECT_MEMBER_INVITE,
+          result.invite.toJSON());
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_MEMBER_ADDED,
+          RESOURCES.PROJECT_MEMBER,
+          _.omit(result.addedMember, ['deletedAt']));
+      }
+      _.forEach(result.updatedMembers, (updatedMember) => {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_MEMBER_UPDATED,
+          RESOURCES.PROJECT_MEMBER,
+          _.omit(updatedMember, ['deletedAt']),
+          _.omit(_.find(result.originalMembers, { id: updatedMember.id }), ['deletedAt']));
+      });
+      // the notification about the new owner `MEMBER_ASSIGNED_AS_OWNER` is sent by this event
+      util.sendResourceToKafkaBus(
+        req,
+        EVENT.ROUTING_KEY.PROJECT_MEMBER_UPDATED,
+        RESOURCES.PROJECT_MEMBER,
+        _.omit(result.member, ['deletedAt']),
+        _.omit(result.originalMember, ['deletedAt']));
+      _.forEach(result.attachments, (attachment) => {
+        util.sendResourceToKafkaBus(
+          req,
+          EVENT.ROUTING_KEY.PROJECT_ATTACHMENT_UPDATED,
+          RESOURCES.ATTACHMENT,
+          attachment.toJSON());
+      });
+
+      res.json(_.omit(result.member, ['deletedAt']));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
@@ -0,0 +1,266 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+import busApi from '../../services/busApi';
+import { ATTACHMENT_TYPES, CONNECT_NOTIFICATION_EVENT, INVITE_STATUS } from '../../constants';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('Project ownership transfer', () => {
+  let project;
+  let attachment;
+
+  beforeEach(async () => {
+    await testUtil.clearDb();
+    await testUtil.clearES();
+
+    project = await models.Project.create({
+      type: 'generic',
+      billingAccountId: 1,
+      name: 'test1',
+      description: 'test project1',
+      status: 'active',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    });
+    await models.ProjectMember.bulkCreate([{
+      userId: testUtil.userIds.member,
+      projectId: project.id,
+      role: 'customer',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.manager,
+      projectId: project.id,
+      role: 'manager',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      userId: testUtil.userIds.copilot,
+      projectId: project.id,
+      role: 'copilot',
+      isPrimary: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    attachment = await models.ProjectAttachment.create({
+      projectId: project.id,
+      title: 'test.txt',
+      path: 'https://media.topcoder.com/projects/1/test.txt',
+      type: ATTACHMENT_TYPES.FILE,
+      tags: [],
+      allowedUsers: [],
+      createdBy: testUtil.userIds.member,
+      updatedBy: testUtil.userIds.member,
+    });
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  /**
+   * Add another customer to the project
+   *
+   * @returns {Promise} promise
+   */
+  const addCustomer = () => models.ProjectMember.create({
+    userId: testUtil.userIds.member2,
+    projectId: project.id,
+    role: 'customer',
+    isPrimary: false,
+    createdBy: 1,
+    updatedBy: 1,
+  });
+
+  describe('POST /projects/{id}/transfer', () => {
+    it('should return 403 if user is not a member of the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member2}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(403, done);
+    });
+
+    it('should return 403 if copilot tries to transfer ownership', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(403, done);
+    });
+
+    it('should return 403 if primary customer tries to transfer the primary manager role', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ role: 'manager', userId: testUtil.userIds.copilot })
+        .expect(403, done);
+    });
+
+    it('should return 400 if user has another role in the project', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.copilot })
+        .expect(400, done);
+    });
+
+    it('should return 400 if user is neither a member nor an invitee', (done) => {
+      request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(400, done);
+    });
+
+    it('should return 200 and make another member the primary customer', async () => {
+      const newOwner = await addCustomer();
+
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(200);
+
+      res.body.id.should.be.eql(newOwner.id);
+      res.body.isPrimary.should.be.true;
+
+      const previousOwner = await models.ProjectMember.findOne({
+        where: { projectId: project.id, userId: testUtil.userIds.member },
+      });
+      previousOwner.isPrimary.should.be.false;
+      // primary members with other roles are not affected
+      const manager = await models.ProjectMember.findOne({
+        where: { projectId: project.id, userId: testUtil.userIds.manager },
+      });
+      manager.isPrimary.should.be.true;
+      // attachments are not re-assigned by default
+      const notReassigned = await models.ProjectAttachment.findByPk(attachment.id);
+      notReassigned.createdBy.should.be.eql(testUtil.userIds.member);
+    });
+
+    it('should return 200 and re-assign attachments of the previous primary customer', async () => {
+      await addCustomer();
+
+      await request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2, reassignAttachments: true })
+        .expect(200);
+
+      const reassigned = await models.ProjectAttachment.findByPk(attachment.id);
+      reassigned.createdBy.should.be.eql(testUtil.userIds.member2);
+    });
+
+    it('should return 403 if invitee has not accepted the project terms', async () => {
+      await project.update({ terms: ['terms-1'] });
+      const invite = await models.ProjectMemberInvite.create({
+        projectId: project.id,
+        userId: testUtil.userIds.member2,
+        role: 'customer',
+        status: INVITE_STATUS.PENDING,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      await request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(403);
+
+      const pendingInvite = await models.ProjectMemberInvite.findByPk(invite.id);
+      pendingInvite.status.should.be.eql(INVITE_STATUS.PENDING);
+    });
+
+    it('should return 200 and accept the invite if user is only invited', async () => {
+      const invite = await models.ProjectMemberInvite.create({
+        projectId: project.id,
+        userId: testUtil.userIds.member2,
+        role: 'customer',
+        status: INVITE_STATUS.PENDING,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      const res = await request(server)
+        .post(`/v5/projects/${project.id}/transfer`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ role: 'customer', userId: testUtil.userIds.member2 })
+        .expect(200);
+
+      res.body.userId.should.be.eql(testUtil.userIds.member2);
+      res.body.role.should.be.eql('customer');
+      res.body.isPrimary.should.be.true;
+
+      const acceptedInvite = await models.ProjectMemberInvite.findByPk(invite.id);
+      acceptedInvite.status.should.be.eql(INVITE_STATUS.ACCEPTED);
+    });
+
+    describe('Bus api', () => {
+      let createEventSpy;
+      const sandbox = sinon.sandbox.create();
+
+      before((done) => {
+        // Wait for 500ms in order to wait for createEvent calls from previous tests to complete
+        testUtil.wait(done);
+      });
+
+      beforeEach(() => {
+        createEventSpy = sandbox.spy(busApi, 'createEvent');
+      });
+
+      afterEach(() => {
+        sandbox.restore();
+      });
+
+      it('should send message CONNECT_NOTIFICATION_EVENT.MEMBER_ASSIGNED_AS_OWNER', async () => {
+        await addCustomer();
+        await request(server)
+          .post(`/v5/projects/${project.id}/transfer`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.member}`,
+          })
+          .send({ role: 'customer', userId: testUtil.userIds.member2 })
+          .expect(200);
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.MEMBER_ASSIGNED_AS_OWNER, sinon.match({
+          projectId: project.id,
+          projectName: project.name,
+          userId: testUtil.userIds.member2,
+          initiatorUserId: testUtil.userIds.member,
+        })).should.be.true;
+      });
+    });
+  });
+});
@@ -1,4 +1,3 @@
-import validate from 'express-validation';
 import _ from 'lodash';
 import Joi from 'joi';
 import {
@@ -10,9 +9,16 @@ import {
   EVENT,
   RESOURCES,
   REGEX,
+  STATUS_TRANSITION_REFERENCES,
+  PROJECT_CHANGE_SOURCE,
 } from '../../constants';
 import util from '../../util';
+import statusTransitionUtils from '../../utils/statusTransitions';
 import { PERMISSION } from '../../permissions/constants';
+import etag from '../../middlewares/etag';
+import jsonPatch from '../../middlewares/jsonPatch';
+import { cascadeProjectStatus, sendCascadedStatusEvents, validateCancelReason } from './commonHelper';
+import { rollUpProjectPrices, setOverrideIfValuesSet } from '../phases/commonHelper';
 
 const traverse = require('traverse');
 
@@ -46,6 +52,7 @@ const updateProjectValdiations = {
     status: Joi.any().valid(_.values(PROJECT_STATUS)),
     estimatedPrice: Joi.number().precision(2).positive().allow(null),
     actualPrice: Joi.number().precision(2).positive(),
+    priceOverride: Joi.boolean(),
     terms: Joi.array().items(Joi.string()),
     groups: Joi.array().items(Joi.string()),
     external: Joi.object().keys({
@@ -80,6 +87,12 @@ const updateProjectValdiations = {
       then: Joi.string().required(),
       otherwise: Joi.string().optional(),
     }),
+    // free-text comment of the cancel reason, it's only kept in the project history
+    cancelComment: Joi.when('status', {
+      is: PROJECT_STATUS.CANCELLED,
+      then: Joi.string().optional(),
+      otherwise: Joi.forbidden(),
+    }),
   }),
 };
 
@@ -156,49 +169,48 @@ const validateUpdates = (existingProject, updatedProps, req) => {
   return errors;
 };
 
+/**
+ * Validate the changed properties of the project which cannot be validated by Joi schema.
+ *
+ * @param {Object} updatedProps  the changed properties of the project
+ * @param {String} cancelComment free-text comment of the cancel reason
+ *
+ * @returns {Promise} promise which is rejected with 400 error if the properties are not valid
+ */
+const validateUpdatedProps = (updatedProps, cancelComment) => Promise.resolve()
+  .then(() => (updatedProps.type ? models.ProjectType.findOne({ where: { key: updatedProps.type } }) : true))
+  .then((projectType) => {
+    if (!projectType) {
+      const err = new Error(`Project type not found for key ${updatedProps.type}`);
+      err.status = 400;
+      throw err;
+    }
+
+    // validate cancel reason against the cancel reasons taxonomy when cancelling the project
+    return updatedProps.status === PROJECT_STATUS.CANCELLED
+      ? validateCancelReason(updatedProps.cancelReason, cancelComment)
+      : null;
+  });
+
 module.exports = [
-  // handles request validations
-  validate(updateProjectValdiations),
   permissions('project.edit'),
-  /*
-   * Validate project type to be existed.
-   */
-  (req, res, next) => {
-    if (req.body.type) {
-      models.ProjectType.findOne({ where: { key: req.body.type } })
-        .then((projectType) => {
-          if (projectType) {
-            next();
-          } else {
-            const err = new Error(`Project type not found for key ${req.body.type}`);
-            err.status = 400;
-            next(err);
-          }
-        });
-    } else {
-      next();
-    }
-  },
+  // handles request validations, JSON Patch is validated after it's applied to the project
+  jsonPatch.validate(updateProjectValdiations),
+  etag.setETag,
   /*
    * POST projects/
    * Create a project if the user has access
    */
   (req, res, next) => {
     let project;
-    let updatedProps = req.body;
+    let updatedProps;
+    let cancelComment;
     const projectId = _.parseInt(req.params.projectId);
-    // prune any fields that cannot be updated directly
-    updatedProps = _.omit(updatedProps, ['createdBy', 'createdAt', 'updatedBy', 'updatedAt', 'id']);
-    traverse(updatedProps).forEach(function (x) { // eslint-disable-line func-names
-      if (x && this.isLeaf && typeof x === 'string') this.update(req.sanitize(x));
-    });
     let previousValue;
-    models.sequelize.transaction(() => models.Project.findOne({
-      where: {
-        id: projectId,
-      },
-      lock: { of: models.Project },
-    })
+    let cascaded;
+    models.sequelize.transaction(transaction => etag.lockAndCheckIfMatch(
+      req, models.Project, { id: projectId }, transaction,
+    )
       .then((_prj) => {
         if (!_prj) {
           // handle 404
@@ -206,6 +218,22 @@ module.exports = [
           err.status = 404;
           return Promise.reject(err);
         }
+
+        // JSON Patch is applied to the locked project, so concurrent updates of the other properties are kept
+        updatedProps = req.jsonPatch ? jsonPatch.applyJsonPatch(req, _prj, updateProjectValdiations.body) : req.body;
+        cancelComment = updatedProps.cancelComment;
+        // prune any fields that cannot be updated directly
+        updatedProps = _.omit(updatedProps,
+          ['createdBy', 'createdAt', 'updatedBy', 'updatedAt', 'id', 'cancelComment']);
+        // prices set manually shouldn't be recalculated from the phase budgets
+        setOverrideIfValuesSet(updatedProps, ['estimatedPrice', 'actualPrice'], 'priceOverride');
+        traverse(updatedProps).forEach(function (x) { // eslint-disable-line func-names
+          if (x && this.isLeaf && typeof x === 'string') this.update(req.sanitize(x));
+        });
+
+        return validateUpdatedProps(updatedProps, cancelComment).then(() => _prj);
+      })
+      .then((_prj) => {
         if (!_prj.templateId) return Promise.resolve({ _prj });
         return models.ProjectTemplate.getTemplate(_prj.templateId)
           .then(template => Promise.resolve({ _prj, template }));
@@ -236,17 +264,35 @@ module.exports = [
           return Promise.reject(err);
         }
 
+        if (!updatedProps.status || updatedProps.status === project.status) {
+          return Promise.resolve();
+        }
+
+        // check that project can be moved to the new status
+        return statusTransitionUtils.getStatusTransitions(STATUS_TRANSITION_REFERENCES.PROJECT, project.type)
+          .then(transitions => statusTransitionUtils.validateStatusTransition(
+            STATUS_TRANSITION_REFERENCES.PROJECT,
+            transitions,
+            project.status,
+            updatedProps.status,
+            req,
+          ));
+      })
+      .then(() => {
         // no updates if same
 
         if (_.isEqual(previousValue, updatedProps)) {
           return Promise.resolve();
         }
         updatedProps.updatedBy = req.authUser.userId;
-        const newValues = _.mergeWith({}, previousValue, updatedProps, mergeCustomizer);
+        // properties changed by JSON Patch already contain the whole new value, so we don't merge them
+        const newValues = req.jsonPatch
+          ? _.assign({}, previousValue, updatedProps)
+          : _.mergeWith({}, previousValue, updatedProps, mergeCustomizer);
         project.set(newValues);
-        return project.save();
+        return project.save({ transaction });
       })
-      .then(() => project.reload(project.id))
+      .then(() => project.reload({ transaction }))
       // update project history
       .then(() => new Promise((accept, reject) => {
         // we only want to have project history when project status is updated
@@ -255,12 +301,31 @@ module.exports = [
             projectId: project.id,
             status: updatedProps.status,
             cancelReason: updatedProps.cancelReason,
+            cancelComment,
             updatedBy: req.authUser.userId,
-          }).then(() => accept()).catch(err => reject(err));
+          }, { transaction }).then(() => accept()).catch(err => reject(err));
         } else {
           accept();
         }
-      })))
+      }))
+      // propagate the new status to the project phases, works and milestones
+      .then(() => cascadeProjectStatus(project.id, previousValue.status, project.status, req.authUser.userId,
+        transaction))
+      .then((_cascaded) => {
+        cascaded = _cascaded;
+      })
+      .then(() => models.ProjectChangeHistory.recordChanges({
+        projectId: project.id,
+        source: PROJECT_CHANGE_SOURCE.PROJECT_UPDATE,
+        original: previousValue,
+        updated: project.get({ plain: true }),
+        userId: req.authUser.userId,
+      }, { transaction }))
+      // recalculate prices from the phase budgets when the override is turned off
+      .then(() => (previousValue.priceOverride && !project.priceOverride
+        ? rollUpProjectPrices(project.id, req.authUser.userId, transaction)
+          .then(rolledUp => (rolledUp ? project.reload({ transaction }) : null))
+        : null)))
       .then(() => { // transaction has been committed
         project = project.get({ plain: true });
         project = _.omit(project, ['deletedAt']);
@@ -272,6 +337,8 @@ module.exports = [
           updated: _.assign({ resource: RESOURCES.PROJECT }, project),
         });
 
+        sendCascadedStatusEvents(req, cascaded);
+
         // check context for project members
         project.members = req.context.currentProjectMembers;
         // get attachments
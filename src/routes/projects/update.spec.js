@@ -9,6 +9,7 @@ import server from '../../app';
 import testUtil from '../../tests/util';
 
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 
 import {
   PROJECT_STATUS,
@@ -38,6 +39,18 @@ describe('Project', () => {
           metadata: {},
         },
       ]))
+      .then(() => models.CancelReason.bulkCreate([{
+        code: 'price',
+        label: 'Price is too high',
+        createdBy: 1,
+        updatedBy: 1,
+      }, {
+        code: 'other',
+        label: 'Other',
+        requiresComment: true,
+        createdBy: 1,
+        updatedBy: 1,
+      }]))
       .then(() => done());
   });
 
@@ -162,6 +175,90 @@ describe('Project', () => {
         .end(done);
     });
 
+    it('should return 400 with allowed statuses if status transition is not allowed', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({
+          status: PROJECT_STATUS.COMPLETED,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400)
+        .end((err, res) => {
+          if (err) {
+            done(err);
+          } else {
+            res.body.message.should.equal('Cannot change project status from \'draft\' to \'completed\'. ' +
+              'Allowed statuses: in_review, reviewed, cancelled.');
+            JSON.parse(res.body.details).should.be.eql({ allowedStatuses: ['in_review', 'reviewed', 'cancelled'] });
+            done();
+          }
+        });
+    });
+
+    it('should return 400 if copilot tries to activate a project', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .send({
+          status: PROJECT_STATUS.ACTIVE,
+        })
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should use status transitions defined in the project type metadata', (done) => {
+      models.ProjectType.update({
+        metadata: {
+          statusTransitions: {
+            project: {
+              draft: { active: true },
+            },
+          },
+        },
+      }, { where: { key: 'generic' } })
+        .then(() => {
+          request(server)
+            .patch(`/v5/projects/${project1.id}`)
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.copilot}`,
+            })
+            .send({
+              status: PROJECT_STATUS.IN_REVIEW,
+            })
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .end((err) => {
+              if (err) {
+                done(err);
+                return;
+              }
+              request(server)
+                .patch(`/v5/projects/${project1.id}`)
+                .set({
+                  Authorization: `Bearer ${testUtil.jwts.copilot}`,
+                })
+                .send({
+                  status: PROJECT_STATUS.ACTIVE,
+                })
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .end((error, res) => {
+                  if (error) {
+                    done(error);
+                  } else {
+                    res.body.status.should.equal(PROJECT_STATUS.ACTIVE);
+                    done();
+                  }
+                });
+            });
+        });
+    });
+
     it('should return the project using M2M token with "write:projects" scope', (done) => {
       request(server)
         .patch(`/v5/projects/${project1.id}`)
@@ -210,6 +307,99 @@ describe('Project', () => {
         });
     });
 
+    it('should return 412 if "If-Match" header does not match the current project ETag', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': `"${project1.id}-0"`,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(412, done);
+    });
+
+    it('should return 200 and new ETag if "If-Match" header matches the current project ETag', async () => {
+      const currentProject = await models.Project.findByPk(project1.id, { raw: true });
+      const currentETag = etag.buildETag(currentProject);
+
+      const res = await request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'If-Match': currentETag,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      should.exist(res.headers.etag);
+      res.headers.etag.should.not.equal(currentETag);
+      res.headers.etag.should.equal(etag.buildETag(res.body));
+    });
+
+    it('should return 200 and update project using JSON Patch', async () => {
+      await models.Project.update({ details: { a: 1, b: [1] } }, { where: { id: project1.id } });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([
+          { op: 'remove', path: '/details/a' },
+          { op: 'add', path: '/details/b/-', value: 2 },
+          { op: 'replace', path: '/name', value: 'patched name' },
+        ])
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.name.should.equal('patched name');
+      res.body.details.should.be.eql({ b: [1, 2] });
+      const updatedProject = await models.Project.findByPk(project1.id);
+      updatedProject.details.should.be.eql({ b: [1, 2] });
+    });
+
+    it('should keep concurrent JSON Patch updates of the different details properties', async () => {
+      const patchDetails = (key, value) => request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'add', path: `/details/${key}`, value }])
+        .expect(200);
+      await Promise.all([patchDetails('a', 1), patchDetails('b', 2)]);
+
+      const updatedProject = await models.Project.findByPk(project1.id);
+      updatedProject.details.should.be.eql({ a: 1, b: 2 });
+    });
+
+    it('should return 400 if JSON Patch cannot be applied', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'remove', path: '/details/notExistent' }])
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 400 if project patched by JSON Patch is not valid', (done) => {
+      request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'replace', path: '/status', value: 'unknown' }])
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
     it('should return 200 and project history should be updated (status is not set)', (done) => {
       const mbody = {
 
@@ -333,7 +523,7 @@ describe('Project', () => {
       const mbody = {
         name: 'updatedProject name',
         status: PROJECT_STATUS.CANCELLED,
-        cancelReason: 'price/cost',
+        cancelReason: 'price',
       };
       request(server)
         .patch(`/v5/projects/${project1.id}`)
@@ -365,7 +555,7 @@ describe('Project', () => {
               });
               history.status.should.equal(PROJECT_STATUS.CANCELLED);
               history.projectId.should.equal(project1.id);
-              history.cancelReason.should.equal('price/cost');
+              history.cancelReason.should.equal('price');
               done();
             });
           }
@@ -643,6 +833,240 @@ describe('Project', () => {
         });
     });
 
+    describe('cancel reasons taxonomy', () => {
+      /**
+       * Cancel project1 using admin token
+       *
+       * @param {Object} data data to update the project with
+       *
+       * @returns {Object} supertest request
+       */
+      const cancelProject = data => request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(Object.assign({ status: PROJECT_STATUS.CANCELLED }, data));
+
+      it('should return 400 if cancel reason is not in the taxonomy', () =>
+        cancelProject({ cancelReason: 'not_existed' }).expect(400));
+
+      it('should return 400 if cancel reason is disabled', async () => {
+        await models.CancelReason.update({ disabled: true }, { where: { code: 'price' } });
+        await cancelProject({ cancelReason: 'price' }).expect(400);
+      });
+
+      it('should return 400 if cancel reason requires comment and it is not provided', () =>
+        cancelProject({ cancelReason: 'other' }).expect(400));
+
+      it('should return 400 if cancel comment is provided without cancelling the project', () => request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send({ cancelComment: 'comment' })
+        .expect(400));
+
+      it('should return 200 and keep cancel comment in the project history', async () => {
+        const res = await cancelProject({ cancelReason: 'other', cancelComment: 'customer changed mind' })
+          .expect(200);
+        res.body.cancelReason.should.equal('other');
+        should.not.exist(res.body.cancelComment);
+
+        const history = await models.ProjectHistory.findOne({ where: { projectId: project1.id } });
+        history.status.should.equal(PROJECT_STATUS.CANCELLED);
+        history.cancelReason.should.equal('other');
+        history.cancelComment.should.equal('customer changed mind');
+      });
+    });
+
+    describe('price override', () => {
+      beforeEach(() => models.ProjectPhase.bulkCreate([100, 50].map(budget => ({
+        name: 'test phase',
+        projectId: project1.id,
+        status: 'active',
+        budget,
+        spentBudget: budget / 10,
+        createdBy: 1,
+        updatedBy: 1,
+      }))));
+
+      it('should turn priceOverride on when prices are set', async () => {
+        const res = await request(server)
+          .patch(`/v5/projects/${project1.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .send({ estimatedPrice: 500 })
+          .expect(200);
+
+        res.body.priceOverride.should.be.true;
+        parseFloat(res.body.estimatedPrice).should.equal(500);
+      });
+
+      it('should recalculate prices from the phase budgets when priceOverride is turned off', async () => {
+        await project1.update({ estimatedPrice: 500, actualPrice: 10, priceOverride: true });
+        const res = await request(server)
+          .patch(`/v5/projects/${project1.id}`)
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+          })
+          .send({ priceOverride: false })
+          .expect(200);
+
+        res.body.priceOverride.should.be.false;
+        parseFloat(res.body.estimatedPrice).should.equal(150);
+        parseFloat(res.body.actualPrice).should.equal(15);
+      });
+    });
+
+    describe('status cascade', () => {
+      let activePhase;
+      let completedPhase;
+      let activeMilestone;
+      let pausedMilestone;
+      let completedMilestone;
+
+      /**
+       * Update status of project1 using admin token
+       *
+       * @param {Object} data data to update the project with
+       *
+       * @returns {Promise} promise
+       */
+      const updateProject = data => request(server)
+        .patch(`/v5/projects/${project1.id}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .send(data)
+        .expect(200);
+
+      /**
+       * Reload phases and milestones created for the tests
+       *
+       * @returns {Promise} promise
+       */
+      const reloadChildren = () => Promise.all([
+        activePhase,
+        completedPhase,
+        activeMilestone,
+        pausedMilestone,
+        completedMilestone,
+      ].map(child => child.reload()));
+
+      beforeEach(async () => {
+        await project1.update({ status: PROJECT_STATUS.ACTIVE });
+        const phases = await models.ProjectPhase.bulkCreate(['active', 'completed'].map(status => ({
+          name: `${status} phase`,
+          projectId: project1.id,
+          status,
+          createdBy: 1,
+          updatedBy: 1,
+        })), { returning: true });
+        [activePhase, completedPhase] = phases;
+        const timeline = await models.Timeline.create({
+          name: 'phase timeline',
+          startDate: '2018-05-02T00:00:00.000Z',
+          reference: 'phase',
+          referenceId: activePhase.id,
+          createdBy: 1,
+          updatedBy: 1,
+        });
+        const milestones = await Promise.all(['active', 'active', 'completed'].map((status, index) =>
+          models.Milestone.create({
+            timelineId: timeline.id,
+            name: `milestone ${index}`,
+            duration: 2,
+            startDate: '2018-05-13T00:00:00.000Z',
+            status,
+            type: 'type1',
+            order: index,
+            plannedText: 'plannedText',
+            activeText: 'activeText',
+            completedText: 'completedText',
+            blockedText: 'blockedText',
+            createdBy: 1,
+            updatedBy: 1,
+          })));
+        [activeMilestone, pausedMilestone, completedMilestone] = milestones;
+        // this milestone is paused on its own, not together with the project
+        await pausedMilestone.update({ status: PROJECT_STATUS.PAUSED }, { comment: 'paused by copilot' });
+      });
+
+      it('should pause active phases and milestones when project is paused', async () => {
+        await updateProject({ status: PROJECT_STATUS.PAUSED });
+        await reloadChildren();
+
+        activePhase.status.should.equal(PROJECT_STATUS.PAUSED);
+        completedPhase.status.should.equal(PROJECT_STATUS.COMPLETED);
+        activeMilestone.status.should.equal(PROJECT_STATUS.PAUSED);
+        pausedMilestone.status.should.equal(PROJECT_STATUS.PAUSED);
+        completedMilestone.status.should.equal(PROJECT_STATUS.COMPLETED);
+
+        const statusHistory = await models.StatusHistory.findOne({
+          where: { reference: 'milestone', referenceId: activeMilestone.id },
+          order: [['createdAt', 'desc'], ['id', 'desc']],
+        });
+        statusHistory.status.should.equal(PROJECT_STATUS.PAUSED);
+        statusHistory.comment.should.equal('Paused together with the project');
+      });
+
+      it('should restore previous statuses of children paused together with project when project is resumed',
+        async () => {
+          await updateProject({ status: PROJECT_STATUS.PAUSED });
+          await updateProject({ status: PROJECT_STATUS.ACTIVE });
+          await reloadChildren();
+
+          activePhase.status.should.equal(PROJECT_STATUS.ACTIVE);
+          completedPhase.status.should.equal(PROJECT_STATUS.COMPLETED);
+          activeMilestone.status.should.equal(PROJECT_STATUS.ACTIVE);
+          // it was paused before the project was paused, so it should stay paused
+          pausedMilestone.status.should.equal(PROJECT_STATUS.PAUSED);
+          completedMilestone.status.should.equal(PROJECT_STATUS.COMPLETED);
+        });
+
+      it('should cancel all not completed children when project is cancelled', async () => {
+        await updateProject({ status: PROJECT_STATUS.CANCELLED, cancelReason: 'price' });
+        await reloadChildren();
+
+        activePhase.status.should.equal(PROJECT_STATUS.CANCELLED);
+        completedPhase.status.should.equal(PROJECT_STATUS.COMPLETED);
+        activeMilestone.status.should.equal(PROJECT_STATUS.CANCELLED);
+        pausedMilestone.status.should.equal(PROJECT_STATUS.CANCELLED);
+        completedMilestone.status.should.equal(PROJECT_STATUS.COMPLETED);
+      });
+
+      it('should not update children when project status is not changed', async () => {
+        await updateProject({ name: 'new name' });
+        await reloadChildren();
+
+        activePhase.status.should.equal(PROJECT_STATUS.ACTIVE);
+        activeMilestone.status.should.equal(PROJECT_STATUS.ACTIVE);
+      });
+
+      it('should send BUS API messages for the updated phases and milestones', async () => {
+        await new Promise(resolve => testUtil.wait(resolve));
+        const createEventSpy = sandbox.spy(busApi, 'createEvent');
+
+        await updateProject({ status: PROJECT_STATUS.PAUSED });
+        await new Promise(resolve => testUtil.wait(resolve));
+
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+          resource: 'project.phase',
+          id: activePhase.id,
+          status: PROJECT_STATUS.PAUSED,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.MILESTONE_UPDATED, sinon.match({
+          resource: 'milestone',
+          id: activeMilestone.id,
+          status: PROJECT_STATUS.PAUSED,
+        })).should.be.true;
+        createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({ id: completedPhase.id }))
+          .should.be.false;
+      });
+    });
+
     xdescribe('for connect admin, ', () => {
       it('should return 200, connect admin is allowed to transition project out of cancel status', (done) => {
         models.Project.update({
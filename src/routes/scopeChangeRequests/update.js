@@ -8,6 +8,7 @@ import {
   PROJECT_MEMBER_ROLE,
   USER_ROLE,
   PROJECT_MEMBER_MANAGER_ROLES,
+  PROJECT_CHANGE_SOURCE,
   EVENT,
 } from '../../constants';
 import models from '../../models';
@@ -50,14 +51,22 @@ function updateProjectDetails(req, newScope, projectId) {
         return undefined;
       });
 
-    return project.update({ details: updatedDetails }).then((updatedProject) => {
-      const updated = updatedProject.get({ plain: true });
-      const original = _.omit(previousValue, ['deletedAt', 'deletedBy']);
+    return project.update({ details: updatedDetails })
+      .then(updatedProject => models.ProjectChangeHistory.recordChanges({
+        projectId: updatedProject.id,
+        source: PROJECT_CHANGE_SOURCE.SCOPE_CHANGE_ACTIVATION,
+        original: previousValue,
+        updated: updatedProject.get({ plain: true }),
+        userId: req.authUser.userId,
+      }).then(() => updatedProject))
+      .then((updatedProject) => {
+        const updated = updatedProject.get({ plain: true });
+        const original = _.omit(previousValue, ['deletedAt', 'deletedBy']);
 
-      req.app.emit(EVENT.ROUTING_KEY.PROJECT_UPDATED, { req, original, updated });
+        req.app.emit(EVENT.ROUTING_KEY.PROJECT_UPDATED, { req, original, updated });
 
-      return updatedProject;
-    });
+        return updatedProject;
+      });
   });
 }
 
@@ -9,6 +9,7 @@ import models from '../../models';
 import util from '../../util';
 import { EVENT, RESOURCES } from '../../constants';
 import validateTimeline from '../../middlewares/validateTimeline';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -27,13 +28,24 @@ module.exports = [
   (req, res, next) => {
     const timeline = req.timeline;
 
-    return models.sequelize.transaction(() =>
-      // Update the deletedBy, then delete
-      timeline.update({ deletedBy: req.authUser.userId })
-        .then(() => timeline.destroy())
+    return models.sequelize.transaction(transaction =>
+      etag.lockAndCheckIfMatch(req, models.Timeline, { id: timeline.id }, transaction)
+        .then((existing) => {
+          if (!existing) {
+            const apiErr = new Error(`Timeline not found for timeline id ${timeline.id}`);
+            apiErr.status = 404;
+            throw apiErr;
+          }
+          // Update the deletedBy, then delete
+          return existing.update({ deletedBy: req.authUser.userId }, { transaction });
+        })
+        .then(existing => existing.destroy({ transaction }))
         // Cascade delete the milestones
-        .then(() => models.Milestone.update({ deletedBy: req.authUser.userId }, { where: { timelineId: timeline.id } }))
-        .then(() => models.Milestone.destroy({ where: { timelineId: timeline.id } }))
+        .then(() => models.Milestone.update({ deletedBy: req.authUser.userId }, {
+          where: { timelineId: timeline.id },
+          transaction,
+        }))
+        .then(() => models.Milestone.destroy({ where: { timelineId: timeline.id }, transaction }))
         .then(itemsDeleted => models.Milestone.findAll({
           where: {
             timelineId: timeline.id,
@@ -42,6 +54,7 @@ module.exports = [
           paranoid: false,
           order: [['deletedAt', 'DESC']],
           limit: itemsDeleted,
+          transaction,
         })),
     )
       .then((milestones) => {
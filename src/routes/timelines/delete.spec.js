@@ -7,6 +7,7 @@ import chai from 'chai';
 import models from '../../models';
 import server from '../../app';
 import testUtil from '../../tests/util';
+import etag from '../../middlewares/etag';
 
 const should = chai.should(); // eslint-disable-line no-unused-vars
 
@@ -335,5 +336,34 @@ describe('DELETE timeline', () => {
         .expect(204)
         .end(err => expectAfterDelete(1, err, done));
     });
+
+    it('should return 412 and keep the timeline if "If-Match" header does not match the current timeline ETag',
+      async () => {
+        await request(server)
+          .delete('/v5/timelines/1')
+          .set({
+            Authorization: `Bearer ${testUtil.jwts.admin}`,
+            'If-Match': '"1-0"',
+          })
+          .expect('Content-Type', /json/)
+          .expect(412);
+
+        const timeline = await models.Timeline.findByPk(1);
+        should.exist(timeline);
+      });
+
+    it('should return 204 if "If-Match" header matches the current timeline ETag', (done) => {
+      models.Timeline.findByPk(1, { raw: true })
+        .then((timeline) => {
+          request(server)
+            .delete('/v5/timelines/1')
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.admin}`,
+              'If-Match': etag.buildETag(timeline),
+            })
+            .expect(204)
+            .end(err => expectAfterDelete(1, err, done));
+        });
+    });
   });
 });
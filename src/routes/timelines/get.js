@@ -8,6 +8,7 @@ import _ from 'lodash';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import util from '../../util';
 import validateTimeline from '../../middlewares/validateTimeline';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -42,6 +43,7 @@ module.exports = [
   // checking by the permissions middleware
   validateTimeline.validateTimelineIdParam,
   permissions('timeline.view'),
+  etag.setETag,
   (req, res, next) => {
     // when user query with db, bypass the elasticsearch
     // and get the data directly from database
@@ -6,9 +6,11 @@ import _ from 'lodash';
 import moment from 'moment';
 import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
 import util from '../../util';
 import validateTimeline from '../../middlewares/validateTimeline';
 import { EVENT, RESOURCES, TIMELINE_REFERENCES } from '../../constants';
+import etag from '../../middlewares/etag';
 
 const permissions = tcMiddleware.permissions;
 
@@ -40,24 +42,36 @@ module.exports = [
   validateTimeline.validateTimelineIdParam,
   validateTimeline.validateTimelineRequestBody,
   permissions('timeline.edit'),
+  etag.setETag,
   (req, res, next) => {
     const entityToUpdate = _.assign(req.body, {
       updatedBy: req.authUser.userId,
     });
 
-    const timeline = req.timeline;
-    const original = _.omit(timeline.toJSON(), ['deletedAt', 'deletedBy']);
+    let original;
     let updated;
 
-    // Update
-    return timeline.update(entityToUpdate)
+    return models.sequelize.transaction(transaction => etag.lockAndCheckIfMatch(
+      req, models.Timeline, { id: req.timeline.id }, transaction,
+    )
+      .then((timeline) => {
+        if (!timeline) {
+          const apiErr = new Error(`Timeline not found for timeline id ${req.timeline.id}`);
+          apiErr.status = 404;
+          throw apiErr;
+        }
+        original = _.omit(timeline.toJSON(), ['deletedAt', 'deletedBy']);
+
+        // Update
+        return timeline.update(entityToUpdate, { transaction });
+      })
       .then((updatedTimeline) => {
         // Omit deletedAt, deletedBy
         updated = _.omit(updatedTimeline.toJSON(), ['deletedAt', 'deletedBy']);
 
         // Update milestones startDate and endDate if necessary, if the timeline startDate changed
         if (original.startDate.getTime() !== updated.startDate.getTime()) {
-          return updatedTimeline.getMilestones()
+          return updatedTimeline.getMilestones({ transaction })
             .then((milestones) => {
               let startDate = updated.startDate;
 
@@ -81,7 +95,7 @@ module.exports = [
 
                 // Next iterated milestone should have as startDate this milestone's endDate plus one day
                 startDate = moment.utc(milestone.endDate).add(1, 'days').toDate();
-                return milestone.save();
+                return milestone.save({ transaction });
               }).value();
 
               return Promise.all(updateMilestonePromises)
@@ -94,7 +108,7 @@ module.exports = [
         }
 
         return Promise.resolve();
-      })
+      }))
       .then(() => {
         // emit the event
         util.sendResourceToKafkaBus(
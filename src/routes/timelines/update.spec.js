@@ -11,6 +11,7 @@ import server from '../../app';
 import testUtil from '../../tests/util';
 import { BUS_API_EVENT, RESOURCES, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 import busApi from '../../services/busApi';
+import etag from '../../middlewares/etag';
 
 const should = chai.should();
 
@@ -552,6 +553,35 @@ describe('UPDATE timeline', () => {
         });
     });
 
+    it('should return 412 if "If-Match" header does not match the current timeline ETag', (done) => {
+      request(server)
+        .patch('/v5/timelines/1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': '"1-0"',
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(412, done);
+    });
+
+    it('should return 200 and new ETag if "If-Match" header matches the current timeline ETag', async () => {
+      const currentETag = etag.buildETag(await models.Timeline.findByPk(1, { raw: true }));
+
+      const res = await request(server)
+        .patch('/v5/timelines/1')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'If-Match': currentETag,
+        })
+        .send(body)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.headers.etag.should.not.equal(currentETag);
+      res.headers.etag.should.equal(etag.buildETag(res.body));
+    });
+
     it('should return 200 for connect admin', (done) => {
       request(server)
         .patch('/v5/timelines/1')
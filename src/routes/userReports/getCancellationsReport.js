@@ -0,0 +1,78 @@
+/**
+ * API to get the report of the cancelled projects.
+ *
+ * Counts project cancellations recorded in the project history, aggregated by cancel reason,
+ * project type and period. Cancel reasons are returned with their labels from the cancel reasons taxonomy.
+ */
+import _ from 'lodash';
+import validate from 'express-validation';
+import Joi from 'joi';
+import { middleware as tcMiddleware } from 'tc-core-library-js';
+import models from '../../models';
+import { PROJECT_STATUS } from '../../constants';
+
+const permissions = tcMiddleware.permissions;
+
+const schema = {
+  query: {
+    period: Joi.string().valid('day', 'week', 'month', 'quarter', 'year').default('month'),
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional(),
+    projectType: Joi.string().optional(),
+  },
+};
+
+module.exports = [
+  validate(schema),
+  permissions('project.cancellationsReport'),
+  async (req, res, next) => {
+    const { period, startDate, endDate, projectType } = req.query;
+    const conditions = [
+      'ph.status = :status',
+      'p."deletedAt" IS NULL',
+    ];
+    if (startDate) {
+      conditions.push('ph."createdAt" >= :startDate');
+    }
+    if (endDate) {
+      conditions.push('ph."createdAt" < :endDate');
+    }
+    if (projectType) {
+      conditions.push('p.type = :projectType');
+    }
+
+    try {
+      const [cancellations, cancelReasons] = await Promise.all([
+        models.sequelize.query(`
+          SELECT
+            ph."cancelReason" AS "reason",
+            p.type AS "projectType",
+            date_trunc(:period, ph."createdAt") AS "period",
+            count(*)::integer AS "count"
+          FROM project_history ph
+          INNER JOIN projects p ON p.id = ph."projectId"
+          WHERE ${conditions.join(' AND ')}
+          GROUP BY "reason", "projectType", "period"
+          ORDER BY "period", "reason", "projectType"
+        `, {
+          replacements: {
+            status: PROJECT_STATUS.CANCELLED,
+            period,
+            startDate,
+            endDate,
+            projectType,
+          },
+          type: models.sequelize.QueryTypes.SELECT,
+        }),
+        models.CancelReason.findAll({ attributes: ['code', 'label'], paranoid: false, raw: true }),
+      ]);
+
+      const labels = _.fromPairs(_.map(cancelReasons, cancelReason => [cancelReason.code, cancelReason.label]));
+      res.json(_.map(cancellations, cancellation => _.assign(cancellation, {
+        reasonLabel: _.get(labels, cancellation.reason, null),
+      })));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
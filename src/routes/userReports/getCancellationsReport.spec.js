@@ -0,0 +1,126 @@
+/* eslint-disable no-unused-expressions */
+import chai from 'chai';
+import request from 'supertest';
+
+import models from '../../models';
+import server from '../../app';
+import testUtil from '../../tests/util';
+
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+describe('GET cancellations report', () => {
+  beforeEach(async () => {
+    await testUtil.clearDb();
+
+    const projects = await models.Project.bulkCreate(['generic', 'generic', 'app', 'app'].map((type, index) => ({
+      type,
+      billingAccountId: 1,
+      name: `test${index}`,
+      description: `test project${index}`,
+      status: 'cancelled',
+      details: {},
+      createdBy: 1,
+      updatedBy: 1,
+      lastActivityAt: 1,
+      lastActivityUserId: '1',
+    })), { returning: true });
+    await models.CancelReason.bulkCreate([{
+      code: 'price',
+      label: 'Price is too high',
+      createdBy: 1,
+      updatedBy: 1,
+    }, {
+      code: 'other',
+      label: 'Other',
+      requiresComment: true,
+      createdBy: 1,
+      updatedBy: 1,
+    }]);
+    await models.ProjectHistory.bulkCreate([
+      [projects[0], 'price', '2020-01-10T00:00:00.000Z'],
+      [projects[1], 'price', '2020-01-20T00:00:00.000Z'],
+      [projects[2], 'other', '2020-01-15T00:00:00.000Z'],
+      [projects[3], 'price', '2020-02-05T00:00:00.000Z'],
+    ].map(([project, cancelReason, createdAt]) => ({
+      projectId: project.id,
+      status: 'cancelled',
+      cancelReason,
+      cancelComment: cancelReason === 'other' ? 'comment' : null,
+      createdAt,
+      updatedBy: 1,
+    })).concat({
+      projectId: projects[0].id,
+      status: 'active',
+      updatedBy: 1,
+    }));
+  });
+
+  after((done) => {
+    testUtil.clearDb(done);
+  });
+
+  describe('GET /projects/reports/cancellations', () => {
+    it('should return 403 if user is not authenticated', (done) => {
+      request(server)
+        .get('/v5/projects/reports/cancellations')
+        .expect(403, done);
+    });
+
+    it('should return 403 for copilot', (done) => {
+      request(server)
+        .get('/v5/projects/reports/cancellations')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+        })
+        .expect(403, done);
+    });
+
+    it('should return 400 for invalid period', (done) => {
+      request(server)
+        .get('/v5/projects/reports/cancellations?period=decade')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(400, done);
+    });
+
+    it('should return cancellations aggregated by reason, project type and month', async () => {
+      const res = await request(server)
+        .get('/v5/projects/reports/cancellations')
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .expect(200);
+
+      res.body.should.have.length(3);
+      res.body[0].should.include({ reason: 'other', reasonLabel: 'Other', projectType: 'app', count: 1 });
+      res.body[1].should.include({
+        reason: 'price',
+        reasonLabel: 'Price is too high',
+        projectType: 'generic',
+        count: 2,
+      });
+      res.body[2].should.include({ reason: 'price', projectType: 'app', count: 1 });
+      new Date(res.body[0].period).toISOString().should.equal('2020-01-01T00:00:00.000Z');
+      new Date(res.body[2].period).toISOString().should.equal('2020-02-01T00:00:00.000Z');
+    });
+
+    it('should filter cancellations by dates and project type', async () => {
+      const res = await request(server)
+        .get('/v5/projects/reports/cancellations')
+        .query({
+          period: 'year',
+          startDate: '2020-01-12T00:00:00.000Z',
+          endDate: '2021-01-01T00:00:00.000Z',
+          projectType: 'generic',
+        })
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+        })
+        .expect(200);
+
+      res.body.should.have.length(1);
+      res.body[0].should.include({ reason: 'price', projectType: 'generic', count: 1 });
+    });
+  });
+});
@@ -7,7 +7,8 @@ import Joi from 'joi';
 
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
 
 const permissions = require('tc-core-library-js').middleware.permissions;
 
@@ -50,7 +51,8 @@ module.exports = [
     });
 
     let newPhaseProduct = null;
-    models.sequelize.transaction(() => models.ProjectPhase.findOne({
+    let rolledUp;
+    models.sequelize.transaction(transaction => models.ProjectPhase.findOne({
       where: {
         id: phaseId,
         projectId,
@@ -108,13 +110,18 @@ module.exports = [
           err.status = 400;
           throw err;
         }
-        return models.PhaseProduct.create(data)
+        return models.PhaseProduct.create(data, { transaction })
           .then((_newPhaseProduct) => {
             newPhaseProduct = _.cloneDeep(_newPhaseProduct);
             req.log.debug('new work created (id# %d, name: %s)',
               newPhaseProduct.id, newPhaseProduct.name);
             newPhaseProduct = newPhaseProduct.get({ plain: true });
             newPhaseProduct = _.omit(newPhaseProduct, ['deletedAt', 'utm']);
+
+            return rollUpProductBudget(null, newPhaseProduct, req.authUser.userId, transaction);
+          })
+          .then((_rolledUp) => {
+            rolledUp = _rolledUp;
           });
       }))
       .then(() => {
@@ -125,6 +132,7 @@ module.exports = [
           EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_ADDED,
           RESOURCES.PHASE_PRODUCT,
           newPhaseProduct);
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.WORKS.UPDATE);
 
         res.status(201).json(newPhaseProduct);
       })
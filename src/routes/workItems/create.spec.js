@@ -12,7 +12,7 @@ import models from '../../models';
 import testUtil from '../../tests/util';
 import busApi from '../../services/busApi';
 
-import { BUS_API_EVENT, RESOURCES } from '../../constants';
+import { BUS_API_EVENT, RESOURCES, CONNECT_NOTIFICATION_EVENT } from '../../constants';
 
 const should = chai.should();
 
@@ -328,7 +328,24 @@ describe('CREATE Work Item', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(1);
+                createEventSpy.callCount.should.be.eql(4);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: workId,
+                  budget: 20,
+                  spentBudget: 1.23456,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId: workId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 20,
+                  actualPrice: 1.23,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_CREATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
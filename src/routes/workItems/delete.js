@@ -7,7 +7,8 @@ import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -31,7 +32,10 @@ module.exports = [
     const phaseId = _.parseInt(req.params.workId);
     const productId = _.parseInt(req.params.id);
 
-    models.sequelize.transaction(() =>
+    let deleted;
+    let rolledUp;
+
+    models.sequelize.transaction(transaction =>
       models.ProjectPhase.findOne({
         where: {
           id: phaseId,
@@ -72,10 +76,17 @@ module.exports = [
             err.status = 404;
             return Promise.reject(err);
           }
-          return existing.update({ deletedBy: req.authUser.userId });
+          return existing.update({ deletedBy: req.authUser.userId }, { transaction });
+        })
+        .then(entity => entity.destroy({ transaction }))
+        .then((entity) => {
+          deleted = entity;
+          return rollUpProductBudget(deleted.get({ plain: true }), null, req.authUser.userId, transaction);
         })
-        .then(entity => entity.destroy()))
-      .then((deleted) => {
+        .then((_rolledUp) => {
+          rolledUp = _rolledUp;
+        }))
+      .then(() => {
         req.log.debug('deleted work item', JSON.stringify(deleted, null, 2));
         // emit the event
         util.sendResourceToKafkaBus(
@@ -83,6 +94,7 @@ module.exports = [
           EVENT.ROUTING_KEY.PROJECT_PHASE_PRODUCT_REMOVED,
           RESOURCES.PHASE_PRODUCT,
           _.pick(deleted.toJSON(), 'id'));
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.WORKS.UPDATE);
 
         res.status(204).json({});
       })
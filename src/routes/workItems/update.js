@@ -1,13 +1,14 @@
 /**
  * API to update a work item
  */
-import validate from 'express-validation';
 import _ from 'lodash';
 import Joi from 'joi';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
 import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { rollUpProductBudget, sendRolledUpBudgetEvents } from '../phases/commonHelper';
+import jsonPatch from '../../middlewares/jsonPatch';
 
 const permissions = tcMiddleware.permissions;
 
@@ -32,10 +33,10 @@ const schema = {
 
 
 module.exports = [
-  // validate request payload
-  validate(schema),
   // check permission
   permissions('workItem.edit'),
+  // validate request payload, JSON Patch is validated after it's applied to the work item
+  jsonPatch.validate(schema),
 
   (req, res, next) => {
     const projectId = _.parseInt(req.params.projectId);
@@ -43,12 +44,12 @@ module.exports = [
     const phaseId = _.parseInt(req.params.workId);
     const productId = _.parseInt(req.params.id);
 
-    const updatedProps = req.body;
-    updatedProps.updatedBy = req.authUser.userId;
-
+    let updatedProps = req.body;
     let previousValue;
+    let updated;
+    let rolledUp;
 
-    models.sequelize.transaction(() => models.ProjectPhase.findOne({
+    models.sequelize.transaction(transaction => models.ProjectPhase.findOne({
       where: {
         id: phaseId,
         projectId,
@@ -61,6 +62,7 @@ module.exports = [
         },
       },
       ],
+      transaction,
     })
       .then((existingWork) => {
         if (!existingWork) {
@@ -78,6 +80,8 @@ module.exports = [
             phaseId,
             deletedAt: { $eq: null },
           },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
         });
       })
       .then((existing) => {
@@ -90,10 +94,21 @@ module.exports = [
         }
 
         previousValue = _.clone(existing.get({ plain: true }));
+        if (req.jsonPatch) {
+          updatedProps = jsonPatch.applyJsonPatch(req, existing, schema.body);
+        }
+        updatedProps.updatedBy = req.authUser.userId;
         _.extend(existing, updatedProps);
-        return existing.save().catch(next);
+        return existing.save({ transaction });
+      })
+      .then((updatedWorkItem) => {
+        updated = updatedWorkItem;
+        return rollUpProductBudget(previousValue, updated.get({ plain: true }), req.authUser.userId, transaction);
+      })
+      .then((_rolledUp) => {
+        rolledUp = _rolledUp;
       }))
-      .then((updated) => {
+      .then(() => {
         req.log.debug('updated work item', JSON.stringify(updated, null, 2));
 
         const updatedValue = updated.get({ plain: true });
@@ -105,6 +120,7 @@ module.exports = [
           previousValue,
           ROUTES.WORK_ITEMS.UPDATE,
         );
+        sendRolledUpBudgetEvents(req, rolledUp, ROUTES.WORKS.UPDATE);
 
         res.json(updated);
       }).catch(err => next(err));
@@ -262,6 +262,53 @@ describe('UPDATE Work Item', () => {
         });
     });
 
+    it('should return 200 and update work item using JSON Patch', async () => {
+      await models.PhaseProduct.update({ details: { a: 1, b: [1] } }, { where: { id: productId } });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}/workitems/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([
+          { op: 'remove', path: '/details/a' },
+          { op: 'add', path: '/details/b/-', value: 2 },
+          { op: 'replace', path: '/name', value: 'patched name' },
+        ])
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      res.body.name.should.equal('patched name');
+      res.body.details.should.be.eql({ b: [1, 2] });
+      const updated = await models.PhaseProduct.findByPk(productId);
+      updated.details.should.be.eql({ b: [1, 2] });
+    });
+
+    it('should return 400 if JSON Patch cannot be applied', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}/workitems/${productId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.admin}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'remove', path: '/details/notExistent' }])
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should return 403 for JSON Patch if user has no permissions, even if work item does not exist', (done) => {
+      request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}/workitems/999`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.copilot}`,
+          'Content-Type': 'application/json-patch+json',
+        })
+        .send([{ op: 'replace', path: '/name', value: 'patched name' }])
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
@@ -333,7 +380,24 @@ describe('UPDATE Work Item', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(5);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: workId,
+                  budget: 123,
+                  spentBudget: 1.23456,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId: workId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 123,
+                  actualPrice: 1.23,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
@@ -371,7 +435,24 @@ describe('UPDATE Work Item', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(5);
+
+                // phase budget and project prices are recalculated from the product prices
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                  resource: RESOURCES.PHASE,
+                  id: workId,
+                  budget: 20,
+                  spentBudget: 123,
+                })).should.be.true;
+                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_UPDATE_PAYMENT, sinon.match({
+                  projectId,
+                  phaseId: workId,
+                })).should.be.true;
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  estimatedPrice: 20,
+                  actualPrice: 123,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_PRODUCT_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE_PRODUCT,
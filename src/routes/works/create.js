@@ -8,7 +8,9 @@ import Sequelize from 'sequelize';
 
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES, PROJECT_PHASE_STATUS } from '../../constants';
+import { rollUpProjectPrices, sendRolledUpBudgetEvents, setOverrideIfValuesSet } from '../phases/commonHelper';
+import { getTemplatePhaseDefinition, validateProductAddition } from '../phaseProducts/commonHelper';
 
 const permissions = require('tc-core-library-js').middleware.permissions;
 
@@ -27,10 +29,12 @@ const schema = {
     duration: Joi.number().min(0).optional(),
     budget: Joi.number().min(0).optional(),
     spentBudget: Joi.number().min(0).optional(),
+    budgetOverride: Joi.boolean().optional(),
     progress: Joi.number().min(0).optional(),
     details: Joi.any().optional(),
     order: Joi.number().integer().optional(),
     productTemplateId: Joi.number().integer().positive().optional(),
+    templatePhaseKey: Joi.string().max(255).optional(),
   }).required(),
 };
 
@@ -51,18 +55,23 @@ module.exports = [
       createdBy: req.authUser.userId,
       updatedBy: req.authUser.userId,
     });
+    // budget set manually shouldn't be recalculated from the work products
+    setOverrideIfValuesSet(data, ['budget', 'spentBudget'], 'budgetOverride');
 
     let existingWorkStream = null;
     let newProjectPhase = null;
+    let phaseDefinition = null;
+    let rolledUpProject;
 
     req.log.debug('Create Work - Starting transaction');
-    return models.sequelize.transaction(() =>
+    return models.sequelize.transaction(transaction =>
       models.WorkStream.findOne({
         where: {
           id: workStreamId,
           projectId,
           deletedAt: { $eq: null },
         },
+        transaction,
       })
         .then((_existingWorkStream) => {
           if (!_existingWorkStream) {
@@ -80,11 +89,25 @@ module.exports = [
             err.status = 400;
             throw err;
           }
-          return models.ProjectPhase.create(data);
+          // work can only be completed after the customer signs it off
+          if (data.status === PROJECT_PHASE_STATUS.COMPLETED) {
+            const err = new Error('Work cannot be created as completed.');
+            err.status = 400;
+            throw err;
+          }
+          // the work may be created from the phase definition of the project template
+          return data.templatePhaseKey
+            ? models.Project.findByPk(projectId, { attributes: ['templateId'], raw: true, transaction })
+              .then(project => getTemplatePhaseDefinition(_.get(project, 'templateId'), data.templatePhaseKey))
+            : null;
+        })
+        .then((_phaseDefinition) => {
+          phaseDefinition = _phaseDefinition;
+          return models.ProjectPhase.create(data, { transaction });
         })
         .then((_newProjectPhase) => {
           newProjectPhase = _.omit(_newProjectPhase.toJSON(), ['deletedAt', 'deletedBy']);
-          return existingWorkStream.addProjectPhase(_newProjectPhase.id);
+          return existingWorkStream.addProjectPhase(_newProjectPhase.id, { transaction });
         })
         .then(() => {
           req.log.debug('re-ordering the other phases');
@@ -100,6 +123,7 @@ module.exports = [
               id: { $ne: newProjectPhase.id },
               order: { $gte: newProjectPhase.order },
             },
+            transaction,
           });
         })
         .then(() => {
@@ -108,7 +132,7 @@ module.exports = [
           }
 
           // Get the product template
-          return models.ProductTemplate.findByPk(data.productTemplateId)
+          return models.ProductTemplate.findByPk(data.productTemplateId, { transaction })
             .then((productTemplate) => {
               if (!productTemplate) {
                 const err = new Error(`Product template does not exist with id = ${data.productTemplateId}`);
@@ -116,22 +140,31 @@ module.exports = [
                 throw err;
               }
 
-              // Create the phase product
-              return models.PhaseProduct.create({
-                name: productTemplate.name,
-                templateId: data.productTemplateId,
-                type: productTemplate.productKey,
-                projectId,
-                phaseId: newProjectPhase.id,
-                createdBy: req.authUser.userId,
-                updatedBy: req.authUser.userId,
-              })
-                .then((phaseProduct) => {
-                  newProjectPhase.products = [
-                    _.omit(phaseProduct.toJSON(), ['deletedAt', 'deletedBy']),
-                  ];
-                });
+              return validateProductAddition(newProjectPhase, phaseDefinition, 0, data.productTemplateId, transaction)
+                .then(() => productTemplate);
+            })
+            // Create the phase product
+            .then(productTemplate => models.PhaseProduct.create({
+              name: productTemplate.name,
+              templateId: data.productTemplateId,
+              type: productTemplate.productKey,
+              projectId,
+              phaseId: newProjectPhase.id,
+              createdBy: req.authUser.userId,
+              updatedBy: req.authUser.userId,
+            }, { transaction }))
+            .then((phaseProduct) => {
+              newProjectPhase.products = [
+                _.omit(phaseProduct.toJSON(), ['deletedAt', 'deletedBy']),
+              ];
             });
+        })
+        // project prices are the totals of the budgets of its phases
+        .then(() => (newProjectPhase.budget || newProjectPhase.spentBudget
+          ? rollUpProjectPrices(projectId, req.authUser.userId, transaction)
+          : null))
+        .then((_rolledUpProject) => {
+          rolledUpProject = _rolledUpProject;
         }),
     )
       .then(() => {
@@ -142,6 +175,7 @@ module.exports = [
           RESOURCES.PHASE,
           newProjectPhase,
         );
+        sendRolledUpBudgetEvents(req, { project: rolledUpProject }, ROUTES.WORKS.UPDATE);
 
         res.status(201).json(newProjectPhase);
       })
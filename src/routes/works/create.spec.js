@@ -262,6 +262,19 @@ describe('CREATE work', () => {
         .expect(400, done);
     });
 
+    it('should return 400 when status is completed', (done) => {
+      const reqBody = _.cloneDeep(body);
+      reqBody.status = 'completed';
+      request(server)
+        .post(`/v5/projects/${projectId}/workstreams/${workStreamId}/works`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send(reqBody)
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
     it('should return 400 when budget is negative', (done) => {
       const reqBody = _.cloneDeep(body);
       reqBody.budget = -20;
@@ -313,6 +326,21 @@ describe('CREATE work', () => {
         });
     });
 
+    it('should turn budgetOverride on and recalculate project prices when work has budget', async () => {
+      const res = await request(server)
+        .post(`/v5/projects/${projectId}/workstreams/${workStreamId}/works`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.member}`,
+        })
+        .send(body)
+        .expect(201);
+
+      res.body.budgetOverride.should.be.true;
+      const updatedProject = await models.Project.findByPk(projectId);
+      parseFloat(updatedProject.estimatedPrice).should.equal(body.budget);
+      parseFloat(updatedProject.actualPrice).should.equal(body.spentBudget);
+    });
+
     describe('Bus api', () => {
       let createEventSpy;
       const sandbox = sinon.sandbox.create();
@@ -344,7 +372,15 @@ describe('CREATE work', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(3);
+
+                // project prices are recalculated from the work budget
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  estimatedPrice: body.budget,
+                  actualPrice: body.spentBudget,
+                })).should.be.true;
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_CREATED, sinon.match({
                   resource: RESOURCES.PHASE,
@@ -8,7 +8,13 @@ import Sequelize from 'sequelize';
 import { middleware as tcMiddleware } from 'tc-core-library-js';
 import models from '../../models';
 import util from '../../util';
-import { EVENT, RESOURCES, ROUTES } from '../../constants';
+import { EVENT, RESOURCES, ROUTES, PROJECT_PHASE_STATUS } from '../../constants';
+import {
+  rollUpBudget,
+  sendRolledUpBudgetEvents,
+  setOverrideIfValuesSet,
+  validatePhaseApproved,
+} from '../phases/commonHelper';
 
 const permissions = tcMiddleware.permissions;
 
@@ -28,6 +34,7 @@ const schema = {
     duration: Joi.number().min(0).optional(),
     budget: Joi.number().min(0).optional(),
     spentBudget: Joi.number().min(0).optional(),
+    budgetOverride: Joi.boolean().optional(),
     progress: Joi.number().min(0).optional(),
     details: Joi.any().optional(),
     order: Joi.number().integer().optional(),
@@ -48,11 +55,14 @@ module.exports = [
 
     const updatedProps = req.body;
     updatedProps.updatedBy = req.authUser.userId;
+    // budget set manually shouldn't be recalculated from the work products
+    setOverrideIfValuesSet(updatedProps, ['budget', 'spentBudget'], 'budgetOverride');
 
     let previousValue;
     let updated;
+    let rolledUp = { phase: null, project: null };
 
-    models.sequelize.transaction(() => models.ProjectPhase.findOne({
+    models.sequelize.transaction(transaction => models.ProjectPhase.findOne({
       where: {
         id: phaseId,
         projectId,
@@ -65,6 +75,7 @@ module.exports = [
           projectId,
         },
       }],
+      transaction,
     })
       .then((existing) => {
         if (!existing) {
@@ -97,12 +108,34 @@ module.exports = [
             throw err;
           } else {
             _.extend(existing, updatedProps);
-            return existing.save().catch(next);
+            return existing.save({ transaction }).catch(next);
           }
         }
       })
       .then((updatedPhase) => {
         updated = updatedPhase;
+
+        // work can only be completed after the customer signs it off
+        return previousValue.status !== PROJECT_PHASE_STATUS.COMPLETED &&
+          updated.status === PROJECT_PHASE_STATUS.COMPLETED
+          ? validatePhaseApproved(phaseId, transaction)
+          : Promise.resolve();
+      })
+      .then(() => {
+        // recalculate budget of the work and prices of the project when the budget is changed
+        const budgetChanged = _.some(['budget', 'spentBudget', 'budgetOverride'],
+          field => previousValue[field] !== updated[field]);
+        if (!budgetChanged) {
+          return Promise.resolve();
+        }
+
+        return rollUpBudget(projectId, phaseId, req.authUser.userId, transaction)
+          .then((_rolledUp) => {
+            rolledUp = _rolledUp;
+            return rolledUp.phase ? updated.reload({ transaction }) : null;
+          });
+      })
+      .then(() => {
         // Ignore re-ordering if there's no order specified for this phase
         if (_.isNil(updated.order)) {
           return Promise.resolve();
@@ -213,6 +246,7 @@ module.exports = [
           previousValue,
           ROUTES.WORKS.UPDATE,
         );
+        sendRolledUpBudgetEvents(req, { project: rolledUp.project }, ROUTES.WORKS.UPDATE);
 
         // send updated event for all other phases which have been cascading updated
         _.map(otherUpdated, phase =>
@@ -252,6 +252,82 @@ describe('UPDATE work', () => {
         .expect(400, done);
     });
 
+    it('should return 400 when completing work which has not been signed off', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ status: 'completed' })
+        .expect(400);
+
+      res.body.message.should.be.eql(
+        `Phase ${workId} cannot be completed until the customer approves the sign-off of the phase.`);
+      const work = await models.ProjectPhase.findByPk(workId);
+      work.status.should.not.be.eql('completed');
+    });
+
+    it('should complete work which sign-off has been approved', async () => {
+      await models.ProjectPhaseApproval.create({
+        projectId,
+        phaseId: workId,
+        status: 'approved',
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ status: 'completed' })
+        .expect(200);
+
+      res.body.status.should.be.eql('completed');
+    });
+
+    it('should turn budgetOverride on and recalculate project prices when budget is updated', async () => {
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ budget: 100 })
+        .expect(200);
+
+      res.body.budget.should.be.eql(100);
+      res.body.budgetOverride.should.be.true;
+      const updatedProject = await models.Project.findByPk(projectId);
+      parseFloat(updatedProject.estimatedPrice).should.equal(140);
+    });
+
+    it('should recalculate budget from the products when budgetOverride is turned off', async () => {
+      await models.PhaseProduct.create({
+        name: 'test product',
+        type: 'generic',
+        projectId,
+        phaseId: workId,
+        estimatedPrice: 50,
+        actualPrice: 10,
+        createdBy: 1,
+        updatedBy: 1,
+      });
+
+      const res = await request(server)
+        .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
+        .set({
+          Authorization: `Bearer ${testUtil.jwts.manager}`,
+        })
+        .send({ budgetOverride: false })
+        .expect(200);
+
+      res.body.budget.should.be.eql(50);
+      res.body.spentBudget.should.be.eql(10);
+      const updatedProject = await models.Project.findByPk(projectId);
+      parseFloat(updatedProject.estimatedPrice).should.equal(90);
+    });
+
     it('should return 200 for member', (done) => {
       request(server)
         .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
@@ -370,7 +446,7 @@ describe('UPDATE work', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
+                createEventSpy.callCount.should.be.eql(3);
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE,
@@ -381,6 +457,13 @@ describe('UPDATE work', () => {
                 // Check Notification Service events
                 createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_UPDATE_PAYMENT).should.be.true;
 
+                // project prices are recalculated from the phase budgets
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  actualPrice: 123,
+                })).should.be.true;
+
                 done();
               });
             }
@@ -456,36 +539,46 @@ describe('UPDATE work', () => {
       });
 
       it('should send correct BUS API messages when status updated (completed)', (done) => {
-        request(server)
-          .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
-          .set({
-            Authorization: `Bearer ${testUtil.jwts.admin}`,
-          })
-          .send({
-            status: 'completed',
-          })
-          .expect('Content-Type', /json/)
-          .expect(200)
-          .end((err) => {
-            if (err) {
-              done(err);
-            } else {
-              testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(2);
-
-                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
-                  resource: RESOURCES.PHASE,
-                  id: workId,
-                  updatedBy: testUtil.userIds.admin,
-                })).should.be.true;
-
-                // Check Notification Service events
-                createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_TRANSITION_COMPLETED).should.be.true;
-
-                done();
-              });
-            }
-          });
+        // work can only be completed after sign-off
+        models.ProjectPhaseApproval.create({
+          projectId,
+          phaseId: workId,
+          status: 'approved',
+          createdBy: 1,
+          updatedBy: 1,
+        }).then(() => {
+          request(server)
+            .patch(`/v5/projects/${projectId}/workstreams/${workStreamId}/works/${workId}`)
+            .set({
+              Authorization: `Bearer ${testUtil.jwts.admin}`,
+            })
+            .send({
+              status: 'completed',
+            })
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                done(err);
+              } else {
+                testUtil.wait(() => {
+                  createEventSpy.callCount.should.be.eql(2);
+
+                  createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
+                    resource: RESOURCES.PHASE,
+                    id: workId,
+                    updatedBy: testUtil.userIds.admin,
+                  })).should.be.true;
+
+                  // Check Notification Service events
+                  createEventSpy.calledWith(CONNECT_NOTIFICATION_EVENT.PROJECT_WORK_TRANSITION_COMPLETED)
+                    .should.be.true;
+
+                  done();
+                });
+              }
+            });
+        });
       });
 
       it('should send correct BUS API messages when status updated (active)', (done) => {
@@ -537,7 +630,7 @@ describe('UPDATE work', () => {
               done(err);
             } else {
               testUtil.wait(() => {
-                createEventSpy.callCount.should.be.eql(1);
+                createEventSpy.callCount.should.be.eql(2);
 
                 createEventSpy.calledWith(BUS_API_EVENT.PROJECT_PHASE_UPDATED, sinon.match({
                   resource: RESOURCES.PHASE,
@@ -545,6 +638,13 @@ describe('UPDATE work', () => {
                   updatedBy: testUtil.userIds.admin,
                 })).should.be.true;
 
+                // project prices are recalculated from the phase budgets
+                createEventSpy.calledWith(BUS_API_EVENT.PROJECT_UPDATED, sinon.match({
+                  resource: RESOURCES.PROJECT,
+                  id: projectId,
+                  estimatedPrice: 163,
+                })).should.be.true;
+
                 done();
               });
             }
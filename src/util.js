@@ -48,6 +48,29 @@ const ssoRefCodes = JSON.parse(config.get('SSO_REFCODES'));
 // the client modifies the config object, so always passed the cloned object
 let esClient = null;
 
+/**
+ * Set aggregations, if they have been requested, to the `X-Aggregations` header as JSON,
+ * so the response body stays the list of the data rows
+ *
+ * @param {Object} res          HTTP response
+ * @param {Object} aggregations aggregations
+ * @return {void}
+ */
+const setAggregationsHeader = (res, aggregations) => {
+  if (!aggregations) {
+    return;
+  }
+
+  let accessControlExposeHeaders = res.get('Access-Control-Expose-Headers') || '';
+  accessControlExposeHeaders += accessControlExposeHeaders ? ', ' : '';
+  accessControlExposeHeaders += 'X-Aggregations';
+
+  res.set({
+    'Access-Control-Expose-Headers': accessControlExposeHeaders,
+    'X-Aggregations': JSON.stringify(aggregations),
+  });
+};
+
 const projectServiceUtils = {
   /**
    * Build API error
@@ -813,6 +836,74 @@ const projectServiceUtils = {
     }
   }),
 
+  /**
+   * Retrieve ids of the groups which user belongs to
+   *
+   * @param {Number} userId    user id
+   * @param {Object} logger    logger
+   * @param {String} requestId request id
+   *
+   * @returns {Promise<Array>} group ids
+   */
+  getUserGroupIds: Promise.coroutine(function* (userId, logger, requestId) { // eslint-disable-line func-names
+    try {
+      const token = yield this.getM2MToken();
+      const httpClient = this.getHttpClient({ id: requestId, log: logger });
+      return httpClient.get(`${config.groupsServiceEndpoint}memberGroups/${userId}`, {
+        params: {
+          uuidOnly: true,
+        },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+      }).then(res => _.map(_.get(res, 'data', []), _.toString));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }),
+
+  /**
+   * Retrieve ids of the users who are members of the group.
+   *
+   * Only direct user members are returned, sub-groups are not expanded.
+   *
+   * @param {Number|String} groupId   group id
+   * @param {Object}        logger    logger
+   * @param {String}        requestId request id
+   *
+   * @returns {Promise<Array>} user ids
+   */
+  getGroupMemberIds: Promise.coroutine(function* (groupId, logger, requestId) { // eslint-disable-line func-names
+    const perPage = 1000;
+    try {
+      const token = yield this.getM2MToken();
+      const httpClient = this.getHttpClient({ id: requestId, log: logger });
+      let page = 1;
+      let members;
+      let memberIds = [];
+      do {
+        const res = yield httpClient.get(`${config.groupsServiceEndpoint}${groupId}/members`, {
+          params: {
+            page,
+            perPage,
+          },
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+        });
+        members = _.get(res, 'data', []);
+        memberIds = memberIds.concat(_.map(_.filter(members, { membershipType: 'user' }), 'memberId'));
+        page += 1;
+      } while (members.length === perPage);
+
+      return _.map(memberIds, _.toNumber);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }),
+
   /**
   * Merge two JSON objects. For array fields, the target will be replaced by source.
   * @param {Object} targetObj the target object
@@ -1083,6 +1174,41 @@ const projectServiceUtils = {
         Link: link,
       });
     }
+    setAggregationsHeader(res, data.aggregations);
+    // Return the data after setting pagination headers
+    res.json(data.rows);
+  },
+
+  /**
+  * Set cursor pagination headers and respond with data
+  * @param {Object} req HTTP request
+  * @param {Object} res HTTP response
+  * @param {Object} data Data for which pagination need to be applied,
+  *                      `nextCursor` should be `null` if there are no more pages
+  * @return {Array} data rows to be returned
+  */
+  setCursorPaginationHeaders: (req, res, data) => {
+    // Allow browsers access pagination data in headers
+    let accessControlExposeHeaders = res.get('Access-Control-Expose-Headers') || '';
+    accessControlExposeHeaders += accessControlExposeHeaders ? ', ' : '';
+    accessControlExposeHeaders += 'X-Per-Page, X-Total, X-Next-Cursor';
+
+    res.set({
+      'Access-Control-Expose-Headers': accessControlExposeHeaders,
+      'X-Per-Page': data.pageSize,
+      'X-Total': data.count,
+    });
+
+    // Set Next-Cursor only if there are more data
+    if (data.nextCursor) {
+      const nextQuery = querystring.stringify(_.assign({}, req.query, { cursor: data.nextCursor }));
+      res.set({
+        'X-Next-Cursor': data.nextCursor,
+        Link: `<${req.protocol}://${req.get('host')}${req.path}?${nextQuery}>; rel="next"`,
+      });
+    }
+
+    setAggregationsHeader(res, data.aggregations);
     // Return the data after setting pagination headers
     res.json(data.rows);
   },
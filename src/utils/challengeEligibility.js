@@ -0,0 +1,94 @@
+/**
+ * Helper methods to resolve `challengeEligibility` of the project.
+ *
+ * `challengeEligibility` is a list of `{ role, users, groups }` entries. Users who are eligible for the role
+ * are the explicit `users` of all the entries with this role merged with the members of their `groups`.
+ *
+ * Resolved users are cached per project and role for `challengeEligibilityCacheTtlSeconds`,
+ * at most for `challengeEligibilityCacheMaxSize` pairs of project and role.
+ * The cache is kept in memory of each API instance, and when `challengeEligibility` of the project is updated
+ * only the cache of the instance which handles the update is invalidated. Other instances keep returning
+ * the previous result until it expires, so the TTL should be kept short. It also limits how long changes
+ * of the group members are not visible, as they are never invalidated.
+ */
+import _ from 'lodash';
+import config from 'config';
+import { getGroupMemberIds } from './groups';
+import { createLruCache } from './lruCache';
+
+/**
+ * Cache of the eligible user ids by `${projectId}:${role}`, the cached value is a promise,
+ * so concurrent requests don't expand the same groups twice.
+ */
+const eligibilityCache = createLruCache({
+  maxSize: config.get('challengeEligibilityCacheMaxSize'),
+  ttlSeconds: config.get('challengeEligibilityCacheTtlSeconds'),
+});
+
+/**
+ * Resolve ids of the users who are eligible for the role, without using the cache.
+ *
+ * @param {Array}  challengeEligibility challenge eligibility of the project
+ * @param {String} role                 challenge role
+ * @param {Object} logger               logger
+ * @param {String} requestId            request id
+ *
+ * @returns {Promise<Array>} user ids
+ */
+function resolveEligibleUserIds(challengeEligibility, role, logger, requestId) {
+  const entries = _.filter(challengeEligibility, { role });
+  const userIds = _.flatMap(entries, entry => entry.users || []);
+  const groupIds = _.uniq(_.flatMap(entries, entry => entry.groups || []));
+
+  return Promise.all(_.map(groupIds, groupId => getGroupMemberIds(groupId, logger, requestId)))
+    .then(groupsMemberIds => _.uniq(_.map(_.concat(userIds, ...groupsMemberIds), _.toNumber)));
+}
+
+/**
+ * Get ids of the users who are eligible for the role in the project.
+ *
+ * @param {Object} project   project with `id` and `challengeEligibility`
+ * @param {String} role      challenge role
+ * @param {Object} logger    logger
+ * @param {String} requestId request id
+ *
+ * @returns {Promise<Array>} user ids
+ */
+function getEligibleUserIds(project, role, logger, requestId) {
+  const key = `${project.id}:${role}`;
+  const cached = eligibilityCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const userIds = resolveEligibleUserIds(project.challengeEligibility, role, logger, requestId).catch((err) => {
+    // don't cache errors, so the next request tries again
+    if (eligibilityCache.get(key) === userIds) {
+      eligibilityCache.delete(key);
+    }
+    throw err;
+  });
+  eligibilityCache.set(key, userIds);
+
+  return userIds;
+}
+
+/**
+ * Remove cached eligible users of the project.
+ *
+ * @param {Number} projectId project id
+ *
+ * @returns {void}
+ */
+function invalidateEligibility(projectId) {
+  _.each(eligibilityCache.keys(), (key) => {
+    if (_.startsWith(key, `${projectId}:`)) {
+      eligibilityCache.delete(key);
+    }
+  });
+}
+
+module.exports = {
+  getEligibleUserIds,
+  invalidateEligibility,
+};
@@ -312,6 +312,38 @@ MAPPINGS[ES_PROJECT_INDEX] = {
         },
       },
     },
+    relations: {
+      type: 'nested',
+      properties: {
+        createdAt: {
+          type: 'date',
+          format: 'strict_date_optional_time||epoch_millis',
+        },
+        createdBy: {
+          type: 'integer',
+        },
+        id: {
+          type: 'long',
+        },
+        projectId: {
+          type: 'long',
+        },
+        relatedProjectId: {
+          type: 'long',
+        },
+        type: {
+          type: 'string',
+          index: 'not_analyzed',
+        },
+        updatedAt: {
+          type: 'date',
+          format: 'strict_date_optional_time||epoch_millis',
+        },
+        updatedBy: {
+          type: 'integer',
+        },
+      },
+    },
     name: {
       type: 'string',
     },
@@ -324,11 +356,15 @@ MAPPINGS[ES_PROJECT_INDEX] = {
     },
     groups: {
       type: 'string',
+      index: 'not_analyzed',
     },
     type: {
       type: 'string',
       index: 'not_analyzed',
     },
+    templateId: {
+      type: 'long',
+    },
     updatedAt: {
       type: 'date',
       format: 'strict_date_optional_time||epoch_millis',
@@ -343,6 +379,10 @@ MAPPINGS[ES_PROJECT_INDEX] = {
     lastActivityUserId: {
       type: 'string',
     },
+    staleNotifiedAt: {
+      type: 'date',
+      format: 'strict_date_optional_time||epoch_millis',
+    },
     utm: {
       properties: {
         campaign: {
@@ -184,6 +184,7 @@ async function prepareProject(
     );
   });
   logger.debug('After adding details, project.members => ', project.members);
+  project.relations = await models.ProjectRelation.getRelationsOfProject(project.id);
   return Promise.delay(1000).return(project);
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Helper methods to restrict visibility of projects by groups.
+ *
+ * Projects which have `groups` are visible only to the users who belong to at least one of these groups.
+ * Projects without `groups` are visible the same way as before. Admins and M2M tokens can see all projects.
+ * Project members don't bypass the check: a member who doesn't belong to any of the project groups
+ * cannot see the project, so restricting a project by groups also restricts its existing members.
+ *
+ * Groups of the user are retrieved from the Groups API at `groupsServiceEndpoint` and cached
+ * for `userGroupsCacheTtlSeconds`, at most for `userGroupsCacheMaxSize` users.
+ * If `useLocalGroupsStub` is enabled, which is only allowed for local development and tests, groups are taken
+ * from `localUserGroups` in config, which is a map `{ [userId]: [groupId] }`. The same way members of the groups
+ * are taken from `localGroupMembers` which is a map `{ [groupId]: [userId] }`.
+ */
+import _ from 'lodash';
+import config from 'config';
+import util from '../util';
+import { createLruCache } from './lruCache';
+
+/**
+ * Cache of the user group ids by user id, the cached value is a promise,
+ * so concurrent requests of the same user don't call the Groups API twice.
+ */
+const userGroupsCache = createLruCache({
+  maxSize: config.get('userGroupsCacheMaxSize'),
+  ttlSeconds: config.get('userGroupsCacheTtlSeconds'),
+});
+
+/**
+ * Check if groups should be taken from the local stub in config instead of the Groups API.
+ *
+ * @returns {Boolean} true if the local stub should be used
+ */
+function useLocalGroupsStub() {
+  // the value may come from the environment variable as a string
+  return _.toString(config.get('useLocalGroupsStub')) === 'true';
+}
+
+/**
+ * Validate that the groups config is valid, so projects restricted by groups are not exposed because of
+ * the missing Groups API endpoint. It should be called when the app starts.
+ *
+ * @throws {Error} if neither `groupsServiceEndpoint` nor `useLocalGroupsStub` is configured
+ * @returns {void}
+ */
+function validateGroupsConfig() {
+  if (!useLocalGroupsStub() && !config.get('groupsServiceEndpoint')) {
+    throw new Error('"groupsServiceEndpoint" config is required unless "useLocalGroupsStub" is enabled.');
+  }
+}
+
+/**
+ * Retrieve ids of the groups which user belongs to, without using the cache.
+ *
+ * @param {Number} userId    user id
+ * @param {Object} logger    logger
+ * @param {String} requestId request id
+ *
+ * @returns {Promise<Array>} group ids
+ */
+function retrieveUserGroupIds(userId, logger, requestId) {
+  if (useLocalGroupsStub()) {
+    return Promise.resolve(_.map(_.get(config.get('localUserGroups'), _.toString(userId), []), _.toString));
+  }
+
+  return util.getUserGroupIds(userId, logger, requestId);
+}
+
+/**
+ * Get ids of the groups which user belongs to.
+ *
+ * @param {Number} userId    user id
+ * @param {Object} logger    logger
+ * @param {String} requestId request id
+ *
+ * @returns {Promise<Array>} group ids
+ */
+function getUserGroupIds(userId, logger, requestId) {
+  const key = _.toString(userId);
+  const cached = userGroupsCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const groupIds = retrieveUserGroupIds(userId, logger, requestId).catch((err) => {
+    // don't cache errors, so the next request tries again
+    if (userGroupsCache.get(key) === groupIds) {
+      userGroupsCache.delete(key);
+    }
+    throw err;
+  });
+  userGroupsCache.set(key, groupIds);
+
+  return groupIds;
+}
+
+/**
+ * Get ids of the users who are members of the group.
+ *
+ * @param {Number|String} groupId   group id
+ * @param {Object}        logger    logger
+ * @param {String}        requestId request id
+ *
+ * @returns {Promise<Array>} user ids
+ */
+function getGroupMemberIds(groupId, logger, requestId) {
+  if (useLocalGroupsStub()) {
+    return Promise.resolve(_.map(_.get(config.get('localGroupMembers'), _.toString(groupId), []), _.toNumber));
+  }
+
+  return util.getGroupMemberIds(groupId, logger, requestId);
+}
+
+/**
+ * Check if the user can see projects regardless of their groups.
+ *
+ * @param {express.Request} req request
+ *
+ * @returns {Boolean} true if projects of the user are not restricted by groups
+ */
+function canSeeAllGroups(req) {
+  return util.hasAdminRole(req) || _.get(req, 'authUser.isMachine', false);
+}
+
+/**
+ * Get ids of the groups of the current user which should be used to restrict the projects visible to the user.
+ *
+ * @param {express.Request} req request
+ *
+ * @returns {Promise<Array|null>} group ids, or `null` if projects of the user are not restricted by groups
+ */
+function getVisibleGroupIds(req) {
+  if (canSeeAllGroups(req)) {
+    return Promise.resolve(null);
+  }
+
+  return getUserGroupIds(req.authUser.userId, req.log, req.id);
+}
+
+/**
+ * Check if the current user can see the project with the provided groups.
+ *
+ * @param {express.Request} req           request
+ * @param {Array}           projectGroups groups of the project
+ *
+ * @returns {Promise<Boolean>} true if user can see the project
+ */
+function hasAccessToProjectGroups(req, projectGroups) {
+  if (_.isEmpty(projectGroups) || canSeeAllGroups(req)) {
+    return Promise.resolve(true);
+  }
+
+  return getUserGroupIds(req.authUser.userId, req.log, req.id)
+    .then(groupIds => _.intersection(_.map(projectGroups, _.toString), groupIds).length > 0);
+}
+
+module.exports = {
+  validateGroupsConfig,
+  getUserGroupIds,
+  getGroupMemberIds,
+  getVisibleGroupIds,
+  hasAccessToProjectGroups,
+};
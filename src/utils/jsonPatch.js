@@ -0,0 +1,212 @@
+/**
+ * Helper methods to apply JSON Patch documents, see RFC 6902 https://tools.ietf.org/html/rfc6902
+ */
+import _ from 'lodash';
+
+/**
+ * Supported JSON Patch operations
+ */
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Create error to return when JSON Patch cannot be applied
+ *
+ * @param {String} message error message
+ * @param {Number} status  error status
+ *
+ * @returns {Error} error
+ */
+const buildPatchError = (message, status = 400) => {
+  const apiErr = new Error(`Cannot apply JSON Patch. ${message}`);
+  apiErr.status = status;
+  return apiErr;
+};
+
+/**
+ * Parse JSON Pointer to the list of tokens, see RFC 6901 https://tools.ietf.org/html/rfc6901
+ *
+ * @param {String} pointer JSON Pointer like `/details/appDefinition/goal`
+ *
+ * @returns {Array<String>} tokens
+ */
+const parsePointer = (pointer) => {
+  if (!_.isString(pointer) || (pointer !== '' && pointer[0] !== '/')) {
+    throw buildPatchError(`Invalid path "${pointer}".`);
+  }
+  if (pointer === '') {
+    throw buildPatchError('Replacing the whole document is not supported.');
+  }
+
+  return _.map(pointer.substring(1).split('/'), token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Get array index from JSON Pointer token
+ *
+ * @param {Array}   array     array
+ * @param {String}  token     token
+ * @param {Boolean} allowEnd  if `true` the index right after the last element is allowed (`-` or array length)
+ *
+ * @returns {Number} index
+ */
+const getArrayIndex = (array, token, allowEnd) => {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+  const maxIndex = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(token) || _.parseInt(token) > maxIndex) {
+    throw buildPatchError(`Invalid array index "${token}".`);
+  }
+
+  return _.parseInt(token);
+};
+
+/**
+ * Find the container (object or array) of the value which JSON Pointer refers to
+ *
+ * @param {Object} document document
+ * @param {String} pointer  JSON Pointer
+ *
+ * @returns {Object} `{ container, key }` where `key` is the last token of the pointer
+ */
+const resolveContainer = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const container = _.reduce(tokens, (value, token) => {
+    if (_.isArray(value)) {
+      return value[getArrayIndex(value, token, false)];
+    }
+    if (_.isPlainObject(value) && _.has(value, token)) {
+      return value[token];
+    }
+    throw buildPatchError(`Path "${pointer}" does not exist.`);
+  }, document);
+
+  if (!_.isArray(container) && !_.isPlainObject(container)) {
+    throw buildPatchError(`Path "${pointer}" does not exist.`);
+  }
+
+  return { container, key };
+};
+
+/**
+ * Get the value which JSON Pointer refers to
+ *
+ * @param {Object} document document
+ * @param {String} pointer  JSON Pointer
+ *
+ * @returns {*} value
+ */
+const getValue = (document, pointer) => {
+  const { container, key } = resolveContainer(document, pointer);
+  if (_.isArray(container)) {
+    return container[getArrayIndex(container, key, false)];
+  }
+  if (!_.has(container, key)) {
+    throw buildPatchError(`Path "${pointer}" does not exist.`);
+  }
+
+  return container[key];
+};
+
+/**
+ * Add the value to the location which JSON Pointer refers to
+ *
+ * @param {Object} document document
+ * @param {String} pointer  JSON Pointer
+ * @param {*}      value    value
+ *
+ * @returns {undefined}
+ */
+const addValue = (document, pointer, value) => {
+  const { container, key } = resolveContainer(document, pointer);
+  if (_.isArray(container)) {
+    container.splice(getArrayIndex(container, key, true), 0, value);
+  } else {
+    container[key] = value;
+  }
+};
+
+/**
+ * Remove the value which JSON Pointer refers to
+ *
+ * @param {Object} document document
+ * @param {String} pointer  JSON Pointer
+ *
+ * @returns {*} removed value
+ */
+const removeValue = (document, pointer) => {
+  const value = getValue(document, pointer);
+  const { container, key } = resolveContainer(document, pointer);
+  if (_.isArray(container)) {
+    container.splice(getArrayIndex(container, key, false), 1);
+  } else {
+    delete container[key];
+  }
+
+  return value;
+};
+
+const jsonPatchUtils = {
+  /**
+   * Apply JSON Patch to the document.
+   *
+   * Operations are applied one by one to a copy of the document, so the document itself is not changed,
+   * and if any operation fails, the whole patch fails.
+   *
+   * @param {Object} document   document to patch
+   * @param {Array}  operations JSON Patch operations
+   *
+   * @throws {Error} error with status 400 if patch is invalid, or 409 if a `test` operation fails
+   * @returns {Object} patched copy of the document
+   */
+  applyPatch: (document, operations) => {
+    if (!_.isArray(operations)) {
+      throw buildPatchError('JSON Patch should be an array of operations.');
+    }
+
+    const patched = _.cloneDeep(document);
+
+    _.forEach(operations, (operation, index) => {
+      if (!_.isPlainObject(operation) || !_.includes(OPERATIONS, operation.op)) {
+        throw buildPatchError(`Operation #${index} should have "op" one of: ${OPERATIONS.join(', ')}.`);
+      }
+      if (_.includes(['add', 'replace', 'test'], operation.op) && !_.has(operation, 'value')) {
+        throw buildPatchError(`Operation #${index} "${operation.op}" should have "value".`);
+      }
+      if (_.includes(['move', 'copy'], operation.op) && !_.isString(operation.from)) {
+        throw buildPatchError(`Operation #${index} "${operation.op}" should have "from".`);
+      }
+
+      switch (operation.op) {
+        case 'add':
+          addValue(patched, operation.path, _.cloneDeep(operation.value));
+          break;
+        case 'remove':
+          removeValue(patched, operation.path);
+          break;
+        case 'replace':
+          removeValue(patched, operation.path);
+          addValue(patched, operation.path, _.cloneDeep(operation.value));
+          break;
+        case 'move':
+          if (_.isString(operation.path) && operation.path.startsWith(`${operation.from}/`)) {
+            throw buildPatchError(`Operation #${index} cannot move value into one of its children.`);
+          }
+          addValue(patched, operation.path, removeValue(patched, operation.from));
+          break;
+        case 'copy':
+          addValue(patched, operation.path, _.cloneDeep(getValue(patched, operation.from)));
+          break;
+        default: // test
+          if (!_.isEqual(getValue(patched, operation.path), operation.value)) {
+            throw buildPatchError(`Operation #${index} "test" failed for path "${operation.path}".`, 409);
+          }
+      }
+    });
+
+    return patched;
+  },
+};
+
+export default jsonPatchUtils;
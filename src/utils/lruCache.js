@@ -0,0 +1,86 @@
+/**
+ * Simple in-memory cache with limited size and time to live of the entries.
+ *
+ * The cache keeps at most `maxSize` entries, when it's full the least recently used entry is removed.
+ * Each entry expires `ttlSeconds` after it's been set.
+ */
+import _ from 'lodash';
+
+/**
+ * Create a cache.
+ *
+ * @param {Object} options            options
+ * @param {Number} options.maxSize    max number of entries
+ * @param {Number} options.ttlSeconds time to live of the entries in seconds
+ *
+ * @returns {Object} cache with `get`, `set`, `delete` and `keys` methods
+ */
+function createLruCache({ maxSize, ttlSeconds }) {
+  // `Map` keeps keys in insertion order, so the least recently used entry is always the first one
+  const entries = new Map();
+  const limit = Math.max(_.toNumber(maxSize), 1);
+  const ttl = _.toNumber(ttlSeconds) * 1000;
+
+  return {
+    /**
+     * Get the value of the entry which is not expired.
+     *
+     * @param {String} key key
+     *
+     * @returns {*} value, or `undefined` if there is no such entry or it's expired
+     */
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+
+      return entry.value;
+    },
+
+    /**
+     * Set the value of the entry, and remove the least recently used entries if the cache is full.
+     *
+     * @param {String} key   key
+     * @param {*}      value value
+     *
+     * @returns {void}
+     */
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+      while (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    /**
+     * Remove the entry.
+     *
+     * @param {String} key key
+     *
+     * @returns {void}
+     */
+    delete: (key) => {
+      entries.delete(key);
+    },
+
+    /**
+     * Get keys of all the entries, including the expired ones which haven't been removed yet.
+     *
+     * @returns {Array} keys
+     */
+    keys: () => Array.from(entries.keys()),
+  };
+}
+
+module.exports = {
+  createLruCache,
+};
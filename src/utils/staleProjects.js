@@ -0,0 +1,382 @@
+/* eslint-disable no-restricted-syntax, no-await-in-loop */
+/**
+ * Stale projects detector.
+ *
+ * Finds `draft` and `active` projects which have no activity (see `Project.lastActivityAt`)
+ * for longer than the threshold of their project type, sends `connect.notification.project.stale` event
+ * for each of them and optionally cancels stale `draft` projects.
+ *
+ * The threshold in days is defined by `staleProjectThresholdDays` in the project type metadata,
+ * if it's not defined `staleProjects.defaultThresholdDays` from config is used.
+ * Set the threshold to `0` to never treat projects of the type as stale.
+ *
+ * Stale drafts are cancelled with the reason `staleProjects.cancelReason` from config, which has to be a code
+ * from the cancel reasons taxonomy, see `validateStaleProjectsConfig`.
+ *
+ * The time of the notification is kept in `Project.staleNotifiedAt`, and the project is not notified again
+ * until there is new activity in it or the threshold passes once more since the previous notification.
+ *
+ * Projects are loaded in batches of `staleProjects.batchSize` ordered by the time of the last activity.
+ */
+import _ from 'lodash';
+import config from 'config';
+import moment from 'moment';
+import models from '../models';
+import { createEvent } from '../services/busApi';
+import { cascadeProjectStatus, validateCancelReason } from '../routes/projects/commonHelper';
+import {
+  BUS_API_EVENT,
+  CONNECT_NOTIFICATION_EVENT,
+  PROJECT_STATUS,
+  PROJECT_CHANGE_SOURCE,
+  RESOURCES,
+} from '../constants';
+
+/**
+ * Statuses of the projects which can become stale
+ */
+const STALE_PROJECT_STATUSES = [PROJECT_STATUS.DRAFT, PROJECT_STATUS.ACTIVE];
+
+/**
+ * Actions which are performed with stale projects
+ */
+const STALE_PROJECT_ACTION = {
+  NOTIFY: 'notify',
+  CANCEL: 'cancel',
+  SKIP: 'skip',
+};
+
+/**
+ * Comment of the cancel reason which is recorded in the project history when stale project is cancelled
+ */
+const STALE_PROJECT_CANCEL_COMMENT = 'Cancelled automatically as there was no activity in the project for a long time.';
+
+/**
+ * Config values may come from environment variables as strings.
+ *
+ * @param {String} path path to the config value
+ *
+ * @returns {Boolean} config value
+ */
+const getBooleanConfig = path => _.toString(config.get(path)) === 'true';
+
+/**
+ * Get the threshold in days for each project type.
+ *
+ * @returns {Promise<Object>} `{ defaultThresholdDays, thresholdsByType: { [projectTypeKey]: days } }`
+ */
+async function getThresholds() {
+  const projectTypes = await models.ProjectType.findAll({ attributes: ['key', 'metadata'], raw: true });
+  const defaultThresholdDays = _.toNumber(config.get('staleProjects.defaultThresholdDays'));
+  const thresholdsByType = _.reduce(projectTypes, (thresholds, projectType) => _.assign(thresholds, {
+    [projectType.key]: _.toNumber(_.get(projectType.metadata, 'staleProjectThresholdDays', defaultThresholdDays)),
+  }), {});
+
+  return { defaultThresholdDays, thresholdsByType };
+}
+
+/**
+ * Get the number of full days without activity in the project.
+ *
+ * @param {Date} now            current date
+ * @param {Date} lastActivityAt time of the last activity in the project
+ *
+ * @returns {Number} number of days
+ */
+const getIdleDays = (now, lastActivityAt) => moment.utc(now).diff(moment.utc(lastActivityAt), 'days');
+
+/**
+ * Find the next batch of stale projects and decide what to do with each of them.
+ *
+ * @param {Date}   now        current date
+ * @param {Object} thresholds thresholds returned by `getThresholds`
+ * @param {Object} [after]    `{ id, lastActivityAt }` of the last project of the previous batch
+ *
+ * @returns {Promise<Object>} `{ staleProjects, next }`, where `next` should be passed as `after`
+ *   to get the next batch, or is `null` if there are no more batches, see `findStaleProjects` for `staleProjects`
+ */
+async function findStaleProjectsBatch(now, { defaultThresholdDays, thresholdsByType }, after) {
+  const minThresholdDays = _.min(_.filter([defaultThresholdDays, ..._.values(thresholdsByType)], days => days > 0));
+  if (!minThresholdDays) {
+    return { staleProjects: [], next: null };
+  }
+  const cancelDrafts = getBooleanConfig('staleProjects.cancelDrafts');
+  const batchSize = _.toNumber(config.get('staleProjects.batchSize'));
+
+  const where = {
+    status: { $in: STALE_PROJECT_STATUSES },
+    lastActivityAt: { $lt: moment.utc(now).subtract(minThresholdDays, 'days').toDate() },
+  };
+  if (after) {
+    where.$or = [
+      { lastActivityAt: { $gt: after.lastActivityAt } },
+      { lastActivityAt: after.lastActivityAt, id: { $gt: after.id } },
+    ];
+  }
+  const projects = await models.Project.findAll({
+    where,
+    attributes: ['id', 'name', 'type', 'status', 'lastActivityAt', 'staleNotifiedAt'],
+    order: [['lastActivityAt', 'asc'], ['id', 'asc']],
+    limit: batchSize,
+    raw: true,
+  });
+
+  const staleProjects = _.compact(_.map(projects, (project) => {
+    const thresholdDays = _.get(thresholdsByType, project.type, defaultThresholdDays);
+    const idleDays = getIdleDays(now, project.lastActivityAt);
+    if (!(thresholdDays > 0) || idleDays < thresholdDays) {
+      return null;
+    }
+
+    // skip projects which have been already notified about during the current period of inactivity
+    const notified = project.staleNotifiedAt &&
+      moment.utc(project.staleNotifiedAt).isAfter(project.lastActivityAt) &&
+      moment.utc(now).diff(moment.utc(project.staleNotifiedAt), 'days') < thresholdDays;
+    let action = STALE_PROJECT_ACTION.NOTIFY;
+    if (notified) {
+      action = STALE_PROJECT_ACTION.SKIP;
+    } else if (cancelDrafts && project.status === PROJECT_STATUS.DRAFT) {
+      action = STALE_PROJECT_ACTION.CANCEL;
+    }
+
+    return {
+      projectId: project.id,
+      name: project.name,
+      type: project.type,
+      status: project.status,
+      lastActivityAt: project.lastActivityAt,
+      staleNotifiedAt: project.staleNotifiedAt,
+      idleDays,
+      thresholdDays,
+      action,
+    };
+  }));
+
+  return {
+    staleProjects,
+    next: projects.length < batchSize ? null : _.pick(_.last(projects), ['id', 'lastActivityAt']),
+  };
+}
+
+/**
+ * Find stale projects and decide what to do with each of them.
+ * Only the first `staleProjects.batchSize` stale projects with the oldest activity are returned.
+ *
+ * @param {Date} [now] current date
+ *
+ * @returns {Promise<Array>} list of
+ *   `{ projectId, name, type, status, lastActivityAt, staleNotifiedAt, idleDays, thresholdDays, action }`
+ */
+async function findStaleProjects(now = new Date()) {
+  const thresholds = await getThresholds();
+  const batchSize = _.toNumber(config.get('staleProjects.batchSize'));
+
+  let staleProjects = [];
+  let next = null;
+  do {
+    const batch = await findStaleProjectsBatch(now, thresholds, next);
+    staleProjects = _.concat(staleProjects, batch.staleProjects);
+    next = batch.next;
+  } while (next && staleProjects.length < batchSize);
+
+  return _.take(staleProjects, batchSize);
+}
+
+/**
+ * Cancel stale project on behalf of the system user.
+ *
+ * The project is locked and checked again, as it could be changed since it has been found,
+ * so the project is only cancelled if it's still a draft without activity for longer than the threshold.
+ *
+ * @param {Object} staleProject the stale project, see `findStaleProjects`
+ * @param {Date}   now          current date
+ * @param {Object} logger       logger
+ *
+ * @returns {Promise<Boolean>} `true` if the project is cancelled, or `false` if it's not stale anymore
+ */
+async function cancelStaleProject(staleProject, now, logger) {
+  const { projectId, thresholdDays } = staleProject;
+  const userId = config.get('DEFAULT_M2M_USERID');
+  const cancelReason = config.get('staleProjects.cancelReason');
+
+  const result = await models.sequelize.transaction(async (transaction) => {
+    const project = await models.Project.findByPk(projectId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!project || project.status !== PROJECT_STATUS.DRAFT ||
+      getIdleDays(now, project.lastActivityAt) < thresholdDays
+    ) {
+      return null;
+    }
+    const previousValue = project.get({ plain: true });
+
+    await project.update({ status: PROJECT_STATUS.CANCELLED, cancelReason, updatedBy: userId }, { transaction });
+    await models.ProjectHistory.create({
+      projectId,
+      status: PROJECT_STATUS.CANCELLED,
+      cancelReason,
+      cancelComment: STALE_PROJECT_CANCEL_COMMENT,
+      updatedBy: userId,
+    }, { transaction });
+    // cancel the project phases, works and milestones the same way as when project is cancelled by user
+    const cascadedUpdates = await cascadeProjectStatus(projectId, previousValue.status, PROJECT_STATUS.CANCELLED,
+      userId, transaction);
+    await models.ProjectChangeHistory.recordChanges({
+      projectId,
+      source: PROJECT_CHANGE_SOURCE.STALE_PROJECTS_DETECTOR,
+      original: previousValue,
+      updated: project.get({ plain: true }),
+      userId,
+    }, { transaction });
+
+    return { original: previousValue, updated: project.get({ plain: true }), cascaded: cascadedUpdates };
+  });
+  if (!result) {
+    logger.info(`project ${projectId} is not a stale draft anymore, it's not cancelled`);
+    return false;
+  }
+  const { original, updated, cascaded } = result;
+  logger.info(`stale project ${projectId} is cancelled, previous status: ${original.status}`);
+
+  const projectUrl = `${config.get('connectProjectsUrl')}${projectId}`;
+  // the same events as when project is cancelled by `PATCH /projects/{projectId}`
+  const resource = _.assign({ resource: RESOURCES.PROJECT }, _.omit(updated, 'deletedAt'));
+  await createEvent(BUS_API_EVENT.PROJECT_UPDATED, _.assign(resource, {
+    refCode: _.get(updated, 'details.utm.code'),
+    projectUrl,
+  }), logger);
+  await createEvent(CONNECT_NOTIFICATION_EVENT.PROJECT_CANCELED, {
+    projectId,
+    projectName: updated.name,
+    refCode: _.get(updated, 'details.utm.code'),
+    projectUrl,
+    userId,
+    initiatorUserId: userId,
+  }, logger);
+  for (const { updated: phase } of cascaded.phases) {
+    await createEvent(BUS_API_EVENT.PROJECT_PHASE_UPDATED, _.assign({ resource: RESOURCES.PHASE }, phase), logger);
+  }
+  for (const { updated: milestone } of cascaded.milestones) {
+    await createEvent(BUS_API_EVENT.MILESTONE_UPDATED, _.assign({ resource: RESOURCES.MILESTONE }, milestone), logger);
+  }
+
+  return true;
+}
+
+/**
+ * Notify about the stale project and cancel it if it's a stale draft and cancelling is enabled in config.
+ *
+ * @param {Object} staleProject the stale project, see `findStaleProjects`
+ * @param {Date}   now          current date
+ * @param {Object} logger       logger
+ *
+ * @returns {Promise<Boolean>} `true` if the project is processed, or `false` if it's skipped or failed
+ */
+async function processStaleProject(staleProject, now, logger) {
+  const userId = config.get('DEFAULT_M2M_USERID');
+  try {
+    if (staleProject.action === STALE_PROJECT_ACTION.CANCEL && !await cancelStaleProject(staleProject, now, logger)) {
+      return false;
+    }
+
+    await createEvent(CONNECT_NOTIFICATION_EVENT.PROJECT_STALE, {
+      projectId: staleProject.projectId,
+      projectName: staleProject.name,
+      projectUrl: `${config.get('connectProjectsUrl')}${staleProject.projectId}`,
+      status: staleProject.status,
+      lastActivityAt: staleProject.lastActivityAt,
+      idleDays: staleProject.idleDays,
+      thresholdDays: staleProject.thresholdDays,
+      cancelled: staleProject.action === STALE_PROJECT_ACTION.CANCEL,
+      userId,
+      initiatorUserId: userId,
+    }, logger);
+
+    // don't change `updatedAt`, as the project itself is not changed
+    await models.Project.update({ staleNotifiedAt: new Date() }, {
+      where: { id: staleProject.projectId },
+      silent: true,
+    });
+
+    return true;
+  } catch (err) {
+    // don't stop processing other projects
+    logger.error(`failed to process stale project ${staleProject.projectId}`, err);
+    return false;
+  }
+}
+
+/**
+ * Find stale projects, notify about them and cancel stale drafts if it's enabled in config.
+ * Projects which have been already notified about are skipped.
+ *
+ * @param {Object} logger logger
+ *
+ * @returns {Promise<Array>} list of processed stale projects, see `findStaleProjects`
+ */
+async function processStaleProjects(logger) {
+  const now = new Date();
+  const thresholds = await getThresholds();
+
+  const processed = [];
+  let next = null;
+  do {
+    const batch = await findStaleProjectsBatch(now, thresholds, next);
+    const staleProjects = _.reject(batch.staleProjects, { action: STALE_PROJECT_ACTION.SKIP });
+    logger.info(`found ${staleProjects.length} stale projects to process in the batch`);
+
+    for (const staleProject of staleProjects) {
+      if (await processStaleProject(staleProject, now, logger)) {
+        processed.push(staleProject);
+      }
+    }
+    next = batch.next;
+  } while (next);
+
+  return processed;
+}
+
+/**
+ * Validate the config of the detector, it should be called before starting the detector.
+ * If cancelling stale drafts is enabled, `staleProjects.cancelReason` has to be a valid cancel reason code.
+ *
+ * @returns {Promise} promise which is rejected if the config is not valid
+ */
+async function validateStaleProjectsConfig() {
+  if (!getBooleanConfig('staleProjects.cancelDrafts')) {
+    return;
+  }
+
+  try {
+    await validateCancelReason(config.get('staleProjects.cancelReason'), STALE_PROJECT_CANCEL_COMMENT);
+  } catch (err) {
+    throw new Error(`Invalid "staleProjects.cancelReason" config. ${err.message}`);
+  }
+}
+
+/**
+ * Run `processStaleProjects` periodically with the interval defined in config.
+ *
+ * @param {Object} logger logger
+ *
+ * @returns {Function} function to stop the detector
+ */
+function startStaleProjectsDetector(logger) {
+  const interval = _.toNumber(config.get('staleProjects.checkIntervalMinutes')) * 60 * 1000;
+  logger.info(`Starting stale projects detector with interval ${interval}ms`);
+
+  const timer = setInterval(() => {
+    processStaleProjects(logger).catch((err) => {
+      logger.error('Failed to process stale projects', err);
+    });
+  }, interval);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  STALE_PROJECT_ACTION,
+  getBooleanConfig,
+  findStaleProjects,
+  processStaleProjects,
+  validateStaleProjectsConfig,
+  startStaleProjectsDetector,
+};
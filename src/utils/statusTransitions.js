@@ -0,0 +1,159 @@
+/**
+ * Helper methods to validate status transitions of projects, phases and milestones
+ * using the declarative tables `STATUS_TRANSITIONS`, see `permissions/constants.js`.
+ */
+import _ from 'lodash';
+import models from '../models';
+import util from '../util';
+import { PERMISSION, STATUS_TRANSITIONS } from '../permissions/constants';
+import {
+  STATUS_TRANSITION_REFERENCES,
+  PROJECT_STATUS,
+  PROJECT_PHASE_STATUS,
+  MILESTONE_STATUS,
+} from '../constants';
+
+/**
+ * Special value in transition tables which means "any status"
+ */
+const ANY_STATUS = '*';
+
+/**
+ * The list of all the statuses per entity
+ */
+const STATUSES = {
+  [STATUS_TRANSITION_REFERENCES.PROJECT]: _.values(PROJECT_STATUS),
+  [STATUS_TRANSITION_REFERENCES.PHASE]: _.values(PROJECT_PHASE_STATUS),
+  [STATUS_TRANSITION_REFERENCES.MILESTONE]: _.values(MILESTONE_STATUS),
+};
+
+/**
+ * Check if the transition rule allows the transition for the user who makes request.
+ *
+ * @param {Boolean|Object|String} rule transition rule
+ * @param {express.Request}       req  request
+ *
+ * @returns {Boolean} true if allowed
+ */
+const isRuleMatched = (rule, req) => {
+  if (rule === true) {
+    return true;
+  }
+
+  // rules defined in the project type metadata may refer to permissions by name
+  const permission = _.isString(rule) ? PERMISSION[rule] : rule;
+
+  return _.isObject(permission) && util.hasPermissionByReq(permission, req);
+};
+
+const statusTransitionUtils = {
+  /**
+   * Get status transitions table for the entity of the project type.
+   *
+   * The table from the project type metadata has priority over the tables defined in the code.
+   *
+   * @param {String} reference      one of `STATUS_TRANSITION_REFERENCES`
+   * @param {String} projectTypeKey project type key
+   *
+   * @returns {Promise<Object>} transitions table or `null` if any transition is allowed
+   */
+  getStatusTransitions: async (reference, projectTypeKey) => {
+    const projectType = projectTypeKey
+      ? await models.ProjectType.findByPk(projectTypeKey, { attributes: ['key', 'metadata'], raw: true })
+      : null;
+    const metadataTransitions = _.get(projectType, ['metadata', 'statusTransitions', reference]);
+
+    if (metadataTransitions) {
+      return metadataTransitions;
+    }
+
+    const tables = _.get(STATUS_TRANSITIONS, reference, {});
+
+    return _.get(tables, projectTypeKey, tables.default) || null;
+  },
+
+  /**
+   * Get the list of statuses which the user who makes the request can set for the entity in `fromStatus`.
+   *
+   * @param {String}          reference   one of `STATUS_TRANSITION_REFERENCES`
+   * @param {Object}          transitions transitions table, see `getStatusTransitions`
+   * @param {String}          fromStatus  current status
+   * @param {express.Request} req         request
+   *
+   * @returns {Array} allowed statuses
+   */
+  getAllowedStatuses: (reference, transitions, fromStatus, req) => {
+    const statuses = STATUSES[reference];
+
+    if (!transitions) {
+      return _.without(statuses, fromStatus);
+    }
+
+    const allowed = [];
+    _.forEach([transitions[fromStatus], transitions[ANY_STATUS]], (rules) => {
+      _.forEach(rules, (rule, toStatus) => {
+        if (isRuleMatched(rule, req)) {
+          allowed.push(...(toStatus === ANY_STATUS ? statuses : [toStatus]));
+        }
+      });
+    });
+
+    return _.without(_.uniq(allowed), fromStatus);
+  },
+
+  /**
+   * Validate that the user who makes the request can change the status of the entity.
+   *
+   * @param {String}          reference   one of `STATUS_TRANSITION_REFERENCES`
+   * @param {Object}          transitions transitions table, see `getStatusTransitions`
+   * @param {String}          fromStatus  current status
+   * @param {String}          toStatus    new status
+   * @param {express.Request} req         request
+   *
+   * @throws {Error} error with status 400 if the transition is not allowed
+   * @returns {undefined}
+   */
+  validateStatusTransition: (reference, transitions, fromStatus, toStatus, req) => {
+    if (!toStatus || toStatus === fromStatus) {
+      return;
+    }
+
+    const allowedStatuses = statusTransitionUtils.getAllowedStatuses(reference, transitions, fromStatus, req);
+
+    if (!_.includes(allowedStatuses, toStatus)) {
+      const allowedStatusesStr = allowedStatuses.length > 0 ? allowedStatuses.join(', ') : 'none';
+      const apiErr = new Error(`Cannot change ${reference} status from '${fromStatus}' to '${toStatus}'. ` +
+        `Allowed statuses: ${allowedStatusesStr}.`);
+      apiErr.status = 400;
+      apiErr.details = JSON.stringify({ allowedStatuses });
+      throw apiErr;
+    }
+  },
+
+  /**
+   * Create a function which validates status transitions of the entities which belong to the project.
+   *
+   * It's convenient when we have to validate status transitions of several entities of the same project.
+   *
+   * @param {String}          reference   one of `STATUS_TRANSITION_REFERENCES`
+   * @param {Number}          projectId   project id
+   * @param {express.Request} req         request
+   * @param {Object}          transaction transaction
+   *
+   * @returns {Promise<Function>} function `(fromStatus, toStatus) => {}` which throws error if transition is invalid
+   */
+  createStatusTransitionValidator: async (reference, projectId, req, transaction) => {
+    const project = await models.Project.findOne({
+      where: { id: projectId },
+      attributes: ['id', 'type'],
+      raw: true,
+      transaction,
+    });
+    const transitions = await statusTransitionUtils.getStatusTransitions(reference, _.get(project, 'type'));
+
+    return (fromStatus, toStatus) =>
+      statusTransitionUtils.validateStatusTransition(reference, transitions, fromStatus, toStatus, req);
+  },
+};
+
+export default statusTransitionUtils;